@@ -0,0 +1,143 @@
+// client/account.js
+
+/**
+ * account.js
+ *
+ * The player's Firebase Authentication account and display name. Players start
+ * with an anonymous account and can link it to Google or an email address
+ * later; the uid stays the same, so their games and rating carry over. The
+ * server identifies a player by the uid in their ID token, so the display name
+ * is the only part of their identity they choose.
+ *
+ * It exports:
+ * - initAccount: Sets the Auth instance the account belongs to.
+ * - getSignedInUser: The signed-in user, signing in anonymously the first time.
+ * - bindAccountControls: Shows the account and the name, and wires up saving them.
+ * - getPlayerIdentity: What the player sends when taking a seat.
+ */
+
+import {
+    signInAnonymously,
+    onAuthStateChanged,
+    linkWithPopup,
+    linkWithCredential,
+    GoogleAuthProvider,
+    EmailAuthProvider,
+} from "firebase/auth";
+
+const PLAYER_NAME_STORAGE_KEY = 'tictactoe.playerName';
+
+// Why linking an account failed, by Firebase Authentication error code.
+const ACCOUNT_LINK_ERRORS = {
+    'auth/credential-already-in-use': "That account is already used by another player.",
+    'auth/email-already-in-use': "That email address is already used by another player.",
+    'auth/provider-already-linked': "This account is already saved.",
+    'auth/invalid-email': "That email address is not valid.",
+    'auth/weak-password': "The password must be at least 6 characters long.",
+    'auth/popup-closed-by-user': "Saving the account was cancelled.",
+    'auth/popup-blocked': "The sign-in window was blocked; allow pop-ups for this site.",
+};
+
+let auth = null;
+let controls = null; // The account elements, once bindAccountControls has run
+
+/**
+ * @param {import("firebase/auth").Auth} authInstance - The app's Auth instance.
+ */
+function initAccount(authInstance) {
+    auth = authInstance;
+}
+
+/**
+ * The player's account, signing in anonymously the first time. Online games
+ * are rated under its uid, which the server takes from the ID token.
+ * @returns {Promise<object>} The signed-in Firebase user.
+ */
+async function getSignedInUser() {
+    await auth.authStateReady();
+    if (auth.currentUser) return auth.currentUser;
+    const credential = await signInAnonymously(auth);
+    return credential.user;
+}
+
+/**
+ * Restores the saved display name, keeps the account status up to date and
+ * wires up the controls that save the name and the account, then signs in.
+ * @param {object} elements - The playerNameInput, accountStatusElement,
+ * accountLinkOptions, linkGoogleButton, linkEmailForm, linkEmailInput and
+ * linkPasswordInput elements.
+ */
+function bindAccountControls(elements) {
+    controls = elements;
+    const { playerNameInput, linkGoogleButton, linkEmailForm } = controls;
+    playerNameInput.value = localStorage.getItem(PLAYER_NAME_STORAGE_KEY) || '';
+    playerNameInput.addEventListener('change', savePlayerName);
+    linkGoogleButton.addEventListener('click', linkGoogleAccount);
+    linkEmailForm.addEventListener('submit', linkEmailAccount);
+    onAuthStateChanged(auth, renderAccount);
+    getSignedInUser().catch(error => console.error("Could not sign in:", error));
+}
+
+/**
+ * What the player sends when taking a seat; the server identifies them by
+ * their account, so only the display name is theirs to choose.
+ * @returns {{name: string}} The player's display name.
+ */
+function getPlayerIdentity() {
+    return { name: controls.playerNameInput.value.trim() };
+}
+
+function savePlayerName() {
+    localStorage.setItem(PLAYER_NAME_STORAGE_KEY, controls.playerNameInput.value.trim());
+}
+
+/**
+ * Shows whether the player is a guest or has saved their account, and offers
+ * to save a guest account.
+ * @param {object|null} user - The signed-in Firebase user.
+ */
+function renderAccount(user) {
+    const { accountStatusElement, accountLinkOptions } = controls;
+    accountStatusElement.classList.remove('error');
+    if (!user) {
+        accountStatusElement.textContent = "Signing in...";
+        accountLinkOptions.hidden = true;
+        return;
+    }
+    accountStatusElement.textContent = user.isAnonymous
+        ? "Playing as a guest; save your account to keep your games on other devices:"
+        : `Signed in as ${user.email || user.providerData.map(profile => profile.providerId).join(', ')}`;
+    accountLinkOptions.hidden = !user.isAnonymous;
+}
+
+/**
+ * Upgrades the anonymous account to a permanent one. The uid does not
+ * change, so the seats and games of the guest account stay the player's.
+ * @param {Function} link - Links a credential to the user, e.g. with linkWithPopup.
+ */
+async function linkAccount(link) {
+    const { accountStatusElement } = controls;
+    try {
+        const user = await getSignedInUser();
+        const { user: linkedUser } = await link(user);
+        renderAccount(linkedUser);
+    } catch (error) {
+        console.error("Could not save the account:", error);
+        accountStatusElement.textContent = ACCOUNT_LINK_ERRORS[error.code] || "Could not save the account.";
+        accountStatusElement.classList.add('error');
+    }
+}
+
+function linkGoogleAccount() {
+    linkAccount(user => linkWithPopup(user, new GoogleAuthProvider()));
+}
+
+function linkEmailAccount(event) {
+    event.preventDefault();
+    const { linkEmailInput, linkPasswordInput } = controls;
+    const credential = EmailAuthProvider.credential(linkEmailInput.value.trim(), linkPasswordInput.value);
+    linkPasswordInput.value = '';
+    linkAccount(user => linkWithCredential(user, credential));
+}
+
+export { initAccount, getSignedInUser, bindAccountControls, getPlayerIdentity };
@@ -0,0 +1,343 @@
+// client/ai.js
+
+/**
+ * ai.js
+ *
+ * This module implements the computer opponent. Like the rules package it is a pure module:
+ * it never touches the DOM or the network, and it asks the FSM's `transition`
+ * function which moves are legal instead of re-implementing the game rules.
+ * Only the heuristic that scores unfinished positions depends on the rule variant.
+ *
+ * It exports:
+ * - DIFFICULTIES: The available difficulty levels.
+ * - getLegalMoves: Enumerates the moves the FSM accepts for the player on turn.
+ * - chooseMove: Picks a move for the player on turn at a given difficulty.
+ * - shouldAcceptDraw: Decides whether the AI accepts a draw offer.
+ */
+
+import { STATES, EVENTS, transition, getGameOutcome } from 'tictactoe-rules';
+
+// Difficulty levels, from weakest to strongest.
+const DIFFICULTIES = {
+    RANDOM: 'random', // Any legal move
+    EASY: 'easy', // Wins or blocks an immediate win, otherwise any move that does not lose at once
+    HARD: 'hard', // Depth-limited alpha-beta search with a line-counting heuristic
+    PERFECT: 'perfect', // Exhaustive minimax with alpha-beta pruning where feasible
+};
+
+// Exhaustive search is only attempted when this few cells are empty (a full 3x3 board has 9).
+const PERFECT_SEARCH_MAX_EMPTY_CELLS = 10;
+
+// Search depths for the heuristic search. Larger boards branch more, so they search shallower.
+const HEURISTIC_DEPTH_SMALL_BOARD = 4;
+const HEURISTIC_DEPTH_LARGE_BOARD = 2;
+const LARGE_BOARD_CELLS = 49;
+
+// On large boards, only cells within this distance of an occupied cell are considered.
+const CANDIDATE_RADIUS = 2;
+
+const WIN_SCORE = 1000000;
+
+// How much more a line of won sub-boards counts than a line inside one sub-board in Ultimate.
+const ULTIMATE_META_WEIGHT = 100;
+
+/**
+ * Returns the symbol and player ID of the player on turn.
+ * @param {object} gameState - The FSM game state.
+ * @returns {{symbol: string, playerId: string}|null} The player on turn, or null if the game is over.
+ */
+function getPlayerOnTurn(gameState) {
+    if (gameState.currentState === STATES.PLAYER_X_TURN) return { symbol: 'X', playerId: gameState.playerX };
+    if (gameState.currentState === STATES.PLAYER_O_TURN) return { symbol: 'O', playerId: gameState.playerO };
+    return null;
+}
+
+/**
+ * Returns the game state with its clocks stopped. The search explores positions
+ * at no particular time, so it plays them out under untimed rules.
+ */
+function withoutClock(gameState) {
+    if (!gameState.rules.timeControl) return gameState;
+    return { ...gameState, rules: { ...gameState.rules, timeControl: null } };
+}
+
+function isGameOver(state) {
+    return getGameOutcome(state) !== null;
+}
+
+/**
+ * Lists the cells worth considering: every cell on small boards, and only the
+ * neighbourhood of existing symbols on large ones.
+ * @param {Array<Array<string>>} board - The game board.
+ * @param {boolean} [allCells=false] - List every cell, even on large boards.
+ * @returns {Array<{rowIndex: number, colIndex: number}>} The candidate cells.
+ */
+function getCandidateCells(board, allCells = false) {
+    const rows = board.length;
+    const cols = board[0].length;
+    const cells = [];
+    const isLargeBoard = rows * cols > LARGE_BOARD_CELLS;
+    const isEmptyBoard = board.every(row => row.every(cell => cell === ''));
+
+    for (let rowIndex = 0; rowIndex < rows; rowIndex++) {
+        for (let colIndex = 0; colIndex < cols; colIndex++) {
+            if (allCells || !isLargeBoard || isEmptyBoard || hasNeighbour(board, rowIndex, colIndex)) {
+                cells.push({ rowIndex, colIndex });
+            }
+        }
+    }
+    return cells;
+}
+
+function hasNeighbour(board, rowIndex, colIndex) {
+    for (let r = rowIndex - CANDIDATE_RADIUS; r <= rowIndex + CANDIDATE_RADIUS; r++) {
+        for (let c = colIndex - CANDIDATE_RADIUS; c <= colIndex + CANDIDATE_RADIUS; c++) {
+            if (board[r] && board[r][c]) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Enumerates the legal moves for the player on turn by running each candidate
+ * cell through the FSM. In Wild games every cell is tried with both symbols.
+ * If the variant rules out every nearby cell (Ultimate can send a player to a
+ * distant sub-board), the rest of the board is tried as well.
+ * @param {object} gameState - The FSM game state.
+ * @returns {Array<{move: object, result: object}>} Each legal move with its FSM transition result.
+ */
+function getLegalMoves(gameState) {
+    const player = getPlayerOnTurn(gameState);
+    if (!player) return [];
+
+    const symbols = gameState.rules.variant === 'wild' ? ['X', 'O'] : [undefined];
+    const tryCells = cells => cells
+        .flatMap(cell => symbols.map(symbol => (symbol ? { ...cell, symbol } : cell)))
+        .map(move => ({ move, result: transition(gameState, EVENTS.PLAYER_MOVE_ATTEMPTED, { move, playerId: player.playerId }) }))
+        .filter(({ result }) => result.isValidMove);
+
+    const legalMoves = tryCells(getCandidateCells(gameState.board));
+    return legalMoves.length > 0 ? legalMoves : tryCells(getCandidateCells(gameState.board, true));
+}
+
+/**
+ * Scores a finished game from the AI's point of view. Quicker wins and slower
+ * losses score better, so the AI does not dawdle.
+ */
+function scoreTerminalState(state, aiSymbol, depth) {
+    const { winner } = getGameOutcome(state);
+    if (!winner) return 0;
+    return winner === aiSymbol ? WIN_SCORE - depth : -WIN_SCORE + depth;
+}
+
+/**
+ * Scores an unfinished board by counting every window of `winLength` cells
+ * that only one player occupies. Windows closer to completion weigh much more.
+ * Cells holding anything but 'X' or 'O' (such as a drawn Ultimate sub-board) block a window.
+ */
+function scoreBoard(board, winLength, aiSymbol) {
+    const opponentSymbol = aiSymbol === 'X' ? 'O' : 'X';
+    const rows = board.length;
+    const cols = board[0].length;
+    const directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
+    let score = 0;
+
+    for (let rowIndex = 0; rowIndex < rows; rowIndex++) {
+        for (let colIndex = 0; colIndex < cols; colIndex++) {
+            for (const [dRow, dCol] of directions) {
+                const endRow = rowIndex + dRow * (winLength - 1);
+                const endCol = colIndex + dCol * (winLength - 1);
+                if (endRow < 0 || endRow >= rows || endCol < 0 || endCol >= cols) continue;
+
+                let aiCount = 0;
+                let opponentCount = 0;
+                let isBlocked = false;
+                for (let step = 0; step < winLength; step++) {
+                    const cell = board[rowIndex + dRow * step][colIndex + dCol * step];
+                    if (cell === aiSymbol) aiCount++;
+                    else if (cell === opponentSymbol) opponentCount++;
+                    else if (cell !== '') isBlocked = true;
+                }
+                if (isBlocked) continue;
+                if (aiCount > 0 && opponentCount === 0) score += 10 ** aiCount;
+                if (opponentCount > 0 && aiCount === 0) score -= 10 ** opponentCount;
+            }
+        }
+    }
+    return score;
+}
+
+/**
+ * Scores an unfinished Ultimate game: lines of won sub-boards count most, and
+ * the lines inside each open sub-board break ties.
+ */
+function scoreUltimate(gameState, aiSymbol) {
+    const { board, subBoardWinners } = gameState;
+    const metaBoard = [0, 1, 2].map(row => subBoardWinners.slice(row * 3, row * 3 + 3));
+    let score = ULTIMATE_META_WEIGHT * scoreBoard(metaBoard, 3, aiSymbol);
+    subBoardWinners.forEach((result, index) => {
+        if (result !== '') return;
+        const top = Math.floor(index / 3) * 3;
+        const left = (index % 3) * 3;
+        score += scoreBoard(board.slice(top, top + 3).map(row => row.slice(left, left + 3)), 3, aiSymbol);
+    });
+    return score;
+}
+
+/**
+ * Scores an unfinished position from the AI's point of view, using the
+ * heuristic that fits the rule variant.
+ */
+function scorePosition(gameState, aiSymbol) {
+    switch (gameState.rules.variant) {
+        case 'misere':
+            // Lines are what a player must avoid, so the classic score is inverted.
+            return -scoreBoard(gameState.board, gameState.rules.winLength, aiSymbol);
+        case 'wild':
+            // Either player may finish any line, so a line says nothing about who profits from it.
+            return 0;
+        case 'ultimate':
+            return scoreUltimate(gameState, aiSymbol);
+        default:
+            return scoreBoard(gameState.board, gameState.rules.winLength, aiSymbol);
+    }
+}
+
+/**
+ * Minimax search with alpha-beta pruning. With `maxDepth` set to Infinity this
+ * is an exhaustive search; otherwise unfinished positions are scored heuristically.
+ * @returns {number} The score of the position for the AI.
+ */
+function alphaBeta(gameState, aiSymbol, depth, maxDepth, alpha, beta) {
+    if (isGameOver(gameState.currentState)) {
+        return scoreTerminalState(gameState.currentState, aiSymbol, depth);
+    }
+    if (depth >= maxDepth) {
+        return scorePosition(gameState, aiSymbol);
+    }
+
+    const isAiTurn = getPlayerOnTurn(gameState).symbol === aiSymbol;
+    let best = isAiTurn ? -Infinity : Infinity;
+    for (const { result } of getLegalMoves(gameState)) {
+        const score = alphaBeta(result.newGameState, aiSymbol, depth + 1, maxDepth, alpha, beta);
+        if (isAiTurn) {
+            best = Math.max(best, score);
+            alpha = Math.max(alpha, best);
+        } else {
+            best = Math.min(best, score);
+            beta = Math.min(beta, best);
+        }
+        if (beta <= alpha) break;
+    }
+    return best;
+}
+
+/**
+ * Picks the legal move with the best search score, breaking ties randomly.
+ */
+function chooseBySearch(gameState, legalMoves, maxDepth, random) {
+    const aiSymbol = getPlayerOnTurn(gameState).symbol;
+    let bestScore = -Infinity;
+    let bestMoves = [];
+    for (const { move, result } of legalMoves) {
+        const score = alphaBeta(result.newGameState, aiSymbol, 1, maxDepth, -Infinity, Infinity);
+        if (score > bestScore) {
+            bestScore = score;
+            bestMoves = [move];
+        } else if (score === bestScore) {
+            bestMoves.push(move);
+        }
+    }
+    return pickRandom(bestMoves, random);
+}
+
+/**
+ * Finds a move that immediately finishes a line for the given symbol.
+ */
+function findWinningMove(gameState, legalMoves, symbol) {
+    const winningState = symbol === 'X' ? STATES.GAME_OVER_X_WINS : STATES.GAME_OVER_O_WINS;
+    if (getPlayerOnTurn(gameState).symbol === symbol) {
+        const win = legalMoves.find(({ result }) => result.newState === winningState);
+        return win ? win.move : null;
+    }
+    // For the opponent's symbol, look at what they could do if it were their turn.
+    const opponentTurn = symbol === 'X' ? STATES.PLAYER_X_TURN : STATES.PLAYER_O_TURN;
+    return findWinningMove({ ...gameState, currentState: opponentTurn }, getLegalMoves({ ...gameState, currentState: opponentTurn }), symbol);
+}
+
+function pickRandom(items, random) {
+    return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Picks a move for the player on turn.
+ * @param {object} gameState - The FSM game state.
+ * @param {string} difficulty - One of the DIFFICULTIES values.
+ * @param {function(): number} [random=Math.random] - Source of randomness, injectable for deterministic play.
+ * @returns {{rowIndex: number, colIndex: number}|null} The chosen move, or null if there is no legal move.
+ */
+function chooseMove(gameState, difficulty, random = Math.random) {
+    gameState = withoutClock(gameState);
+    const legalMoves = getLegalMoves(gameState);
+    if (legalMoves.length === 0) return null;
+
+    const { symbol } = getPlayerOnTurn(gameState);
+    const opponentSymbol = symbol === 'X' ? 'O' : 'X';
+    const emptyCells = gameState.board.reduce((count, row) => count + row.filter(cell => cell === '').length, 0);
+    const isLargeBoard = gameState.board.length * gameState.board[0].length > LARGE_BOARD_CELLS;
+    const heuristicDepth = isLargeBoard ? HEURISTIC_DEPTH_LARGE_BOARD : HEURISTIC_DEPTH_SMALL_BOARD;
+
+    switch (difficulty) {
+        case DIFFICULTIES.RANDOM:
+            return pickRandom(legalMoves, random).move;
+
+        case DIFFICULTIES.EASY: {
+            // Avoid moves that hand the opponent the game at once, such as completing a line in Misère.
+            const safeMoves = legalMoves.filter(({ result }) => {
+                const outcome = getGameOutcome(result.newState);
+                return !outcome || outcome.winner !== opponentSymbol;
+            });
+            // The opponent's winning cell is only worth taking if the rules let us play there.
+            const threat = findWinningMove(gameState, legalMoves, opponentSymbol);
+            const block = threat && safeMoves.find(({ move }) => move.rowIndex === threat.rowIndex && move.colIndex === threat.colIndex);
+            return findWinningMove(gameState, legalMoves, symbol)
+                || (block && block.move)
+                || pickRandom(safeMoves.length > 0 ? safeMoves : legalMoves, random).move;
+        }
+
+        case DIFFICULTIES.HARD:
+            return chooseBySearch(gameState, legalMoves, heuristicDepth, random);
+
+        case DIFFICULTIES.PERFECT:
+            // Exhaustive search is only tractable near the end of small games; beyond
+            // that, fall back to the deepest heuristic search the board allows.
+            return emptyCells <= PERFECT_SEARCH_MAX_EMPTY_CELLS
+                ? chooseBySearch(gameState, legalMoves, Infinity, random)
+                : chooseBySearch(gameState, legalMoves, heuristicDepth, random);
+
+        default:
+            throw new Error(`Unknown AI difficulty: ${difficulty}`);
+    }
+}
+
+/**
+ * Decides whether the AI accepts a draw offer: it accepts when a shallow search
+ * from its own point of view does not expect it to come out ahead.
+ * @param {object} gameState - The FSM game state.
+ * @param {string} aiSymbol - The AI's symbol, 'X' or 'O'.
+ * @returns {boolean} True if the AI accepts the draw.
+ */
+function shouldAcceptDraw(gameState, aiSymbol) {
+    if (isGameOver(gameState.currentState)) return false;
+    gameState = withoutClock(gameState);
+    const isLargeBoard = gameState.board.length * gameState.board[0].length > LARGE_BOARD_CELLS;
+    const depth = isLargeBoard ? HEURISTIC_DEPTH_LARGE_BOARD : HEURISTIC_DEPTH_SMALL_BOARD;
+    return alphaBeta(gameState, aiSymbol, 0, depth, -Infinity, Infinity) <= 0;
+}
+
+export {
+    DIFFICULTIES,
+    getLegalMoves,
+    chooseMove,
+    shouldAcceptDraw,
+};
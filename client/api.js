@@ -0,0 +1,214 @@
+// client/api.js
+
+/**
+ * api.js
+ *
+ * Requests to the server, which the client reaches through the proxy under
+ * /proxy. Each request carries a new request ID, the player's ID token, and
+ * the App Check token when App Check is enabled; requests made for a seat also
+ * carry the seat's secret. The proxy and the server log the request ID with
+ * everything they record about the request, and return it in the response's
+ * X-Request-Id.
+ *
+ * Error responses are thrown as ApiErrors from the error catalogue shared with
+ * the server (see shared/src/errors.js), except by submitLogSegment, whose
+ * caller decides from the status what to do next.
+ *
+ * It exports:
+ * - initApi: Sets where the App Check and ID tokens come from.
+ * - createGame, takeSeat: Start a game, or take the free seat of one.
+ * - submitMove, submitGameEvent: Send a seat's move or other FSM event.
+ * - submitLogSegment: Send the next segment of the encrypted log.
+ * - fetchGameView: The game's state and the events since the last poll.
+ * - fetchGameHistory, fetchGameLog: Finished games, and one game's moves.
+ * - fetchLeaderboard: One page of the leaderboard.
+ * - verifyReceipt: The server's verdict on a stored receipt.
+ */
+
+import { getToken } from "firebase/app-check";
+import { ApiError } from 'tictactoe-rules';
+
+let appCheck = null;
+let getIdToken = null;
+
+/**
+ * @param {import("firebase/app-check").AppCheck|undefined} appCheckInstance - App Check, or undefined if it is disabled.
+ * @param {Function} idTokenGetter - Returns a promise of the player's ID token.
+ */
+function initApi(appCheckInstance, idTokenGetter) {
+    appCheck = appCheckInstance || null;
+    getIdToken = idTokenGetter;
+}
+
+/**
+ * Reads an error response into an ApiError.
+ * @param {Response} response - A response that is not ok.
+ * @returns {Promise<ApiError>} The error.
+ */
+async function readApiError(response) {
+    const body = await response.json().catch(() => null);
+    return ApiError.fromResponse(response.status, body, response.headers.get('X-Request-Id'));
+}
+
+/**
+ * @param {string} [seatSecret] - The secret of the seat the request acts for.
+ * @returns {Promise<object>} The request headers.
+ */
+async function getRequestHeaders(seatSecret) {
+    const headers = { 'Content-Type': 'application/json', 'X-Request-Id': crypto.randomUUID() };
+    if (seatSecret) {
+        headers['X-Seat-Secret'] = seatSecret;
+    }
+    headers['Authorization'] = `Bearer ${await getIdToken()}`;
+    try {
+        if (appCheck) {
+            const appCheckTokenResponse = await getToken(appCheck, /* forceRefresh= */ false);
+            headers['X-Firebase-AppCheck'] = appCheckTokenResponse.token;
+        }
+    } catch (err) {
+        console.error("Failed to get App Check token:", err);
+        throw new Error("Could not get App Check token.");
+    }
+    return headers;
+}
+
+/**
+ * Sends a request and reads its JSON answer.
+ * @param {string} path - The path under /proxy.
+ * @param {object} [options] - The method, the seat secret and the JSON body.
+ * @returns {Promise<object>} The response body.
+ * @throws {ApiError} If the server answered with an error.
+ */
+async function requestJson(path, { method = 'GET', seatSecret, body } = {}) {
+    const response = await fetch(`/proxy${path}`, {
+        method,
+        headers: await getRequestHeaders(seatSecret),
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    if (!response.ok) throw await readApiError(response);
+    return await response.json();
+}
+
+/**
+ * Creates a game on the server.
+ * @param {object} gameRequest - The rules, mode, seat, player and seat public keys.
+ * @returns {Promise<object>} The game: its ID, public key, player IDs and seat secrets.
+ */
+async function createGame(gameRequest) {
+    return await requestJson('/create-game', { method: 'POST', body: gameRequest });
+}
+
+/**
+ * Takes the free seat of an online game shared via a join link.
+ * @param {string} gameId - The game to join.
+ * @param {object} joinRequest - The player and the seat's public key.
+ * @returns {Promise<object>} The game, with the secret of the seat taken and the events so far.
+ */
+async function takeSeat(gameId, joinRequest) {
+    return await requestJson(`/games/${gameId}/join`, { method: 'POST', body: joinRequest });
+}
+
+/**
+ * Sends a move to the server, which runs the FSM against the authoritative
+ * game state stored in Firestore. The server identifies the mover by the seat
+ * secret.
+ * @param {string} gameId - The game.
+ * @param {object} move - The move.
+ * @param {string} seatSecret - The secret of the seat making the move.
+ * @param {string} signature - The seat's signature of the move.
+ * @returns {Promise<object>} The server's FSM transition result.
+ */
+async function submitMove(gameId, move, seatSecret, signature) {
+    return await requestJson(`/games/${gameId}/moves`, { method: 'POST', seatSecret, body: { move, signature } });
+}
+
+/**
+ * Sends a non-move FSM event, such as an undo request or a resignation.
+ * @param {string} gameId - The game.
+ * @param {string} event - The FSM event.
+ * @param {string} seatSecret - The secret of the seat sending the event.
+ * @param {string} signature - The seat's signature of the event.
+ * @returns {Promise<object>} The server's FSM transition result.
+ */
+async function submitGameEvent(gameId, event, seatSecret, signature) {
+    return await requestJson(`/games/${gameId}/events`, { method: 'POST', seatSecret, body: { event, signature } });
+}
+
+/**
+ * Sends the server the next segment of this browser's log.
+ * @param {string} gameId - The game.
+ * @param {number} fromSequence - The sequence number of the segment's first entry.
+ * @param {object} encryptedFields - The encrypted entries, as from encryptLogEntries.
+ * @param {string} seatSecret - The secret of the seat whose log this is.
+ * @returns {Promise<Response>} The response; its status decides what happens next.
+ */
+async function submitLogSegment(gameId, fromSequence, encryptedFields, seatSecret) {
+    return await fetch(`/proxy/games/${gameId}/log-segments`, {
+        method: 'POST',
+        headers: await getRequestHeaders(seatSecret),
+        body: JSON.stringify({ fromSequence, ...encryptedFields })
+    });
+}
+
+/**
+ * Fetches the game's current state and the events accepted after the ones already applied.
+ * @param {string} gameId - The game.
+ * @param {number} knownEventCount - The number of events already applied.
+ * @param {string} seatSecret - The secret of one of our seats.
+ * @returns {Promise<object>} The server's view of the game.
+ */
+async function fetchGameView(gameId, knownEventCount, seatSecret) {
+    return await requestJson(`/games/${gameId}?since=${knownEventCount}`, { seatSecret });
+}
+
+/**
+ * Fetches the most recently verified games.
+ * @returns {Promise<{games: Array<object>}>} The game summaries.
+ */
+async function fetchGameHistory() {
+    return await requestJson('/games');
+}
+
+/**
+ * Fetches the verified move history of a finished game.
+ * @param {string} gameId - The game to load.
+ * @returns {Promise<object>} The game's rules, players, result and moves.
+ */
+async function fetchGameLog(gameId) {
+    return await requestJson(`/games/${gameId}/log`);
+}
+
+/**
+ * Fetches one page of the leaderboard.
+ * @param {string} period - The time window: 'day', 'week', 'month' or 'all'.
+ * @param {number} offset - The number of players to skip.
+ * @returns {Promise<object>} The side totals and the ranked players.
+ */
+async function fetchLeaderboard(period, offset) {
+    const query = new URLSearchParams({ window: period, offset: String(offset) });
+    return await requestJson(`/leaderboard?${query}`);
+}
+
+/**
+ * Presents a stored receipt to the server, which checks its signature and
+ * that it matches the game's verified result.
+ * @param {object} receipt - The receipt returned when the log was verified.
+ * @returns {Promise<{valid: boolean, reason?: string}>} The server's verdict.
+ */
+async function verifyReceipt(receipt) {
+    return await requestJson('/receipts/verify', { method: 'POST', body: { receipt } });
+}
+
+export {
+    initApi,
+    createGame,
+    takeSeat,
+    submitMove,
+    submitGameEvent,
+    submitLogSegment,
+    fetchGameView,
+    fetchGameHistory,
+    fetchGameLog,
+    fetchLeaderboard,
+    verifyReceipt,
+};
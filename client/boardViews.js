@@ -0,0 +1,129 @@
+// client/boardViews.js
+
+/**
+ * boardViews.js
+ *
+ * Draws the board for each rule variant. Every view fills the board element
+ * with `.cell` elements carrying `data-row` and `data-col`, so clicks are
+ * handled the same way whatever the variant.
+ *
+ * It exports:
+ * - renderBoard: Draws a game state's board with the view of its variant.
+ */
+
+import { STATES, checkWin, placeSymbol } from 'tictactoe-rules';
+
+/**
+ * Creates one clickable cell.
+ * @param {string} symbol - The cell's content: 'X', 'O' or ''.
+ * @param {number} rowIndex - The cell's row on the full board.
+ * @param {number} colIndex - The cell's column on the full board.
+ * @returns {HTMLElement} The cell element.
+ */
+function createCell(symbol, rowIndex, colIndex) {
+    const cellDiv = document.createElement('div');
+    cellDiv.classList.add('cell');
+    cellDiv.dataset.row = rowIndex;
+    cellDiv.dataset.col = colIndex;
+    if (symbol) {
+        // We will use CSS to set the background image
+        cellDiv.classList.add(symbol.toLowerCase());
+    }
+    return cellDiv;
+}
+
+function getSymbolOnTurn(gameState) {
+    if (gameState.currentState === STATES.PLAYER_X_TURN) return 'X';
+    if (gameState.currentState === STATES.PLAYER_O_TURN) return 'O';
+    return null;
+}
+
+/**
+ * Classic: a plain grid of cells.
+ */
+function renderClassicBoard(boardElement, gameState) {
+    gameState.board.forEach((row, rowIndex) => {
+        row.forEach((cell, colIndex) => boardElement.appendChild(createCell(cell, rowIndex, colIndex)));
+    });
+}
+
+/**
+ * Misère: the grid, with the empty cells that would complete a line for the
+ * player on turn (and so lose the game) marked as dangerous.
+ */
+function renderMisereBoard(boardElement, gameState) {
+    const { board, rules } = gameState;
+    const symbol = getSymbolOnTurn(gameState);
+    board.forEach((row, rowIndex) => {
+        row.forEach((cell, colIndex) => {
+            const cellDiv = createCell(cell, rowIndex, colIndex);
+            const move = { rowIndex, colIndex };
+            if (symbol && cell === '' && checkWin(placeSymbol(board, move, symbol), symbol, rules.winLength, move)) {
+                cellDiv.classList.add('danger');
+            }
+            boardElement.appendChild(cellDiv);
+        });
+    });
+}
+
+/**
+ * Wild: the grid, with empty cells previewing the symbol the player has chosen to place.
+ */
+function renderWildBoard(boardElement, gameState, { wildSymbol }) {
+    renderClassicBoard(boardElement, gameState);
+    boardElement.classList.add(`preview-${wildSymbol.toLowerCase()}`);
+}
+
+/**
+ * Ultimate: nine 3x3 sub-boards. Sub-boards that are already decided show who
+ * took them, and the ones the player on turn may play in are highlighted.
+ */
+function renderUltimateBoard(boardElement, gameState) {
+    const { board, subBoardWinners, activeSubBoard } = gameState;
+    const isRunning = getSymbolOnTurn(gameState) !== null;
+
+    subBoardWinners.forEach((result, index) => {
+        const subBoardDiv = document.createElement('div');
+        subBoardDiv.classList.add('sub-board');
+        if (result === 'X' || result === 'O') subBoardDiv.classList.add(`won-${result.toLowerCase()}`);
+        if (result === 'D') subBoardDiv.classList.add('drawn');
+        if (isRunning && result === '' && (activeSubBoard === null || activeSubBoard === index)) {
+            subBoardDiv.classList.add('active');
+        }
+
+        const top = Math.floor(index / 3) * 3;
+        const left = (index % 3) * 3;
+        for (let rowIndex = top; rowIndex < top + 3; rowIndex++) {
+            for (let colIndex = left; colIndex < left + 3; colIndex++) {
+                subBoardDiv.appendChild(createCell(board[rowIndex][colIndex], rowIndex, colIndex));
+            }
+        }
+        boardElement.appendChild(subBoardDiv);
+    });
+}
+
+const BOARD_VIEWS = {
+    classic: renderClassicBoard,
+    misere: renderMisereBoard,
+    wild: renderWildBoard,
+    ultimate: renderUltimateBoard,
+};
+
+/**
+ * Clears the board element and draws the game state's board with its variant's view.
+ * The variant is also set as `data-variant` on the board element for styling.
+ * @param {HTMLElement} boardElement - The board container.
+ * @param {object} gameState - The FSM game state.
+ * @param {{wildSymbol: string}} options - View settings; `wildSymbol` is the symbol chosen for the next Wild move.
+ */
+function renderBoard(boardElement, gameState, options) {
+    const { variant } = gameState.rules;
+    boardElement.innerHTML = '';
+    boardElement.classList.remove('preview-x', 'preview-o');
+    boardElement.dataset.variant = variant;
+    (BOARD_VIEWS[variant] || renderClassicBoard)(boardElement, gameState, options);
+}
+
+export {
+    renderBoard,
+};
@@ -0,0 +1,74 @@
+// client/clocks.js
+
+/**
+ * clocks.js
+ *
+ * The players' clocks in timed games. The server times every event, and the
+ * FSM keeps each seat's remaining time and when the running turn started (see
+ * runClock in shared/src/fsm.js), so the client only needs to know how far its
+ * own clock is off the server's to count down the running turn.
+ *
+ * It exports:
+ * - syncServerClock, getServerNow: The offset to the server's clock, and the
+ *   server's time by it.
+ * - getRemainingMs: A seat's remaining time, counting the running turn.
+ * - getClockLogData: The timestamp and clocks a log entry records.
+ * - formatClock: Remaining time as m:ss.
+ */
+
+import { STATES } from 'tictactoe-rules';
+
+let serverClockOffset = 0; // Server time minus local time, in milliseconds
+
+/**
+ * Records how far the server's clock is ahead of ours, from a server timestamp
+ * we have just received. Request latency is small next to clock times, so it is ignored.
+ * @param {number} [serverTime] - A server timestamp in milliseconds.
+ */
+function syncServerClock(serverTime) {
+    if (Number.isFinite(serverTime)) serverClockOffset = serverTime - Date.now();
+}
+
+function getServerNow() {
+    return Date.now() + serverClockOffset;
+}
+
+/**
+ * @param {object} gameState - The FSM game state.
+ * @param {string} symbol - 'X' or 'O'.
+ * @returns {number} The player's remaining time in milliseconds, counting the running turn.
+ */
+function getRemainingMs(gameState, symbol) {
+    const { clocks, turnStartedAt, currentState } = gameState;
+    const turnState = symbol === 'X' ? STATES.PLAYER_X_TURN : STATES.PLAYER_O_TURN;
+    const isRunning = currentState === turnState && turnStartedAt !== null;
+    return Math.max(clocks[symbol] - (isRunning ? getServerNow() - turnStartedAt : 0), 0);
+}
+
+/**
+ * In timed games, the server timestamp of an event and the clocks after it.
+ * The verifier replays both, so they are added to the event's log entry.
+ * @param {object} gameState - The FSM game state after the event.
+ * @param {number} timestamp - The event's server timestamp.
+ * @returns {object} The fields to add to the log entry's eventData.
+ */
+function getClockLogData(gameState, timestamp) {
+    if (!gameState.rules.timeControl) return {};
+    return { timestamp, clocks: { ...gameState.clocks } };
+}
+
+/**
+ * Formats milliseconds as m:ss, rounding up so a clock shows 0:00 only once it has run out.
+ */
+function formatClock(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+export {
+    syncServerClock,
+    getServerNow,
+    getRemainingMs,
+    getClockLogData,
+    formatClock,
+};
@@ -0,0 +1,71 @@
+// client/errorPrompt.js
+
+/**
+ * errorPrompt.js
+ *
+ * The prompt that says why a request failed and offers the retry its error
+ * code calls for (see RETRY_ACTIONS in shared/src/errors.js): sending the
+ * request again, reloading the page, or starting a new game.
+ *
+ * It exports:
+ * - bindErrorPrompt: Wires up the prompt and says how to start a new game.
+ * - showError: Shows a failed request's error and its retry.
+ * - hideError: Hides the prompt.
+ */
+
+import { ApiError, RETRY_ACTIONS } from 'tictactoe-rules';
+
+// The label of the error prompt's retry button for each of RETRY_ACTIONS.
+const RETRY_LABELS = {
+    [RETRY_ACTIONS.RESEND]: "Try Again",
+    [RETRY_ACTIONS.RELOAD]: "Reload Page",
+    [RETRY_ACTIONS.NEW_GAME]: "Start New Game",
+};
+
+let controls = null; // The prompt's elements, once bindErrorPrompt has run
+let startNewGame = null;
+let errorRetryHandler = null; // What the retry button does
+
+/**
+ * @param {object} elements - The prompt, message and retryButton elements.
+ * @param {Function} newGameHandler - Starts a new game, for errors that end the current one.
+ */
+function bindErrorPrompt(elements, newGameHandler) {
+    controls = elements;
+    startNewGame = newGameHandler;
+    controls.retryButton.addEventListener('click', retryAfterError);
+}
+
+/**
+ * Shows why a request failed, with the retry its error code calls for.
+ * Errors without a code never got an answer from the server, so they are retried by resending.
+ * @param {Error} error - The error, an ApiError if the server answered.
+ * @param {Function} resend - Sends the failed request again.
+ */
+function showError(error, resend) {
+    const { prompt, message, retryButton } = controls;
+    const retry = error instanceof ApiError ? error.retry : RETRY_ACTIONS.RESEND;
+    message.textContent = error instanceof ApiError ? error.message : "The server could not be reached.";
+    // The request ID finds the failed request in the server logs.
+    message.title = error instanceof ApiError && error.requestId ? `Request ${error.requestId}` : '';
+    retryButton.textContent = RETRY_LABELS[retry];
+    errorRetryHandler = {
+        [RETRY_ACTIONS.RESEND]: resend,
+        [RETRY_ACTIONS.RELOAD]: () => window.location.reload(),
+        [RETRY_ACTIONS.NEW_GAME]: startNewGame,
+    }[retry];
+    prompt.hidden = false;
+}
+
+function hideError() {
+    controls.prompt.hidden = true;
+    errorRetryHandler = null;
+}
+
+function retryAfterError() {
+    const retry = errorRetryHandler;
+    hideError();
+    if (retry) retry();
+}
+
+export { bindErrorPrompt, showError, hideError };
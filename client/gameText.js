@@ -0,0 +1,50 @@
+// client/gameText.js
+
+/**
+ * gameText.js
+ *
+ * How the client names the seats and describes how a game ended, for the live
+ * game and for replays alike.
+ *
+ * It exports:
+ * - SEAT_NAMES: The display names of the two seats.
+ * - getOutcomeText: Describes how a game ended.
+ * - getGameOverText: The status line for a finished game.
+ */
+
+import { END_REASONS } from 'tictactoe-rules';
+
+// Display names of the two seats.
+const SEAT_NAMES = { X: 'DOGE', O: 'PEPE' };
+
+/**
+ * Describes how a game ended, e.g. "PEPE resigned, DOGE Wins!".
+ * @param {{winner: string|null, reason: string}} outcome - The FSM's game outcome.
+ * @returns {string} The description.
+ */
+function getOutcomeText(outcome) {
+    if (!outcome.winner) {
+        return outcome.reason === END_REASONS.DRAW_AGREED ? "Draw agreed." : "It's a Draw!";
+    }
+    const winnerName = SEAT_NAMES[outcome.winner];
+    const loserName = SEAT_NAMES[outcome.winner === 'X' ? 'O' : 'X'];
+    switch (outcome.reason) {
+        case END_REASONS.RESIGNATION:
+            return `${loserName} resigned, ${winnerName} Wins!`;
+        case END_REASONS.TIMEOUT:
+            return `${loserName} ran out of time, ${winnerName} Wins!`;
+        default:
+            return `${winnerName} Wins!`;
+    }
+}
+
+/**
+ * Builds the status line for a finished game.
+ * @param {{winner: string|null, reason: string}} outcome - The FSM's game outcome.
+ * @returns {string} The text to show.
+ */
+function getGameOverText(outcome) {
+    return `Game Over: ${getOutcomeText(outcome)}`;
+}
+
+export { SEAT_NAMES, getOutcomeText, getGameOverText };
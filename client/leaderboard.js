@@ -0,0 +1,91 @@
+// client/leaderboard.js
+
+/**
+ * leaderboard.js
+ *
+ * The leaderboard panel: the DOGE/PEPE side totals and the rated players, one
+ * page at a time, for a time window the player picks. The ranking itself is
+ * the server's (see server/lib/ratings.js).
+ *
+ * It exports:
+ * - bindLeaderboard: Wires up the panel's controls.
+ */
+
+import { fetchLeaderboard } from './api.js';
+
+let controls = null; // The panel's elements, once bindLeaderboard has run
+let leaderboardPage = { offset: 0, limit: 0, nextOffset: null }; // The leaderboard page on display
+
+/**
+ * @param {object} elements - The openButton, panel, windowSelect, sidesElement,
+ * body, prevButton, nextButton and closeButton elements of the panel.
+ */
+function bindLeaderboard(elements) {
+    controls = elements;
+    controls.openButton.addEventListener('click', openLeaderboard);
+    controls.closeButton.addEventListener('click', closeLeaderboard);
+    controls.windowSelect.addEventListener('change', () => showLeaderboard(0));
+    controls.prevButton.addEventListener('click', () => {
+        showLeaderboard(Math.max(0, leaderboardPage.offset - leaderboardPage.limit));
+    });
+    controls.nextButton.addEventListener('click', () => showLeaderboard(leaderboardPage.nextOffset));
+}
+
+/**
+ * Shows the first page of the leaderboard for the selected period.
+ */
+function openLeaderboard() {
+    controls.panel.hidden = false;
+    controls.openButton.hidden = true;
+    showLeaderboard(0);
+}
+
+function closeLeaderboard() {
+    controls.panel.hidden = true;
+    controls.openButton.hidden = false;
+}
+
+/**
+ * Loads and displays one page of the leaderboard.
+ * @param {number} offset - The number of players to skip.
+ */
+async function showLeaderboard(offset) {
+    const { windowSelect, sidesElement, body, prevButton, nextButton } = controls;
+    prevButton.disabled = true;
+    nextButton.disabled = true;
+    sidesElement.textContent = "Loading...";
+    body.innerHTML = '';
+    try {
+        const leaderboard = await fetchLeaderboard(windowSelect.value, offset);
+        const { X, O } = leaderboard.sides;
+        sidesElement.textContent =
+            `${X.name} ${X.wins} - ${O.wins} ${O.name} (${X.draws} draws)`;
+        if (leaderboard.players.length === 0) {
+            body.appendChild(createLeaderboardRow(["No rated games yet."]));
+        }
+        leaderboard.players.forEach(player => {
+            body.appendChild(createLeaderboardRow([
+                player.rank, player.name, player.rating, player.wins, player.draws, player.losses,
+            ]));
+        });
+        leaderboardPage = { offset: leaderboard.offset, limit: leaderboard.limit, nextOffset: leaderboard.nextOffset };
+        prevButton.disabled = leaderboard.offset === 0;
+        nextButton.disabled = leaderboard.nextOffset === null;
+    } catch (error) {
+        console.error("Could not load leaderboard:", error);
+        sidesElement.textContent = "Error: Could not load the leaderboard.";
+    }
+}
+
+function createLeaderboardRow(values) {
+    const row = document.createElement('tr');
+    values.forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+    });
+    if (values.length === 1) row.firstChild.colSpan = 6;
+    return row;
+}
+
+export { bindLeaderboard };
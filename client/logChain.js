@@ -0,0 +1,110 @@
+// client/logChain.js
+
+/**
+ * logChain.js
+ *
+ * The two hash chains a game log carries. Every log entry records the hash of
+ * the entry before it, so an entry cannot be changed, dropped or reordered
+ * without breaking the chain. Every accepted player event is signed over the
+ * hash of the event before it, so the move chain proves the order in which the
+ * seats sent their events; it is the same in both players' logs. Both must
+ * match "Hash Chain" and "Move Signatures" in server/lib/verifier.js.
+ *
+ * It exports:
+ * - INITIAL_CHAIN_HASH, INITIAL_MOVE_HASH: What the first entry and the first event follow.
+ * - REPLAYED_LOG_EVENTS: The log entries that record a player event, and the FSM event of each.
+ * - getCanonicalString: The stable JSON string that is hashed and signed.
+ * - sha256Hex: The hex SHA-256 hash of a string.
+ * - calculateEntryHash: The chain hash of a log entry.
+ * - getEventPayload: The data a seat signs for an event.
+ */
+
+import { EVENTS } from 'tictactoe-rules';
+
+const INITIAL_CHAIN_HASH = "0".repeat(64);
+const INITIAL_MOVE_HASH = "0".repeat(64);
+
+// Other entries (GAME_CREATED, PLAYER_MOVE_REJECTED, GAME_WON...) change nothing in the game.
+const REPLAYED_LOG_EVENTS = {
+    PLAYER_MOVE_VALIDATED: EVENTS.PLAYER_MOVE_ATTEMPTED,
+    UNDO_REQUESTED: EVENTS.UNDO_REQUESTED,
+    UNDO_ACCEPTED: EVENTS.UNDO_ACCEPTED,
+    RESIGN: EVENTS.RESIGN,
+    OFFER_DRAW: EVENTS.OFFER_DRAW,
+    ACCEPT_DRAW: EVENTS.ACCEPT_DRAW,
+    TIMEOUT: EVENTS.TIMEOUT,
+};
+
+/**
+ * Creates a truly canonical, sorted string from a log entry object by recursively
+ * handling nested objects and arrays. This is the only guaranteed way to ensure
+ * a stable string representation for cryptographic hashing.
+ * @param {*} obj - The object, array, or primitive to be stringified.
+ * @returns {string} A stable, canonical JSON string representation of the object.
+ */
+function getCanonicalString(obj) {
+    if (obj === null || typeof obj !== 'object') {
+        return JSON.stringify(obj);
+    }
+
+    if (Array.isArray(obj)) {
+        const arrayValues = obj.map(item => getCanonicalString(item));
+        return `[${arrayValues.join(',')}]`;
+    }
+
+    const sortedKeys = Object.keys(obj).sort();
+    const keyValuePairs = sortedKeys.map(key => {
+        const value = getCanonicalString(obj[key]);
+        return `${JSON.stringify(key)}:${value}`;
+    });
+
+    return `{${keyValuePairs.join(',')}}`;
+}
+
+/**
+ * @param {string} text - The text to hash.
+ * @returns {Promise<string>} The hex SHA-256 hash of the text's UTF-8 encoding.
+ */
+async function sha256Hex(text) {
+    const encoder = new TextEncoder();
+    const data = encoder.encode(text);
+    const hashBuffer = await window.crypto.subtle.digest('SHA-256', data);
+    const hashArray = Array.from(new Uint8Array(hashBuffer));
+    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hashes a log entry using SHA-256: everything in it but its own hash.
+ * @param {object} logEntry - The log entry to hash.
+ * @returns {Promise<string>} A promise that resolves to the hex string of the hash.
+ */
+async function calculateEntryHash(logEntry) {
+    const { currentEntryChainHash, ...entryToHash } = logEntry;
+    return await sha256Hex(getCanonicalString(entryToHash));
+}
+
+/**
+ * The canonical data a seat signs for an event that follows `previousMoveHash`:
+ * for a move the move itself, for any other event its name. The event's hash,
+ * which the next event follows, is the sha256Hex of this payload.
+ * @param {string} gameId - The game's ID.
+ * @param {string} previousMoveHash - The hash of the event before it.
+ * @param {string} playerId - The player sending it.
+ * @param {string} event - The FSM event.
+ * @param {object} [move] - The move, for PLAYER_MOVE_ATTEMPTED.
+ * @returns {string} The payload.
+ */
+function getEventPayload(gameId, previousMoveHash, playerId, event, move) {
+    const signed = event === EVENTS.PLAYER_MOVE_ATTEMPTED ? { move } : { event };
+    return getCanonicalString({ gameId, previousMoveHash, playerId, ...signed });
+}
+
+export {
+    INITIAL_CHAIN_HASH,
+    INITIAL_MOVE_HASH,
+    REPLAYED_LOG_EVENTS,
+    getCanonicalString,
+    sha256Hex,
+    calculateEntryHash,
+    getEventPayload,
+};
@@ -0,0 +1,141 @@
+// client/logCrypto.js
+
+/**
+ * logCrypto.js
+ *
+ * Encrypts log segments for the game's public key, so only the server can read
+ * them. The server says which scheme the key is for when it creates the game:
+ * ECIES for a P-256 key, or an AES key wrapped with RSA-OAEP for games created
+ * with an RSA key. Both must match "Decryption" in server/lib/verifier.js.
+ *
+ * It exports:
+ * - KEY_SCHEMES: The key schemes the server may ask for.
+ * - encryptLogEntries: Encrypts log entries for a game's key.
+ * - arrayBufferToBase64: Encodes binary data for the network.
+ */
+
+// Key schemes the server may ask for (KEY_SCHEMES in server/lib/verifier.js).
+const KEY_SCHEMES = {
+    RSA_OAEP: 'rsa-oaep',
+    ECDH_P256: 'ecdh-p256-hkdf-sha256',
+};
+// HKDF "info" for log keys; must match LOG_KEY_INFO in server/lib/verifier.js.
+const LOG_KEY_INFO = 'tictactoe-log-key-v1';
+
+/**
+ * Converts an ArrayBuffer to a Base64 string for network transmission.
+ * @param {ArrayBuffer} buffer The buffer to convert.
+ * @returns {string} The Base64 encoded string.
+ */
+function arrayBufferToBase64(buffer) {
+    let binary = '';
+    const bytes = new Uint8Array(buffer);
+    const len = bytes.byteLength;
+    for (let i = 0; i < len; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return window.btoa(binary);
+}
+
+/**
+ * Converts a PEM-formatted public key string into a CryptoKey object
+ * that the Web Crypto API can use.
+ * @param {string} pem - The public key in PEM format.
+ * @param {object} algorithm - The key's import algorithm, e.g. { name: "ECDH", namedCurve: "P-256" }.
+ * @param {Array<string>} usages - What the key will be used for.
+ * @returns {Promise<CryptoKey>} A promise that resolves to the CryptoKey object.
+ */
+async function importPublicKey(pem, algorithm, usages) {
+    const pemHeader = "-----BEGIN PUBLIC KEY-----";
+    const pemFooter = "-----END PUBLIC KEY-----";
+    const pemContents = pem
+        .replace(pemHeader, '')
+        .replace(pemFooter, '')
+        .replace(/\s/g, '');
+
+    const binaryDer = window.atob(pemContents);
+    const binaryDerArray = new Uint8Array(binaryDer.length);
+    for (let i = 0; i < binaryDer.length; i++) {
+        binaryDerArray[i] = binaryDer.charCodeAt(i);
+    }
+
+    return await window.crypto.subtle.importKey(
+        "spki",
+        binaryDerArray.buffer,
+        algorithm,
+        true,
+        usages
+    );
+}
+
+/**
+ * Encrypts the log for the server (ECIES): an ephemeral ECDH key agreement with
+ * the game's P-256 key, HKDF-SHA256 to derive the AES-256-GCM key.
+ * @param {Uint8Array} plaintext - The serialized log.
+ * @param {string} publicKeyPem - The game's public key.
+ * @returns {Promise<object>} The base64 fields to submit.
+ */
+async function encryptLogWithEcdh(plaintext, publicKeyPem) {
+    const serverKey = await importPublicKey(publicKeyPem, { name: "ECDH", namedCurve: "P-256" }, []);
+    const ephemeralKeyPair = await window.crypto.subtle.generateKey({ name: "ECDH", namedCurve: "P-256" }, false, ["deriveBits"]);
+    const sharedSecret = await window.crypto.subtle.deriveBits({ name: "ECDH", public: serverKey }, ephemeralKeyPair.privateKey, 256);
+    const hkdfKey = await window.crypto.subtle.importKey("raw", sharedSecret, "HKDF", false, ["deriveKey"]);
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const symmetricKey = await window.crypto.subtle.deriveKey(
+        { name: "HKDF", hash: "SHA-256", salt: salt, info: new TextEncoder().encode(LOG_KEY_INFO) },
+        hkdfKey,
+        { name: "AES-GCM", length: 256 },
+        false,
+        ["encrypt"]
+    );
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const encryptedLogBuffer = await window.crypto.subtle.encrypt({ name: "AES-GCM", iv: iv }, symmetricKey, plaintext);
+    const ephemeralPublicKey = await window.crypto.subtle.exportKey("spki", ephemeralKeyPair.publicKey);
+    return {
+        encryptedLog: arrayBufferToBase64(encryptedLogBuffer),
+        ephemeralPublicKey: arrayBufferToBase64(ephemeralPublicKey),
+        salt: arrayBufferToBase64(salt),
+        iv: arrayBufferToBase64(iv)
+    };
+}
+
+/**
+ * Encrypts the log for games created with an RSA key: a random AES-256-GCM key,
+ * wrapped with RSA-OAEP.
+ * @param {Uint8Array} plaintext - The serialized log.
+ * @param {string} publicKeyPem - The game's public key.
+ * @returns {Promise<object>} The base64 fields to submit.
+ */
+async function encryptLogWithRsa(plaintext, publicKeyPem) {
+    const symmetricKey = await window.crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]);
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const encryptedLogBuffer = await window.crypto.subtle.encrypt({ name: "AES-GCM", iv: iv }, symmetricKey, plaintext);
+    const exportedSymmetricKey = await window.crypto.subtle.exportKey("raw", symmetricKey);
+    const rsaPublicKey = await importPublicKey(publicKeyPem, { name: "RSA-OAEP", hash: "SHA-256" }, ["encrypt"]);
+    const encryptedSymmetricKeyBuffer = await window.crypto.subtle.encrypt({ name: "RSA-OAEP" }, rsaPublicKey, exportedSymmetricKey);
+    return {
+        encryptedLog: arrayBufferToBase64(encryptedLogBuffer),
+        encryptedKey: arrayBufferToBase64(encryptedSymmetricKeyBuffer),
+        iv: arrayBufferToBase64(iv)
+    };
+}
+
+/**
+ * Implements hybrid encryption of log entries for the game's key.
+ * @param {Array<object>} entries - The log entries.
+ * @param {string} publicKeyPem - The game's public key.
+ * @param {string} keyScheme - One of KEY_SCHEMES, as the server created the key.
+ * @returns {Promise<object>} The base64 fields to submit.
+ */
+async function encryptLogEntries(entries, publicKeyPem, keyScheme) {
+    const plaintext = new TextEncoder().encode(JSON.stringify(entries));
+    return keyScheme === KEY_SCHEMES.ECDH_P256
+        ? await encryptLogWithEcdh(plaintext, publicKeyPem)
+        : await encryptLogWithRsa(plaintext, publicKeyPem);
+}
+
+export {
+    KEY_SCHEMES,
+    encryptLogEntries,
+    arrayBufferToBase64,
+};
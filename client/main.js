@@ -5,9 +5,37 @@
 import { initializeApp } from "firebase/app";
 import { getAnalytics } from "firebase/analytics";
 // We will add App Check back in the next step.
-import { initializeAppCheck, ReCaptchaV3Provider, ReCaptchaEnterpriseProvider, getToken} from "firebase/app-check";
+import { initializeAppCheck, ReCaptchaV3Provider, ReCaptchaEnterpriseProvider } from "firebase/app-check";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
 // Import the game logic from our local file
-import { STATES, EVENTS, transition, getInitialGameState } from './fsm.js';
+import { STATES, EVENTS, transition, getInitialGameState, getGameOutcome, RULES_VERSION, ApiError, ERROR_CODES } from 'tictactoe-rules';
+import { chooseMove, shouldAcceptDraw } from './ai.js';
+import { renderBoard } from './boardViews.js';
+import { saveSession, loadSession, clearSession } from './sessionStore.js';
+import { findSessionProblem } from './sessionCheck.js';
+import { INITIAL_CHAIN_HASH, INITIAL_MOVE_HASH, sha256Hex, calculateEntryHash, getEventPayload } from './logChain.js';
+import { initTelemetry, reportWarning, reportError } from './telemetry.js';
+import { initAccount, getSignedInUser, bindAccountControls, getPlayerIdentity } from './account.js';
+import {
+    initApi,
+    createGame,
+    takeSeat,
+    submitMove,
+    submitGameEvent,
+    submitLogSegment,
+    fetchGameView,
+    fetchGameHistory,
+    fetchGameLog,
+    verifyReceipt,
+} from './api.js';
+import { KEY_SCHEMES, encryptLogEntries } from './logCrypto.js';
+import { createSeatSigningKey, createSeatSigningKeys, signEvent } from './seatKeys.js';
+import { SEAT_NAMES, getOutcomeText, getGameOverText } from './gameText.js';
+import { bindErrorPrompt, showError, hideError } from './errorPrompt.js';
+import { bindLeaderboard } from './leaderboard.js';
+import { buildReplaySteps, describeReplayEvent } from './replay.js';
+import { syncServerClock, getServerNow, getRemainingMs, getClockLogData, formatClock } from './clocks.js';
+import { getStoredReceipts, saveReceipt } from './receiptStore.js';
 
 
 // --- FIREBASE INITIALIZATION ---
@@ -31,6 +59,7 @@ if (import.meta.env.VITE_MEASUREMENT_ID) {
 // Initialize Firebase
 const app = initializeApp(firebaseConfig);
 const analytics = getAnalytics(app);
+initTelemetry(analytics);
 
 let appCheck; // <-- Define appCheck outside the block
 
@@ -45,11 +74,59 @@ if (import.meta.env.VITE_APP_CHECK_DEBUG !== "true") {
   console.warn("App Check is DISABLED for local development.");
 }
 
+// --- INITIALIZE AUTHENTICATION ---
+// The player's account (anonymous until they save it) is kept in account.js.
+const auth = getAuth(app);
+if (import.meta.env.VITE_AUTH_EMULATOR_HOST) {
+  // The auth emulator's port is set in firebase.json, e.g. "127.0.0.1:9099".
+  connectAuthEmulator(auth, `http://${import.meta.env.VITE_AUTH_EMULATOR_HOST}`);
+  console.warn("Using the Authentication emulator.");
+}
+initAccount(auth);
+initApi(appCheck, async () => (await getSignedInUser()).getIdToken());
+
 document.addEventListener('DOMContentLoaded', () => {
     // --- DOM Element References ---
     const boardElement = document.getElementById('game-board');
     const statusElement = document.getElementById('game-status');
+    const resumePrompt = document.getElementById('resume-prompt');
+    const resumeMessage = document.getElementById('resume-message');
+    const resumeContinueButton = document.getElementById('resume-continue-button');
+    const resumeNewButton = document.getElementById('resume-new-button');
+    const clockElement = document.getElementById('game-clock');
     const restartButton = document.getElementById('restart-button');
+    const undoButton = document.getElementById('undo-button');
+    const drawButton = document.getElementById('draw-button');
+    const resignButton = document.getElementById('resign-button');
+    const boardSizeSelect = document.getElementById('board-size-select');
+    const variantSelect = document.getElementById('variant-select');
+    const wildSymbolOption = document.getElementById('wild-symbol-option');
+    const wildSymbolSelect = document.getElementById('wild-symbol-select');
+    const timeControlSelect = document.getElementById('time-control-select');
+    const modeSelect = document.getElementById('mode-select');
+    const difficultySelect = document.getElementById('difficulty-select');
+    const difficultyOption = document.getElementById('difficulty-option');
+    const joinLinkContainer = document.getElementById('join-link');
+    const joinLinkInput = document.getElementById('join-link-input');
+    const copyJoinLinkButton = document.getElementById('copy-join-link-button');
+    const historyButton = document.getElementById('history-button');
+    const historyPanel = document.getElementById('history-panel');
+    const historyList = document.getElementById('history-list');
+    const historyCloseButton = document.getElementById('history-close-button');
+    const replayControls = document.getElementById('replay-controls');
+    const replayFirstButton = document.getElementById('replay-first-button');
+    const replayPrevButton = document.getElementById('replay-prev-button');
+    const replayPlayButton = document.getElementById('replay-play-button');
+    const replayNextButton = document.getElementById('replay-next-button');
+    const replayLastButton = document.getElementById('replay-last-button');
+    const replayStepElement = document.getElementById('replay-step');
+    const playerNameInput = document.getElementById('player-name-input');
+    const accountStatusElement = document.getElementById('account-status');
+    const accountLinkOptions = document.getElementById('account-link-options');
+    const linkGoogleButton = document.getElementById('link-google-button');
+    const linkEmailForm = document.getElementById('link-email-form');
+    const linkEmailInput = document.getElementById('link-email-input');
+    const linkPasswordInput = document.getElementById('link-password-input');
 
     // --- Game Session State ---
     let currentGameState;
@@ -58,340 +135,811 @@ document.addEventListener('DOMContentLoaded', () => {
     let sequenceNumber;
     let sessionGameId; // To store the ID from the server
     let sessionPublicKey; // To store the public key from the server
+    let sessionKeyScheme; // How the log is encrypted for sessionPublicKey: 'ecdh-p256-hkdf-sha256' or 'rsa-oaep'
 
-    // Player IDs are hardcoded for the POC
-    const playerX_Id = 'DOGE';
-    const playerO_Id = 'PEPE';
+    let sessionMode; // 'local' (both seats on this device), 'online' or 'ai'
+    let aiSeat = null; // The seat ('X' or 'O') the computer plays in 'ai' games
+    let aiDifficulty;
+    let seatSecrets = {}; // Per-seat secrets for the seats this browser holds, keyed by 'X'/'O'
+    let seatSigningKeys = {}; // Private ECDSA keys the seats this browser holds sign their events with, keyed by 'X'/'O'
+    let latestMoveHash; // Hash of the last accepted seat event, which the next event's signature covers
+    let opponentJoined = false;
+    let knownEventCount = 0; // Number of server events (moves, undos, draws...) already applied to currentGameState
+    let pollTimer;
+    let clockTimer;
+    let lastTimeoutClaimAt = 0;
 
-    // --- Crypto Helper Functions ---
+    let replay = null; // The finished game shown on the board instead of the live one: { gameLog, steps, stepIndex, receiptStatus }
+    let replayTimer;
 
-    /**
-     * Converts a PEM-formatted public key string into a CryptoKey object
-     * that the Web Crypto API can use for encryption.
-     * @param {string} pem - The public key in PEM format.
-     * @returns {Promise<CryptoKey>} A promise that resolves to the CryptoKey object.
-     */
-    async function importPublicKey(pem) {
-        const pemHeader = "-----BEGIN PUBLIC KEY-----";
-        const pemFooter = "-----END PUBLIC KEY-----";
-        const pemContents = pem
-            .replace(pemHeader, '')
-            .replace(pemFooter, '')
-            .replace(/\s/g, '');
-            
-        const binaryDer = window.atob(pemContents);
-        const binaryDerArray = new Uint8Array(binaryDer.length);
-        for (let i = 0; i < binaryDer.length; i++) {
-            binaryDerArray[i] = binaryDer.charCodeAt(i);
-        }
+    let isMoveInFlight = false; // Blocks further clicks while the server decides on a move
+    let logWriteQueue = Promise.resolve(); // Serializes hashing so log entries chain in order
+
+    let acknowledgedSequence = 0; // The entries of gameLog before this one are stored on the server
+    let logUploadQueue = Promise.resolve(); // Serializes log segment uploads
+    let logUploadRetryTimer;
+    let isLogRejected = false; // The server refused the log, so later segments cannot follow it
+    let isLogClosed = false; // The final GAME_WON/GAME_DRAWN entry has been added to the log
+    let sessionSaveQueue = Promise.resolve(); // Serializes session saves so an older one never lands last
+    let savedSession = null; // The saved session the resume prompt offers to continue
+
+    // Player IDs are assigned by the server when a game is created or joined.
+    let playerX_Id = 'DOGE';
+    let playerO_Id = 'PEPE';
+
+    // How often an online game asks the server for the opponent's moves.
+    const POLL_INTERVAL_MS = 1500;
+
+    // A short pause before the computer moves, so its reply is visible as a separate step.
+    const AI_MOVE_DELAY_MS = 400;
+
+    // How often the clock display refreshes, and how long to wait before repeating
+    // a timeout claim the server rejected (our clock may run slightly ahead of it).
+    const CLOCK_TICK_MS = 200;
+    const TIMEOUT_CLAIM_RETRY_MS = 1000;
+
+    // How long to wait before sending the log again after the server could not be reached.
+    const LOG_UPLOAD_RETRY_MS = 5000;
 
-        return await window.crypto.subtle.importKey(
-            "spki",
-            binaryDerArray.buffer,
-            { name: "RSA-OAEP", hash: "SHA-256" },
-            true,
-            ["encrypt"]
-        );
+    // How long each step of a replay stays on the board while it plays.
+    const REPLAY_STEP_MS = 800;
+
+    // The log entries that close a log.
+    const FINAL_LOG_EVENT_TYPES = ['GAME_WON', 'GAME_DRAWN'];
+
+    // When enabled, moves are played locally if the server cannot be reached.
+    // Such games will not match the server-authoritative state at submission.
+    const OPTIMISTIC_MOVES = import.meta.env.VITE_OPTIMISTIC_MOVES === 'true';
+
+    // --- Log Streaming ---
+    // The log is not sent in one piece at game over, where a closed tab or a dropped
+    // connection would lose the whole game. After every entry, the entries the server
+    // has not acknowledged yet go out as one encrypted segment. The server verifies
+    // each segment as it arrives and answers with its checkpoint; the segment that
+    // closes the log also gets the verified result and its receipt.
+
+    function scheduleLogUpload() {
+        clearTimeout(logUploadRetryTimer);
+        logUploadQueue = logUploadQueue.then(uploadPendingLog);
+        return logUploadQueue;
     }
 
     /**
-     * Implements hybrid encryption and submits the final game log to the server.
+     * Sends the entries after the last acknowledged one, if there are any.
      */
-    async function encryptAndSubmitLog() {
-        if (!sessionPublicKey) {
-            console.error("Cannot submit log: session public key is not available.");
+    async function uploadPendingLog() {
+        const seatSecret = getAnySeatSecret();
+        if (!seatSecret || isLogRejected || acknowledgedSequence >= gameLog.length) return;
+        const uploadGameId = sessionGameId;
+        const fromSequence = acknowledgedSequence;
+        const entries = gameLog.slice(fromSequence);
+
+        let response;
+        let result;
+        try {
+            const encryptedFields = await encryptLogEntries(entries, sessionPublicKey, sessionKeyScheme);
+            if (uploadGameId !== sessionGameId) return; // A new game was started in the meantime
+            response = await submitLogSegment(uploadGameId, fromSequence, encryptedFields, seatSecret);
+            result = await response.json(); // Always try to parse the JSON body
+        } catch (error) {
+            reportWarning("log_upload_retry", `Could not send the log, will retry: ${error.message}`, { gameId: uploadGameId });
+            if (uploadGameId === sessionGameId) logUploadRetryTimer = setTimeout(scheduleLogUpload, LOG_UPLOAD_RETRY_MS);
             return;
         }
-        console.log("Game over. Encrypting final game log for submission...");
-        statusElement.textContent = "Encrypting and submitting log...";
+        if (uploadGameId !== sessionGameId) return; // A new game was started in the meantime
 
-        try {
-            // --- ADD THIS BLOCK TO GET THE APP CHECK TOKEN ---
-            const headers = { 'Content-Type': 'application/json' };
-            let appCheckTokenResponse;
-            try {
-                if (appCheck) {
-                    appCheckTokenResponse = await getToken(appCheck, /* forceRefresh= */ false);
-                    headers['X-Firebase-AppCheck'] = appCheckTokenResponse.token;
-                }
-            } catch (err) {
-                console.error("Failed to get App Check token:", err);
-                throw new Error("Could not get App Check token.");
-            }
-            // ---------------------------------------------
-            
-            // --- HYBRID ENCRYPTION IMPLEMENTATION ---
-            const symmetricKey = await window.crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]);
-            const iv = window.crypto.getRandomValues(new Uint8Array(12));
-            const logString = JSON.stringify(gameLog);
-            const encoder = new TextEncoder();
-            const encryptedLogBuffer = await window.crypto.subtle.encrypt({ name: "AES-GCM", iv: iv }, symmetricKey, encoder.encode(logString));
-            const exportedSymmetricKey = await window.crypto.subtle.exportKey("raw", symmetricKey);
-            const rsaPublicKey = await importPublicKey(sessionPublicKey);
-            const encryptedSymmetricKeyBuffer = await window.crypto.subtle.encrypt({ name: "RSA-OAEP" }, rsaPublicKey, exportedSymmetricKey);
-            
-            console.log("Log successfully encrypted. Submitting to server...");
-            
-            const response = await fetch('/proxy/submit-log', {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify({
-                    gameId: sessionGameId,
-                    encryptedLog: arrayBufferToBase64(encryptedLogBuffer),
-                    encryptedKey: arrayBufferToBase64(encryptedSymmetricKeyBuffer),
-                    iv: arrayBufferToBase64(iv)
-                })
+        if (response.status >= 500) {
+            reportWarning("log_upload_retry", "Server failed to store the log, will retry.", {
+                gameId: uploadGameId,
+                status: response.status,
+                requestId: response.headers.get('X-Request-Id')
             });
-
-            // --- REFACTORED ERROR HANDLING ---
-            const result = await response.json(); // Always try to parse the JSON body
-
-            if (!response.ok) {
-                // If the response is not OK, construct an error with the server's reason
-                const reason = result.reason || 'Unknown server error';
-                throw new Error(`Server rejected submission: ${reason}`);
+            logUploadRetryTimer = setTimeout(scheduleLogUpload, LOG_UPLOAD_RETRY_MS);
+            return;
+        }
+        if (response.status === 429) {
+            const retryAfterMs = Number(response.headers.get('Retry-After')) * 1000 || LOG_UPLOAD_RETRY_MS;
+            reportWarning("log_upload_rate_limited", `Log upload rate limited, will retry in ${retryAfterMs / 1000} seconds.`, { gameId: uploadGameId });
+            logUploadRetryTimer = setTimeout(scheduleLogUpload, retryAfterMs);
+            return;
+        }
+        if (response.status === 409 && result.checkpoint && !result.checkpoint.complete) {
+            // The server holds a different part of the log than we thought: continue from its checkpoint.
+            if (!acknowledgeCheckpoint(result.checkpoint)) {
+                rejectLog(new ApiError(ERROR_CODES.CHAIN_BROKEN, {}, "The server's copy of the log does not match this browser's."));
+                return;
             }
-            console.log("Server response to submission:", result);
-            statusElement.textContent = "Log Submitted Successfully!";
+            persistSession();
+            scheduleLogUpload();
+            return;
+        }
+        if (!response.ok) {
+            rejectLog(ApiError.fromResponse(response.status, result, response.headers.get('X-Request-Id')));
+            return;
+        }
 
-        } catch (error) {
-            console.error("Failed to encrypt or submit log:", error.message); // Log just the error message
-            statusElement.textContent = "Error during log submission.";
+        acknowledgeCheckpoint(result.checkpoint);
+        if (result.status === "verified") {
+            if (result.receipt) saveReceipt(result.receipt);
+            finishLogUpload(result.receipt ? " - Log verified, receipt saved." : " - Log verified.");
+        } else {
+            persistSession();
         }
     }
 
+    function finishLogUpload(statusSuffix) {
+        statusElement.textContent += statusSuffix;
+        // The game is over and on record, so a reload starts a new one.
+        sessionSaveQueue = sessionSaveQueue.then(clearSession).catch(error => console.warn("Could not clear the session:", error.message));
+    }
+
     /**
-     * Converts an ArrayBuffer to a Base64 string for network transmission.
-     * @param {ArrayBuffer} buffer The buffer to convert.
-     * @returns {string} The Base64 encoded string.
+     * Continues the upload from the server's checkpoint, after checking that the
+     * entries it acknowledged are ours.
+     * @param {{nextSequence: number, headHash: string|null}} checkpoint - The server's checkpoint.
+     * @returns {boolean} False if the checkpoint does not match the local log.
      */
-    function arrayBufferToBase64(buffer) {
-        let binary = '';
-        const bytes = new Uint8Array(buffer);
-        const len = bytes.byteLength;
-        for (let i = 0; i < len; i++) {
-            binary += String.fromCharCode(bytes[i]);
-        }
-        return window.btoa(binary);
+    function acknowledgeCheckpoint({ nextSequence, headHash }) {
+        const isOurs = nextSequence <= gameLog.length
+            && (nextSequence === 0 || gameLog[nextSequence - 1].currentEntryChainHash === headHash);
+        if (isOurs) acknowledgedSequence = nextSequence;
+        return isOurs;
     }
-    
-    // --- UPDATED HASHING FUNCTIONS ---
 
     /**
-     * Creates a truly canonical, sorted string from a log entry object by recursively
-     * handling nested objects and arrays. This is the only guaranteed way to ensure
-     * a stable string representation for cryptographic hashing.
-     * @param {*} obj - The object, array, or primitive to be stringified.
-     * @returns {string} A stable, canonical JSON string representation of the object.
+     * Stops the upload after the server refused the log, and offers the retry its error calls for.
+     * @param {ApiError} apiError - Why the log was refused.
      */
-    function getCanonicalString(obj) {
-        if (obj === null || typeof obj !== 'object') {
-            return JSON.stringify(obj);
-        }
-
-        if (Array.isArray(obj)) {
-            const arrayValues = obj.map(item => getCanonicalString(item));
-            return `[${arrayValues.join(',')}]`;
-        }
-
-        const sortedKeys = Object.keys(obj).sort();
-        const keyValuePairs = sortedKeys.map(key => {
-            const value = getCanonicalString(obj[key]);
-            return `${JSON.stringify(key)}:${value}`;
+    function rejectLog(apiError) {
+        isLogRejected = true;
+        reportError("log_rejected", apiError, { gameId: sessionGameId });
+        statusElement.textContent = "Error: The game log was rejected.";
+        showError(apiError, () => {
+            isLogRejected = false;
+            scheduleLogUpload();
         });
+    }
+
+    // --- Move Signatures ---
+    // Each seat signs its moves and the other events it sends (undos, draws,
+    // resignations, timeouts), so the log proves who sent them. A signature covers
+    // the event and the hash of the previous accepted event (see logChain.js).
 
-        return `{${keyValuePairs.join(',')}}`;
+    /**
+     * The canonical data a seat signs for an event that follows latestMoveHash.
+     * @param {string} event - The FSM event.
+     * @param {string} playerId - The player sending it.
+     * @param {object} [move] - The move, for PLAYER_MOVE_ATTEMPTED.
+     * @returns {string} The payload.
+     */
+    function getNextEventPayload(event, playerId, move) {
+        return getEventPayload(sessionGameId, latestMoveHash, playerId, event, move);
     }
 
     /**
-     * Creates the object that will actually be hashed, by removing the hash of the
-     * object itself from the object.
-     * @param {object} logEntry - The full log entry, which may contain its own hash.
-     * @returns {object} The object to be passed to getCanonicalString.
+     * Moves the move chain on past an accepted event.
+     * @param {string} movePayload - The event's payload, from getNextEventPayload.
      */
-    function getObjectToHash(logEntry) {
-        const { currentEntryChainHash, ...entryToHash } = logEntry;
-        return entryToHash;
+    async function advanceMoveChain(movePayload) {
+        latestMoveHash = await sha256Hex(movePayload);
     }
 
     /**
-     * Hashes a log entry using SHA-256.
-     * @param {object} logEntry - The log entry to hash.
-     * @returns {Promise<string>} A promise that resolves to the hex string of the hash.
+     * Reads the (m,n,k) rule set from the board size selector.
+     * Option values have the form "<rows>x<cols>x<winLength>".
+     * @returns {{rows: number, cols: number, winLength: number}} The selected rule set.
      */
-    async function calculateEntryHash(logEntry) {
-        const objectToHash = getObjectToHash(logEntry);
-        const canonicalString = getCanonicalString(objectToHash);
-        const encoder = new TextEncoder();
-        const data = encoder.encode(canonicalString);
-        const hashBuffer = await window.crypto.subtle.digest('SHA-256', data);
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+    function getSelectedRules() {
+        const [rows, cols, winLength] = boardSizeSelect.value.split('x').map(value => parseInt(value, 10));
+        // Time controls have the form "<initial seconds>+<increment seconds>", or are empty for untimed games.
+        const [initialSeconds, incrementSeconds] = timeControlSelect.value.split('+').map(value => parseInt(value, 10));
+        const timeControl = timeControlSelect.value
+            ? { initialMs: initialSeconds * 1000, incrementMs: incrementSeconds * 1000 }
+            : null;
+        return { rows, cols, winLength, timeControl, variant: variantSelect.value };
     }
 
     // --- Core Actions ---
 
     /**
      * Creates a log entry, hashes it, and adds it to the game log array.
+     * The board and FSM state are captured immediately, but entries are chained
+     * one at a time so that moves arriving from polling and from clicks cannot
+     * both link to the same previous hash.
      */
-    async function addLogEntry(eventType, eventData) {
+    function addLogEntry(eventType, eventData) {
         const logEntry = {
-            sequence: sequenceNumber,
             eventType,
             clientTimestamp: Date.now(),
             eventData,
             boardState: cloneBoard(currentGameState.board),
             fsmState: currentGameState.currentState,
-            previousEntryChainHash: latestEntryChainHash,
         };
+        const targetLog = gameLog;
 
-        const newHash = await calculateEntryHash(logEntry);
-        logEntry.currentEntryChainHash = newHash; 
-        latestEntryChainHash = newHash;
+        const write = logWriteQueue.then(async () => {
+            if (targetLog !== gameLog) return; // A new game was started in the meantime
 
-        gameLog.push(logEntry);
-        sequenceNumber++;
+            logEntry.sequence = sequenceNumber;
+            logEntry.previousEntryChainHash = latestEntryChainHash;
+            const newHash = await calculateEntryHash(logEntry);
+            logEntry.currentEntryChainHash = newHash; 
+            latestEntryChainHash = newHash;
 
-        console.log(`Log Entry #${logEntry.sequence} Added:`, logEntry);
-        console.log(`Latest Hash Chain Value: ${latestEntryChainHash}`);
+            gameLog.push(logEntry);
+            sequenceNumber++;
+            persistSession();
+            scheduleLogUpload();
+        });
+        // An entry that failed to hash is not in the log, so later ones still chain.
+        logWriteQueue = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Closes the log with one GAME_WON/GAME_DRAWN entry once the game is over.
+     * The game can end on a move, a resignation, an agreed draw or a timeout, so
+     * every path that changes the game state calls this after logging its event.
+     * Like every entry, the final one is streamed to the server, which then
+     * verifies the complete log (see "Log Streaming").
+     */
+    async function closeLogIfGameOver() {
+        if (isLogClosed || !currentGameState || !currentGameState.currentState.startsWith('GAME_OVER')) return;
+        isLogClosed = true;
+        const outcome = getGameOutcome(currentGameState.currentState);
+        const finalEventType = outcome.winner ? "GAME_WON" : "GAME_DRAWN";
+        const finalEventData = outcome.winner
+            ? { winningPlayerId: outcome.winner === 'X' ? playerX_Id : playerO_Id, reason: outcome.reason }
+            : { reason: outcome.reason };
+        try {
+            await addLogEntry(finalEventType, finalEventData);
+        } catch (error) {
+            isLogClosed = false;
+            reportError("log_close_failed", error, { gameId: sessionGameId });
+            showError(error, closeLogIfGameOver);
+        }
     }
 
     // --- Game Initialization ---
+
+    /**
+     * Resets the local log and game state for a game the server has just
+     * created or let us join, and records the first log entry.
+     * @param {object} gameData - The create-game or join response.
+     * @param {string} firstEventType - "GAME_CREATED" or "GAME_JOINED".
+     * @param {object} signingKeys - The private signing keys of the seats we hold, keyed by 'X'/'O'.
+     */
+    async function beginSession(gameData, firstEventType, signingKeys) {
+        resumePrompt.hidden = true;
+        hideError();
+        stopPolling();
+        stopClock();
+        sessionGameId = gameData.gameId;
+        sessionPublicKey = gameData.publicKeyPem;
+        sessionKeyScheme = gameData.keyScheme || KEY_SCHEMES.RSA_OAEP;
+        if (!sessionGameId || !sessionPublicKey) throw new Error("Invalid game response from server.");
+
+        sessionMode = gameData.mode;
+        aiSeat = gameData.aiSeat || null;
+        seatSecrets = gameData.seatSecrets || {};
+        seatSigningKeys = signingKeys;
+        playerX_Id = gameData.playerX_Id;
+        playerO_Id = gameData.playerO_Id;
+        opponentJoined = sessionMode === 'local' || (gameData.seatsFilled && gameData.seatsFilled.X && gameData.seatsFilled.O);
+        knownEventCount = 0;
+
+        gameLog = [];
+        sequenceNumber = 0;
+        latestEntryChainHash = INITIAL_CHAIN_HASH;
+        latestMoveHash = INITIAL_MOVE_HASH;
+        acknowledgedSequence = 0;
+        isLogRejected = false;
+        isLogClosed = false;
+        clearTimeout(logUploadRetryTimer);
+
+        // The server echoes back the normalized rules it stored for this game.
+        if (gameData.rulesVersion && gameData.rulesVersion !== RULES_VERSION) {
+            reportWarning("rules_version_mismatch", "Server plays other rules than this client; the game log will not verify.", {
+                gameId: gameData.gameId,
+                serverRulesVersion: gameData.rulesVersion,
+                clientRulesVersion: RULES_VERSION
+            });
+        }
+        currentGameState = getInitialGameState(playerX_Id, playerO_Id, gameData.rules);
+
+        await addLogEntry(firstEventType, {
+            playerX: playerX_Id,
+            playerO: playerO_Id,
+            rules: currentGameState.rules,
+            rulesVersion: RULES_VERSION,
+            seats: Object.keys(seatSecrets)
+        });
+
+        updateJoinLink();
+        if (sessionMode === 'online') startPolling();
+        if (currentGameState.rules.timeControl) startClock();
+    }
+
     async function startGame() {
         statusElement.textContent = "Creating new game on server...";
+
+        // Computer modes have the form "ai-<seat the computer plays>".
+        const [mode, selectedAiSeat] = modeSelect.value.split('-');
+        const humanSeat = selectedAiSeat === 'X' ? 'O' : 'X';
+        difficultyOption.hidden = mode !== 'ai';
+        // Ultimate is always played on nine 3x3 sub-boards.
+        boardSizeSelect.disabled = variantSelect.value === 'ultimate';
+        aiDifficulty = difficultySelect.value;
         
         try {
-            // --- ADD THIS BLOCK TO GET THE APP CHECK TOKEN ---
-            const headers = { 'Content-Type': 'application/json' };
-            let appCheckTokenResponse;
-            try {
-                if (appCheck) {
-                    appCheckTokenResponse = await getToken(appCheck, /* forceRefresh= */ false);
-                    headers['X-Firebase-AppCheck'] = appCheckTokenResponse.token;
-                }
-            } catch (err) {
-                console.error("Failed to get App Check token:", err);
-                throw new Error("Could not get App Check token.");
-            }
-            // ---------------------------------------------
+            // Online we hold only our own seat; otherwise both, including the computer's.
+            const signingKeys = await createSeatSigningKeys(mode === 'online' ? [humanSeat] : ['X', 'O']);
 
-            const response = await fetch('/proxy/create-game', {
-                method: 'POST',
-                headers: headers
+            const gameData = await createGame({
+                rules: getSelectedRules(),
+                mode: mode,
+                seat: humanSeat,
+                player: getPlayerIdentity(),
+                seatPublicKeys: signingKeys.publicKeys
             });
-            
-            if (!response.ok) throw new Error(`Server failed to create game: ${response.status}`);
-            
-            const gameData = await response.json();
-            sessionGameId = gameData.gameId;
-            sessionPublicKey = gameData.publicKeyPem;
-            
-            if (!sessionGameId || !sessionPublicKey) throw new Error("Invalid response from /create-game.");
-            
-            console.log(`--- NEW GAME STARTED (ID: ${sessionGameId}) ---`);
-
-            gameLog = [];
-            sequenceNumber = 0;
-            latestEntryChainHash = "0".repeat(64);
-
-            currentGameState = getInitialGameState(playerX_Id, playerO_Id);
-            
-            await addLogEntry("GAME_CREATED", { playerX: playerX_Id, playerO: playerO_Id });
+            await beginSession(gameData, "GAME_CREATED", signingKeys.privateKeys);
 
             render();
+            scheduleAiMove();
         } catch (error) {
-            console.error("Could not start new game:", error);
+            reportError("game_start_failed", error);
             statusElement.textContent = "Error: Could not start new game.";
+            showError(error, startGame);
+        }
+    }
+
+    /**
+     * Takes the free seat of an online game shared via a join link.
+     * @param {string} gameId - The ID of the game to join.
+     */
+    async function joinGame(gameId) {
+        statusElement.textContent = "Joining game...";
+
+        try {
+            const signingKey = await createSeatSigningKey();
+            const gameData = await takeSeat(gameId, { player: getPlayerIdentity(), seatPublicKey: signingKey.publicKey });
+            // The server tells us which seat we got only through its secret.
+            const [joinedSeat] = Object.keys(gameData.seatSecrets || {});
+            await beginSession(gameData, "GAME_JOINED", { [joinedSeat]: signingKey.privateKey });
+            await applyServerEvents(gameData.events || []);
+
+            // Drop the join parameter so "Restart Game" creates a fresh game.
+            window.history.replaceState(null, '', window.location.pathname);
+            render();
+        } catch (error) {
+            reportError("game_join_failed", error, { gameId });
+            statusElement.textContent = "Error: Could not join game.";
+            showError(error, () => joinGame(gameId));
         }
     }
+
+    // --- Session Persistence ---
+
+    /**
+     * Saves the game in progress, so a reload resumes it (see sessionStore.js).
+     */
+    function persistSession() {
+        const session = {
+            gameId: sessionGameId,
+            publicKeyPem: sessionPublicKey,
+            keyScheme: sessionKeyScheme,
+            mode: sessionMode,
+            aiSeat,
+            aiDifficulty,
+            seatSecrets,
+            seatSigningKeys,
+            playerX_Id,
+            playerO_Id,
+            opponentJoined,
+            knownEventCount,
+            gameState: currentGameState,
+            gameLog: gameLog.slice(),
+            sequenceNumber,
+            latestEntryChainHash,
+            latestMoveHash,
+            acknowledgedSequence
+        };
+        sessionSaveQueue = sessionSaveQueue
+            .then(() => saveSession(session))
+            .catch(error => console.warn("Could not save the session:", error.message));
+    }
+
+    /**
+     * Continues a saved game after a reload: restores the local state, picks up
+     * the log upload at the server's checkpoint, and catches up on the events
+     * the server accepted since the session was saved.
+     * @param {object} session - The saved session.
+     * @throws {Error} If the server's checkpoint does not match the saved log.
+     */
+    async function resumeSession(session) {
+        hideError();
+        stopPolling();
+        stopClock();
+        sessionGameId = session.gameId;
+        sessionPublicKey = session.publicKeyPem;
+        sessionKeyScheme = session.keyScheme;
+        sessionMode = session.mode;
+        aiSeat = session.aiSeat;
+        aiDifficulty = session.aiDifficulty;
+        seatSecrets = session.seatSecrets;
+        seatSigningKeys = session.seatSigningKeys;
+        playerX_Id = session.playerX_Id;
+        playerO_Id = session.playerO_Id;
+        opponentJoined = session.opponentJoined;
+        knownEventCount = session.knownEventCount;
+        currentGameState = session.gameState;
+        gameLog = session.gameLog;
+        sequenceNumber = session.sequenceNumber;
+        latestEntryChainHash = session.latestEntryChainHash;
+        latestMoveHash = session.latestMoveHash;
+        acknowledgedSequence = session.acknowledgedSequence;
+        isLogRejected = false;
+        isLogClosed = FINAL_LOG_EVENT_TYPES.includes(gameLog[gameLog.length - 1].eventType);
+
+        const gameView = await fetchGameView(sessionGameId, knownEventCount, getAnySeatSecret());
+        if (gameView.status === 'abandoned' || gameView.status === 'expired') {
+            throw new Error(`The server closed the game as ${gameView.status}.`);
+        }
+        if (!acknowledgeCheckpoint(gameView.logCheckpoint)) {
+            throw new Error("The server's copy of the log does not match the saved one.");
+        }
+        syncServerClock(gameView.serverTime);
+        opponentJoined = opponentJoined || (gameView.seatsFilled.X && gameView.seatsFilled.O);
+        if (opponentJoined) adoptPlayerIds(gameView);
+        await applyServerEvents(gameView.events);
+
+        // Show the resumed game's settings, so changing one starts a new game from them.
+        modeSelect.value = sessionMode === 'ai' ? `ai-${aiSeat}` : sessionMode;
+        difficultyOption.hidden = sessionMode !== 'ai';
+        if (aiDifficulty) difficultySelect.value = aiDifficulty;
+
+        updateJoinLink();
+        const isGameOver = currentGameState.currentState.startsWith('GAME_OVER');
+        if (sessionMode === 'online' && !isGameOver) startPolling();
+        if (currentGameState.rules.timeControl && !isGameOver) startClock();
+        render();
+        scheduleLogUpload();
+        scheduleAiMove();
+    }
+
+    /**
+     * Offers to continue the saved game if it is intact, and otherwise says why it cannot be.
+     * @param {object|null} session - The saved session, or null if it could not be read.
+     * @param {string|null} problem - What is wrong with it, from findSessionProblem.
+     */
+    function showResumePrompt(session, problem) {
+        savedSession = problem ? null : session;
+        resumePrompt.hidden = false;
+        resumeContinueButton.hidden = !!problem;
+        resumeMessage.classList.toggle('error', !!problem);
+        if (problem) {
+            resumeMessage.textContent = `The saved game cannot be continued: ${problem}`;
+            statusElement.textContent = "Saved game rejected.";
+        } else {
+            resumeMessage.textContent = `A game in progress was saved (Game ID: ${session.gameId.substring(0, 5)}...).`;
+            statusElement.textContent = "Continue the saved game?";
+        }
+    }
+
+    /**
+     * Looks for a saved game on start. An intact one is offered to continue; a
+     * corrupt one is reported, leaving only a new game.
+     */
+    async function offerSavedGame() {
+        let session;
+        try {
+            session = await loadSession();
+        } catch (error) {
+            console.error("Could not read the saved session:", error);
+            showResumePrompt(null, "It could not be read.");
+            return;
+        }
+        if (!session) {
+            await startGame();
+            return;
+        }
+        const problem = await findSessionProblem(session);
+        if (problem) reportError("saved_game_corrupt", problem, { gameId: session.gameId });
+        showResumePrompt(session, problem);
+    }
+
+    async function continueSavedGame() {
+        const session = savedSession;
+        resumePrompt.hidden = true;
+        statusElement.textContent = "Resuming game...";
+        try {
+            await resumeSession(session);
+        } catch (error) {
+            reportError("game_resume_failed", error, { gameId: session.gameId });
+            // The server may only have been unreachable, so continuing stays on offer.
+            showResumePrompt(session, null);
+            resumeMessage.textContent = `Could not resume the saved game: ${error.message}`;
+            resumeMessage.classList.add('error');
+        }
+    }
+
+    async function discardSavedGame() {
+        savedSession = null;
+        resumePrompt.hidden = true;
+        try {
+            await clearSession();
+        } catch (error) {
+            console.warn("Could not clear the session:", error.message);
+        }
+        await startGame();
+    }
+
+    function updateJoinLink() {
+        const showLink = sessionMode === 'online' && !opponentJoined;
+        joinLinkContainer.hidden = !showLink;
+        if (showLink) {
+            joinLinkInput.value = `${window.location.origin}${window.location.pathname}?join=${sessionGameId}`;
+        }
+    }
+
+    // --- Receipts ---
+
+    /**
+     * Presents the stored receipt of the replayed game, if this browser holds one,
+     * and shows the server's verdict under the replay.
+     */
+    async function checkReplayReceipt() {
+        const replayed = replay;
+        const receipt = getStoredReceipts()[replayed.gameLog.gameId];
+        if (!receipt) return;
+        replayed.receiptStatus = "Receipt: checking...";
+        render();
+        try {
+            const { valid, reason } = await verifyReceipt(receipt);
+            replayed.receiptStatus = valid ? "Receipt: valid, signed by the server" : `Receipt: INVALID (${reason})`;
+        } catch (error) {
+            reportError("receipt_check_failed", error, { gameId: replayed.gameLog.gameId });
+            replayed.receiptStatus = "Receipt: could not be checked";
+        }
+        if (replay === replayed) render();
+    }
+
+    // --- Online Synchronisation ---
+
+    function startPolling() {
+        stopPolling();
+        pollTimer = setInterval(pollGame, POLL_INTERVAL_MS);
+    }
+
+    function stopPolling() {
+        if (pollTimer) {
+            clearInterval(pollTimer);
+            pollTimer = undefined;
+        }
+    }
+
+    /**
+     * Takes on the player IDs the server assigned; the creator of an online game
+     * learns the opponent's (their account's uid) only once they have joined.
+     * @param {object} gameView - The server's view of the game.
+     */
+    function adoptPlayerIds(gameView) {
+        playerX_Id = gameView.playerX_Id;
+        playerO_Id = gameView.playerO_Id;
+        currentGameState = { ...currentGameState, playerX: playerX_Id, playerO: playerO_Id };
+    }
+
+    /**
+     * Picks up the opponent joining and any moves made since the last poll.
+     */
+    async function pollGame() {
+        if (isMoveInFlight || !currentGameState) return;
+        const polledGameId = sessionGameId;
+        try {
+            const gameView = await fetchGameView(sessionGameId, knownEventCount, getAnySeatSecret());
+            if (polledGameId !== sessionGameId || isMoveInFlight) return; // A newer game or move superseded this poll
+            syncServerClock(gameView.serverTime);
+
+            if (!opponentJoined && gameView.seatsFilled.X && gameView.seatsFilled.O) {
+                opponentJoined = true;
+                adoptPlayerIds(gameView);
+                updateJoinLink();
+                persistSession();
+            }
+            await applyServerEvents(gameView.events);
+            render();
+        } catch (error) {
+            console.warn("Could not poll game state:", error.message);
+        }
+    }
+
+    /**
+     * Replays events (moves, undos, resignations...) the server accepted from the other seat
+     * through the local FSM and records them in this browser's log.
+     * @param {Array<object>} serverEvents - Server event records, ordered by eventNumber.
+     */
+    async function applyServerEvents(serverEvents) {
+        for (const serverEvent of serverEvents) {
+            if (serverEvent.eventNumber <= knownEventCount) continue;
+
+            const isMove = serverEvent.event === EVENTS.PLAYER_MOVE_ATTEMPTED;
+            let move;
+            if (isMove) {
+                move = serverEvent.placedSymbol === undefined
+                    ? { rowIndex: serverEvent.rowIndex, colIndex: serverEvent.colIndex }
+                    : { rowIndex: serverEvent.rowIndex, colIndex: serverEvent.colIndex, symbol: serverEvent.placedSymbol };
+            }
+            const eventData = isMove
+                ? { move, playerId: serverEvent.playerId, timestamp: serverEvent.timestamp }
+                : { playerId: serverEvent.playerId, timestamp: serverEvent.timestamp };
+            const transitionResult = transition(currentGameState, serverEvent.event, eventData);
+            if (!transitionResult.isValidMove || transitionResult.newState !== serverEvent.fsmState) {
+                // The server is authoritative; a mismatch means our local copy of the rules is out of date.
+                reportError("fsm_disagrees_with_server", transitionResult.error || `The local FSM reaches ${transitionResult.newState}.`, {
+                    gameId: sessionGameId,
+                    event: serverEvent.event,
+                    eventNumber: serverEvent.eventNumber,
+                    serverState: serverEvent.fsmState
+                });
+                statusElement.textContent = "Error: Game out of sync with the server.";
+                stopPolling();
+                return;
+            }
+
+            currentGameState = transitionResult.newGameState;
+            knownEventCount = serverEvent.eventNumber;
+            await advanceMoveChain(getNextEventPayload(serverEvent.event, serverEvent.playerId, move));
+            // The opponent's signature goes into our log, so it proves their events too.
+            const signatureData = serverEvent.signature ? { signature: serverEvent.signature } : {};
+            if (isMove) {
+                await addLogEntry("PLAYER_MOVE_VALIDATED", {
+                    playerId: serverEvent.playerId,
+                    move,
+                    symbolPlaced: serverEvent.placedSymbol || serverEvent.symbol,
+                    ...signatureData,
+                    ...getClockLogData(currentGameState, serverEvent.timestamp)
+                });
+            } else {
+                await addLogEntry(serverEvent.event, { playerId: serverEvent.playerId, ...signatureData, ...getClockLogData(currentGameState, serverEvent.timestamp) });
+            }
+        }
+        await closeLogIfGameOver();
+    }
     
     // --- Rendering Logic ---
     function render() {
         boardElement.innerHTML = '';
+        if (replay) {
+            renderReplay();
+            return;
+        }
+        boardElement.classList.remove('replaying');
         if (!currentGameState) return; // Guard against render before start
         const isGameOver = currentGameState.currentState.startsWith('GAME_OVER');
         boardElement.classList.toggle('game-over', isGameOver);
+        boardElement.style.setProperty('--board-rows', currentGameState.rules.rows);
+        boardElement.style.setProperty('--board-cols', currentGameState.rules.cols);
+
+        // Each rule variant draws its own board; see boardViews.js.
+        renderBoard(boardElement, currentGameState, { wildSymbol: wildSymbolSelect.value });
+        wildSymbolOption.hidden = currentGameState.rules.variant !== 'wild';
         
-        currentGameState.board.forEach((row, rowIndex) => {
-            row.forEach((cell, colIndex) => {
-                const cellDiv = document.createElement('div');
-                cellDiv.classList.add('cell');
-                cellDiv.dataset.row = rowIndex;
-                cellDiv.dataset.col = colIndex;
-                if (cell) {
-                    // We will use CSS to set the background image
-                    cellDiv.classList.add(cell.toLowerCase());
-                }
-                boardElement.appendChild(cellDiv);
-            });
-        });
-        
+        // In online games, say whose turn it is from this browser's point of view.
+        const turnSymbol = getTurnSymbol();
+        const turnSuffix = sessionMode === 'online' && turnSymbol
+            ? (seatSecrets[turnSymbol] ? ' - Your move' : " - Opponent's move")
+            : '';
+
         switch (currentGameState.currentState) {
             case STATES.PLAYER_X_TURN:
-                statusElement.textContent = `DOGE's Turn (Game ID: ${sessionGameId ? sessionGameId.substring(0, 5) : ''}...)`;
+                statusElement.textContent = `DOGE's Turn${turnSuffix} (Game ID: ${sessionGameId ? sessionGameId.substring(0, 5) : ''}...)`;
                 break;
             case STATES.PLAYER_O_TURN:
-                statusElement.textContent = `PEPE's Turn (Game ID: ${sessionGameId ? sessionGameId.substring(0, 5) : ''}...)`;
-                break;
-            case STATES.GAME_OVER_X_WINS:
-                statusElement.textContent = "Game Over: DOGE Wins!";
+                statusElement.textContent = `PEPE's Turn${turnSuffix} (Game ID: ${sessionGameId ? sessionGameId.substring(0, 5) : ''}...)`;
                 break;
-            case STATES.GAME_OVER_O_WINS:
-                statusElement.textContent = "Game Over: PEPE Wins!";
-                break;
-            case STATES.GAME_OVER_DRAW:
-                statusElement.textContent = "Game Over: It's a Draw!";
+            default:
+                statusElement.textContent = getGameOverText(getGameOutcome(currentGameState.currentState));
                 break;
         }
+        if (!isGameOver && sessionMode === 'online' && !opponentJoined) {
+            statusElement.textContent = "Waiting for an opponent to join...";
+        }
+        if (!isGameOver && sessionMode === 'online' && currentGameState.pendingUndo) {
+            const isOwnRequest = seatSecrets[currentGameState.pendingUndo.playerId === playerX_Id ? 'X' : 'O'];
+            statusElement.textContent += isOwnRequest ? " - Undo requested" : " - Opponent asks to undo";
+        }
+        if (!isGameOver && sessionMode === 'online' && currentGameState.pendingDrawOffer) {
+            const isOwnOffer = seatSecrets[currentGameState.pendingDrawOffer.playerId === playerX_Id ? 'X' : 'O'];
+            statusElement.textContent += isOwnOffer ? " - Draw offered" : " - Opponent offers a draw";
+        }
 
-        if (isGameOver && gameLog.length > 0 && gameLog[gameLog.length-1].eventType.startsWith('PLAYER_')) {
-            const finalEventType = currentGameState.currentState === STATES.GAME_OVER_DRAW ? "GAME_DRAWN" : "GAME_WON";
-            const finalEventData = finalEventType === "GAME_WON" 
-                ? { winningPlayerId: currentGameState.currentState === STATES.GAME_OVER_X_WINS ? playerX_Id : playerO_Id }
-                : {};
-            // This async function handles the end-of-game logic with a delay.
-            const handleGameOver = async () => {
-                // First, log the final game state event.
-                await addLogEntry(finalEventType, finalEventData);
-                
-                // Wait for 2 seconds so the user can see the "Game Over" message.
-                await new Promise(resolve => setTimeout(resolve, 2000));
-
-                // After the delay, proceed with encryption and submission.
-                encryptAndSubmitLog();
-            };
-
-            handleGameOver();
+        if (isGameOver) {
+            stopPolling();
+            stopClock();
         }
+        renderClock();
+        renderUndoButton();
+        renderDrawButtons();
     }
     
     // --- Event Handling (CORRECTED LOGIC) ---
     async function handleCellClick(event) {
         const clickedCell = event.target;
+        if (replay) return;
         if (!clickedCell.classList.contains('cell') || !currentGameState || currentGameState.currentState.startsWith('GAME_OVER')) return;
+        if (isMoveInFlight) return;
+
+        // Only the human seats this browser holds may be played by clicking.
+        const currentSymbol = getTurnSymbol();
+        if (!opponentJoined || !seatSecrets[currentSymbol] || currentSymbol === aiSeat) {
+            render();
+            return;
+        }
 
         const rowIndex = parseInt(clickedCell.dataset.row, 10);
         const colIndex = parseInt(clickedCell.dataset.col, 10);
-        const currentPlayerId = (currentGameState.currentState === STATES.PLAYER_X_TURN) ? playerX_Id : playerO_Id;
-        const currentSymbol = (currentGameState.currentState === STATES.PLAYER_X_TURN) ? 'X' : 'O';
+        // In Wild games the player picks which symbol to place.
+        const move = currentGameState.rules.variant === 'wild'
+            ? { rowIndex, colIndex, symbol: wildSymbolSelect.value }
+            : { rowIndex, colIndex };
+        await playMove(move);
+        scheduleAiMove();
+    }
 
-        const eventData = { move: { rowIndex, colIndex }, playerId: currentPlayerId };
+    /**
+     * Plays a move for the seat on turn: asks the server for the authoritative
+     * result, updates the local state, logs the outcome and re-renders.
+     * @param {{rowIndex: number, colIndex: number, symbol?: string}} move - The cell to play, and in Wild games the symbol to place.
+     * @param {string} [agent] - "ai" for moves chosen by the computer opponent.
+     */
+    async function playMove(move, agent) {
+        const { rowIndex, colIndex } = move;
+        const currentSymbol = getTurnSymbol();
+        const currentPlayerId = currentSymbol === 'X' ? playerX_Id : playerO_Id;
+
+        const eventData = { move: { ...move }, playerId: currentPlayerId };
+        const movePayload = getNextEventPayload(EVENTS.PLAYER_MOVE_ATTEMPTED, currentPlayerId, eventData.move);
         
-        // 1. Get the result of the move from the FSM
-        const transitionResult = transition(currentGameState, EVENTS.PLAYER_MOVE_ATTEMPTED, eventData);
+        // 1. Get the result of the move from the server, which owns the game state.
+        let transitionResult;
+        let timestamp; // When the move was applied, as the clocks count time
+        let signature;
+        isMoveInFlight = true;
+        try {
+            signature = await signEvent(seatSigningKeys[currentSymbol], movePayload);
+            transitionResult = await submitMove(sessionGameId, eventData.move, seatSecrets[currentSymbol], signature);
+            timestamp = transitionResult.timestamp;
+        } catch (error) {
+            if (!OPTIMISTIC_MOVES) {
+                reportError("move_submit_failed", error, { gameId: sessionGameId });
+                statusElement.textContent = "Error: The move was not played.";
+                showError(error, () => playMove(move, agent));
+                return;
+            }
+            console.warn("Server unreachable, playing move locally:", error.message);
+            timestamp = getServerNow();
+            transitionResult = transition(currentGameState, EVENTS.PLAYER_MOVE_ATTEMPTED, { ...eventData, timestamp });
+        } finally {
+            isMoveInFlight = false;
+        }
 
         // 2. IMPORTANT: Update the central game state *before* logging
-        currentGameState.currentState = transitionResult.newState;
         if (transitionResult.isValidMove) {
-            currentGameState.board = transitionResult.newBoard;
+            currentGameState = transitionResult.newGameState;
         }
 
         // 3. Now, log the event based on the outcome. The log will capture the *new* state.
         if (transitionResult.isValidMove) {
+            if (transitionResult.eventCount) knownEventCount = transitionResult.eventCount;
+            syncServerClock(transitionResult.timestamp);
+            await advanceMoveChain(movePayload);
             await addLogEntry("PLAYER_MOVE_VALIDATED", { 
                 playerId: currentPlayerId, 
-                move: { rowIndex, colIndex }, 
-                symbolPlaced: currentSymbol 
+                move: { ...move }, 
+                symbolPlaced: move.symbol || currentSymbol,
+                ...(signature ? { signature } : {}),
+                ...(agent === 'ai' ? { agent: 'ai' } : {}),
+                ...getClockLogData(currentGameState, timestamp)
             });
         } else {
             await addLogEntry("PLAYER_MOVE_REJECTED", { 
@@ -401,20 +949,461 @@ document.addEventListener('DOMContentLoaded', () => {
             });
             console.warn(`Invalid move: ${transitionResult.error}`);
         }
+        await closeLogIfGameOver();
         
         // 4. Finally, re-render the UI with the updated state
         render();
     }
 
+    /**
+     * Sends a non-move event (undo, draw or resignation) for one of our seats,
+     * applies the server's answer and logs it. These events are appended to the
+     * hash-chained log like any move.
+     * @param {string} event - One of the non-move EVENTS.
+     * @param {string} seat - The seat ('X' or 'O') sending the event.
+     * @returns {Promise<boolean>} True if the FSM accepted the event.
+     */
+    async function sendSeatEvent(event, seat) {
+        const playerId = seat === 'X' ? playerX_Id : playerO_Id;
+        const eventPayload = getNextEventPayload(event, playerId);
+
+        let transitionResult;
+        let timestamp;
+        let signature;
+        isMoveInFlight = true;
+        try {
+            signature = await signEvent(seatSigningKeys[seat], eventPayload);
+            transitionResult = await submitGameEvent(sessionGameId, event, seatSecrets[seat], signature);
+            timestamp = transitionResult.timestamp;
+        } catch (error) {
+            if (!OPTIMISTIC_MOVES) {
+                reportError("event_submit_failed", error, { gameId: sessionGameId, event });
+                statusElement.textContent = `Error: ${event} was not sent.`;
+                showError(error, () => sendSeatEvent(event, seat));
+                return false;
+            }
+            console.warn(`Server unreachable, applying ${event} locally:`, error.message);
+            timestamp = getServerNow();
+            transitionResult = transition(currentGameState, event, { playerId, timestamp });
+        } finally {
+            isMoveInFlight = false;
+        }
+
+        if (!transitionResult.isValidMove) {
+            console.warn(`${event} rejected: ${transitionResult.error}`);
+            statusElement.textContent = transitionResult.error;
+            return false;
+        }
+
+        currentGameState = transitionResult.newGameState;
+        if (transitionResult.eventCount) knownEventCount = transitionResult.eventCount;
+        syncServerClock(transitionResult.timestamp);
+        await advanceMoveChain(eventPayload);
+        await addLogEntry(event, { playerId, ...(signature ? { signature } : {}), ...getClockLogData(currentGameState, timestamp) });
+        await closeLogIfGameOver();
+        render();
+        return true;
+    }
+
+    /**
+     * Handles the undo button. With a pending request from the opponent it accepts
+     * it; otherwise it asks to take back our latest move. When this browser also
+     * holds the opponent's seat (local and computer games) the request is accepted
+     * straight away.
+     */
+    async function handleUndoClick() {
+        if (!currentGameState || isMoveInFlight || currentGameState.currentState.startsWith('GAME_OVER')) return;
+
+        const { pendingUndo, moveHistory } = currentGameState;
+        if (pendingUndo) {
+            const acceptingSeat = pendingUndo.playerId === playerX_Id ? 'O' : 'X';
+            if (seatSecrets[acceptingSeat]) await sendSeatEvent(EVENTS.UNDO_ACCEPTED, acceptingSeat);
+            return;
+        }
+
+        // Locally both seats are ours, so the undo is for whoever moved last.
+        let requestingSeat;
+        if (sessionMode === 'local') {
+            const lastMove = moveHistory[moveHistory.length - 1];
+            requestingSeat = lastMove && lastMove.playerId === playerX_Id ? 'X' : 'O';
+        } else {
+            requestingSeat = getHumanSeat();
+        }
+        const acceptingSeat = requestingSeat === 'X' ? 'O' : 'X';
+
+        const requested = await sendSeatEvent(EVENTS.UNDO_REQUESTED, requestingSeat);
+        if (requested && seatSecrets[acceptingSeat]) {
+            await sendSeatEvent(EVENTS.UNDO_ACCEPTED, acceptingSeat);
+        }
+        scheduleAiMove();
+    }
+
+    /**
+     * Shows the undo button's current action: request an undo, accept the
+     * opponent's request, or wait for the opponent to answer ours.
+     */
+    function renderUndoButton() {
+        const isGameOver = currentGameState.currentState.startsWith('GAME_OVER');
+        const { pendingUndo, moveHistory } = currentGameState;
+        const pendingFromOpponent = pendingUndo && sessionMode === 'online'
+            && seatSecrets[pendingUndo.playerId === playerX_Id ? 'O' : 'X'];
+
+        if (pendingFromOpponent) {
+            undoButton.textContent = "Accept Undo";
+            undoButton.disabled = false;
+        } else if (pendingUndo) {
+            undoButton.textContent = "Undo Requested...";
+            undoButton.disabled = true;
+        } else {
+            undoButton.textContent = "Undo";
+            undoButton.disabled = isGameOver || moveHistory.length === 0;
+        }
+    }
+
+    /**
+     * Handles the draw button. Accepts the opponent's pending offer, or offers a
+     * draw from our seat. On a shared device the other player is right there, so
+     * the offer is accepted at once; the computer accepts only if it does not
+     * expect to win.
+     */
+    async function handleDrawClick() {
+        if (!currentGameState || isMoveInFlight || getGameOutcome(currentGameState.currentState)) return;
+
+        const { pendingDrawOffer } = currentGameState;
+        if (pendingDrawOffer) {
+            const acceptingSeat = pendingDrawOffer.playerId === playerX_Id ? 'O' : 'X';
+            if (seatSecrets[acceptingSeat] && acceptingSeat !== aiSeat) await sendSeatEvent(EVENTS.ACCEPT_DRAW, acceptingSeat);
+            return;
+        }
+
+        const offeringSeat = sessionMode === 'local' ? getTurnSymbol() : getHumanSeat();
+        const acceptingSeat = offeringSeat === 'X' ? 'O' : 'X';
+        const offered = await sendSeatEvent(EVENTS.OFFER_DRAW, offeringSeat);
+        if (!offered) return;
+
+        if (sessionMode === 'local') {
+            await sendSeatEvent(EVENTS.ACCEPT_DRAW, acceptingSeat);
+        } else if (acceptingSeat === aiSeat) {
+            if (shouldAcceptDraw(currentGameState, aiSeat)) {
+                await sendSeatEvent(EVENTS.ACCEPT_DRAW, acceptingSeat);
+            } else {
+                statusElement.textContent += " - The computer declines the draw";
+            }
+        }
+    }
+
+    /**
+     * Handles the resign button. On a shared device the player on turn resigns;
+     * otherwise it is our own seat.
+     */
+    async function handleResignClick() {
+        if (!currentGameState || isMoveInFlight || getGameOutcome(currentGameState.currentState)) return;
+        const resigningSeat = sessionMode === 'local' ? getTurnSymbol() : getHumanSeat();
+        if (!window.confirm(`Resign the game as ${SEAT_NAMES[resigningSeat]}?`)) return;
+        await sendSeatEvent(EVENTS.RESIGN, resigningSeat);
+    }
+
+    /**
+     * Shows the draw and resign buttons' current actions.
+     */
+    function renderDrawButtons() {
+        const isGameOver = getGameOutcome(currentGameState.currentState) !== null;
+        const waitingForOpponent = sessionMode === 'online' && !opponentJoined;
+        const { pendingDrawOffer } = currentGameState;
+        const offerFromOpponent = pendingDrawOffer && sessionMode === 'online'
+            && seatSecrets[pendingDrawOffer.playerId === playerX_Id ? 'O' : 'X'];
+
+        if (offerFromOpponent) {
+            drawButton.textContent = "Accept Draw";
+            drawButton.disabled = false;
+        } else if (pendingDrawOffer) {
+            drawButton.textContent = "Draw Offered...";
+            drawButton.disabled = true;
+        } else {
+            drawButton.textContent = "Offer Draw";
+            drawButton.disabled = isGameOver || waitingForOpponent;
+        }
+        resignButton.disabled = isGameOver || waitingForOpponent;
+    }
+
+    // --- Clocks ---
+
+    function startClock() {
+        stopClock();
+        clockTimer = setInterval(tickClock, CLOCK_TICK_MS);
+    }
+
+    function stopClock() {
+        if (clockTimer) {
+            clearInterval(clockTimer);
+            clockTimer = undefined;
+        }
+    }
+
+    /**
+     * Refreshes the countdown and, once the player on turn has run out of time,
+     * claims the timeout from one of our seats. The server checks the claim
+     * against its own clock.
+     */
+    function tickClock() {
+        if (!currentGameState || getGameOutcome(currentGameState.currentState)) return;
+        renderClock();
+
+        const turnSymbol = getTurnSymbol();
+        const claimingSeat = sessionMode === 'local' ? turnSymbol : getHumanSeat();
+        if (getRemainingMs(currentGameState, turnSymbol) > 0 || !claimingSeat || isMoveInFlight) return;
+        if (Date.now() - lastTimeoutClaimAt < TIMEOUT_CLAIM_RETRY_MS) return;
+
+        lastTimeoutClaimAt = Date.now();
+        sendSeatEvent(EVENTS.TIMEOUT, claimingSeat);
+    }
+
+    function renderClock() {
+        clockElement.hidden = !!replay || !currentGameState.rules.timeControl;
+        if (clockElement.hidden) return;
+        clockElement.textContent = `${SEAT_NAMES.X} ${formatClock(getRemainingMs(currentGameState, 'X'))} | ${SEAT_NAMES.O} ${formatClock(getRemainingMs(currentGameState, 'O'))}`;
+    }
+
+    /**
+     * If it is the computer's turn, picks its move after a short pause and plays it
+     * through the same server-authoritative path as a human move.
+     */
+    function scheduleAiMove() {
+        if (!aiSeat || !currentGameState || getTurnSymbol() !== aiSeat) return;
+        const scheduledGameId = sessionGameId;
+
+        setTimeout(async () => {
+            if (scheduledGameId !== sessionGameId || getTurnSymbol() !== aiSeat || isMoveInFlight) return;
+            const move = chooseMove(currentGameState, aiDifficulty);
+            if (move) await playMove(move, 'ai');
+        }, AI_MOVE_DELAY_MS);
+    }
+
+    // --- History & Replay ---
+
+    /**
+     * Shows the list of finished games. Picking one replays it on the board.
+     */
+    async function openHistory() {
+        historyPanel.hidden = false;
+        historyButton.hidden = true;
+        historyList.innerHTML = '';
+        historyList.appendChild(createHistoryMessage("Loading..."));
+        try {
+            const { games } = await fetchGameHistory();
+            historyList.innerHTML = '';
+            if (games.length === 0) {
+                historyList.appendChild(createHistoryMessage("No finished games yet."));
+            }
+            games.forEach(game => {
+                const itemButton = document.createElement('button');
+                itemButton.type = 'button';
+                itemButton.dataset.gameId = game.gameId;
+                const playedOn = game.verifiedAt ? new Date(game.verifiedAt).toLocaleString() : '';
+                const { variant, rows, cols } = game.rules;
+                itemButton.textContent = `${playedOn} - ${variant} ${rows}x${cols} - ${getOutcomeText(game)} (${game.moveCount} moves)`;
+                itemButton.addEventListener('click', () => startReplay(game.gameId));
+                const item = document.createElement('li');
+                item.appendChild(itemButton);
+                historyList.appendChild(item);
+            });
+        } catch (error) {
+            console.error("Could not load game history:", error);
+            historyList.innerHTML = '';
+            historyList.appendChild(createHistoryMessage("Error: Could not load game history."));
+        }
+    }
+
+    function createHistoryMessage(text) {
+        const item = document.createElement('li');
+        item.textContent = text;
+        return item;
+    }
+
+    /**
+     * Leaves the history view and shows the live game again.
+     */
+    function closeHistory() {
+        stopReplayAnimation();
+        replay = null;
+        historyPanel.hidden = true;
+        historyButton.hidden = false;
+        replayControls.hidden = true;
+        render();
+    }
+
+    /**
+     * Loads a finished game and shows its first step.
+     * @param {string} gameId - The game to replay.
+     */
+    async function startReplay(gameId) {
+        stopReplayAnimation();
+        historyList.querySelectorAll('button').forEach(button => {
+            button.classList.toggle('selected', button.dataset.gameId === gameId);
+        });
+        try {
+            const gameLog = await fetchGameLog(gameId);
+            replay = { gameLog, steps: buildReplaySteps(gameLog), stepIndex: 0, receiptStatus: null };
+            replayControls.hidden = false;
+            render();
+            checkReplayReceipt();
+        } catch (error) {
+            console.error("Could not replay game:", error);
+            replayControls.hidden = true;
+            statusElement.textContent = `Error: Could not replay game. ${error.message}`;
+        }
+    }
+
+    /**
+     * Draws the current replay step: the board, what happened, and the FSM state
+     * and chain hash after it.
+     */
+    function renderReplay() {
+        const { gameLog, steps, stepIndex } = replay;
+        const { gameState, record } = steps[stepIndex];
+        const lastIndex = steps.length - 1;
+
+        boardElement.classList.add('replaying');
+        boardElement.classList.toggle('game-over', gameState.currentState.startsWith('GAME_OVER'));
+        boardElement.style.setProperty('--board-rows', gameState.rules.rows);
+        boardElement.style.setProperty('--board-cols', gameState.rules.cols);
+        renderBoard(boardElement, gameState, { wildSymbol: 'X' });
+        boardElement.classList.remove('preview-x', 'preview-o');
+
+        statusElement.textContent = stepIndex === lastIndex
+            ? `Replay: ${getOutcomeText(gameLog.result)}`
+            : `Replay of game ${gameLog.gameId.substring(0, 5)}...: step ${stepIndex} of ${lastIndex}`;
+        const chainHash = record ? record.chainHash : null;
+        replayStepElement.textContent = [
+            record ? describeReplayEvent(record, gameLog) : "Start of game",
+            `FSM state: ${gameState.currentState}`,
+            `Chain hash: ${chainHash || "-"}`,
+            ...(replay.receiptStatus ? [replay.receiptStatus] : []),
+        ].join('\n');
+
+        replayFirstButton.disabled = replayPrevButton.disabled = stepIndex === 0;
+        replayNextButton.disabled = replayLastButton.disabled = stepIndex === lastIndex;
+        replayPlayButton.textContent = replayTimer ? "Pause" : "Play";
+
+        // The live game's controls stay out of reach while a replay is shown.
+        wildSymbolOption.hidden = true;
+        renderClock();
+        undoButton.disabled = drawButton.disabled = resignButton.disabled = true;
+    }
+
+    function showReplayStep(stepIndex) {
+        if (!replay) return;
+        replay.stepIndex = Math.max(0, Math.min(stepIndex, replay.steps.length - 1));
+        render();
+    }
+
+    /**
+     * Plays the replay forward one step at a time, or pauses it.
+     */
+    function toggleReplayAnimation() {
+        if (!replay) return;
+        if (replayTimer) {
+            stopReplayAnimation();
+            render();
+            return;
+        }
+        if (replay.stepIndex === replay.steps.length - 1) replay.stepIndex = 0;
+        replayTimer = setInterval(() => {
+            if (!replay || replay.stepIndex >= replay.steps.length - 1) {
+                stopReplayAnimation();
+            } else {
+                replay.stepIndex++;
+            }
+            render();
+        }, REPLAY_STEP_MS);
+        render();
+    }
+
+    function stopReplayAnimation() {
+        if (replayTimer) {
+            clearInterval(replayTimer);
+            replayTimer = undefined;
+        }
+    }
+
     // --- Utility Functions ---
     function cloneBoard(board) {
         return JSON.parse(JSON.stringify(board));
     }
 
+    function getAnySeatSecret() {
+        return seatSecrets.X || seatSecrets.O;
+    }
+
+    /**
+     * @returns {string} The seat ('X' or 'O') a human plays from this browser in online and computer games.
+     */
+    function getHumanSeat() {
+        return ['X', 'O'].find(seat => seatSecrets[seat] && seat !== aiSeat);
+    }
+
+    /**
+     * @returns {string|null} The symbol ('X' or 'O') of the seat on turn, or null if the game is over.
+     */
+    function getTurnSymbol() {
+        if (currentGameState.currentState === STATES.PLAYER_X_TURN) return 'X';
+        if (currentGameState.currentState === STATES.PLAYER_O_TURN) return 'O';
+        return null;
+    }
+
     // --- Attach Event Listeners ---
     boardElement.addEventListener('click', handleCellClick);
+    resumeContinueButton.addEventListener('click', continueSavedGame);
+    resumeNewButton.addEventListener('click', discardSavedGame);
     restartButton.addEventListener('click', startGame);
+    undoButton.addEventListener('click', handleUndoClick);
+    drawButton.addEventListener('click', handleDrawClick);
+    resignButton.addEventListener('click', handleResignClick);
+    boardSizeSelect.addEventListener('change', startGame);
+    variantSelect.addEventListener('change', startGame);
+    wildSymbolSelect.addEventListener('change', render);
+    timeControlSelect.addEventListener('change', startGame);
+    modeSelect.addEventListener('change', startGame);
+    difficultySelect.addEventListener('change', () => { aiDifficulty = difficultySelect.value; });
+    copyJoinLinkButton.addEventListener('click', () => navigator.clipboard.writeText(joinLinkInput.value));
+    historyButton.addEventListener('click', openHistory);
+    historyCloseButton.addEventListener('click', closeHistory);
+    replayFirstButton.addEventListener('click', () => { stopReplayAnimation(); showReplayStep(0); });
+    replayPrevButton.addEventListener('click', () => { stopReplayAnimation(); showReplayStep(replay.stepIndex - 1); });
+    replayPlayButton.addEventListener('click', toggleReplayAnimation);
+    replayNextButton.addEventListener('click', () => { stopReplayAnimation(); showReplayStep(replay.stepIndex + 1); });
+    replayLastButton.addEventListener('click', () => { stopReplayAnimation(); showReplayStep(replay.steps.length - 1); });
+    bindErrorPrompt({
+        prompt: document.getElementById('error-prompt'),
+        message: document.getElementById('error-message'),
+        retryButton: document.getElementById('error-retry-button')
+    }, startGame);
+    bindLeaderboard({
+        openButton: document.getElementById('leaderboard-button'),
+        panel: document.getElementById('leaderboard-panel'),
+        windowSelect: document.getElementById('leaderboard-window-select'),
+        sidesElement: document.getElementById('leaderboard-sides'),
+        body: document.getElementById('leaderboard-body'),
+        prevButton: document.getElementById('leaderboard-prev-button'),
+        nextButton: document.getElementById('leaderboard-next-button'),
+        closeButton: document.getElementById('leaderboard-close-button')
+    });
 
     // --- Initial Game Start ---
-    startGame();
+    bindAccountControls({
+        playerNameInput,
+        accountStatusElement,
+        accountLinkOptions,
+        linkGoogleButton,
+        linkEmailForm,
+        linkEmailInput,
+        linkPasswordInput
+    });
+    // A shared join link (?join=<gameId>) takes the free seat instead of creating a game.
+    const joinGameId = new URLSearchParams(window.location.search).get('join');
+    if (joinGameId) {
+        joinGame(joinGameId);
+    } else {
+        offerSavedGame();
+    }
 });
\ No newline at end of file
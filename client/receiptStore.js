@@ -0,0 +1,39 @@
+// client/receiptStore.js
+
+/**
+ * receiptStore.js
+ *
+ * Keeps the signed receipts the server returns for verified games in
+ * localStorage, so a replay of one of this browser's games can present its
+ * receipt for the server to check.
+ *
+ * It exports:
+ * - getStoredReceipts: The stored receipts, keyed by game ID.
+ * - saveReceipt: Stores a receipt, replacing any earlier one for its game.
+ */
+
+const RECEIPTS_STORAGE_KEY = 'tictactoe.receipts';
+
+/**
+ * The signed receipts of this browser's verified games, keyed by game ID.
+ * @returns {Object<string, object>} The receipts.
+ */
+function getStoredReceipts() {
+    try {
+        return JSON.parse(localStorage.getItem(RECEIPTS_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn("Ignoring unreadable stored receipts:", error);
+        return {};
+    }
+}
+
+/**
+ * @param {object} receipt - The receipt returned when a log was verified.
+ */
+function saveReceipt(receipt) {
+    const storedReceipts = getStoredReceipts();
+    storedReceipts[receipt.gameId] = receipt;
+    localStorage.setItem(RECEIPTS_STORAGE_KEY, JSON.stringify(storedReceipts));
+}
+
+export { getStoredReceipts, saveReceipt };
@@ -0,0 +1,64 @@
+// client/replay.js
+
+/**
+ * replay.js
+ *
+ * Replays a finished game from its verified move history (GET
+ * /games/:id/log). The boards shown are the FSM's, never stored ones, so a
+ * history the rules do not accept fails here instead of being displayed.
+ *
+ * It exports:
+ * - buildReplaySteps: The game state after every event of a history.
+ * - describeReplayEvent: What one replayed event did, in words.
+ */
+
+import { EVENTS, transition, getInitialGameState } from 'tictactoe-rules';
+import { SEAT_NAMES } from './gameText.js';
+
+/**
+ * Replays a verified move history through the FSM, keeping the game state
+ * after every event.
+ * @param {object} gameLog - The game log response: rules, players, result and moves.
+ * @returns {Array<{gameState: object, record: object|null}>} One step per event, after the initial position.
+ * @throws {Error} If the FSM rejects an event or ends in a different state than the server verified.
+ */
+function buildReplaySteps(gameLog) {
+    let gameState = getInitialGameState(gameLog.playerX_Id, gameLog.playerO_Id, gameLog.rules);
+    const steps = [{ gameState, record: null }];
+    gameLog.moves.forEach(record => {
+        const eventData = { playerId: record.playerId };
+        if (record.event === EVENTS.PLAYER_MOVE_ATTEMPTED) {
+            const { rowIndex, colIndex, symbol } = record;
+            eventData.move = symbol === undefined ? { rowIndex, colIndex } : { rowIndex, colIndex, symbol };
+        }
+        if (record.timestamp !== undefined) eventData.timestamp = record.timestamp;
+
+        const transitionResult = transition(gameState, record.event, eventData);
+        if (!transitionResult.isValidMove) {
+            throw new Error(`The rules reject log entry #${record.sequence}: ${transitionResult.error}`);
+        }
+        gameState = transitionResult.newGameState;
+        steps.push({ gameState, record });
+    });
+    if (gameState.currentState !== gameLog.result.finalState) {
+        throw new Error(`The replay ends in ${gameState.currentState}, but the verified result is ${gameLog.result.finalState}.`);
+    }
+    return steps;
+}
+
+/**
+ * Describes one replayed event, e.g. "#3 DOGE plays row 1, column 2".
+ * @param {object} record - The event's record from the move history.
+ * @param {object} gameLog - The game log response it belongs to.
+ * @returns {string} The description.
+ */
+function describeReplayEvent(record, gameLog) {
+    const seatName = SEAT_NAMES[record.playerId === gameLog.playerX_Id ? 'X' : 'O'];
+    if (record.event !== EVENTS.PLAYER_MOVE_ATTEMPTED) {
+        return `#${record.sequence} ${seatName}: ${record.event}`;
+    }
+    const placed = record.symbol ? ` (places ${SEAT_NAMES[record.symbol]})` : '';
+    return `#${record.sequence} ${seatName} plays row ${record.rowIndex + 1}, column ${record.colIndex + 1}${placed}`;
+}
+
+export { buildReplaySteps, describeReplayEvent };
@@ -0,0 +1,64 @@
+// client/seatKeys.js
+
+/**
+ * seatKeys.js
+ *
+ * The ECDSA P-256 keys the seats sign their events with. Each seat this browser
+ * holds gets its own key pair when the game is created or joined; the server
+ * registers the public key, and the private key, which cannot be exported,
+ * stays in this browser (see sessionStore.js). The signatures must verify
+ * under "Move Signatures" in server/lib/verifier.js.
+ *
+ * It exports:
+ * - createSeatSigningKey, createSeatSigningKeys: New key pairs for one or more seats.
+ * - signEvent: Signs an event's payload with a seat's private key.
+ */
+
+import { arrayBufferToBase64 } from './logCrypto.js';
+
+/**
+ * Creates the signing key for one seat. The private key cannot be exported.
+ * @returns {Promise<{privateKey: CryptoKey, publicKey: string}>} The private key,
+ * and the public key as base64 SPKI for the server to register.
+ */
+async function createSeatSigningKey() {
+    const keyPair = await window.crypto.subtle.generateKey({ name: "ECDSA", namedCurve: "P-256" }, false, ["sign", "verify"]);
+    const publicKey = await window.crypto.subtle.exportKey("spki", keyPair.publicKey);
+    return { privateKey: keyPair.privateKey, publicKey: arrayBufferToBase64(publicKey) };
+}
+
+/**
+ * Creates signing keys for several seats.
+ * @param {Array<string>} seats - The seats ('X'/'O') this browser will hold.
+ * @returns {Promise<{privateKeys: object, publicKeys: object}>} Both halves, keyed by seat.
+ */
+async function createSeatSigningKeys(seats) {
+    const privateKeys = {};
+    const publicKeys = {};
+    for (const seat of seats) {
+        const { privateKey, publicKey } = await createSeatSigningKey();
+        privateKeys[seat] = privateKey;
+        publicKeys[seat] = publicKey;
+    }
+    return { privateKeys, publicKeys };
+}
+
+/**
+ * @param {CryptoKey} privateKey - The private key of the seat sending the event.
+ * @param {string} movePayload - The event's payload (see getEventPayload in logChain.js).
+ * @returns {Promise<string>} The base64 signature, in the P1363 format the server checks.
+ */
+async function signEvent(privateKey, movePayload) {
+    const signature = await window.crypto.subtle.sign(
+        { name: "ECDSA", hash: "SHA-256" },
+        privateKey,
+        new TextEncoder().encode(movePayload)
+    );
+    return arrayBufferToBase64(signature);
+}
+
+export {
+    createSeatSigningKey,
+    createSeatSigningKeys,
+    signEvent,
+};
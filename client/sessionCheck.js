@@ -0,0 +1,147 @@
+// client/sessionCheck.js
+
+/**
+ * sessionCheck.js
+ *
+ * Checks a saved session (see sessionStore.js) before anything of it is used.
+ * Storage can be edited or half-written, so nothing saved is taken on trust:
+ * the log must chain from its first entry to the saved chain head, and
+ * replaying it through the FSM must reach every state it records, the saved
+ * game state, the saved head of the move chain and the saved count of server
+ * events. A session that fails any check is discarded.
+ *
+ * It exports:
+ * - findSessionProblem: What is wrong with a saved session, if anything.
+ */
+
+import { EVENTS, transition, getInitialGameState } from 'tictactoe-rules';
+import { INITIAL_CHAIN_HASH, INITIAL_MOVE_HASH, REPLAYED_LOG_EVENTS, getCanonicalString, sha256Hex, calculateEntryHash, getEventPayload } from './logChain.js';
+
+const SEATS = ['X', 'O'];
+const SESSION_MODES = ['local', 'online', 'ai'];
+
+// The entries a log starts with, for the seat that created the game and the one that joined it.
+const FIRST_LOG_EVENT_TYPES = ['GAME_CREATED', 'GAME_JOINED'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Compares two game states as the server would send them: as JSON, whatever the key order.
+ */
+function isSameGameState(gameState, otherGameState) {
+    const toJsonValue = value => JSON.parse(JSON.stringify(value));
+    return getCanonicalString(toJsonValue(gameState)) === getCanonicalString(toJsonValue(otherGameState));
+}
+
+/**
+ * Checks the seats the session holds: one online, both otherwise (the computer's
+ * included), each with its secret and signing key.
+ */
+function findSeatProblem({ mode, aiSeat, seatSecrets, seatSigningKeys }) {
+    if (!SESSION_MODES.includes(mode)) return "The saved game has an unknown mode.";
+    if ((mode === 'ai') !== SEATS.includes(aiSeat)) return "The saved computer seat does not match the game's mode.";
+    if (!isPlainObject(seatSecrets) || !isPlainObject(seatSigningKeys)) return "The saved seats are incomplete.";
+    const seats = Object.keys(seatSecrets);
+    if (seats.length !== (mode === 'online' ? 1 : 2) || !seats.every(seat => SEATS.includes(seat))) {
+        return "The saved game holds the wrong seats.";
+    }
+    for (const seat of seats) {
+        if (typeof seatSecrets[seat] !== 'string' || !seatSecrets[seat]) return `The secret of seat ${seat} is missing.`;
+        if (!(seatSigningKeys[seat] instanceof CryptoKey)) return `The signing key of seat ${seat} is missing.`;
+    }
+    return null;
+}
+
+/**
+ * Checks that the log chains from the first entry to the saved chain head, with
+ * every entry hashing to the hash recorded for it.
+ */
+async function findChainProblem({ gameLog, latestEntryChainHash, sequenceNumber }) {
+    let previousHash = INITIAL_CHAIN_HASH;
+    for (const [index, entry] of gameLog.entries()) {
+        if (!isPlainObject(entry) || entry.sequence !== index || entry.previousEntryChainHash !== previousHash) {
+            return `Log entry #${index} does not follow the one before it.`;
+        }
+        if (await calculateEntryHash(entry) !== entry.currentEntryChainHash) {
+            return `Log entry #${index} was changed after it was written.`;
+        }
+        previousHash = entry.currentEntryChainHash;
+    }
+    if (previousHash !== latestEntryChainHash || sequenceNumber !== gameLog.length) {
+        return "The saved chain head does not match the log.";
+    }
+    return null;
+}
+
+/**
+ * Replays the log from the game's rules: every player event must be accepted,
+ * every entry must record the board and state the replay is at, and the replay
+ * must end at the saved game state, move chain head and server event count.
+ */
+async function findReplayProblem(session) {
+    const { gameId, gameLog, playerX_Id, playerO_Id, seatSecrets } = session;
+    const [firstEntry] = gameLog;
+    if (!FIRST_LOG_EVENT_TYPES.includes(firstEntry.eventType) || !isPlainObject(firstEntry.eventData)) {
+        return "The log does not start with the game's creation.";
+    }
+    const { rules, seats } = firstEntry.eventData;
+    if (!Array.isArray(seats) || getCanonicalString([...seats].sort()) !== getCanonicalString(Object.keys(seatSecrets).sort())) {
+        return "The saved seats are not the ones the log was started for.";
+    }
+
+    let gameState;
+    try {
+        gameState = getInitialGameState(playerX_Id, playerO_Id, rules);
+    } catch (error) {
+        return `The log's rules are invalid: ${error.message}`;
+    }
+    let moveHash = INITIAL_MOVE_HASH;
+    let eventCount = 0;
+    for (const entry of gameLog) {
+        const event = Object.hasOwn(REPLAYED_LOG_EVENTS, entry.eventType) ? REPLAYED_LOG_EVENTS[entry.eventType] : null;
+        if (event) {
+            const { playerId, move, timestamp } = isPlainObject(entry.eventData) ? entry.eventData : {};
+            const isMove = event === EVENTS.PLAYER_MOVE_ATTEMPTED;
+            if (isMove && !isPlainObject(move)) return `Log entry #${entry.sequence} records a move without its cell.`;
+            // Only timed games log the server's timestamps, and only timed games need them.
+            const eventData = isMove ? { move, playerId } : { playerId };
+            if (timestamp !== undefined) eventData.timestamp = timestamp;
+            const transitionResult = transition(gameState, event, eventData);
+            if (!transitionResult.isValidMove) {
+                return `Log entry #${entry.sequence} does not replay under the game's rules.`;
+            }
+            gameState = transitionResult.newGameState;
+            moveHash = await sha256Hex(getEventPayload(gameId, moveHash, playerId, event, move));
+            eventCount++;
+        }
+        if (entry.fsmState !== gameState.currentState || getCanonicalString(entry.boardState) !== getCanonicalString(gameState.board)) {
+            return `Log entry #${entry.sequence} does not record the state its replay reaches.`;
+        }
+    }
+
+    if (!isSameGameState(gameState, session.gameState)) return "The saved game state does not match the log.";
+    if (moveHash !== session.latestMoveHash) return "The saved move chain does not match the log.";
+    if (eventCount !== session.knownEventCount) return "The saved count of server events does not match the log.";
+    return null;
+}
+
+/**
+ * Checks a saved session before anything of it is used: that it has what a game
+ * needs, that its log is intact, and that the saved state is the one its log
+ * replays to.
+ * @param {object} session - The saved session.
+ * @returns {Promise<string|null>} What is wrong with the session, or null if it is intact.
+ */
+export async function findSessionProblem(session) {
+    if (!isPlainObject(session) || typeof session.gameId !== 'string' || typeof session.publicKeyPem !== 'string'
+        || !isPlainObject(session.gameState) || !Array.isArray(session.gameLog) || session.gameLog.length === 0) {
+        return "The saved game is incomplete.";
+    }
+    const { acknowledgedSequence, gameLog } = session;
+    if (!Number.isInteger(acknowledgedSequence) || acknowledgedSequence < 0 || acknowledgedSequence > gameLog.length) {
+        return "The saved upload position is outside the log.";
+    }
+    return findSeatProblem(session) || await findChainProblem(session) || await findReplayProblem(session);
+}
@@ -0,0 +1,74 @@
+// client/sessionStore.js
+
+/**
+ * sessionStore.js
+ *
+ * Keeps the game in progress in IndexedDB, so a reload can resume it instead of
+ * starting a new game. IndexedDB rather than localStorage, because the session
+ * holds the seats' signing keys: non-extractable CryptoKeys can be stored there
+ * as they are, while their key material can never be exported.
+ *
+ * It exports:
+ * - saveSession: Stores the session, replacing the previous one.
+ * - loadSession: Reads the stored session, if any.
+ * - clearSession: Forgets the stored session.
+ */
+
+const DATABASE_NAME = 'tictactoe';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'sessions';
+// Only one game is in progress at a time.
+const ACTIVE_SESSION_KEY = 'active';
+
+let databasePromise;
+
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // A failed open is retried on the next call.
+        databasePromise.catch(() => { databasePromise = undefined; });
+    }
+    return databasePromise;
+}
+
+/**
+ * Runs one request against the session store and waits for its transaction to commit.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {Function} createRequest - Creates the request from the object store.
+ * @returns {Promise<*>} The request's result.
+ */
+async function runRequest(mode, createRequest) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE_NAME, mode);
+        const request = createRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * @param {object} session - The session; it is stored as a structured clone.
+ * @returns {Promise<void>}
+ */
+export async function saveSession(session) {
+    await runRequest('readwrite', store => store.put(session, ACTIVE_SESSION_KEY));
+}
+
+/**
+ * @returns {Promise<object|null>} The stored session, or null if there is none.
+ */
+export async function loadSession() {
+    const session = await runRequest('readonly', store => store.get(ACTIVE_SESSION_KEY));
+    return session || null;
+}
+
+export async function clearSession() {
+    await runRequest('readwrite', store => store.delete(ACTIVE_SESSION_KEY));
+}
@@ -0,0 +1,80 @@
+// client/telemetry.js
+
+/**
+ * telemetry.js
+ *
+ * Reports the problems worth knowing about in the field (a rejected log, a
+ * corrupt saved game, a server the client disagrees with) as Firebase Analytics
+ * events, so they can be counted across players instead of staying in one
+ * browser's console. Each report is also written to the console.
+ *
+ * Analytics keeps event names to 40 characters and parameter values to 100, so
+ * names are short snake_case constants and messages are cut to fit.
+ *
+ * It exports:
+ * - initTelemetry: Sets the Analytics instance the events are sent to.
+ * - reportWarning: Reports a problem the client recovers from.
+ * - reportError: Reports a problem that stops what the client was doing.
+ */
+
+import { logEvent } from "firebase/analytics";
+
+const MAX_PARAM_LENGTH = 100;
+
+let analytics = null;
+
+/**
+ * @param {import("firebase/analytics").Analytics} analyticsInstance - Where the events are sent.
+ */
+function initTelemetry(analyticsInstance) {
+    analytics = analyticsInstance;
+}
+
+/**
+ * Keeps the parameters Analytics accepts: numbers as they are, anything else as
+ * a string cut to its limit. Missing values are left out.
+ */
+function toEventParams(params) {
+    const eventParams = {};
+    for (const [key, value] of Object.entries(params)) {
+        if (value === undefined || value === null) continue;
+        eventParams[key] = typeof value === 'number' ? value : String(value).slice(0, MAX_PARAM_LENGTH);
+    }
+    return eventParams;
+}
+
+function sendEvent(name, params) {
+    if (!analytics) return;
+    try {
+        logEvent(analytics, name, toEventParams(params));
+    } catch (error) {
+        // Telemetry must never break the game.
+        console.warn(`Could not report ${name}:`, error.message);
+    }
+}
+
+/**
+ * Reports a problem the client recovers from, such as an upload it will retry.
+ * @param {string} name - The event name, e.g. "log_upload_retry".
+ * @param {string} message - What happened, for the console and the event.
+ * @param {object} [params] - More about it: gameId, status, requestId...
+ */
+function reportWarning(name, message, params = {}) {
+    console.warn(message, params);
+    sendEvent(name, { ...params, message });
+}
+
+/**
+ * Reports a problem that stops what the client was doing. The error's code and
+ * request ID, if it is an ApiError, go with it.
+ * @param {string} name - The event name, e.g. "log_rejected".
+ * @param {Error|string} error - What went wrong.
+ * @param {object} [params] - More about it: gameId, event...
+ */
+function reportError(name, error, params = {}) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(`${name}:`, error, params);
+    sendEvent(name, { code: error?.code, requestId: error?.requestId, ...params, message });
+}
+
+export { initTelemetry, reportWarning, reportError };
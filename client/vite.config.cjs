@@ -3,6 +3,10 @@
 /** @type {import('vite').UserConfig} */
 module.exports = {
   server: {
+    fs: {
+      // The rules package is linked from ../shared and served from its source.
+      allow: ['..'],
+    },
     proxy: {
       '/proxy': {
         // The target now includes the full base path to your 'api' function
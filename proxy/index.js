@@ -1,24 +1,28 @@
 // proxy/index.js
 
-//require('dotenv').config();
-const path = require('path');
-if (process.env.FUNCTIONS_EMULATOR === 'true') {
-    console.log('Proxy: Emulator detected: Load .env.local file');
-    require('dotenv').config({ path: path.resolve(__dirname, '.env.local') });
-} else if (process.env.IN_STAGING === 'true') {
-  console.log('Proxy: Emulator not detected: Load .env.staging file');
-  require('dotenv').config({ path: path.resolve(__dirname, '.env.staging') });  
-} else if (process.env.IN_PRODUCTION === 'true') {
-  console.log('Proxy: Emulator not detected: Load .env.production file');
-  require('dotenv').config({ path: path.resolve(__dirname, '.env.production') });
+// require('dotenv').config();
+const path = require("path");
+if (process.env.FUNCTIONS_EMULATOR === "true") {
+  console.log("Proxy: Emulator detected: Load .env.local file");
+  require("dotenv").config({path: path.resolve(__dirname, ".env.local")});
+} else if (process.env.IN_STAGING === "true") {
+  console.log("Proxy: Emulator not detected: Load .env.staging file");
+  require("dotenv").config({path: path.resolve(__dirname, ".env.staging")});
+} else if (process.env.IN_PRODUCTION === "true") {
+  console.log("Proxy: Emulator not detected: Load .env.production file");
+  require("dotenv").config({path: path.resolve(__dirname, ".env.production")});
 }
 
-//const functions = require("firebase-functions/v2/https");
+// const functions = require("firebase-functions/v2/https");
 // Use the v2 onRequest function for HTTP triggers
-const { onRequest } = require("firebase-functions/v2/https");
+const {onRequest} = require("firebase-functions/v2/https");
 const logger = require("firebase-functions/logger");
 const express = require("express");
-const { GoogleAuth } = require("google-auth-library");
+const {GoogleAuth} = require("google-auth-library");
+const {createBucketStore, createRateLimiter} = require("./lib/rateLimiter");
+const {createRouteValidator} = require("./lib/routes");
+const {assignRequestId, createBackendForwarder} = require("./lib/forwarding");
+const {createAuthVerifier} = require("./lib/auth");
 
 const app = express();
 const auth = new GoogleAuth();
@@ -28,25 +32,29 @@ const admin = require("firebase-admin");
 admin.initializeApp();
 // -------------------------
 
+// --- Request IDs ---
+// Every request gets an ID first, so even requests refused here can be traced.
+app.use(assignRequestId);
+
 // --- App Check Verification Middleware ---
 const appCheckVerification = async (req, res, next) => {
   const appCheckToken = req.header("X-Firebase-AppCheck");
   if (!appCheckToken) {
-      logger.info("Unauthorized Now");
-      return res.status(401).send("Unauthorized Now");
+    logger.info("Unauthorized Now");
+    return res.status(401).send("Unauthorized Now");
   }
   try {
-      await admin.appCheck().verifyToken(appCheckToken);
-      next(); // Token is valid, proceed.
+    await admin.appCheck().verifyToken(appCheckToken);
+    next(); // Token is valid, proceed.
   } catch (err) {
     logger.info("Unauthorized Now 2");
     logger.info(err);
-      res.status(401).send("Unauthorized Now 2");
+    res.status(401).send("Unauthorized Now 2");
   }
 };
 
 // --- Use the middleware ---
-//app.use(appCheckVerification);
+// app.use(appCheckVerification);
 
 // --- Emulator-Aware Configuration ---
 
@@ -56,73 +64,61 @@ const LIVE_API_URL = process.env.LIVE_API_URL;
 // This is the local emulator URL for your private backend function.
 const EMULATOR_API_URL = process.env.EMULATOR_API_URL;
 
-const IS_EMULATOR = process.env.FUNCTIONS_EMULATOR === 'true';
+const IS_EMULATOR = process.env.FUNCTIONS_EMULATOR === "true";
 
 // --- End of Configuration ---
 
-if (process.env.APP_CHECK_DEBUG !== 'true') {
-    app.use(appCheckVerification);
-    logger.info("App Check middleware ENABLED.");
-  } else {
-    logger.warn("App Check middleware is DISABLED for local development use.");
-  }
+if (process.env.APP_CHECK_DEBUG !== "true") {
+  app.use(appCheckVerification);
+  logger.info("App Check middleware ENABLED.");
+} else {
+  logger.warn("App Check middleware is DISABLED for local development use.");
+}
+
+// --- Rate Limiting ---
+// Limits per IP and per App Check token (see lib/rateLimiter.js), after App
+// Check so only verified tokens count. req.ip is taken from X-Forwarded-For,
+// skipping the proxies in front of this function: Firebase Hosting and the
+// Cloud Run front end.
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS || 2));
+const bucketStore = createBucketStore(process.env, admin.firestore());
+app.use(createRateLimiter(bucketStore, logger));
+
+// --- Route Allowlist ---
+// Only the routes in lib/routes.js are forwarded, with bodies that match their
+// schema and size limit; everything else is answered here, before asking for an
+// ID token.
+app.use(createRouteValidator(logger));
+
+// --- Player Authentication ---
+// Players' Firebase ID tokens are verified before their requests are forwarded
+// (see lib/auth.js).
+app.use(createAuthVerifier(admin.auth(), logger));
+
+// --- Forwarding ---
+// Requests are forwarded to the backend, and its answers relayed as they are,
+// by lib/forwarding.js. In a live environment the private backend requires an
+// ID token; in the emulator it is called directly.
+const backendUrl = IS_EMULATOR ? EMULATOR_API_URL : LIVE_API_URL;
+const getAuthorization = IS_EMULATOR ? null : async () => {
+  const client = await auth.getIdTokenClient(backendUrl);
+  const clientHeaders = await client.getRequestHeaders();
+  return clientHeaders["Authorization"];
+};
+app.use("/*", createBackendForwarder({
+  backendUrl,
+  getAuthorization,
+  timeoutMs: Number(process.env.BACKEND_TIMEOUT_MS) || undefined,
+  logger,
+}));
 
-// Middleware to forward requests
-app.use("/*", async (req, res) => {
-  logger.info("Inside of proxy app.use generic");
-  // Determine the correct backend URL based on the environment.
-    const backendUrl = IS_EMULATOR ? EMULATOR_API_URL : LIVE_API_URL;
-  
-    // --- NEW: Transform the path for the backend request ---
-    // This replaces the incoming '/proxy' with the '/api' that the backend expects.
-    const backendPath = req.originalUrl.replace(/^\/proxy/, '/api');
-    const requestUrl = `${backendUrl}${backendPath}`;
-    // -----------------------------------------------------
-
-    try {
-      let client;
-      let serviceRequestOptions = {
-        url: requestUrl,
-        method: req.method,
-        data: req.body,
-        headers: {},
-        responseType: 'json'
-      };
-  
-      // In a live environment, we need to get an ID token to authenticate.
-      // In the emulator, we can call the other function directly.
-      if (!IS_EMULATOR) {
-        client = await auth.getIdTokenClient(backendUrl);
-        const clientHeaders = await client.getRequestHeaders();
-        serviceRequestOptions.headers['Authorization'] = clientHeaders['Authorization'];
-      }
-  
-      // Make the request to the private backend.
-      // We use a simple fetch for the emulator or the authenticated client for live.
-      const fetch = (await import('node-fetch')).default;
-      const response = IS_EMULATOR 
-        ? await fetch(serviceRequestOptions.url, { method: serviceRequestOptions.method, body: JSON.stringify(serviceRequestOptions.data), headers: {'Content-Type': 'application/json'} })
-        : await client.request(serviceRequestOptions);
-  
-      const data = IS_EMULATOR ? await response.json() : response.data;
-      const status = IS_EMULATOR ? response.status : response.status;
-  
-      // Send the backend's response back to the original caller.
-      res.status(status).json(data);
-  
-    } catch (error) {
-      console.error("Proxy error:", error.response?.data || error.message);
-      res.status(500).send("Proxy error.");
-    }
-  });
-  
-  // Export the proxy function, ensuring App Check is OFF for the proxy itself.
-  //exports.proxy = onRequest({ region: "us-west2" }, app);
+// Export the proxy function, ensuring App Check is OFF for the proxy itself.
+// exports.proxy = onRequest({ region: "us-west2" }, app);
 exports.proxy = onRequest(
-    { 
-        region: "us-west2", 
-        enforceAppCheck: true,
-        consumeAppCheckToken: true, 
-    }, 
-    app
-);
\ No newline at end of file
+    {
+      region: "us-west2",
+      enforceAppCheck: true,
+      consumeAppCheckToken: true,
+    },
+    app,
+);
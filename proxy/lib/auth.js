@@ -0,0 +1,74 @@
+// proxy/lib/auth.js
+
+/**
+ * auth.js
+ *
+ * Verifies the Firebase Authentication ID token players send as
+ * `Authorization: Bearer <token>`. Play starts with an anonymous account, which
+ * can later be linked to an email address or a federated provider without its
+ * uid changing, so every player has a token from their first request on.
+ *
+ * A verified token is passed on to the backend in ID_TOKEN_HEADER, because in a
+ * live environment the Authorization header carries the proxy's own ID token
+ * for the private backend. The backend verifies it again; the proxy's check
+ * only keeps unauthenticated requests from reaching it.
+ *
+ * Routes marked `auth: true` in lib/routes.js require a token; an invalid token
+ * is refused on every route, so a client never plays on under an identity it
+ * no longer has.
+ *
+ * It exports:
+ * - ID_TOKEN_HEADER: The header the backend reads the token from.
+ * - createAuthVerifier: Express middleware verifying the token.
+ */
+
+const {ERROR_CODES} = require("tictactoe-rules");
+const {sendError} = require("./errors");
+
+const ID_TOKEN_HEADER = "X-Firebase-ID-Token";
+
+/**
+ * @param {object} req - The Express request.
+ * @return {string|null} The token of its `Authorization: Bearer` header.
+ */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.header("Authorization") || "");
+  return match ? match[1] : null;
+}
+
+/**
+ * Creates the middleware that verifies the ID token. It must run after the
+ * route validator, which sets req.proxyRoute. Verified requests get req.idToken
+ * and req.uid.
+ * @param {object} auth - The Admin SDK's Auth instance.
+ * @param {object} logger - The Functions logger.
+ * @return {Function} The Express middleware.
+ */
+function createAuthVerifier(auth, logger) {
+  return async (req, res, next) => {
+    const idToken = getBearerToken(req);
+    if (!idToken) {
+      if (!req.proxyRoute || !req.proxyRoute.auth) return next();
+      return sendError(res, ERROR_CODES.AUTH_REQUIRED);
+    }
+    try {
+      const decodedToken = await auth.verifyIdToken(idToken);
+      req.idToken = idToken;
+      req.uid = decodedToken.uid;
+      next();
+    } catch (error) {
+      logger.info("Refused an invalid ID token", {
+        requestId: req.requestId,
+        code: error.code,
+      });
+      sendError(res, ERROR_CODES.AUTH_REQUIRED, {},
+          "Your sign-in has expired or is invalid; " +
+          "reload the page to sign in again.");
+    }
+  };
+}
+
+module.exports = {
+  ID_TOKEN_HEADER,
+  createAuthVerifier,
+};
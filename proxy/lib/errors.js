@@ -0,0 +1,30 @@
+// proxy/lib/errors.js
+
+/**
+ * errors.js
+ *
+ * The proxy answers the requests it refuses itself with the errors of the
+ * shared catalogue (shared/src/errors.js), as the backend does:
+ * `{ code, error, ...details }` with the code's status.
+ *
+ * It exports:
+ * - sendError: Responds with an error from the catalogue.
+ */
+
+const {ApiError} = require("tictactoe-rules");
+
+/**
+ * @param {object} res - The Express response.
+ * @param {string} code - One of ERROR_CODES.
+ * @param {object} [details] - Details sent along with the error.
+ * @param {string} [message] - A more specific message than the catalogue's.
+ * @return {object} The response.
+ */
+function sendError(res, code, details, message) {
+  const apiError = new ApiError(code, details, message);
+  return res.status(apiError.status).json(apiError.toJSON());
+}
+
+module.exports = {
+  sendError,
+};
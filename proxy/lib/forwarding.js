@@ -0,0 +1,180 @@
+// proxy/lib/forwarding.js
+
+/**
+ * forwarding.js
+ *
+ * Forwards a request to the backend and relays the backend's answer as it is:
+ * its status, the headers in RELAYED_RESPONSE_HEADERS, and its body byte for
+ * byte, whatever its content type. Emulator and live mode differ only in the
+ * ID token the live backend requires.
+ *
+ * Every request carries an ID in X-Request-Id. A well-formed ID sent by the
+ * caller is kept; otherwise the proxy assigns one. It is passed on to the
+ * backend, which logs it and echoes it, and returned to the caller, so a
+ * failure a player reports can be found in both functions' logs.
+ *
+ * The time from forwarding a request to the backend's complete response is
+ * recorded as the proxy_round_trip metric, a structured log entry in the format
+ * of server/lib/metrics.js, where the metric is defined.
+ *
+ * When the backend does not answer, the proxy answers itself, following the
+ * shared error catalogue (shared/src/errors.js):
+ * - 504 BACKEND_TIMEOUT if no response arrived within BACKEND_TIMEOUT_MS;
+ * - 502 PROXY_ERROR if the backend could not be reached or called at all.
+ *
+ * It exports:
+ * - REQUEST_ID_HEADER, assignRequestId: The request ID, and the middleware
+ *   that assigns it.
+ * - createBackendForwarder: The middleware that forwards requests to the
+ *   backend.
+ */
+
+const crypto = require("crypto");
+const {ERROR_CODES} = require("tictactoe-rules");
+const {ID_TOKEN_HEADER} = require("./auth");
+const {sendError} = require("./errors");
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,128}$/;
+
+// The request headers the backend needs; seat secrets identify the player in a
+// game.
+const FORWARDED_REQUEST_HEADERS = ["Content-Type", "X-Seat-Secret"];
+const RELAYED_RESPONSE_HEADERS = [
+  "Content-Type",
+  "Cache-Control",
+  "ETag",
+  "Last-Modified",
+  "Retry-After",
+  "Allow",
+];
+
+const DEFAULT_BACKEND_TIMEOUT_MS = 30 * 1000;
+
+// PROXY_ROUND_TRIP in server/lib/metrics.js.
+const ROUND_TRIP_METRIC = "proxy_round_trip";
+
+/**
+ * Middleware that gives the request its ID (req.requestId) and returns it in
+ * the response.
+ * @param {object} req - The Express request.
+ * @param {object} res - The Express response.
+ * @param {Function} next - Continues with the next middleware.
+ */
+function assignRequestId(req, res, next) {
+  const requestId = req.header(REQUEST_ID_HEADER);
+  const isWellFormed = requestId && REQUEST_ID_PATTERN.test(requestId);
+  req.requestId = isWellFormed ? requestId : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.requestId);
+  next();
+}
+
+/**
+ * @param {object} req - The Express request.
+ * @return {Buffer|string|undefined} The body to forward, as the caller sent it.
+ */
+function getRequestBody(req) {
+  if (["GET", "HEAD"].includes(req.method)) return undefined;
+  // Cloud Functions keeps the unparsed body next to the parsed one.
+  if (req.rawBody) return req.rawBody;
+  return req.body === undefined ? undefined : JSON.stringify(req.body);
+}
+
+/**
+ * Logs the proxy_round_trip metric of a forwarded request.
+ * @param {object} logger - The Functions logger.
+ * @param {object} req - The Express request.
+ * @param {number} status - The status the caller was answered with.
+ * @param {number} elapsedMs - The time the backend took, in milliseconds.
+ */
+function recordRoundTrip(logger, req, status, elapsedMs) {
+  logger.info(`Metric ${ROUND_TRIP_METRIC}`, {
+    requestId: req.requestId,
+    metric: ROUND_TRIP_METRIC,
+    value: Math.round(elapsedMs * 10) / 10,
+    method: req.method,
+    // The route table's path, so game IDs do not make labels of their own.
+    route: req.proxyRoute ? req.proxyRoute.path : "unknown",
+    status: String(status),
+  });
+}
+
+/**
+ * Creates the middleware that forwards requests to the backend. /proxy/... is
+ * forwarded to /api/... on the backend.
+ * @param {object} options
+ * @param {string} options.backendUrl - The backend function's URL.
+ * @param {Function|null} options.getAuthorization - Resolves to the
+ * Authorization header for the backend, or null when the backend needs none
+ * (the emulator).
+ * @param {number} [options.timeoutMs] - How long to wait for the backend's
+ * response.
+ * @param {object} options.logger - The Functions logger.
+ * @return {Function} The Express middleware.
+ */
+function createBackendForwarder({
+  backendUrl,
+  getAuthorization,
+  timeoutMs = DEFAULT_BACKEND_TIMEOUT_MS,
+  logger,
+}) {
+  return async (req, res) => {
+    const backendPath = req.originalUrl.replace(/^\/proxy/, "/api");
+    const requestUrl = `${backendUrl}${backendPath}`;
+    const headers = {[REQUEST_ID_HEADER]: req.requestId};
+    for (const name of FORWARDED_REQUEST_HEADERS) {
+      if (req.header(name)) headers[name] = req.header(name);
+    }
+    // The player's ID token, once lib/auth.js has verified it.
+    if (req.idToken) headers[ID_TOKEN_HEADER] = req.idToken;
+
+    const abortController = new AbortController();
+    const timeout = setTimeout(() => abortController.abort(), timeoutMs);
+    let startedAt;
+    try {
+      if (getAuthorization) headers["Authorization"] = await getAuthorization();
+      const fetch = (await import("node-fetch")).default;
+      startedAt = performance.now();
+      const response = await fetch(requestUrl, {
+        method: req.method,
+        headers,
+        body: getRequestBody(req),
+        signal: abortController.signal,
+      });
+      const body = Buffer.from(await response.arrayBuffer());
+
+      for (const name of RELAYED_RESPONSE_HEADERS) {
+        const value = response.headers.get(name);
+        if (value !== null) res.set(name, value);
+      }
+      res.status(response.status).send(body);
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        logger.error(`Backend did not answer within ${timeoutMs} ms`, {
+          requestId: req.requestId,
+          path: req.originalUrl,
+        });
+        sendError(res, ERROR_CODES.BACKEND_TIMEOUT);
+      } else {
+        logger.error("Proxy error:", {
+          requestId: req.requestId,
+          path: req.originalUrl,
+          message: error.message,
+        });
+        sendError(res, ERROR_CODES.PROXY_ERROR);
+      }
+    } finally {
+      clearTimeout(timeout);
+      if (startedAt !== undefined) {
+        const elapsedMs = performance.now() - startedAt;
+        recordRoundTrip(logger, req, res.statusCode, elapsedMs);
+      }
+    }
+  };
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  assignRequestId,
+  createBackendForwarder,
+};
@@ -0,0 +1,248 @@
+// proxy/lib/rateLimiter.js
+
+/**
+ * rateLimiter.js
+ *
+ * Token-bucket rate limits for the proxy. Each client has a bucket per budget.
+ * A request takes one token from it, and tokens flow back at a fixed rate up
+ * to the bucket's capacity. A request that finds the bucket empty is refused
+ * with 429 and a Retry-After of the time until the next token.
+ *
+ * Clients are identified twice, and a request must pass both limits:
+ * - by IP address;
+ * - by App Check token. A token names the app rather than a device, but each
+ *   one is issued to a single app instance and lives about an hour, so the
+ *   token stands in for that instance. Without App Check (APP_CHECK_DEBUG) only
+ *   the IP limit applies.
+ *
+ * Creating a game (a key pair generation and a document write) and submitting
+ * logs (decryption and a full replay) draw on budgets of their own; everything
+ * else shares the default budget.
+ *
+ * Buckets are kept by a bucket store:
+ * - 'memory': in the process; meant for tests and the emulator.
+ * - 'firestore': in the `rateLimits` collection, so all proxy instances share
+ *   them. `expiresAt` is when a bucket would be full again; a Firestore TTL
+ *   policy on it (see firestore.indexes.json) deletes idle buckets.
+ *
+ * RATE_LIMIT_STORE picks the store ('firestore' by default). A store
+ * implements take(key, budget, now), returning { allowed, retryAfterMs }.
+ * Bucket keys are hashes, so neither IP addresses nor tokens are stored.
+ *
+ * It exports:
+ * - BUDGETS, getBudgetName: The budgets, and which one a request draws from.
+ * - takeToken: The token-bucket arithmetic.
+ * - BUCKET_STORES, createBucketStore: The bucket stores.
+ * - createRateLimiter: Express middleware enforcing the limits.
+ */
+
+const crypto = require("crypto");
+const {ERROR_CODES} = require("tictactoe-rules");
+const {sendError} = require("./errors");
+
+// `capacity` tokens at most, and one token back every `refillIntervalMs`.
+const BUDGETS = {
+  "create-game": {capacity: 10, refillIntervalMs: 60 * 1000},
+  // Logs are streamed as one segment per log entry, so a game sends dozens.
+  "submit-log": {capacity: 60, refillIntervalMs: 2 * 1000},
+  // Online games poll every 1.5 seconds on top of their moves.
+  "default": {capacity: 120, refillIntervalMs: 250},
+};
+
+const RATE_LIMIT_COLLECTION = "rateLimits";
+
+// The memory store drops buckets that have refilled once it holds this many.
+const MAX_MEMORY_BUCKETS = 10000;
+
+/**
+ * @param {string} path - The request path, such as /proxy/create-game.
+ * @return {string} The name of the budget the request draws on, a key of
+ * BUDGETS.
+ */
+function getBudgetName(path) {
+  const route = path.replace(/^\/proxy/, "");
+  if (route === "/create-game") return "create-game";
+  if (route === "/submit-log" || /^\/games\/[^/]+\/log-segments$/.test(route)) {
+    return "submit-log";
+  }
+  return "default";
+}
+
+/**
+ * Refills a bucket for the time since it was last used and takes a token from
+ * it.
+ * @param {{tokens: number, updatedAt: number}|undefined} bucket - The bucket,
+ * or undefined for a new (full) one.
+ * @param {{capacity: number, refillIntervalMs: number}} budget - The budget.
+ * @param {number} now - The current time in milliseconds.
+ * @return {{allowed: boolean, retryAfterMs: number, bucket: object}} Whether
+ * there was a token, how long until there is one if not, and the bucket to
+ * store.
+ */
+function takeToken(bucket, budget, now) {
+  const {capacity, refillIntervalMs} = budget;
+  const elapsedMs = bucket ? Math.max(now - bucket.updatedAt, 0) : 0;
+  const tokens = bucket ?
+    Math.min(capacity, bucket.tokens + elapsedMs / refillIntervalMs) :
+    capacity;
+  if (tokens >= 1) {
+    return {
+      allowed: true,
+      retryAfterMs: 0,
+      bucket: {tokens: tokens - 1, updatedAt: now},
+    };
+  }
+  return {
+    allowed: false,
+    retryAfterMs: Math.ceil((1 - tokens) * refillIntervalMs),
+    bucket: {tokens, updatedAt: now},
+  };
+}
+
+/**
+ * @param {{tokens: number, updatedAt: number}} bucket - The bucket.
+ * @param {{capacity: number, refillIntervalMs: number}} budget - The budget.
+ * @return {number} When the bucket will be full again, in milliseconds.
+ */
+function getFullAt(bucket, budget) {
+  const missingTokens = budget.capacity - bucket.tokens;
+  return bucket.updatedAt + missingTokens * budget.refillIntervalMs;
+}
+
+// --- Bucket Stores ---
+
+/**
+ * @return {{take: Function}} A bucket store keeping the buckets in a Map.
+ */
+function createMemoryBucketStore() {
+  const buckets = new Map();
+  return {
+    async take(key, budget, now) {
+      if (buckets.size >= MAX_MEMORY_BUCKETS) {
+        for (const [bucketKey, {fullAt}] of buckets) {
+          if (fullAt <= now) buckets.delete(bucketKey);
+        }
+      }
+      const stored = buckets.get(key);
+      const result = takeToken(stored && stored.bucket, budget, now);
+      buckets.set(key, {
+        bucket: result.bucket,
+        fullAt: getFullAt(result.bucket, budget),
+      });
+      return result;
+    },
+  };
+}
+
+/**
+ * @param {object} db - The Firestore instance.
+ * @return {{take: Function}} A bucket store keeping the buckets in Firestore.
+ */
+function createFirestoreBucketStore(db) {
+  const {Timestamp} = require("firebase-admin/firestore");
+  return {
+    async take(key, budget, now) {
+      const bucketRef = db.collection(RATE_LIMIT_COLLECTION).doc(key);
+      return db.runTransaction(async (transaction) => {
+        const bucketDoc = await transaction.get(bucketRef);
+        const bucket = bucketDoc.exists ? bucketDoc.data() : undefined;
+        const result = takeToken(bucket, budget, now);
+        const fullAt = getFullAt(result.bucket, budget);
+        transaction.set(bucketRef, {
+          ...result.bucket,
+          expiresAt: Timestamp.fromMillis(fullAt),
+        });
+        return result;
+      });
+    },
+  };
+}
+
+const BUCKET_STORES = {
+  memory: () => createMemoryBucketStore(),
+  firestore: (env, db) => createFirestoreBucketStore(db),
+};
+
+/**
+ * Creates the bucket store selected by RATE_LIMIT_STORE.
+ * @param {object} env - The environment (process.env).
+ * @param {object} db - The Firestore instance, for the 'firestore' store.
+ * @return {{take: Function}} The bucket store.
+ */
+function createBucketStore(env, db) {
+  const storeName = env.RATE_LIMIT_STORE || "firestore";
+  const createStore = BUCKET_STORES[storeName];
+  if (!createStore) {
+    const storeNames = Object.keys(BUCKET_STORES).join(", ");
+    throw new Error(
+        `Unknown RATE_LIMIT_STORE "${storeName}"; ` +
+        `expected one of ${storeNames}.`);
+  }
+  return createStore(env, db);
+}
+
+// --- Middleware ---
+
+/**
+ * @param {string} budgetName - The budget the bucket is for.
+ * @param {string} kind - How the client is identified: 'ip' or 'app-check'.
+ * @param {string} identity - The IP address or App Check token.
+ * @return {string} The bucket's key, a hash that does not reveal the identity.
+ */
+function getBucketKey(budgetName, kind, identity) {
+  return crypto.createHash("sha256")
+      .update(`${budgetName}|${kind}|${identity}`)
+      .digest("hex");
+}
+
+/**
+ * Creates the middleware that enforces the limits. It must run after App Check
+ * verification, so only verified tokens get buckets of their own. If the store
+ * fails, requests are let through: the limits protect the backend, and an
+ * outage of the store should not take the game down with it.
+ * @param {{take: Function}} store - The bucket store.
+ * @param {object} logger - The Functions logger.
+ * @return {Function} The Express middleware.
+ */
+function createRateLimiter(store, logger) {
+  return async (req, res, next) => {
+    const budgetName = getBudgetName(req.originalUrl.split("?")[0]);
+    const budget = BUDGETS[budgetName];
+    const identities = [["ip", req.ip]];
+    const appCheckToken = req.header("X-Firebase-AppCheck");
+    if (appCheckToken) identities.push(["app-check", appCheckToken]);
+
+    let results;
+    try {
+      const now = Date.now();
+      results = await Promise.all(identities.map(([kind, identity]) => {
+        const key = getBucketKey(budgetName, kind, identity);
+        return store.take(key, budget, now);
+      }));
+    } catch (error) {
+      logger.error("Rate limit store failed; letting the request through.",
+          error);
+      return next();
+    }
+    const refusals = results.filter((result) => !result.allowed);
+    if (refusals.length === 0) return next();
+
+    const retryAfterMs = Math.max(...refusals.map((r) => r.retryAfterMs));
+    const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+    logger.warn(`Rate limited a ${budgetName} request`, {
+      path: req.originalUrl,
+      retryAfterSeconds,
+    });
+    res.set("Retry-After", String(retryAfterSeconds));
+    sendError(res, ERROR_CODES.RATE_LIMITED, {retryAfter: retryAfterSeconds});
+  };
+}
+
+module.exports = {
+  BUDGETS,
+  getBudgetName,
+  takeToken,
+  BUCKET_STORES,
+  createBucketStore,
+  createRateLimiter,
+};
@@ -0,0 +1,322 @@
+// proxy/lib/routes.js
+
+/**
+ * routes.js
+ *
+ * The backend routes the proxy forwards. Anything not in ROUTES is answered at
+ * the edge, before the proxy asks for an ID token to call the backend:
+ * - 404 ROUTE_NOT_FOUND for an unknown path;
+ * - 405 METHOD_NOT_ALLOWED for a known path with another method (with an
+ *   Allow header);
+ * - 413 PAYLOAD_TOO_LARGE for a body over the route's `maxBodyBytes`;
+ * - 400 INVALID_REQUEST for a body that does not match the route's `bodySchema`
+ *   (see lib/schema.js for the JSON Schema subset it may use).
+ *
+ * The schemas check the shape of a request, not its meaning: the backend still
+ * validates rules, keys and signatures, and owns the lists of variants and
+ * events, which grow with the rule modules.
+ *
+ * It exports:
+ * - ROUTES, matchRoute: The route table, and the route a request is for.
+ * - createRouteValidator: Express middleware enforcing the route table.
+ */
+
+const {
+  ERROR_CODES,
+  MIN_BOARD_SIZE,
+  MAX_BOARD_SIZE,
+  MAX_UNDOS_LIMIT,
+  MAX_ENCRYPTED_LOG_LENGTH,
+} = require("tictactoe-rules");
+const {sendError} = require("./errors");
+const {validate} = require("./schema");
+
+// --- Log Size ---
+// The proxy does not know a game's board, so log submissions are held to the
+// longest log of the largest one (see shared/src/logSize.js); the backend holds
+// them to the game's own.
+
+// The fields of a submission besides the log itself.
+const LOG_SUBMISSION_OVERHEAD_BYTES = 4 * 1024;
+
+// --- Schemas ---
+
+const BASE64_PATTERN = "^[A-Za-z0-9+/]*={0,2}$";
+const GAME_ID_PATTERN = "^[A-Za-z0-9]{1,64}$";
+
+// Players are identified by their account (see lib/auth.js); they only choose
+// a name.
+const PLAYER_SCHEMA = {
+  type: ["object", "null"],
+  properties: {
+    name: {type: "string", maxLength: 100},
+  },
+  additionalProperties: false,
+};
+
+const SEAT_PUBLIC_KEY_SCHEMA = {
+  type: "string",
+  maxLength: 200,
+  pattern: BASE64_PATTERN,
+};
+
+const BOARD_SIZE_SCHEMA = {
+  type: "integer",
+  minimum: MIN_BOARD_SIZE,
+  maximum: MAX_BOARD_SIZE,
+};
+
+const CELL_INDEX_SCHEMA = {
+  type: "integer",
+  minimum: 0,
+  maximum: MAX_BOARD_SIZE - 1,
+};
+
+const RULES_SCHEMA = {
+  type: "object",
+  properties: {
+    rows: BOARD_SIZE_SCHEMA,
+    cols: BOARD_SIZE_SCHEMA,
+    winLength: BOARD_SIZE_SCHEMA,
+    maxUndos: {type: "integer", minimum: 0, maximum: MAX_UNDOS_LIMIT},
+    timeControl: {
+      type: ["object", "null"],
+      properties: {
+        initialMs: {type: "integer", minimum: 0},
+        incrementMs: {type: "integer", minimum: 0},
+      },
+      additionalProperties: false,
+    },
+    variant: {type: "string", pattern: "^[a-z-]{1,32}$"},
+  },
+  additionalProperties: false,
+};
+
+// The encrypted fields of a log or log segment: encryptedKey for RSA-OAEP
+// games, ephemeralPublicKey and salt for ECDH ones.
+const ENCRYPTED_LOG_PROPERTIES = {
+  encryptedLog: {
+    type: "string",
+    minLength: 1,
+    maxLength: MAX_ENCRYPTED_LOG_LENGTH,
+    pattern: BASE64_PATTERN,
+  },
+  iv: {type: "string", minLength: 1, maxLength: 64, pattern: BASE64_PATTERN},
+  encryptedKey: {type: "string", maxLength: 1024, pattern: BASE64_PATTERN},
+  ephemeralPublicKey: {type: "string", maxLength: 200, pattern: BASE64_PATTERN},
+  salt: {type: "string", maxLength: 64, pattern: BASE64_PATTERN},
+};
+
+// --- Route Table ---
+
+// `path` is relative to /proxy (and /api on the backend); `:id` is a game ID.
+// Routes without a body schema take no body. Routes with `auth` need a
+// signed-in player (see lib/auth.js): those that take a seat or act for one.
+const ROUTES = [
+  {
+    method: "POST",
+    path: "/create-game",
+    auth: true,
+    maxBodyBytes: 4 * 1024,
+    bodySchema: {
+      type: "object",
+      properties: {
+        rules: RULES_SCHEMA,
+        mode: {type: "string", enum: ["local", "online", "ai"]},
+        seat: {type: "string", enum: ["X", "O"]},
+        player: PLAYER_SCHEMA,
+        seatPublicKeys: {
+          type: "object",
+          properties: {X: SEAT_PUBLIC_KEY_SCHEMA, O: SEAT_PUBLIC_KEY_SCHEMA},
+          additionalProperties: false,
+        },
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    method: "POST",
+    path: "/games/:id/join",
+    auth: true,
+    maxBodyBytes: 1024,
+    bodySchema: {
+      type: "object",
+      properties: {
+        player: PLAYER_SCHEMA,
+        seatPublicKey: SEAT_PUBLIC_KEY_SCHEMA,
+      },
+      required: ["seatPublicKey"],
+      additionalProperties: false,
+    },
+  },
+  {method: "GET", path: "/games/:id"},
+  {
+    method: "POST",
+    path: "/games/:id/moves",
+    auth: true,
+    maxBodyBytes: 1024,
+    bodySchema: {
+      type: "object",
+      properties: {
+        move: {
+          type: "object",
+          properties: {
+            rowIndex: CELL_INDEX_SCHEMA,
+            colIndex: CELL_INDEX_SCHEMA,
+            symbol: {type: "string", maxLength: 8},
+          },
+          required: ["rowIndex", "colIndex"],
+          additionalProperties: false,
+        },
+        signature: {type: "string", maxLength: 200, pattern: BASE64_PATTERN},
+      },
+      required: ["move"],
+      additionalProperties: false,
+    },
+  },
+  {
+    method: "POST",
+    path: "/games/:id/events",
+    auth: true,
+    maxBodyBytes: 256,
+    bodySchema: {
+      type: "object",
+      properties: {
+        event: {type: "string", pattern: "^[A-Z_]{1,32}$"},
+        signature: {type: "string", maxLength: 200, pattern: BASE64_PATTERN},
+      },
+      required: ["event"],
+      additionalProperties: false,
+    },
+  },
+  {
+    method: "POST",
+    path: "/submit-log",
+    auth: true,
+    maxBodyBytes: MAX_ENCRYPTED_LOG_LENGTH + LOG_SUBMISSION_OVERHEAD_BYTES,
+    bodySchema: {
+      type: "object",
+      properties: {
+        gameId: {type: "string", pattern: GAME_ID_PATTERN},
+        ...ENCRYPTED_LOG_PROPERTIES,
+        logHeadHash: {type: "string", pattern: "^[0-9a-f]{64}$"},
+      },
+      required: ["gameId", "encryptedLog", "iv"],
+      additionalProperties: false,
+    },
+  },
+  {
+    method: "POST",
+    path: "/games/:id/log-segments",
+    auth: true,
+    maxBodyBytes: MAX_ENCRYPTED_LOG_LENGTH + LOG_SUBMISSION_OVERHEAD_BYTES,
+    bodySchema: {
+      type: "object",
+      properties: {
+        fromSequence: {type: "integer", minimum: 0},
+        ...ENCRYPTED_LOG_PROPERTIES,
+      },
+      required: ["fromSequence", "encryptedLog", "iv"],
+      additionalProperties: false,
+    },
+  },
+  {method: "GET", path: "/receipt-key"},
+  {
+    method: "POST",
+    path: "/receipts/verify",
+    maxBodyBytes: 4 * 1024,
+    // The receipt's fields are signed, so the backend checks them.
+    bodySchema: {
+      type: "object",
+      properties: {receipt: {type: "object"}},
+      required: ["receipt"],
+      additionalProperties: false,
+    },
+  },
+  {method: "GET", path: "/games"},
+  {method: "GET", path: "/games/:id/log"},
+  {method: "GET", path: "/leaderboard"},
+];
+
+const GAME_ID_SOURCE = GAME_ID_PATTERN.slice(1, -1);
+const ROUTE_PATTERNS = ROUTES.map((route) => ({
+  route,
+  pattern: new RegExp(`^${route.path.replace(":id", GAME_ID_SOURCE)}$`),
+}));
+
+/**
+ * @param {string} method - The request method.
+ * @param {string} path - The path relative to /proxy, without the query
+ * string.
+ * @return {{route: ?object, allowedMethods: Array<string>}} The matching
+ * route (null if there is none), and the methods the path allows.
+ */
+function matchRoute(method, path) {
+  const matches = ROUTE_PATTERNS
+      .filter(({pattern}) => pattern.test(path))
+      .map(({route}) => route);
+  // GET routes answer HEAD requests as well, as Express does.
+  const route = matches.find((match) => match.method === method ||
+      (method === "HEAD" && match.method === "GET"));
+  return {
+    route: route || null,
+    allowedMethods: matches.map((match) => match.method),
+  };
+}
+
+// --- Middleware ---
+
+/**
+ * @param {object} req - The Express request.
+ * @return {number} The size of its body in bytes.
+ */
+function getBodyBytes(req) {
+  // Cloud Functions keeps the unparsed body next to the parsed one.
+  if (req.rawBody) return req.rawBody.length;
+  return Number(req.header("Content-Length")) || 0;
+}
+
+/**
+ * Creates the middleware that answers requests outside the route table, and
+ * gives the others their route as req.proxyRoute. The errors are those of the
+ * shared error catalogue (shared/src/errors.js).
+ * @param {object} logger - The Functions logger.
+ * @return {Function} The Express middleware.
+ */
+function createRouteValidator(logger) {
+  return (req, res, next) => {
+    const path = req.originalUrl.split("?")[0].replace(/^\/proxy/, "");
+    const {route, allowedMethods} = matchRoute(req.method, path);
+    if (!route && allowedMethods.length === 0) {
+      return sendError(res, ERROR_CODES.ROUTE_NOT_FOUND);
+    }
+    if (!route) {
+      res.set("Allow", allowedMethods.join(", "));
+      return sendError(res, ERROR_CODES.METHOD_NOT_ALLOWED, {},
+          `This route only allows ${allowedMethods.join(", ")}.`);
+    }
+
+    const bodyBytes = getBodyBytes(req);
+    const maxBodyBytes = route.maxBodyBytes || 0;
+    if (bodyBytes > maxBodyBytes) {
+      logger.warn(
+          `Refused a ${bodyBytes} byte body for ${route.method} ${route.path}`);
+      return sendError(res, ERROR_CODES.PAYLOAD_TOO_LARGE, {maxBodyBytes});
+    }
+    if (route.bodySchema) {
+      const body = req.body === undefined ? {} : req.body;
+      const schemaError = validate(route.bodySchema, body);
+      if (schemaError) {
+        return sendError(res, ERROR_CODES.INVALID_REQUEST, {}, schemaError);
+      }
+    }
+    req.proxyRoute = route;
+    next();
+  };
+}
+
+module.exports = {
+  ROUTES,
+  matchRoute,
+  createRouteValidator,
+};
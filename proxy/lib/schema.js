@@ -0,0 +1,130 @@
+// proxy/lib/schema.js
+
+/**
+ * schema.js
+ *
+ * A validator for the subset of JSON Schema the proxy's route table uses:
+ * - type: 'object', 'array', 'string', 'integer', 'number', 'boolean' or
+ *   'null', or an array of them;
+ * - object: properties, required, additionalProperties (false, or a schema);
+ * - array: items, maxItems;
+ * - string: minLength, maxLength, pattern;
+ * - number: minimum, maximum;
+ * - enum.
+ * Other keywords are not supported and throw, so a schema cannot silently check
+ * less than it says.
+ *
+ * It exports:
+ * - validate: Checks a value against a schema.
+ */
+
+const SUPPORTED_KEYWORDS = new Set([
+  "type", "properties", "required", "additionalProperties", "items", "maxItems",
+  "minLength", "maxLength", "pattern", "minimum", "maximum", "enum",
+]);
+
+/**
+ * @param {*} value - A JSON value.
+ * @return {string} Its JSON Schema type; 'integer' for whole numbers.
+ */
+function getType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * @param {*} value - A JSON value.
+ * @param {string} type - A JSON Schema type.
+ * @return {boolean} Whether the value is of the type.
+ */
+function hasType(value, type) {
+  const valueType = getType(value);
+  return valueType === type || (type === "number" && valueType === "integer");
+}
+
+/**
+ * Checks a value against a schema.
+ * @param {object} schema - The schema.
+ * @param {*} value - The value, such as a parsed request body.
+ * @param {string} [path='body'] - The name of the value, used in the error.
+ * @return {string|null} A description of the first problem found, or null if
+ * the value is valid.
+ */
+function validate(schema, value, path = "body") {
+  const unsupported = Object.keys(schema)
+      .find((keyword) => !SUPPORTED_KEYWORDS.has(keyword));
+  if (unsupported) {
+    throw new Error(`Unsupported schema keyword "${unsupported}" at ${path}.`);
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => hasType(value, type))) {
+      return `${path} must be of type ${types.join(" or ")}.`;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of ${schema.enum.join(", ")}.`;
+  }
+
+  if (getType(value) === "object") {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) return `${path}.${name} is required.`;
+    }
+    const properties = schema.properties || {};
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+      const propertySchema = Object.hasOwn(properties, name) ?
+        properties[name] :
+        schema.additionalProperties;
+      if (propertySchema === false) return `${path}.${name} is not allowed.`;
+      if (propertySchema) {
+        const propertyPath = `${path}.${name}`;
+        const error = validate(propertySchema, propertyValue, propertyPath);
+        if (error) return error;
+      }
+    }
+  }
+
+  if (getType(value) === "array") {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return `${path} must have at most ${schema.maxItems} items.`;
+    }
+    if (schema.items) {
+      for (let index = 0; index < value.length; index++) {
+        const itemPath = `${path}[${index}]`;
+        const error = validate(schema.items, value[index], itemPath);
+        if (error) return error;
+      }
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return `${path} must be at least ${schema.minLength} characters long.`;
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return `${path} must be at most ${schema.maxLength} characters long.`;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return `${path} is malformed.`;
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return `${path} must be at least ${schema.minimum}.`;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return `${path} must be at most ${schema.maximum}.`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  validate,
+};
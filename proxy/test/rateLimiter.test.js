@@ -0,0 +1,162 @@
+// proxy/test/rateLimiter.test.js
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {ERROR_CODES} = require("tictactoe-rules");
+const {
+  BUDGETS,
+  BUCKET_STORES,
+  takeToken,
+  createRateLimiter,
+} = require("../lib/rateLimiter.js");
+
+const BUDGET = {capacity: 3, refillIntervalMs: 1000};
+const CREATE_GAME_BUDGET = BUDGETS["create-game"];
+
+const silentLogger = {info() {}, warn() {}, error() {}};
+
+/**
+ * Takes `count` tokens from one bucket at the same time.
+ * @param {{take: Function}} store - The bucket store.
+ * @param {number} count - How many tokens to take.
+ * @param {number} now - The time they are taken at.
+ * @return {Promise<Array<boolean>>} Whether each one was allowed.
+ */
+async function takeMany(store, count, now) {
+  const allowed = [];
+  for (let index = 0; index < count; index++) {
+    allowed.push((await store.take("key", BUDGET, now)).allowed);
+  }
+  return allowed;
+}
+
+/**
+ * Sends a create-game request through the middleware.
+ * @param {Function} limiter - The rate limiter middleware.
+ * @param {{ip: string, appCheckToken: (string|undefined)}} client - Who sends
+ * it.
+ * @return {Promise<object>} Whether it was let through, and the response.
+ */
+async function send(limiter, {ip, appCheckToken}) {
+  const req = {
+    originalUrl: "/proxy/create-game",
+    ip,
+    header: (name) =>
+      name === "X-Firebase-AppCheck" ? appCheckToken : undefined,
+  };
+  const response = {passed: false, status: null, body: null, headers: {}};
+  const res = {
+    set(name, value) {
+      response.headers[name] = value;
+      return this;
+    },
+    status(status) {
+      response.status = status;
+      return this;
+    },
+    json(body) {
+      response.body = body;
+      return this;
+    },
+  };
+  await limiter(req, res, () => {
+    response.passed = true;
+  });
+  return response;
+}
+
+/**
+ * Sends a budget's worth of requests, which must all be let through.
+ * @param {Function} limiter - The rate limiter middleware.
+ * @param {object} client - Who sends them.
+ */
+async function useUpBudget(limiter, client) {
+  for (let index = 0; index < CREATE_GAME_BUDGET.capacity; index++) {
+    assert.ok((await send(limiter, client)).passed, `request ${index}`);
+  }
+}
+
+describe("takeToken", () => {
+  it("starts a new bucket full", () => {
+    const result = takeToken(undefined, BUDGET, 0);
+    assert.ok(result.allowed);
+    assert.deepEqual(result.bucket, {tokens: 2, updatedAt: 0});
+  });
+
+  it("refills one token per interval, up to the capacity", () => {
+    const empty = {tokens: 0, updatedAt: 0};
+    assert.ok(!takeToken(empty, BUDGET, 999).allowed);
+    assert.ok(takeToken(empty, BUDGET, 1000).allowed);
+    const idle = takeToken(empty, BUDGET, 60 * 1000);
+    assert.equal(idle.bucket.tokens, BUDGET.capacity - 1);
+  });
+
+  it("tells a refused request how long until the next token", () => {
+    const result = takeToken({tokens: 0.25, updatedAt: 0}, BUDGET, 0);
+    assert.ok(!result.allowed);
+    assert.equal(result.retryAfterMs, 750);
+  });
+});
+
+describe("memory bucket store", () => {
+  it("allows a burst of the capacity, then refuses", async () => {
+    const store = BUCKET_STORES.memory();
+    assert.deepEqual(await takeMany(store, 4, 0), [true, true, true, false]);
+  });
+
+  it("allows requests again as tokens refill", async () => {
+    const store = BUCKET_STORES.memory();
+    await takeMany(store, 3, 0);
+    assert.deepEqual(await takeMany(store, 2, 1000), [true, false]);
+    assert.deepEqual(await takeMany(store, 3, 4000), [true, true, true]);
+  });
+
+  it("keeps separate buckets per key", async () => {
+    const store = BUCKET_STORES.memory();
+    await takeMany(store, 3, 0);
+    assert.ok((await store.take("other-key", BUDGET, 0)).allowed);
+  });
+});
+
+describe("createRateLimiter", () => {
+  it("refuses an IP address over its budget with 429", async () => {
+    const limiter = createRateLimiter(BUCKET_STORES.memory(), silentLogger);
+    const client = {ip: "203.0.113.1"};
+    await useUpBudget(limiter, client);
+
+    const refused = await send(limiter, client);
+    assert.ok(!refused.passed);
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.code, ERROR_CODES.RATE_LIMITED);
+    const retryAfter = Math.ceil(CREATE_GAME_BUDGET.refillIntervalMs / 1000);
+    assert.equal(refused.headers["Retry-After"], String(retryAfter));
+    assert.ok((await send(limiter, {ip: "203.0.113.2"})).passed);
+  });
+
+  it("limits each App Check token on its own", async () => {
+    const limiter = createRateLimiter(BUCKET_STORES.memory(), silentLogger);
+    await useUpBudget(limiter, {ip: "203.0.113.1", appCheckToken: "token-a"});
+
+    // Another address does not reset the token's bucket...
+    const sameToken = {ip: "203.0.113.2", appCheckToken: "token-a"};
+    assert.ok(!(await send(limiter, sameToken)).passed);
+    // ...and another token does not reset the address's.
+    const sameAddress = {ip: "203.0.113.1", appCheckToken: "token-b"};
+    assert.ok(!(await send(limiter, sameAddress)).passed);
+    const otherClient = {ip: "203.0.113.3", appCheckToken: "token-b"};
+    assert.ok((await send(limiter, otherClient)).passed);
+  });
+
+  it("lets requests through when the store fails", async () => {
+    const failingStore = {
+      async take() {
+        throw new Error("Firestore is unavailable");
+      },
+    };
+    const limiter = createRateLimiter(failingStore, silentLogger);
+    const client = {ip: "203.0.113.1", appCheckToken: "token-a"};
+    for (let index = 0; index <= CREATE_GAME_BUDGET.capacity; index++) {
+      assert.ok((await send(limiter, client)).passed);
+    }
+  });
+});
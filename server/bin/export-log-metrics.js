@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// server/bin/export-log-metrics.js
+
+/**
+ * export-log-metrics.js
+ *
+ * Exports the log-based metric definitions that chart the API's and the proxy's
+ * structured metrics (see lib/metrics.js) in Cloud Monitoring.
+ *
+ *   node bin/export-log-metrics.js [--out <dir>] [--prefix <prefix>]
+ *
+ * Without --out the definitions are printed as a JSON array. With --out each
+ * one is written to <dir>/<metric>.json, and the commands creating them are
+ * printed:
+ *
+ *   gcloud logging metrics create tictactoe/games_created \
+ *     --config-from-file=<dir>/games_created.json
+ *
+ * An existing metric is changed with `gcloud logging metrics update` and the
+ * same file. --prefix (default "tictactoe") comes before every metric's name.
+ *
+ * Exit codes: 0 if the definitions were exported, 2 if they could not be.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {parseArgs} = require("util");
+const metrics = require("../lib/metrics.js");
+
+const USAGE = "Usage: export-log-metrics [--out <dir>] [--prefix <prefix>]";
+
+/**
+ * @param {Array<string>} argv - The command-line arguments.
+ * @return {number} The exit code.
+ */
+function main(argv) {
+  const {values} = parseArgs({
+    args: argv,
+    options: {
+      "out": {type: "string"},
+      "prefix": {type: "string", default: "tictactoe"},
+      "help": {type: "boolean", short: "h", default: false},
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const definitions = metrics.getLogMetricDefinitions(values.prefix);
+  if (!values.out) {
+    console.log(JSON.stringify(definitions, null, 2));
+    return 0;
+  }
+
+  fs.mkdirSync(values.out, {recursive: true});
+  for (const definition of definitions) {
+    const fileName = `${path.basename(definition.name)}.json`;
+    const filePath = path.join(values.out, fileName);
+    fs.writeFileSync(filePath, `${JSON.stringify(definition, null, 2)}\n`);
+    console.log(`gcloud logging metrics create ${definition.name} ` +
+        `--config-from-file=${filePath}`);
+  }
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  console.error(USAGE);
+  process.exitCode = 2;
+}
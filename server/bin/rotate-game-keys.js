@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+// server/bin/rotate-game-keys.js
+
+/**
+ * rotate-game-keys.js
+ *
+ * Brings every stored game key under the active master key, so an old master
+ * key can be retired without breaking games still in progress:
+ *
+ * - Sealed keys wrapped by another master key are re-wrapped by the active one.
+ * - Plaintext keys of games created before keys were sealed are sealed, or
+ *   destroyed if the game already has a verified result. Their TTL counts from
+ *   the game's creation.
+ *
+ *   node bin/rotate-game-keys.js [--dry-run]
+ *
+ * It reads the key provider configuration (GAME_KEY_PROVIDER, GAME_MASTER_KEYS
+ * or GAME_MASTER_KEYS_FILE) and Firestore credentials from the environment. The
+ * key set must still contain every master key that wrapped a stored key.
+ *
+ * Exit codes: 0 if every key is under the active master key, 1 if some could
+ * not be rotated, 2 if the configuration is invalid.
+ */
+
+const {parseArgs} = require("util");
+const admin = require("firebase-admin");
+const {
+  getFirestore,
+  FieldValue,
+  Timestamp,
+} = require("firebase-admin/firestore");
+const keystore = require("../lib/keystore.js");
+
+const USAGE = "Usage: rotate-game-keys [--dry-run]";
+
+/**
+ * Rotates one game's key inside a transaction, so a submission that destroys
+ * the key at the same time is not undone.
+ * @param {object} db - The Firestore instance.
+ * @param {object} provider - The key provider (see lib/keystore.js).
+ * @param {object} gameRef - The game document.
+ * @param {boolean} isDryRun - True to only report what would be done.
+ * @return {Promise<string>} What was done: 'rewrapped', 'sealed', 'destroyed'
+ * or 'unchanged'.
+ */
+async function rotateGameKey(db, provider, gameRef, isDryRun) {
+  return db.runTransaction(async (transaction) => {
+    const gameDoc = await transaction.get(gameRef);
+    const gameData = gameDoc.data();
+    if (!gameData) return "unchanged";
+
+    if (gameData.sealedPrivateKey) {
+      if (gameData.sealedPrivateKey.keyId === provider.activeKeyId) {
+        return "unchanged";
+      }
+      const sealedPrivateKey = await keystore.rewrapPrivateKey(
+          provider, gameRef.id, gameData.sealedPrivateKey);
+      if (!isDryRun) transaction.update(gameRef, {sealedPrivateKey});
+      return "rewrapped";
+    }
+
+    if (!gameData.privateKeyPem) return "unchanged";
+    if (gameData.result) {
+      if (!isDryRun) {
+        transaction.update(gameRef, {
+          privateKeyPem: FieldValue.delete(),
+          keyDestroyedAt: FieldValue.serverTimestamp(),
+        });
+      }
+      return "destroyed";
+    }
+    const sealedPrivateKey = await keystore.sealPrivateKey(
+        provider, gameRef.id, gameData.privateKeyPem);
+    const createdAtMillis = gameData.createdAt ?
+      gameData.createdAt.toMillis() :
+      Date.now();
+    const expiresAtMillis = createdAtMillis + keystore.GAME_KEY_TTL_MS;
+    if (!isDryRun) {
+      transaction.update(gameRef, {
+        sealedPrivateKey,
+        privateKeyPem: FieldValue.delete(),
+        keyExpiresAt: Timestamp.fromMillis(expiresAtMillis),
+      });
+    }
+    return "sealed";
+  });
+}
+
+/**
+ * @param {Array<string>} argv - The command-line arguments.
+ * @return {Promise<number>} The exit code.
+ */
+async function main(argv) {
+  const {values} = parseArgs({
+    args: argv,
+    options: {
+      "dry-run": {type: "boolean", default: false},
+      "help": {type: "boolean", short: "h", default: false},
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let provider;
+  try {
+    provider = keystore.createKeyProvider(process.env);
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  admin.initializeApp();
+  const db = getFirestore();
+  const games = db.collection("games");
+  // Only the IDs are needed; each game is re-read in its own transaction.
+  const [sealedSnapshot, legacySnapshot] = await Promise.all([
+    games.where("sealedPrivateKey.keyId", "!=", provider.activeKeyId)
+        .select().get(),
+    games.where("privateKeyPem", ">", "").select().get(),
+  ]);
+
+  const counts = {
+    rewrapped: 0,
+    sealed: 0,
+    destroyed: 0,
+    unchanged: 0,
+    failed: 0,
+  };
+  const gameDocs = [...sealedSnapshot.docs, ...legacySnapshot.docs];
+  const gameRefs = new Map(gameDocs.map((doc) => [doc.id, doc.ref]));
+  for (const [gameId, gameRef] of gameRefs) {
+    try {
+      counts[await rotateGameKey(db, provider, gameRef, values["dry-run"])]++;
+    } catch (error) {
+      counts.failed++;
+      console.error(`Game ${gameId}: ${error.message}`);
+    }
+  }
+
+  const prefix = values["dry-run"] ? "Dry run, would have " : "";
+  console.log(`${prefix}re-wrapped ${counts.rewrapped}, ` +
+      `sealed ${counts.sealed} and destroyed ${counts.destroyed} game keys ` +
+      `under master key "${provider.activeKeyId}"; ${counts.failed} failed.`);
+  return counts.failed === 0 ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+}, (error) => {
+  console.error(error.message);
+  process.exitCode = 2;
+});
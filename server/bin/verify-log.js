@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+// server/bin/verify-log.js
+
+/**
+ * verify-log.js
+ *
+ * Verifies a game log offline, with the same checks the API runs on submission.
+ * Support staff use it to audit disputed games.
+ *
+ *   node bin/verify-log.js <log.json> [--game <game.json>]
+ *                          [--key <private-key.pem>] [--submitted-at <time>]
+ *                          [--json]
+ *
+ * <log.json> is either the plaintext log (a JSON array of entries) or the
+ * encrypted submission ({ encryptedLog, iv, ephemeralPublicKey, salt }, or {
+ * encryptedLog, iv, encryptedKey } for games with RSA keys). An encrypted log
+ * needs the game's private key, from --key or from the game file: its
+ * `sealedPrivateKey` is opened with the master keys configured as for the API
+ * (see lib/keystore.js), and games created before keys were sealed carry
+ * `privateKeyPem`.
+ *
+ * --game is the game document exported as JSON (gameId, playerX_Id, playerO_Id,
+ * rules, aiSeat, seats, fsmState, eventCount, createdAt); move signatures are
+ * checked against the seats' public keys. Without it the players and rules are
+ * taken from the log's own first entry, which proves the log is consistent but
+ * not that it belongs to the game it claims.
+ *
+ * Exit codes: 0 if the log verified, 1 if a check failed, 2 if the input could
+ * not be read.
+ */
+
+const fs = require("fs");
+const {parseArgs} = require("util");
+const fsm = require("tictactoe-rules");
+const verifier = require("../lib/verifier.js");
+const keystore = require("../lib/keystore.js");
+
+const USAGE = "Usage: verify-log <log.json> [--game <game.json>] " +
+  "[--key <private-key.pem>] [--submitted-at <time>] [--json]";
+
+/**
+ * Input that cannot be read or used; reported without a stack trace.
+ */
+class InputError extends Error {}
+
+/**
+ * @param {string} filePath - The file to read.
+ * @param {string} description - What the file is, for the error message.
+ * @return {*} The file's parsed JSON.
+ */
+function readJsonFile(filePath, description) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new InputError(
+        `Could not read ${description} ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Converts the timestamp formats a game document export may contain to
+ * milliseconds: a number, a date string, or a Firestore timestamp ({ seconds }
+ * or { _seconds }).
+ * @param {*} value - The timestamp.
+ * @return {number|null} Milliseconds since the epoch, or null if there is no
+ * timestamp.
+ */
+function toMillis(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "number") return value;
+  if (typeof value === "string") {
+    const millis = Date.parse(value);
+    if (Number.isNaN(millis)) throw new InputError(`Invalid time: ${value}`);
+    return millis;
+  }
+  const seconds = value.seconds !== undefined ? value.seconds : value._seconds;
+  const nanoseconds = value.nanoseconds !== undefined ?
+    value.nanoseconds :
+    (value._nanoseconds || 0);
+  if (typeof seconds !== "number") {
+    throw new InputError(`Invalid time: ${JSON.stringify(value)}`);
+  }
+  return seconds * 1000 + Math.floor(nanoseconds / 1e6);
+}
+
+/**
+ * Finds the private key for an encrypted log: the --key file, or the key stored
+ * in the game file.
+ * @param {string|undefined} keyFile - The --key file.
+ * @param {object|null} gameFile - The --game document.
+ * @return {Promise<string|undefined>} The private key, if there is one.
+ */
+async function loadPrivateKey(keyFile, gameFile) {
+  if (keyFile) return fs.readFileSync(keyFile, "utf8");
+  if (!gameFile) return undefined;
+  if (!gameFile.sealedPrivateKey) return gameFile.privateKeyPem;
+  if (!gameFile.gameId) {
+    throw new InputError("The game file must contain its gameId " +
+        "to open its sealed private key.");
+  }
+  try {
+    const provider = keystore.createKeyProvider(process.env);
+    return await keystore.openPrivateKey(
+        provider, gameFile.gameId, gameFile.sealedPrivateKey);
+  } catch (error) {
+    throw new InputError(
+        `Could not open the game's sealed private key: ${error.message}`);
+  }
+}
+
+/**
+ * Reads the log file, decrypting it if it is an encrypted submission.
+ * @param {string} logFile - The log file.
+ * @param {string|undefined} privateKeyPem - The game's private key.
+ * @return {Array<object>} The log entries.
+ */
+function loadGameLog(logFile, privateKeyPem) {
+  const contents = readJsonFile(logFile, "log file");
+  if (Array.isArray(contents)) return contents;
+
+  if (!contents || !verifier.getSubmissionKeyScheme(contents)) {
+    throw new InputError(`${logFile} is neither a log (an array of entries) ` +
+        "nor an encrypted submission.");
+  }
+  if (!privateKeyPem) {
+    throw new InputError("The log is encrypted: pass the game's private key " +
+        "with --key, or a game file that contains it.");
+  }
+  try {
+    return verifier.decryptLog(contents, privateKeyPem);
+  } catch (error) {
+    throw new InputError(`Could not decrypt the log: ${error.message}`);
+  }
+}
+
+/**
+ * Builds the game settings to verify against, from the game file if there is
+ * one and from the log's first entry otherwise.
+ * @param {object|null} gameDocument - The --game document.
+ * @param {Array<object>} gameLog - The log entries.
+ * @return {{game: object, isTrusted: boolean}} The game, and whether it comes
+ * from the game document rather than the log.
+ */
+function loadGame(gameDocument, gameLog) {
+  if (gameDocument) {
+    return {game: gameDocument, isTrusted: true};
+  }
+  const firstEventData = (gameLog[0] && gameLog[0].eventData) || {};
+  return {
+    game: {
+      playerX_Id: firstEventData.playerX,
+      playerO_Id: firstEventData.playerO,
+      rules: firstEventData.rules,
+    },
+    isTrusted: false,
+  };
+}
+
+/**
+ * @param {*} value - An expected or found value of a finding.
+ * @return {string} The value as printed.
+ */
+function formatValue(value) {
+  return value === undefined ? "(missing)" : JSON.stringify(value);
+}
+
+/**
+ * Prints the report for a person to read.
+ * @param {object} report - The verifier's report.
+ * @param {object} game - The game the log was verified against.
+ * @param {boolean} isTrusted - Whether the game comes from a game document.
+ */
+function printReport(report, game, isTrusted) {
+  const rules = fsm.normalizeRules(game.rules);
+  const gameSource = isTrusted ?
+    "" :
+    " (players and rules taken from the log itself)";
+  const lines = [
+    `Game:     ${game.gameId || "(unknown)"}${gameSource}`,
+    `Players:  X ${game.playerX_Id}, O ${game.playerO_Id}`,
+    `Rules:    ${rules.variant} ${rules.rows}x${rules.cols}, ` +
+      `${rules.winLength} in a row, version ${fsm.RULES_VERSION}`,
+    `Entries:  ${report.entryCount}`,
+  ];
+  if (report.valid) {
+    const {winner, reason} = report.outcome;
+    const outcome = winner ? `${winner} wins` : "draw";
+    lines.push(`Result:   VERIFIED`);
+    lines.push(`Outcome:  ${outcome} (${reason}), ` +
+        `final state ${report.finalState}`);
+  } else {
+    const {check, sequence, message, expected, found} = report.finding;
+    lines.push(`Result:   FAILED`);
+    lines.push(`Check:    ${check}`);
+    lines.push(`Sequence: ${sequence === null ? "(whole log)" : sequence}`);
+    lines.push(`Message:  ${message}`);
+    lines.push(`Expected: ${formatValue(expected)}`);
+    lines.push(`Found:    ${formatValue(found)}`);
+  }
+  console.log(lines.join("\n"));
+}
+
+/**
+ * @param {Array<string>} argv - The command-line arguments.
+ * @return {Promise<number>} The exit code.
+ */
+async function main(argv) {
+  const {values, positionals} = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      "game": {type: "string"},
+      "key": {type: "string"},
+      "submitted-at": {type: "string"},
+      "json": {type: "boolean", default: false},
+      "help": {type: "boolean", short: "h", default: false},
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (positionals.length !== 1) {
+    throw new InputError(USAGE);
+  }
+
+  const gameFile = values.game ? readJsonFile(values.game, "game file") : null;
+  const isGameObject = typeof gameFile === "object" && gameFile !== null &&
+    !Array.isArray(gameFile);
+  if (values.game && !isGameObject) {
+    throw new InputError(
+        `${values.game} is not a game document (a JSON object).`);
+  }
+  const privateKeyPem = await loadPrivateKey(values.key, gameFile);
+  const gameLog = loadGameLog(positionals[0], privateKeyPem);
+  const {game, isTrusted} = loadGame(gameFile, gameLog);
+  try {
+    fsm.normalizeRules(game.rules);
+  } catch (error) {
+    throw new InputError(`The game's rules are invalid: ${error.message}`);
+  }
+
+  let aiPlayerId = null;
+  if (game.aiSeat) {
+    aiPlayerId = game.aiSeat === "X" ? game.playerX_Id : game.playerO_Id;
+  }
+  const report = verifier.verifyGameLog(gameLog, game, {
+    gameId: game.gameId,
+    aiPlayerId,
+    notBefore: toMillis(game.createdAt),
+    notAfter: toMillis(values["submitted-at"]),
+  });
+
+  if (values.json) {
+    const summary = {...report};
+    delete summary.finalGameState;
+    console.log(JSON.stringify({
+      ...summary,
+      trustedGame: isTrusted,
+      rulesVersion: fsm.RULES_VERSION,
+      logHeadHash: verifier.getLogHeadHash(gameLog),
+    }, null, 2));
+  } else {
+    printReport(report, game, isTrusted);
+  }
+  return report.valid ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+}, (error) => {
+  // Whatever the input, it is reported rather than crashing with a stack trace:
+  // a log the checks reject is a finding (exit 1), anything else is unreadable
+  // input.
+  const isExpected = error instanceof InputError ||
+    error.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION" || error.code === "ENOENT";
+  console.error(isExpected ?
+    error.message :
+    `Could not verify the log: ${error.message}`);
+  process.exitCode = 2;
+});
@@ -1,162 +1,497 @@
 // server/index.js
 
-//require('dotenv').config();
-const path = require('path');
-if (process.env.FUNCTIONS_EMULATOR === 'true') {
-    console.log('Emulator detected: Load .env.local file');
-    require('dotenv').config({ path: path.resolve(__dirname, '.env.local') });
+// require('dotenv').config();
+const path = require("path");
+if (process.env.FUNCTIONS_EMULATOR === "true") {
+  console.log("Emulator detected: Load .env.local file");
+  require("dotenv").config({path: path.resolve(__dirname, ".env.local")});
 }
 
 // Use the v2 onRequest function for HTTP triggers
-const { onRequest } = require("firebase-functions/v2/https");
+const {onRequest} = require("firebase-functions/v2/https");
+const {onSchedule} = require("firebase-functions/v2/scheduler");
 const logger = require("firebase-functions/logger");
 
-// --- ADD THIS LINE ---
-// This makes the functions.config() object available
-const functions = require("firebase-functions");
-// -------------------
-
 // Import necessary modules
-const admin = require('firebase-admin');
-const express = require('express');
-const crypto = require('crypto');
-const cors = require('cors');
-const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const admin = require("firebase-admin");
+const express = require("express");
+const crypto = require("crypto");
+const cors = require("cors");
+const {
+  getFirestore,
+  FieldValue,
+  Timestamp,
+} = require("firebase-admin/firestore");
 
 // --- Import the FSM logic ---
-const fsm = require('./fsm.js');
+const fsm = require("tictactoe-rules");
+const verifier = require("./lib/verifier.js");
+const ratings = require("./lib/ratings.js");
+const keystore = require("./lib/keystore.js");
+const receipts = require("./lib/receipts.js");
+const lifecycle = require("./lib/lifecycle.js");
+const metrics = require("./lib/metrics.js");
+
+const {ApiError, ERROR_CODES} = fsm;
 
 // Initialize the Firebase Admin SDK.
 admin.initializeApp();
 const db = getFirestore();
 
-// --- Hashing Helper Functions (Server-Side) ---
-function getCanonicalString(obj) {
-    if (obj === null || typeof obj !== 'object') {
-        return JSON.stringify(obj);
-    }
-    if (Array.isArray(obj)) {
-        return `[${obj.map(item => getCanonicalString(item)).join(',')}]`;
-    }
-    const sortedKeys = Object.keys(obj).sort();
-    const keyValuePairs = sortedKeys.map(key => {
-        const value = getCanonicalString(obj[key]);
-        return `${JSON.stringify(key)}:${value}`;
-    });
-    return `{${keyValuePairs.join(',')}}`;
+// --- Error Responses ---
+
+/**
+ * Builds an error response from the error catalogue shared with the client (see
+ * shared/src/errors.js): `{ code, error, ...details }` with the code's status.
+ * @param {string} code - One of ERROR_CODES.
+ * @param {object} [details] - Details sent along with the error.
+ * @param {string} [message] - A more specific message than the catalogue's.
+ * @return {[number, object]} The status code and body to respond with.
+ */
+function getErrorResponse(code, details, message) {
+  const apiError = new ApiError(code, details, message);
+  return [apiError.status, apiError.toJSON()];
 }
 
-function getObjectToHash(logEntry) {
-    const { currentEntryChainHash, ...entryToHash } = logEntry;
-    return entryToHash;
+/**
+ * Sends an error response (see getErrorResponse).
+ * @param {object} res - The Express response.
+ * @param {string} code - One of ERROR_CODES.
+ * @param {object} [details] - Details sent along with the error.
+ * @param {string} [message] - A more specific message than the catalogue's.
+ * @return {object} The response.
+ */
+function sendError(res, code, details, message) {
+  const [status, body] = getErrorResponse(code, details, message);
+  return res.status(status).json(body);
 }
 
-function calculateEntryHash(logEntry) {
-    const objectToHash = getObjectToHash(logEntry);
-    const canonicalString = getCanonicalString(objectToHash);
-    return crypto.createHash('sha256').update(canonicalString).digest('hex');
+// --- Metrics ---
+// Measurements are written as structured log entries (see lib/metrics.js) that
+// carry the request's ID and, where there is one, the game's.
+
+/**
+ * @param {object} req - The Express request.
+ * @param {string} [gameId] - The game the request is about, if any.
+ * @return {object} The fields that identify a measurement of the request.
+ */
+function getMetricContext(req, gameId) {
+  return gameId ?
+    {requestId: req.requestId, gameId} :
+    {requestId: req.requestId};
 }
 
-// --- Verification Functions ---
+/**
+ * Records the outcome of verifying a log or log segment.
+ * @param {string} scope - 'log' for a complete log, 'segment' for a log
+ * segment.
+ * @param {string|null} reason - The check that failed, 'decryption', or null if
+ * it passed.
+ * @param {object} context - The request and game the verification was for.
+ */
+function recordVerification(scope, reason, context) {
+  metrics.recordMetric(logger, metrics.METRICS.LOG_VERIFICATIONS, 1,
+      {scope, result: reason ? "failed" : "passed", reason: reason || "none"},
+      context);
+}
 
-function verifyHashChain(gameLog) {
-    let previousHash = "0".repeat(64);
-    for (const entry of gameLog) {
-        if (entry.previousEntryChainHash !== previousHash) {
-            logger.error("Hash chain broken!", { sequence: entry.sequence, expected: previousHash, found: entry.previousEntryChainHash });
-            return false;
-        }
-        const recalculatedHash = calculateEntryHash(entry);
-        if (recalculatedHash !== entry.currentEntryChainHash) {
-            logger.error("Entry hash mismatch! Data may be tampered.", { sequence: entry.sequence, calculated: recalculatedHash, stored: entry.currentEntryChainHash });
-            return false;
-        }
-        previousHash = entry.currentEntryChainHash;
+/**
+ * Decrypts a log or log segment (see verifier.decryptLog), recording how long
+ * it took and, if it could not be read, a failed verification.
+ * @param {object} submission - The encrypted fields the client submitted.
+ * @param {string} privateKeyPem - The game's private key.
+ * @param {string} scope - 'log' for a complete log, 'segment' for a log
+ * segment.
+ * @param {object} context - The request and game the log is for.
+ * @return {Array<object>} The decrypted entries.
+ */
+function decryptLogMeasured(submission, privateKeyPem, scope, context) {
+  const elapsedMs = metrics.startTimer();
+  try {
+    return verifier.decryptLog(submission, privateKeyPem);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      recordVerification(scope, "decryption", context);
     }
-    logger.info("Hash chain successfully verified.");
-    return true;
-}
-
-/**
- * Verifies the gameplay logic by re-simulating the game using the FSM.
- * Includes a final state check to prevent false win claims.
- * @param {Array<object>} gameLog - The array of decrypted game log entries.
- * @param {string} playerX_Id - The ID of Player X for this game.
- * @param {string} playerO_Id - The ID of Player O for this game.
- * @returns {boolean} True if the gameplay is valid according to the FSM, false otherwise.
- */
-function verifyFsmGameplay(gameLog, playerX_Id, playerO_Id) {
-    // Start with the initial game state from our trusted FSM module
-    let serverGameState = fsm.getInitialGameState(playerX_Id, playerO_Id);
-    
-    // We only need to simulate based on validated moves.
-    const validatedMoves = gameLog.filter(entry => entry.eventType === 'PLAYER_MOVE_VALIDATED');
-
-    for (const moveEntry of validatedMoves) {
-        const eventData = {
-            move: moveEntry.eventData.move,
-            playerId: moveEntry.eventData.playerId
-        };
-
-        // Get the FSM's result for this move based on our current server state
-        const transitionResult = fsm.transition(serverGameState, fsm.EVENTS.PLAYER_MOVE_ATTEMPTED, eventData);
-
-        // Check 1: Was the move considered valid by our server-side FSM?
-        if (!transitionResult.isValidMove) {
-            logger.error("FSM re-simulation failed: A move considered valid by the client was rejected by the server FSM.", { sequence: moveEntry.sequence });
-            return false;
-        }
+    throw error;
+  } finally {
+    metrics.recordMetric(logger, metrics.METRICS.LOG_DECRYPT_LATENCY,
+        elapsedMs(), {keyScheme: verifier.getSubmissionKeyScheme(submission)},
+        context);
+  }
+}
 
-        // Check 2: Does the FSM state recorded in the log match our simulation?
-        if (transitionResult.newState !== moveEntry.fsmState) {
-            logger.error("FSM state mismatch!", { sequence: moveEntry.sequence, expected: transitionResult.newState, found: moveEntry.fsmState });
-            return false;
-        }
+// --- Game State Persistence Helpers ---
+
+/**
+ * Converts an FSM game state into a shape Firestore can store. Firestore does
+ * not support nested arrays, so the board is flattened row by row.
+ * @param {object} gameState - The FSM game state.
+ * @return {object} The Firestore-safe representation of the game state.
+ */
+function serializeGameState(gameState) {
+  return {...gameState, board: gameState.board.flat()};
+}
 
-        // Check 3: Does the board state hash recorded in the log match our simulation?
-        const serverNewBoardHash = crypto.createHash('sha256').update(getCanonicalString(transitionResult.newBoard)).digest('hex');
-        const clientNewBoardHash = crypto.createHash('sha256').update(getCanonicalString(moveEntry.boardState)).digest('hex');
+/**
+ * Rebuilds the FSM game state stored on a game document. Documents created
+ * before moves were tracked on the server only carry the player IDs and rules,
+ * so those start from a fresh initial state. Fields added to the game state
+ * later (such as the undo bookkeeping) fall back to their initial values.
+ * @param {object} gameData - The data of a Firestore game document.
+ * @return {object} The FSM game state.
+ */
+function deserializeGameState(gameData) {
+  const initialGameState = fsm.getInitialGameState(
+      gameData.playerX_Id, gameData.playerO_Id, gameData.rules);
+  if (!gameData.gameState) {
+    return initialGameState;
+  }
+  const {board} = gameData.gameState;
+  const {rules} = initialGameState;
+  const rows = Array.from({length: rules.rows}, (_, rowIndex) =>
+    board.slice(rowIndex * rules.cols, (rowIndex + 1) * rules.cols));
+  // Player IDs come from the document: a seat joined after the state was stored
+  // adds its own.
+  const {playerX, playerO} = initialGameState;
+  return {
+    ...initialGameState,
+    ...gameData.gameState,
+    playerX,
+    playerO,
+    rules,
+    board: rows,
+  };
+}
 
-        if(serverNewBoardHash !== clientNewBoardHash) {
-            logger.error("FSM board state mismatch!", { sequence: moveEntry.sequence });
-            return false;
-        }
+/**
+ * Builds the record of an accepted FSM event that is appended to the game
+ * document, so that the other seat can replay it when polling. `timestamp` is
+ * the server time the event was applied at, which drives the clocks.
+ * `signature` is the seat's signature of the event, which the other seat copies
+ * into its log. Firestore rejects undefined values, so the move coordinates are
+ * only set for moves.
+ * @param {number} eventNumber - The event's number in the game.
+ * @param {string} event - The FSM event.
+ * @param {string} playerId - The player who sent it.
+ * @param {string} seat - The player's seat ('X' or 'O').
+ * @param {object} [move] - The move, for move events.
+ * @param {string} newState - The FSM state after the event.
+ * @param {boolean} isAiSeat - Whether the seat is the computer opponent's.
+ * @param {number} timestamp - The server time, in milliseconds.
+ * @param {string} [signature] - The seat's signature of the event.
+ * @return {object} The event record.
+ */
+function buildEventRecord(eventNumber, event, playerId, seat, move, newState,
+    isAiSeat, timestamp, signature) {
+  const record = {
+    eventNumber,
+    event,
+    playerId,
+    symbol: seat,
+    fsmState: newState,
+    agent: isAiSeat ? "ai" : "human",
+    timestamp,
+  };
+  if (move) {
+    record.rowIndex = move.rowIndex;
+    record.colIndex = move.colIndex;
+  }
+  if (move && move.symbol !== undefined) {
+    // Wild games: the symbol chosen, which may differ from the seat's
+    record.placedSymbol = move.symbol;
+  }
+  if (signature !== undefined) {
+    record.signature = signature;
+  }
+  return record;
+}
 
-        // If all checks pass, update our server's game state for the next iteration
-        serverGameState = {
-            ...serverGameState, // carry over player IDs
-            currentState: transitionResult.newState,
-            board: transitionResult.newBoard
-        };
-    }
-    
-    // Final State Verification
-    const serverFinalState = serverGameState.currentState;
-    const clientFinalLogEntry = gameLog[gameLog.length - 1];
-    
-    if (!clientFinalLogEntry.eventType.startsWith('GAME_')) {
-        logger.error("FSM final state error: Final log entry is not a game over event.");
-        return false;
-    }
+/**
+ * Checks that a request body contains a well-formed move.
+ * @param {*} move - The move from the request body.
+ * @return {boolean} True if the move has integer row and column indexes, and
+ * a string symbol if one is given (Wild games let the player choose it).
+ */
+function isWellFormedMove(move) {
+  return !!move &&
+    Number.isInteger(move.rowIndex) &&
+    Number.isInteger(move.colIndex) &&
+    (move.symbol === undefined || typeof move.symbol === "string");
+}
 
-    if (clientFinalLogEntry.fsmState !== serverFinalState) {
-        logger.error("FSM final state mismatch!", { expectedByServer: serverFinalState, reportedByClient: clientFinalLogEntry.fsmState });
-        return false;
-    }
+/**
+ * Copies only the known fields of a move, leaving out `symbol` when it is not
+ * set.
+ * @param {{rowIndex: number, colIndex: number, symbol: (string|undefined)}}
+ * move - A well-formed move.
+ * @return {object} The move as passed to the FSM and stored.
+ */
+function pickMoveFields(move) {
+  const {rowIndex, colIndex, symbol} = move;
+  return symbol === undefined ?
+    {rowIndex, colIndex} :
+    {rowIndex, colIndex, symbol};
+}
+
+// --- Seat Helpers ---
+
+// Game modes: 'local' gives both seats to the creator (two players on one
+// device), 'online' leaves the second seat free for another browser to join,
+// and 'ai' gives both seats to the creator, whose browser plays the computer
+// opponent's seat.
+const GAME_MODES = ["local", "online", "ai"];
+const SEAT_SYMBOLS = ["X", "O"];
+
+// Players are the Firebase Authentication accounts they sign in with (anonymous
+// ones at first), and ratings are kept under their uid. A seat stores the uid
+// of the account that took it, and the game stores each seat's player ID, which
+// the FSM, the moves and the log record as `playerId`: the uid of the seat's
+// account. The FSM tells the seats apart by their player IDs, so when one
+// account holds both seats (local games, or joining one's own online game) the
+// second seat plays as "<uid>:<seat>", and the computer opponent always plays
+// as AI_PLAYER_ID.
+const AI_PLAYER_ID = "computer";
+const MAX_PLAYER_NAME_LENGTH = 24;
+const DEFAULT_PLAYER_NAME = "Anonymous";
+
+/**
+ * The identity a seat is rated under.
+ * @param {string} uid - The signed-in player's uid.
+ * @param {*} player - The request's `player` field: { name }, or nothing.
+ * @return {{id: string, name: string}} The player's uid and display name.
+ */
+function getPlayerIdentity(uid, player) {
+  const name = player && typeof player.name === "string" ?
+    player.name.trim().slice(0, MAX_PLAYER_NAME_LENGTH) :
+    "";
+
+  return {id: uid, name: name || DEFAULT_PLAYER_NAME};
+}
+
+/**
+ * @param {string} uid - The uid of the account taking the seat.
+ * @param {string} symbol - The seat ('X' or 'O').
+ * @param {string|null} otherPlayerId - The player ID of the other seat, or null
+ * if it is free.
+ * @return {string} The player ID the seat plays under.
+ */
+function getNewSeatPlayerId(uid, symbol, otherPlayerId) {
+  return otherPlayerId === uid ? `${uid}:${symbol}` : uid;
+}
+
+/**
+ * Checks that a request made with a seat's secret comes from the account that
+ * took the seat. Seats taken before players signed in have no uid and are not
+ * checked.
+ * @param {object} gameData - The data of a Firestore game document.
+ * @param {string} seat - The seat the request's secret is for.
+ * @param {string|undefined} uid - The uid of the signed-in player (req.uid).
+ * @return {string|null} The ERROR_CODES value to refuse the request with, or
+ * null if the account holds the seat.
+ */
+function getSeatAccountError(gameData, seat, uid) {
+  const seatUid = gameData.seats[seat].uid;
+  if (!seatUid) return null;
+  if (!uid) return ERROR_CODES.AUTH_REQUIRED;
+  return seatUid === uid ? null : ERROR_CODES.SEAT_ACCOUNT_MISMATCH;
+}
+
+/**
+ * Creates a random per-seat secret and the hash that is stored in Firestore.
+ * Only the hash is persisted, so database readers cannot act as a seat.
+ * @return {{secret: string, secretHash: string}} The secret and its hash.
+ */
+function createSeatSecret() {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  return {secret, secretHash: hashSeatSecret(secret)};
+}
+
+/**
+ * @param {string} secret - A seat secret.
+ * @return {string} Its SHA-256 hash, hex encoded.
+ */
+function hashSeatSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * Finds the seat a request is authenticated for via its X-Seat-Secret header.
+ * Local games still issue one secret per seat, so a secret always maps to a
+ * single seat.
+ * @param {object} gameData - The data of a Firestore game document.
+ * @param {object} req - The Express request.
+ * @return {string|null} The seat symbol ('X' or 'O'), or null if the secret
+ * matches no seat.
+ */
+function getAuthenticatedSeat(gameData, req) {
+  const secret = req.header("X-Seat-Secret");
+  if (!secret || !gameData.seats) return null;
+  const secretHash = Buffer.from(hashSeatSecret(secret), "hex");
+  return SEAT_SYMBOLS.find((symbol) => {
+    const seat = gameData.seats[symbol];
+    return seat && seat.secretHash && crypto.timingSafeEqual(
+        Buffer.from(seat.secretHash, "hex"), secretHash);
+  }) || null;
+}
+
+/**
+ * @param {object} gameData - The data of a Firestore game document.
+ * @param {string} symbol - The seat ('X' or 'O').
+ * @return {string|null} The ID of the player in the seat.
+ */
+function getSeatPlayerId(gameData, symbol) {
+  return symbol === "X" ? gameData.playerX_Id : gameData.playerO_Id;
+}
+
+/**
+ * Builds the public view of a game that seat holders poll to follow the game.
+ * @param {string} gameId - The game ID.
+ * @param {object} gameData - The data of a Firestore game document.
+ * @param {number} [sinceEvent=0] - Only events after this event number are
+ * included.
+ * @return {object} The game view.
+ */
+function getGameView(gameId, gameData, sinceEvent = 0) {
+  const gameState = deserializeGameState(gameData);
+  return {
+    gameId,
+    mode: gameData.mode || "local",
+    aiSeat: gameData.aiSeat || null,
+    rules: gameState.rules,
+    rulesVersion: gameData.rulesVersion || null,
+    playerX_Id: gameData.playerX_Id,
+    playerO_Id: gameData.playerO_Id,
+    seatsFilled: {
+      X: !!(gameData.seats && gameData.seats.X && gameData.seats.X.secretHash),
+      O: !!(gameData.seats && gameData.seats.O && gameData.seats.O.secretHash),
+    },
+    fsmState: gameState.currentState,
+    board: gameState.board,
+    pendingUndo: gameState.pendingUndo,
+    undosUsed: gameState.undosUsed,
+    clocks: gameState.clocks,
+    turnStartedAt: gameState.turnStartedAt,
+    serverTime: Date.now(),
+    status: lifecycle.getGameStatus(gameData),
+    eventCount: gameData.eventCount || 0,
+    events: (gameData.events || [])
+        .filter((record) => record.eventNumber > sinceEvent),
+  };
+}
+
+// --- Game Key Helpers ---
+
+let keyProvider;
+
+/**
+ * The key provider configured by GAME_KEY_PROVIDER (see lib/keystore.js). It is
+ * created on first use, so a missing master key only fails the requests that
+ * need it.
+ * @return {object} The key provider.
+ */
+function getKeyProvider() {
+  if (!keyProvider) keyProvider = keystore.createKeyProvider(process.env);
+  return keyProvider;
+}
+
+/**
+ * The key scheme a game's submissions must use. Games created before the scheme
+ * was stored have RSA keys.
+ * @param {object} gameData - The game document.
+ * @return {string} One of verifier.KEY_SCHEMES.
+ */
+function getGameKeyScheme(gameData) {
+  return gameData.keyScheme || verifier.KEY_SCHEMES.RSA_OAEP;
+}
+
+let receiptSigner;
+
+/**
+ * The key receipts for verified logs are signed with (see lib/receipts.js),
+ * loaded on first use like the key provider.
+ * @return {object} The receipt signer.
+ */
+function getReceiptSigner() {
+  if (!receiptSigner) receiptSigner = receipts.loadReceiptSigner(process.env);
+  return receiptSigner;
+}
+
+/**
+ * Recovers a game's private key. Games created before keys were sealed still
+ * carry the plaintext key until `npm run rotate-keys` seals it.
+ * @param {string} gameId - The game's ID.
+ * @param {object} gameData - The game document.
+ * @return {Promise<string|null>} The private key, or null if it was destroyed
+ * or has expired.
+ */
+async function getGamePrivateKey(gameId, gameData) {
+  const keyExpiresAt = gameData.keyExpiresAt;
+  if (keyExpiresAt && keyExpiresAt.toMillis() <= Date.now()) return null;
+  if (gameData.sealedPrivateKey) {
+    return keystore.openPrivateKey(
+        getKeyProvider(), gameId, gameData.sealedPrivateKey);
+  }
+  return gameData.privateKeyPem || null;
+}
+
+/**
+ * The update that removes a game's private key, in whichever form it is stored.
+ * @return {object} The fields to update on the game document.
+ */
+function getKeyDestructionFields() {
+  return {
+    sealedPrivateKey: FieldValue.delete(),
+    privateKeyPem: FieldValue.delete(),
+    keyExpiresAt: FieldValue.delete(),
+    keyDestroyedAt: FieldValue.serverTimestamp(),
+  };
+}
+
+// --- Game Lifecycle Helpers ---
+
+/**
+ * The update that moves a game to another status (see lib/lifecycle.js). Games
+ * that can no longer be abandoned drop their abandon deadline.
+ * @param {string} status - One of lifecycle.GAME_STATUSES.
+ * @return {object} The fields to update on the game document.
+ */
+function getStatusUpdateFields(status) {
+  const fields = {status, statusChangedAt: FieldValue.serverTimestamp()};
+  if (!lifecycle.isAbandonable(status)) fields.abandonAt = FieldValue.delete();
+  return fields;
+}
 
-    logger.info("FSM gameplay successfully verified.");
-    return true;
+/**
+ * The time after which the sweeper abandons a game that sees no further
+ * activity.
+ * @param {number} now - The time of the latest activity, in milliseconds.
+ * @return {Timestamp} The deadline.
+ */
+function getAbandonDeadline(now) {
+  return Timestamp.fromMillis(now + lifecycle.ABANDON_AFTER_MS);
+}
+
+/**
+ * The response to a request for a game in a status that no longer allows it.
+ * @param {string} status - The game's status.
+ * @return {[number, object]|null} The status code and body to respond with, or
+ * null if the status allows the request.
+ */
+function getClosedGameResponse(status) {
+  const errorCode = lifecycle.getClosedGameError(status);
+  return errorCode ? getErrorResponse(errorCode) : null;
 }
 
 // --- NEW: App Check Verification Middleware ---
 /* const appCheckVerification = async (req, res, next) => {
     const appCheckToken = req.header("X-Firebase-AppCheck");
-  
+
     if (!appCheckToken) {
         res.status(401).send("Unauthorized");
       return;
     }
-  
+
     try {
       await admin.appCheck().verifyToken(appCheckToken);
       next(); // If token is valid, proceed to the next handler
@@ -167,18 +502,57 @@ function verifyFsmGameplay(gameLog, playerX_Id, playerO_Id) {
 */
 
 const app = express();
-app.use(cors({ origin: true }));
+app.use(cors({origin: true}));
 app.use(express.json());
 
-// --- NEW: Add this diagnostic middleware ---
+// --- Request IDs and Latency ---
+// Requests arrive with the ID the client (or else the proxy) gave them, passed
+// on by the proxy (see proxy/lib/forwarding.js); it is echoed and logged with
+// every measurement, so the client's, the proxy's and this function's view of a
+// request can be matched. Once answered, each request's latency is recorded
+// under its route.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,128}$/;
 app.use((req, res, next) => {
-    logger.info("--- API function received a request ---", {
-      path: req.path,
-      originalUrl: req.originalUrl
-    });
-    next(); // This passes the request to your actual routes
+  const requestId = req.header("X-Request-Id");
+  req.requestId = requestId && REQUEST_ID_PATTERN.test(requestId) ?
+    requestId :
+    crypto.randomUUID();
+  res.set("X-Request-Id", req.requestId);
+  const elapsedMs = metrics.startTimer();
+  res.on("finish", () => {
+    const labels = {
+      method: req.method,
+      // Requests no route answered are grouped, so unknown paths do not make
+      // labels of their own.
+      route: req.route ? req.route.path : "unmatched",
+      status: res.statusCode,
+    };
+    metrics.recordMetric(logger, metrics.METRICS.API_REQUEST_LATENCY,
+        elapsedMs(), labels, getMetricContext(req));
   });
-  // -----------------------------------------
+  next();
+});
+
+// --- Player Authentication ---
+// The proxy verifies the player's Firebase ID token and passes it on in
+// X-Firebase-ID-Token (see proxy/lib/auth.js). It is verified again here, so
+// the backend only acts on identities it checked itself; req.uid is the
+// player's uid.
+app.use(async (req, res, next) => {
+  const idToken = req.header("X-Firebase-ID-Token");
+  if (!idToken) return next();
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(idToken);
+    req.uid = decodedToken.uid;
+    next();
+  } catch (error) {
+    logger.info("Refused an invalid ID token",
+        {requestId: req.requestId, code: error.code});
+    sendError(res, ERROR_CODES.AUTH_REQUIRED, {},
+        "Your sign-in has expired or is invalid; reload the page to sign in " +
+        "again.");
+  }
+});
 
 // --- USE THE MIDDLEWARE ---
 // This line tells Express to run our verification on every single request
@@ -193,90 +567,1551 @@ app.use((req, res, next) => {
 */
 
 // --- API Routes ---
-app.post('/api/create-game', async (req, res) => {
-    logger.info("Request received for /api/create-game");
-    try {
-        const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
-            modulusLength: 2048,
-            publicKeyEncoding: { type: 'spki', format: 'pem' },
-            privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
-        });
-
-        // ---vvv--- CHANGE IS HERE ---vvv---
-        const gameRef = await db.collection('games').add({
-            privateKeyPem: privateKey,
-            playerX_Id: "DOGE", // Changed from "playerX"
-            playerO_Id: "PEPE", // Changed from "playerO"
-            createdAt: FieldValue.serverTimestamp(),
-            fsmState: 'PLAYER_X_TURN'
-        });
-        // ---^^^--- END OF CHANGE ---^^^---
-
-        const gameId = gameRef.id;
-        logger.info(`New game created with ID: ${gameId}`);
-        res.status(200).json({ gameId: gameId, publicKeyPem: publicKey });
-    } catch (error) {
-        logger.error("Error creating new game:", error);
-        res.status(500).json({ error: 'Failed to create new game.' });
+app.post("/api/create-game", async (req, res) => {
+  logger.info("Request received for /api/create-game");
+
+  // Games without an explicit rule set are classic 3x3 tic-tac-toe.
+  // `rules.variant` selects another rule module; it is stored with the rules so
+  // replays use it too.
+  let rules;
+  try {
+    rules = fsm.normalizeRules(req.body && req.body.rules);
+  } catch (error) {
+    return sendError(res, ERROR_CODES.INVALID_REQUEST, {}, error.message);
+  }
+
+  const {mode = "local", seat: creatorSeat = "X"} = req.body || {};
+  if (!GAME_MODES.includes(mode) || !SEAT_SYMBOLS.includes(creatorSeat)) {
+    return sendError(res, ERROR_CODES.INVALID_REQUEST, {},
+        `mode must be one of ${GAME_MODES.join(", ")} ` +
+        `and seat one of ${SEAT_SYMBOLS.join(", ")}.`);
+  }
+  if (!req.uid) return sendError(res, ERROR_CODES.AUTH_REQUIRED);
+  const player = getPlayerIdentity(req.uid, req.body && req.body.player);
+  // In AI games the computer takes the seat the creator did not choose.
+  const otherSeat = SEAT_SYMBOLS.find((symbol) => symbol !== creatorSeat);
+  const aiSeat = mode === "ai" ? otherSeat : null;
+  // Online, the other seat gets its player ID when someone joins.
+  const playerIds = {
+    [creatorSeat]: req.uid,
+    [otherSeat]: {
+      ai: AI_PLAYER_ID,
+      local: getNewSeatPlayerId(req.uid, otherSeat, req.uid),
+      online: null,
+    }[mode],
+  };
+  // Every seat the creator holds (the computer's too, which their browser
+  // plays) signs its moves and other events with its own key; see "Move
+  // Signatures" in lib/verifier.js.
+  const seatPublicKeys = (req.body && req.body.seatPublicKeys) || {};
+  const heldSeats = SEAT_SYMBOLS.filter((symbol) =>
+    symbol === creatorSeat || mode !== "online");
+  const seatWithoutKey = heldSeats.find((symbol) =>
+    !verifier.parseSeatPublicKey(seatPublicKeys[symbol]));
+  if (seatWithoutKey) {
+    return sendError(res, ERROR_CODES.INVALID_REQUEST, {},
+        `seatPublicKeys.${seatWithoutKey} must be a base64 SPKI EC P-256 ` +
+        "public key.");
+  }
+
+
+  try {
+    // Clients encrypt their log for this key with an ephemeral ECDH key of
+    // their own.
+    const keygenElapsedMs = metrics.startTimer();
+    const {publicKey, privateKey} = crypto.generateKeyPairSync("ec", {
+      namedCurve: "P-256",
+      publicKeyEncoding: {type: "spki", format: "pem"},
+      privateKeyEncoding: {type: "pkcs8", format: "pem"},
+    });
+    metrics.recordMetric(logger, metrics.METRICS.GAME_KEYGEN_LATENCY,
+        keygenElapsedMs(), {keyScheme: verifier.KEY_SCHEMES.ECDH_P256},
+        getMetricContext(req));
+
+    const initialGameState = fsm.getInitialGameState(
+        playerIds.X, playerIds.O, rules);
+
+    // The creator always gets their seat; in local games they also hold the
+    // other one.
+    const seatSecrets = {};
+    const seats = {X: {secretHash: null}, O: {secretHash: null}};
+    for (const symbol of heldSeats) {
+      const {secret, secretHash} = createSeatSecret();
+      seatSecrets[symbol] = secret;
+      // The computer opponent's seat is never played under the creator's
+      // identity.
+      seats[symbol] = {
+        uid: req.uid,
+        secretHash,
+        publicKey: seatPublicKeys[symbol],
+        joinedAt: FieldValue.serverTimestamp(),
+        player: symbol === aiSeat ? null : player,
+      };
     }
+
+    // The document ID is chosen first because the sealed key is bound to it.
+    const gameRef = db.collection("games").doc();
+    const sealedPrivateKey = await keystore.sealPrivateKey(getKeyProvider(),
+        gameRef.id, privateKey);
+
+    // ---vvv--- CHANGE IS HERE ---vvv---
+    await gameRef.set({
+      sealedPrivateKey: sealedPrivateKey,
+      keyExpiresAt: Timestamp.fromMillis(Date.now() + keystore.GAME_KEY_TTL_MS),
+      keyScheme: verifier.KEY_SCHEMES.ECDH_P256,
+      publicKeyPem: publicKey,
+      playerX_Id: playerIds.X,
+      playerO_Id: playerIds.O,
+      mode: mode,
+      aiSeat: aiSeat,
+      seats: seats,
+      rules: rules,
+      rulesVersion: fsm.RULES_VERSION,
+      createdAt: FieldValue.serverTimestamp(),
+      fsmState: initialGameState.currentState,
+      gameState: serializeGameState(initialGameState),
+      eventCount: 0,
+      events: [],
+      status: lifecycle.GAME_STATUSES.CREATED,
+      statusChangedAt: FieldValue.serverTimestamp(),
+      abandonAt: getAbandonDeadline(Date.now()),
+    });
+    // ---^^^--- END OF CHANGE ---^^^---
+
+    const gameId = gameRef.id;
+    logger.info(`New ${mode} ${rules.variant} game created with ID: ${gameId}`);
+    metrics.recordMetric(logger, metrics.METRICS.GAMES_CREATED, 1,
+        {mode, variant: rules.variant}, getMetricContext(req, gameId));
+    res.status(200).json({
+      gameId: gameId,
+      publicKeyPem: publicKey,
+      keyScheme: verifier.KEY_SCHEMES.ECDH_P256,
+      rules: rules,
+      rulesVersion: fsm.RULES_VERSION,
+      mode: mode,
+      aiSeat: aiSeat,
+      playerX_Id: initialGameState.playerX,
+      playerO_Id: initialGameState.playerO,
+      seatSecrets: seatSecrets,
+    });
+  } catch (error) {
+    logger.error("Error creating new game:", error);
+    sendError(res, ERROR_CODES.INTERNAL_ERROR, {},
+        "Failed to create new game.");
+  }
 });
 
-app.post('/api/submit-log', async (req, res) => {
-    // This function is updated with the final verification step
-    const { gameId, encryptedLog, encryptedKey, iv } = req.body;
-    logger.info(`Received log submission for gameId: ${gameId}`);
-    if (!gameId || !encryptedLog || !encryptedKey || !iv) {
-        return res.status(400).json({ error: 'Request body must contain all required fields.' });
+/**
+ * Lets a second browser take the free seat of an online game.
+ * The per-seat secret returned here is required for every later move.
+ */
+app.post("/api/games/:id/join", async (req, res) => {
+  const gameId = req.params.id;
+  if (!req.uid) return sendError(res, ERROR_CODES.AUTH_REQUIRED);
+  const player = getPlayerIdentity(req.uid, req.body && req.body.player);
+  const seatPublicKey = req.body && req.body.seatPublicKey;
+  if (!verifier.parseSeatPublicKey(seatPublicKey)) {
+    return sendError(res, ERROR_CODES.INVALID_REQUEST, {},
+        "seatPublicKey must be a base64 SPKI EC P-256 public key.");
+  }
+  try {
+    const gameRef = db.collection("games").doc(gameId);
+    const [status, body] = await db.runTransaction(async (transaction) => {
+      const gameDoc = await transaction.get(gameRef);
+      if (!gameDoc.exists) return getErrorResponse(ERROR_CODES.GAME_NOT_FOUND);
+
+      const gameData = gameDoc.data();
+      const closedResponse = getClosedGameResponse(
+          lifecycle.getGameStatus(gameData));
+      if (closedResponse) return closedResponse;
+      if (gameData.mode !== "online") {
+        return getErrorResponse(ERROR_CODES.GAME_NOT_JOINABLE, {},
+            "Only online games can be joined.");
+      }
+      const freeSeat = SEAT_SYMBOLS.find((symbol) =>
+        !gameData.seats[symbol].secretHash);
+      if (!freeSeat) {
+        return getErrorResponse(ERROR_CODES.GAME_NOT_JOINABLE, {},
+            "This game has no free seat.");
+      }
+
+      const {secret, secretHash} = createSeatSecret();
+      const otherSeat = SEAT_SYMBOLS.find((symbol) => symbol !== freeSeat);
+      const playerIdField = `player${freeSeat}_Id`;
+      const playerId = getNewSeatPlayerId(req.uid, freeSeat,
+          getSeatPlayerId(gameData, otherSeat));
+      transaction.update(gameRef, {
+        [`seats.${freeSeat}`]: {
+          uid: req.uid,
+          secretHash,
+          publicKey: seatPublicKey,
+          joinedAt: FieldValue.serverTimestamp(),
+          player: player,
+        },
+        [playerIdField]: playerId,
+        abandonAt: getAbandonDeadline(Date.now()),
+      });
+      return [200, {
+        ...getGameView(gameId, {...gameData, [playerIdField]: playerId}),
+        seatsFilled: {X: true, O: true},
+        publicKeyPem: gameData.publicKeyPem,
+        keyScheme: getGameKeyScheme(gameData),
+        seatSecrets: {[freeSeat]: secret},
+      }];
+    });
+
+    logger.info(`Join request for gameId: ${gameId}`, {status});
+    res.status(status).json(body);
+  } catch (error) {
+    logger.error(`Failed to join gameId: ${gameId}`, error);
+    sendError(res, ERROR_CODES.INTERNAL_ERROR, {},
+        "An error occurred while joining the game.");
+  }
+});
+
+/**
+ * Returns the current state of a game and the events accepted after
+ * `?since=<eventNumber>`. Clients poll this to see their opponent's moves and
+ * undo requests.
+ */
+app.get("/api/games/:id", async (req, res) => {
+  const gameId = req.params.id;
+  const sinceEvent = parseInt(req.query.since, 10) || 0;
+  try {
+    const gameDoc = await db.collection("games").doc(gameId).get();
+    if (!gameDoc.exists) return sendError(res, ERROR_CODES.GAME_NOT_FOUND);
+
+    const gameData = gameDoc.data();
+    const seat = getAuthenticatedSeat(gameData, req);
+    if (!seat) {
+      return sendError(res, ERROR_CODES.SEAT_SECRET_INVALID);
     }
+    // Tells a client resuming after a reload where to continue streaming its
+    // log.
+    res.status(200).json({
+      ...getGameView(gameId, gameData, sinceEvent),
+      logCheckpoint: getCheckpointView(gameData, seat),
+    });
+  } catch (error) {
+    logger.error(`Failed to load gameId: ${gameId}`, error);
+    sendError(res, ERROR_CODES.INTERNAL_ERROR, {},
+        "An error occurred while loading the game.");
+  }
+});
 
-    try {
-        // Step 1: Retrieve Private Key
-        const gameDoc = await db.collection('games').doc(gameId).get();
-        if (!gameDoc.exists) return res.status(404).json({ error: "Game session not found." });
-        const { privateKeyPem, playerX_Id, playerO_Id } = gameDoc.data();
-        if (!privateKeyPem) return res.status(500).json({ error: "Key not found." });
-
-        // Step 2 & 3: Decrypt Log
-        const encryptedKeyBuffer = Buffer.from(encryptedKey, 'base64');
-        const decryptedSymmetricKey = crypto.privateDecrypt({ key: privateKeyPem, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' }, encryptedKeyBuffer);
-        const encryptedLogBuffer = Buffer.from(encryptedLog, 'base64');
-        const ivBuffer = Buffer.from(iv, 'base64');
-        const authTag = encryptedLogBuffer.slice(encryptedLogBuffer.length - 16);
-        const ciphertext = encryptedLogBuffer.slice(0, encryptedLogBuffer.length - 16);
-        const decipher = crypto.createDecipheriv('aes-256-gcm', decryptedSymmetricKey, ivBuffer);
-        decipher.setAuthTag(authTag);
-        const decryptedLogString = decipher.update(ciphertext, 'utf8', 'utf8') + decipher.final('utf8');
-        const gameLog = JSON.parse(decryptedLogString);
-        logger.info(`Successfully decrypted log for gameId: ${gameId}.`);
-        
-        // Step 4: Verify Hash Chain
-        const isChainValid = verifyHashChain(gameLog);
-        if (!isChainValid) {
-            return res.status(400).json({ status: "verification_failed", reason: "Hash chain mismatch." });
-        }
+/**
+ * Applies a single FSM event to the authoritative game state stored in
+ * Firestore. The acting player is identified by the X-Seat-Secret header, not
+ * by the request body. The FSM runs inside a transaction so concurrent requests
+ * cannot both act from the same state. Rejected events leave the document
+ * untouched.
+ * @param {object} req - The Express request.
+ * @param {object} res - The Express response.
+ * @param {string} event - The FSM event to apply.
+ * @param {{rowIndex: number, colIndex: number}} [move] - The move, for
+ * PLAYER_MOVE_ATTEMPTED.
+ * @param {string} [signature] - The seat's signature of the event, checked
+ * against the key it registered.
+ */
+async function applySeatEvent(req, res, event, move, signature) {
+  const gameId = req.params.id;
+  try {
+    const gameRef = db.collection("games").doc(gameId);
+    const [status, body] = await db.runTransaction(async (transaction) => {
+      const gameDoc = await transaction.get(gameRef);
+      if (!gameDoc.exists) return getErrorResponse(ERROR_CODES.GAME_NOT_FOUND);
 
-        // --- Step 5: NEW - Verify FSM Gameplay ---
-        const isFsmValid = verifyFsmGameplay(gameLog, playerX_Id, playerO_Id);
-        if (!isFsmValid) {
-            return res.status(400).json({ status: "verification_failed", reason: "FSM gameplay mismatch." });
+      const gameData = gameDoc.data();
+      const seat = getAuthenticatedSeat(gameData, req);
+      if (!seat) return getErrorResponse(ERROR_CODES.SEAT_SECRET_INVALID);
+      const accountError = getSeatAccountError(gameData, seat, req.uid);
+      if (accountError) return getErrorResponse(accountError);
+      const gameStatus = lifecycle.getGameStatus(gameData);
+      const closedResponse = getClosedGameResponse(gameStatus);
+      if (closedResponse) return closedResponse;
+      if (SEAT_SYMBOLS.some((symbol) => !gameData.seats[symbol].secretHash)) {
+        return getErrorResponse(ERROR_CODES.WAITING_FOR_OPPONENT);
+      }
+
+      // In local games one device holds both seats, so the acting seat is the
+      // one whose secret was sent. The FSM then checks it against the game's
+      // rules. Events are timed by the server's clock, never the client's.
+      const playerId = getSeatPlayerId(gameData, seat);
+      const currentGameState = deserializeGameState(gameData);
+      const timestamp = Date.now();
+      const eventData = move ?
+        {move: pickMoveFields(move), playerId, timestamp} :
+        {playerId, timestamp};
+
+      // Every event a seat sends extends the game's move chain. In games whose
+      // seats registered keys each one must be signed, so the other seat's log
+      // can prove who made each move, undo, draw offer or resignation.
+      const moveChainUpdate = {};
+      const hasSeatKeys = SEAT_SYMBOLS.some((symbol) =>
+        gameData.seats[symbol].publicKey);
+      if (hasSeatKeys) {
+        const previousMoveHash = gameData.moveChainHash ||
+          verifier.INITIAL_MOVE_HASH;
+        const payload = verifier.getEventPayload(
+            gameId, previousMoveHash, playerId, event, eventData.move);
+        const {publicKey} = gameData.seats[seat];
+        if (!verifier.verifyMoveSignature(publicKey, payload, signature)) {
+          return getErrorResponse(ERROR_CODES.SIGNATURE_INVALID, {},
+              "The event's signature does not match the seat's key.");
         }
+        moveChainUpdate.moveChainHash = verifier.getMoveHash(payload);
+      }
+
+      const transitionResult = fsm.transition(
+          currentGameState, event, eventData);
+
+      const eventCount = gameData.eventCount || 0;
+
+      if (!transitionResult.isValidMove) {
+        return [200, {
+          ...transitionResult,
+          newBoard: currentGameState.board,
+          eventCount,
+          playerId,
+          timestamp,
+        }];
+      }
+
+      // The first accepted event starts the game; each one keeps it from being
+      // abandoned.
+      const lifecycleUpdate = {};
+      if (gameStatus === lifecycle.GAME_STATUSES.CREATED) {
+        Object.assign(lifecycleUpdate,
+            getStatusUpdateFields(lifecycle.GAME_STATUSES.ACTIVE));
+      }
+      if (lifecycle.isAbandonable(gameStatus)) {
+        lifecycleUpdate.abandonAt = getAbandonDeadline(timestamp);
+      }
+
+      const newEventCount = eventCount + 1;
+      transaction.update(gameRef, {
+        fsmState: transitionResult.newState,
+        gameState: serializeGameState(transitionResult.newGameState),
+        eventCount: newEventCount,
+        events: FieldValue.arrayUnion(buildEventRecord(
+            newEventCount, event, playerId, seat, move,
+            transitionResult.newState, seat === gameData.aiSeat, timestamp,
+            signature,
+        )),
+
+        lastMoveAt: FieldValue.serverTimestamp(),
+        ...moveChainUpdate,
+        ...lifecycleUpdate,
+      });
+      return [200, {
+        ...transitionResult,
+        eventCount: newEventCount,
+        playerId,
+        timestamp,
+      }];
+    });
+
+    logger.info(`${event} processed for gameId: ${gameId}`,
+        {status, isValidMove: body.isValidMove, newState: body.newState});
+    res.status(status).json(body);
+  } catch (error) {
+    logger.error(`Failed to process ${event} for gameId: ${gameId}`, error);
+    sendError(res, ERROR_CODES.INTERNAL_ERROR, {},
+        "An error occurred while processing the event.");
+  }
+}
+
+/**
+ * Plays a move for the authenticated seat.
+ */
+app.post("/api/games/:id/moves", async (req, res) => {
+  const {move, signature} = req.body || {};
+  if (!isWellFormedMove(move) ||
+      (signature !== undefined && typeof signature !== "string")) {
+    return sendError(res, ERROR_CODES.INVALID_REQUEST, {},
+        "Request body must contain a move with integer rowIndex and " +
+        "colIndex; its signature, if any, must be a string.");
+  }
+  await applySeatEvent(
+      req, res, fsm.EVENTS.PLAYER_MOVE_ATTEMPTED, move, signature);
+});
+
+/**
+ * Sends any other FSM event (such as UNDO_REQUESTED, RESIGN or TIMEOUT) for the
+ * authenticated seat, signed like a move. A TIMEOUT from either seat ends the
+ * game once the player on turn has run out of time.
+ */
+app.post("/api/games/:id/events", async (req, res) => {
+  const {event, signature} = req.body || {};
+  if (!Object.values(fsm.EVENTS).includes(event) ||
+      event === fsm.EVENTS.PLAYER_MOVE_ATTEMPTED ||
+      (signature !== undefined && typeof signature !== "string")) {
+    return sendError(res, ERROR_CODES.INVALID_REQUEST, {},
+        "Request body must contain a known event, and its signature if any " +
+        "as a string; moves are sent to /moves.");
+  }
+  await applySeatEvent(req, res, event, undefined, signature);
+});
+
+// The error code reported to clients for each failed verification check. The
+// individual gameplay checks are all reported as an illegal move.
+const VERIFICATION_ERROR_CODES = {
+  [verifier.CHECKS.ENTRY_SHAPE]: ERROR_CODES.CHAIN_BROKEN,
+  [verifier.CHECKS.HASH_CHAIN]: ERROR_CODES.CHAIN_BROKEN,
+  [verifier.CHECKS.ENTRY_HASH]: ERROR_CODES.CHAIN_BROKEN,
+  [verifier.CHECKS.SEQUENCE]: ERROR_CODES.SEQUENCE_MISMATCH,
+  [verifier.CHECKS.MOVE_SIGNATURE]: ERROR_CODES.SIGNATURE_INVALID,
+  [verifier.CHECKS.MOVE_PLAYER]: ERROR_CODES.PLAYER_MISMATCH,
+  [verifier.CHECKS.RULES_VERSION]: ERROR_CODES.RULES_VERSION_MISMATCH,
+  [verifier.CHECKS.FINAL_ENTRY]: ERROR_CODES.FINAL_STATE_MISMATCH,
+  [verifier.CHECKS.FINAL_STATE]: ERROR_CODES.FINAL_STATE_MISMATCH,
+  [verifier.CHECKS.FINAL_OUTCOME]: ERROR_CODES.FINAL_STATE_MISMATCH,
+  [verifier.CHECKS.SERVER_STATE]: ERROR_CODES.FINAL_STATE_MISMATCH,
+  [verifier.CHECKS.MOVE_CHAIN]: ERROR_CODES.FINAL_STATE_MISMATCH,
+};
+
+/**
+ * @param {object} finding - The verifier's finding.
+ * @return {string} The error code the finding is reported with.
+ */
+function getVerificationErrorCode(finding) {
+  return VERIFICATION_ERROR_CODES[finding.check] ||
+    ERROR_CODES.FSM_ILLEGAL_MOVE;
+}
+
+/**
+ * The response to a log that failed verification.
+ * @param {object} finding - The verifier's finding.
+ * @return {[number, object]} The status code and body to respond with.
+ */
+function getVerificationFailureResponse(finding) {
+  const [status, body] = getErrorResponse(getVerificationErrorCode(finding),
+      {check: finding.check, sequence: finding.sequence});
+  return [status, {status: "verification_failed", ...body}];
+}
+
+/**
+ * Builds the verified result stored on the game document once a log verifies.
+ * @param {object} gameData - The data of the game document.
+ * @param {Array<object>} gameLog - The verified game log.
+ * @param {object} report - The verifier's report for the log.
+ * @return {object} The result.
+ */
+function buildVerifiedResult(gameData, gameLog, report) {
+  const {winner, reason} = report.outcome;
+  return {
+    status: "verified",
+    finalState: report.finalState,
+    winner: winner,
+    winningPlayerId: winner ? getSeatPlayerId(gameData, winner) : null,
+    reason: reason,
+    moves: verifier.getMoveHistory(gameLog),
+    logHeadHash: verifier.getLogHeadHash(gameLog),
+    entryCount: report.entryCount,
+    rulesVersion: fsm.RULES_VERSION,
+    verifiedAt: FieldValue.serverTimestamp(),
+  };
+}
+
+// --- Leaderboard ---
+
+/**
+ * The identities whose ratings a game changes: only online games between two
+ * different players are rated. Local games are one player on both seats, and
+ * the computer opponent has no rating.
+ * @param {object} gameData - The data of the game document.
+ * @return {{X: {id: string, name: string}, O: {id: string, name: string}}|null}
+ * The players, or null if the game is not rated.
+ */
+function getRatedPlayers(gameData) {
+  if (gameData.mode !== "online" || !gameData.seats) return null;
+  const playerX = gameData.seats.X && gameData.seats.X.player;
+  const playerO = gameData.seats.O && gameData.seats.O.player;
+  if (!playerX || !playerO || playerX.id === playerO.id) return null;
+  return {X: playerX, O: playerO};
+}
+
+/**
+ * Adds counts to a document's counters: by incrementing them if the document
+ * exists, or by creating it with the full data otherwise.
+ * @param {object} transaction - The Firestore transaction.
+ * @param {object} snapshot - The document as read earlier in the transaction.
+ * @param {object} increments - Counts to add, keyed by field path.
+ * @param {object} initialData - The document to create if it does not exist
+ * yet.
+ * @param {object} [fields] - Other fields to set on an existing document, keyed
+ * by field path.
+ */
+function incrementCounters(transaction, snapshot, increments, initialData,
+    fields = {}) {
+  if (!snapshot.exists) {
+    transaction.set(snapshot.ref, initialData);
+    return;
+  }
+  const update = {...fields};
+  Object.entries(increments).forEach(([fieldPath, count]) => {
+    update[fieldPath] = FieldValue.increment(count);
+  });
+  transaction.update(snapshot.ref, update);
+}
+
+/**
+ * @param {string} prefix - The field path of the tally.
+ * @param {object} tally - The wins, draws and losses to add.
+ * @return {object} The increments, by field path.
+ */
+function getTallyIncrements(prefix, tally) {
+  return {
+    [`${prefix}.wins`]: tally.wins,
+    [`${prefix}.draws`]: tally.draws,
+    [`${prefix}.losses`]: tally.losses,
+  };
+}
+
+/**
+ * Adds a verified result to the side totals and, for rated games, to both
+ * players' ratings. Runs inside the transaction that stores the result, so a
+ * result is counted exactly once. It reads before it writes, as Firestore
+ * transactions require, so it must run before the transaction's other writes.
+ * @param {object} transaction - The Firestore transaction.
+ * @param {object} gameData - The data of the game document.
+ * @param {string|null} winner - 'X', 'O', or null for a draw.
+ * @param {number} timestamp - When the result was verified, in milliseconds.
+ * @return {Promise<object|null>} Each rated player's name and rating before and
+ * after the game, keyed by seat, or null if the game is not rated.
+ */
+async function recordLeaderboardResult(transaction, gameData, winner,
+    timestamp) {
+  const dayKey = ratings.getDayKey(timestamp);
+  const ratedPlayers = getRatedPlayers(gameData);
+  const sideResults = ratings.getSideResults(winner);
+
+  const [totalsDoc, dayDoc, ...playerDocs] = await Promise.all([
+    transaction.get(db.collection("leaderboard").doc("totals")),
+    transaction.get(db.collection("leaderboardDays").doc(dayKey)),
+    ...(ratedPlayers ?
+      SEAT_SYMBOLS.map((symbol) => transaction.get(
+          db.collection("players").doc(ratedPlayers[symbol].id))) :
+      []),
+  ]);
+
+  const sideIncrements = {
+    ...getTallyIncrements("X", sideResults.X),
+    ...getTallyIncrements("O", sideResults.O),
+  };
+  incrementCounters(transaction, totalsDoc, sideIncrements,
+      {X: sideResults.X, O: sideResults.O});
+
+  const dayIncrements = {
+    ...getTallyIncrements("sides.X", sideResults.X),
+    ...getTallyIncrements("sides.O", sideResults.O),
+  };
+  const dayData = {
+    day: dayKey,
+    sides: {X: sideResults.X, O: sideResults.O},
+    players: {},
+  };
+  if (!ratedPlayers) {
+    incrementCounters(transaction, dayDoc, dayIncrements, dayData);
+    return null;
+  }
+
+  const before = {};
+  SEAT_SYMBOLS.forEach((symbol, index) => {
+    before[symbol] = playerDocs[index].exists ?
+      playerDocs[index].data().rating :
+      ratings.INITIAL_RATING;
+  });
+  const after = ratings.updateRatings(before, winner);
+
+  const ratingChanges = {};
+  const dayFields = {};
+  SEAT_SYMBOLS.forEach((symbol, index) => {
+    const {id, name} = ratedPlayers[symbol];
+    const previous = playerDocs[index].exists ?
+      playerDocs[index].data() :
+      ratings.createTally();
+    const previousTally = {
+      wins: previous.wins,
+      draws: previous.draws,
+      losses: previous.losses,
+    };
+    transaction.set(playerDocs[index].ref, {
+      name: name,
+      rating: after[symbol],
+      ...ratings.addToTally(previousTally, sideResults[symbol]),
+      lastPlayedAt: FieldValue.serverTimestamp(),
+    });
+
+    Object.assign(dayIncrements,
+        getTallyIncrements(`players.${id}`, sideResults[symbol]));
+    dayFields[`players.${id}.name`] = name;
+    dayFields[`players.${id}.rating`] = after[symbol];
+    dayData.players[id] = {name, rating: after[symbol], ...sideResults[symbol]};
+    ratingChanges[symbol] = {
+      name,
+      before: before[symbol],
+      after: after[symbol],
+    };
+  });
+  incrementCounters(transaction, dayDoc, dayIncrements, dayData, dayFields);
+  return ratingChanges;
+}
+
+// How many players one leaderboard request returns by default, and at most.
+const LEADERBOARD_PAGE_SIZE = 20;
+const MAX_LEADERBOARD_PAGE_SIZE = 100;
+
+/**
+ * The response body for a verified submission. Resubmissions of the verified
+ * log get the same body, built from the stored result.
+ * @param {object} result - The stored result.
+ * @return {object} The response body.
+ */
+function getVerifiedResponse(result) {
+  const {finalState, winner, winningPlayerId, reason, logHeadHash} = result;
+  return {
+    status: "verified",
+    message: "Log successfully decrypted and all integrity checks passed.",
+    result: {finalState, winner, winningPlayerId, reason, logHeadHash},
+    // Results verified before receipts were issued have none.
+    receipt: result.receipt || null,
+  };
+}
+
+/**
+ * Answers a submission for a game that already has a verified result.
+ * @param {object} result - The stored result.
+ * @param {string|null} logHeadHash - The head hash of the submitted log.
+ * @return {[number, object]} The status code and body to respond with.
+ */
+function getResubmissionResponse(result, logHeadHash) {
+  const seatHeadHashes = Object.values(result.seatLogHeadHashes || {});
+  if (result.logHeadHash === logHeadHash ||
+      seatHeadHashes.includes(logHeadHash)) {
+    return [200, getVerifiedResponse(result)];
+  }
+  return getErrorResponse(ERROR_CODES.GAME_FINISHED, {},
+      "A different log has already been verified for this game.");
+}
+
+// --- Seat Logs ---
+// Each seat of an online game keeps its own log, and the two logs differ in
+// their hash chains. The first log to verify stores the result; the game's key
+// is kept until the other seat's log has confirmed it, or until the key's TTL
+// passes, and that log is then answered with the stored result and receipt.
+
+/**
+ * The seats whose logs are still expected once `seat`'s log has verified.
+ * @param {object} gameData - The data of the game document.
+ * @param {string} seat - The seat ('X' or 'O') whose log verified.
+ * @return {Array<string>} The other seats held by players of an online game.
+ */
+function getPendingLogSeats(gameData, seat) {
+  if (gameData.mode !== "online" || !gameData.seats) return [];
+  return SEAT_SYMBOLS.filter((symbol) => symbol !== seat &&
+    gameData.seats[symbol] && gameData.seats[symbol].player);
+}
+
+/**
+ * Whether a verified game still takes `seat`'s log to confirm its result.
+ * @param {object} gameData - The data of the game document.
+ * @param {string} seat - The seat ('X' or 'O').
+ * @return {boolean} True if the seat's log is pending and the game's key is
+ * still held.
+ */
+function isAwaitingSeatLog(gameData, seat) {
+  const pendingLogSeats = gameData.pendingLogSeats || [];
+  if (!gameData.result || !pendingLogSeats.includes(seat)) return false;
+  if (gameData.keyDestroyedAt) return false;
+  return !gameData.keyExpiresAt ||
+    gameData.keyExpiresAt.toMillis() > Date.now();
+}
+
+/**
+ * Whether a verified log confirms a stored result: the same outcome, reached by
+ * the same player events. Sequence numbers and chain hashes are the seat's own.
+ * @param {object} result - The stored result.
+ * @param {object} report - The verification report of the seat's log.
+ * @param {Array<object>} gameLog - The seat's log.
+ * @return {boolean} True if the log reaches the stored result.
+ */
+function confirmsResult(result, report, gameLog) {
+  const describeEvents = (moves) => moves
+      .map(({event, playerId, rowIndex, colIndex}) =>
+        `${event}:${playerId}:${rowIndex}:${colIndex}`)
+      .join(",");
+  return report.finalState === result.finalState &&
+    report.outcome.winner === result.winner &&
+    report.outcome.reason === result.reason &&
+    describeEvents(verifier.getMoveHistory(gameLog)) ===
+      describeEvents(result.moves);
+}
+
+/**
+ * The replay options for verifying a game's log: the computer's seat, and the
+ * window its event timestamps must fall in.
+ * @param {string} gameId - The game ID.
+ * @param {object} gameData - The data of the game document.
+ * @return {object} The options, as for verifier.verifyGameLog.
+ */
+function getVerificationOptions(gameId, gameData) {
+  const {aiSeat, createdAt} = gameData;
+  return {
+    gameId: gameId,
+    aiPlayerId: aiSeat ? getSeatPlayerId(gameData, aiSeat) : null,
+    notBefore: createdAt ? createdAt.toMillis() : null,
+    notAfter: Date.now(),
+  };
+}
+
+/**
+ * Refuses an encrypted log or log segment longer than any log of its game can
+ * be. The proxy holds every log to the largest board; this holds it to the
+ * game's.
+ * @param {object} gameData - The data of the game document.
+ * @param {string} encryptedLog - The base64 ciphertext.
+ * @return {[number, object]|null} The status code and body to respond with, or
+ * null if the log may be that long.
+ */
+function getLogLengthResponse(gameData, encryptedLog) {
+  const maxLogLength = fsm.getMaxEncryptedLogLength(
+      fsm.normalizeRules(gameData.rules));
+  if (encryptedLog.length <= maxLogLength) return null;
+  return getErrorResponse(ERROR_CODES.PAYLOAD_TOO_LARGE, {maxLogLength},
+      `The encrypted log of this game can be at most ${maxLogLength} ` +
+      "characters long.");
+}
+
+/**
+ * Verifies a seat's complete, decrypted log and stores its result. A game has
+ * at most one result; resubmitting a verified log (identified by its head hash,
+ * which commits to every entry) is answered from it, and so is the other seat's
+ * log of an online game once it verifies and confirms it (see "Seat Logs").
+ * @param {object} gameRef - The game document.
+ * @param {string} gameId - The game ID.
+ * @param {object} gameData - The data of the game document.
+ * @param {string} seat - The seat ('X' or 'O') whose log it is.
+ * @param {Array<object>} gameLog - The decrypted log.
+ * @param {object} metricContext - The request and game the log is for, for
+ * metrics.
+ * @return {Promise<[number, object]>} The status code and body to respond with.
+ */
+async function verifyAndStoreLog(gameRef, gameId, gameData, seat, gameLog,
+    metricContext) {
+  const logHeadHash = verifier.getLogHeadHash(gameLog);
+  if (gameData.result && !isAwaitingSeatLog(gameData, seat)) {
+    return getResubmissionResponse(gameData.result, logHeadHash);
+  }
+
+  // Verify the hash chain, the move signatures, the rules version, the FSM
+  // replay, and the move chain's head and the final state against the server's
+  // record. See lib/verifier.js for the checks.
+  const report = verifier.verifyGameLog(gameLog, gameData,
+      getVerificationOptions(gameId, gameData));
+  recordVerification("log", report.valid ? null : report.finding.check,
+      metricContext);
+
+  if (!report.valid) {
+    logger.error(`Log verification failed for gameId: ${gameId}`,
+        report.finding);
+    const {check, sequence} = report.finding;
+    // A failed submission is recorded, but does not close the game to a later,
+    // valid one.
+    const canReject = lifecycle.canTransition(
+        lifecycle.getGameStatus(gameData), lifecycle.GAME_STATUSES.REJECTED);
+    const statusUpdate = canReject ?
+      getStatusUpdateFields(lifecycle.GAME_STATUSES.REJECTED) :
+      {};
+    await gameRef.update({
+      lastFailedSubmission: {
+        code: getVerificationErrorCode(report.finding),
+        check,
+        sequence,
+        logHeadHash,
+        failedAt: FieldValue.serverTimestamp(),
+      },
+      ...statusUpdate,
+    });
+    return getVerificationFailureResponse(report.finding);
+  }
+  logger.info(`Log verified for gameId: ${gameId}`,
+      {entryCount: report.entryCount, finalState: report.finalState});
+
+  // Store the result, unless another submission verified in the meantime.
+  return db.runTransaction(async (transaction) => {
+    const latestDoc = await transaction.get(gameRef);
+    const latestData = latestDoc.data();
+    if (latestData.result) {
+      if (!isAwaitingSeatLog(latestData, seat)) {
+        return getResubmissionResponse(latestData.result, logHeadHash);
+      }
+      if (!confirmsResult(latestData.result, report, gameLog)) {
+        logger.error("A seat's log does not confirm the verified result for " +
+            `gameId: ${gameId}`, {seat, logHeadHash});
+        return getErrorResponse(ERROR_CODES.GAME_FINISHED, {},
+            "A log with a different result has already been verified for " +
+            "this game.");
+      }
+      // The key goes once every seat's log has confirmed the result.
+      const pendingLogSeats = latestData.pendingLogSeats.filter((symbol) =>
+        symbol !== seat);
+      transaction.update(gameRef, {
+        [`result.seatLogHeadHashes.${seat}`]: logHeadHash,
+        pendingLogSeats: pendingLogSeats,
+        ...(pendingLogSeats.length > 0 ? {} : getKeyDestructionFields()),
+      });
+      return [200, getVerifiedResponse(latestData.result)];
+    }
+    // Nor once the sweeper has closed the game.
+    const closedResponse = getClosedGameResponse(
+        lifecycle.getGameStatus(latestData));
+    if (closedResponse) return closedResponse;
+
+    const result = buildVerifiedResult(gameData, gameLog, report);
+    result.seatLogHeadHashes = {[seat]: logHeadHash};
+    result.receipt = receipts.createReceipt(
+        getReceiptSigner(), gameId, result, Date.now());
+    result.ratings = await recordLeaderboardResult(transaction, latestData,
+        result.winner, Date.now());
+    // The key is no longer needed once the result is stored, unless the other
+    // seat's log is still to come.
+    const pendingLogSeats = getPendingLogSeats(latestData, seat);
+    transaction.update(gameRef, {
+      result: result,
+      fsmState: report.finalState,
+      gameState: serializeGameState(report.finalGameState),
+      pendingLogSeats: pendingLogSeats,
+      ...getStatusUpdateFields(lifecycle.GAME_STATUSES.VERIFIED),
+      ...(pendingLogSeats.length > 0 ? {} : getKeyDestructionFields()),
+    });
+    return [200, getVerifiedResponse(result)];
+  });
+}
+
+/**
+ * Verifies a complete log in one submission, for the authenticated seat of a
+ * game the server has seen end. Clients stream their log instead (see "Log
+ * Segments").
+ */
+app.post("/api/submit-log", async (req, res) => {
+  // This function is updated with the final verification step
+  const {
+    gameId,
+    encryptedLog,
+    encryptedKey,
+    iv,
+    ephemeralPublicKey,
+    salt,
+    logHeadHash: claimedHeadHash,
+  } = req.body;
+  logger.info(`Received log submission for gameId: ${gameId}`);
+  const submission = {encryptedLog, encryptedKey, iv, ephemeralPublicKey, salt};
+  const keyScheme = verifier.getSubmissionKeyScheme(submission);
+  if (!gameId || !keyScheme) {
+    return sendError(res, ERROR_CODES.INVALID_REQUEST, {},
+        "Request body must contain all required fields.");
+  }
+  const metricContext = getMetricContext(req, gameId);
+  metrics.recordMetric(logger, metrics.METRICS.LOG_SUBMISSIONS, 1,
+      {route: "submit-log", keyScheme}, metricContext);
+
+  try {
+    // Step 1: Retrieve Private Key
+    const gameRef = db.collection("games").doc(gameId);
+    const gameDoc = await gameRef.get();
+    if (!gameDoc.exists) return sendError(res, ERROR_CODES.GAME_NOT_FOUND);
+    let gameData = gameDoc.data();
+    // Only the players submit logs, and only once the server has seen the game
+    // end.
+    const seat = getAuthenticatedSeat(gameData, req);
+    if (!seat) return sendError(res, ERROR_CODES.SEAT_SECRET_INVALID);
+    const accountError = getSeatAccountError(gameData, seat, req.uid);
+    if (accountError) return sendError(res, accountError);
+    const lengthResponse = getLogLengthResponse(gameData, encryptedLog);
+    if (lengthResponse) {
+      return res.status(lengthResponse[0]).json(lengthResponse[1]);
+    }
+    // Verified games are answered from their result below.
+    const closedResponse = !gameData.result &&
+      getClosedGameResponse(lifecycle.getGameStatus(gameData));
+    if (closedResponse) {
+      return res.status(closedResponse[0]).json(closedResponse[1]);
+    }
+    // A verified game no longer reads the logs of seats it does not await.
+    if (gameData.result && !isAwaitingSeatLog(gameData, seat)) {
+      const [status, body] = getResubmissionResponse(gameData.result,
+          claimedHeadHash);
+      return res.status(status).json(body);
+    }
+    if (!gameData.result && !fsm.getGameOutcome(gameData.fsmState)) {
+      return sendError(res, ERROR_CODES.GAME_NOT_OVER);
+    }
+    const privateKeyPem = await getGamePrivateKey(gameId, gameData);
+    if (!privateKeyPem) {
+      // Without the key the log cannot be read, so a resubmission after
+      // verification is matched by the head hash the client sends along.
+      // It can only ever return the stored result and its receipt, which
+      // attest to nothing that is not public already.
+      if (gameData.result) {
+        const [status, body] = getResubmissionResponse(gameData.result,
+            claimedHeadHash);
+        return res.status(status).json(body);
+      }
+      // The key TTL has passed, but the sweeper has not expired the game yet.
+      const [status, body] = getClosedGameResponse(
+          lifecycle.GAME_STATUSES.EXPIRED);
+      return res.status(status).json(body);
+    }
+    if (keyScheme !== getGameKeyScheme(gameData)) {
+      return sendError(res, ERROR_CODES.KEY_SCHEME_MISMATCH,
+          {keyScheme: getGameKeyScheme(gameData)});
+    }
+
+    // Step 2 & 3: Decrypt Log
+    const gameLog = decryptLogMeasured(submission, privateKeyPem, "log",
+        metricContext);
+    const logHeadHash = verifier.getLogHeadHash(gameLog);
+    logger.info(`Successfully decrypted log for gameId: ${gameId}.`,
+        {logHeadHash});
+
+    // The complete log now awaits verification, as a segmented log does once
+    // its last segment is stored.
+    const gameStatus = lifecycle.getGameStatus(gameData);
+    const {SUBMITTED} = lifecycle.GAME_STATUSES;
+    if (lifecycle.canTransition(gameStatus, SUBMITTED)) {
+      const statusUpdate = getStatusUpdateFields(SUBMITTED);
+      await gameRef.update(statusUpdate);
+      gameData = {...gameData, status: statusUpdate.status};
+    }
+
+    // Steps 4-7: Verify the log and store its result.
+    const [status, body] = await verifyAndStoreLog(gameRef, gameId, gameData,
+        seat, gameLog, metricContext);
+
+    // If all checks pass, the log is fully verified.
+    res.status(status).json(body);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      // The log could not be decrypted; see verifier.decryptLog.
+      logger.warn(`Rejected log for gameId: ${gameId}`, {code: error.code});
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Failed to process log for gameId: ${gameId}`, error);
+    sendError(res, ERROR_CODES.INTERNAL_ERROR, {},
+        "An error occurred during log processing.");
+  }
+});
+
+// --- Log Segments ---
+
+// Instead of one submission at game over, clients stream their log as encrypted
+// segments: after every entry, the entries the server has not acknowledged yet.
+// Each seat's log is verified as it arrives (see verifyLogSegment in
+// lib/verifier.js) from a checkpoint kept on the game document under
+// `logCheckpoints.<seat>`, and the segments are stored in the game's
+// `logSegments` subcollection. The segment ending in the game over entry
+// completes the log, which is then verified as a whole and its result stored,
+// as for /api/submit-log.
+
+// The log entries that close a log.
+const FINAL_LOG_EVENTS = ["GAME_WON", "GAME_DRAWN"];
+
+/**
+ * Stores a checkpoint on the game document; Firestore cannot hold the nested
+ * board array.
+ * @param {object} checkpoint - The verifier's checkpoint.
+ * @return {object} The checkpoint as stored.
+ */
+function serializeCheckpoint(checkpoint) {
+  return {...checkpoint, gameState: serializeGameState(checkpoint.gameState)};
+}
+
+/**
+ * @param {object} gameData - The data of the game document.
+ * @param {object} [storedCheckpoint] - A checkpoint as stored, if any.
+ * @return {object} The verifier's checkpoint.
+ */
+function deserializeCheckpoint(gameData, storedCheckpoint) {
+  if (!storedCheckpoint) return verifier.getInitialCheckpoint(gameData);
+  const gameState = deserializeGameState({
+    ...gameData,
+    gameState: storedCheckpoint.gameState,
+  });
+  return {...storedCheckpoint, gameState};
+}
+
+/**
+ * What a seat's client needs to know to continue streaming its log.
+ * @param {object} gameData - The data of the game document.
+ * @param {string} seat - The seat ('X' or 'O').
+ * @return {{nextSequence: number, headHash: ?string, complete: boolean}} The
+ * next entry the server expects, the chain hash of the last one it
+ * acknowledged, and whether the log is complete.
+ */
+function getCheckpointView(gameData, seat) {
+  const checkpoint = (gameData.logCheckpoints || {})[seat];
+  if (!checkpoint) return {nextSequence: 0, headHash: null, complete: false};
+  return {
+    nextSequence: checkpoint.nextSequence,
+    headHash: checkpoint.headHash,
+    complete: !!checkpoint.complete,
+  };
+}
+
+/**
+ * Verifies a seat's complete log, assembled from its stored segments, and
+ * stores its result. Once the result is stored, this answers from it instead,
+ * unless the game still awaits this seat's log (see "Seat Logs").
+ * @param {object} gameRef - The game document.
+ * @param {string} gameId - The game ID.
+ * @param {object} gameData - The data of the game document.
+ * @param {string} seat - The seat ('X' or 'O') whose log is complete.
+ * @param {object} metricContext - The fields that identify measurements.
+ * @return {Promise<[number, object]>} The status code and body to respond with.
+ */
+async function finalizeSegmentedLog(
+    gameRef, gameId, gameData, seat, metricContext) {
+  if (gameData.result && !isAwaitingSeatLog(gameData, seat)) {
+    return getResubmissionResponse(gameData.result,
+        getCheckpointView(gameData, seat).headHash);
+  }
+  const closedResponse = !gameData.result &&
+    getClosedGameResponse(lifecycle.getGameStatus(gameData));
+  if (closedResponse) return closedResponse;
+  const privateKeyPem = await getGamePrivateKey(gameId, gameData);
+  if (!privateKeyPem) {
+    return getClosedGameResponse(lifecycle.GAME_STATUSES.EXPIRED);
+  }
+  const segmentsSnapshot = await gameRef.collection("logSegments")
+      .where("seat", "==", seat)
+      .get();
+  const gameLog = segmentsSnapshot.docs
+      .map((segmentDoc) => segmentDoc.data())
+      .sort((a, b) => a.fromSequence - b.fromSequence)
+      .flatMap((segment) =>
+        decryptLogMeasured(segment, privateKeyPem, "log", metricContext));
+  return verifyAndStoreLog(
+      gameRef, gameId, gameData, seat, gameLog, metricContext);
+}
+
+/**
+ * Appends an encrypted segment to the log of the authenticated seat. The body
+ * holds `fromSequence`, the sequence number of the segment's first entry, and
+ * the encrypted entries in the same fields as /api/submit-log. A segment that
+ * does not start where the server's checkpoint is gets 409 with the checkpoint,
+ * so the client can resend from there.
+ */
+app.post("/api/games/:id/log-segments", async (req, res) => {
+  const gameId = req.params.id;
+  const {
+    fromSequence,
+    encryptedLog,
+    encryptedKey,
+    iv,
+    ephemeralPublicKey,
+    salt,
+  } = req.body || {};
+  const submission = {encryptedLog, encryptedKey, iv, ephemeralPublicKey, salt};
+  const keyScheme = verifier.getSubmissionKeyScheme(submission);
+  if (!Number.isInteger(fromSequence) || fromSequence < 0 || !keyScheme) {
+    return sendError(res, ERROR_CODES.INVALID_REQUEST, {},
+        "Request body must contain an integer fromSequence and an encrypted " +
+        "segment.");
+  }
+  const metricContext = getMetricContext(req, gameId);
+  metrics.recordMetric(logger, metrics.METRICS.LOG_SUBMISSIONS, 1,
+      {route: "log-segment", keyScheme}, metricContext);
+
+  try {
+    const gameRef = db.collection("games").doc(gameId);
+    const gameDoc = await gameRef.get();
+    if (!gameDoc.exists) return sendError(res, ERROR_CODES.GAME_NOT_FOUND);
+    const gameData = gameDoc.data();
+    const seat = getAuthenticatedSeat(gameData, req);
+    if (!seat) return sendError(res, ERROR_CODES.SEAT_SECRET_INVALID);
+    const accountError = getSeatAccountError(gameData, seat, req.uid);
+    if (accountError) return sendError(res, accountError);
+    const lengthResponse = getLogLengthResponse(gameData, encryptedLog);
+    if (lengthResponse) {
+      return res.status(lengthResponse[0]).json(lengthResponse[1]);
+    }
+
+    const storedCheckpoint = (gameData.logCheckpoints || {})[seat];
+    if (storedCheckpoint && storedCheckpoint.complete) {
+      // Answered like the final segment, so a client whose response was lost
+      // still gets the result.
+      const [status, body] = await finalizeSegmentedLog(gameRef, gameId,
+          gameData, seat, metricContext);
+      return res.status(status).json({
+        ...body,
+        checkpoint: getCheckpointView(gameData, seat),
+      });
+    }
+    const closedResponse = !isAwaitingSeatLog(gameData, seat) &&
+      getClosedGameResponse(lifecycle.getGameStatus(gameData));
+    if (closedResponse) {
+      return res.status(closedResponse[0]).json(closedResponse[1]);
+    }
+    const checkpoint = deserializeCheckpoint(gameData, storedCheckpoint);
+    if (fromSequence !== checkpoint.nextSequence) {
+      return sendError(res, ERROR_CODES.CHECKPOINT_MISMATCH,
+          {checkpoint: getCheckpointView(gameData, seat)},
+          `The next segment must start at entry ${checkpoint.nextSequence}.`);
+    }
+
+    const privateKeyPem = await getGamePrivateKey(gameId, gameData);
+    if (!privateKeyPem) {
+      const [status, body] = getClosedGameResponse(
+          lifecycle.GAME_STATUSES.EXPIRED);
+      return res.status(status).json(body);
+    }
+    if (keyScheme !== getGameKeyScheme(gameData)) {
+      return sendError(res, ERROR_CODES.KEY_SCHEME_MISMATCH,
+          {keyScheme: getGameKeyScheme(gameData)});
+    }
+
+    const segment = decryptLogMeasured(submission, privateKeyPem, "segment",
+        metricContext);
+    const {finding, checkpoint: nextCheckpoint} = verifier.verifyLogSegment(
+        segment, checkpoint, gameData,
+        getVerificationOptions(gameId, gameData));
+    recordVerification("segment", finding ? finding.check : null,
+        metricContext);
+    if (finding) {
+      logger.error(`Log segment verification failed for gameId: ${gameId}`,
+          {seat, fromSequence, finding});
+      const [status, body] = getVerificationFailureResponse(finding);
+      return res.status(status).json(body);
+    }
+    const lastEntry = segment[segment.length - 1];
+    const isComplete = FINAL_LOG_EVENTS.includes(lastEntry.eventType);
+    if (isComplete && !fsm.getGameOutcome(gameData.fsmState)) {
+      return sendError(res, ERROR_CODES.GAME_NOT_OVER);
+    }
+
+    // Store the segment, unless another request for this seat got there first.
+    const segmentId = `${seat}-${String(fromSequence).padStart(6, "0")}`;
+    const storeSegment = async (transaction) => {
+      const latestDoc = await transaction.get(gameRef);
+      const latestData = latestDoc.data();
+      const latestCheckpoint = (latestData.logCheckpoints || {})[seat];
+      const latestSequence = latestCheckpoint ?
+        latestCheckpoint.nextSequence :
+        0;
+      if (latestSequence !== fromSequence) {
+        return getCheckpointView(latestData, seat);
+      }
+      // A complete log awaits verification, unless the game is already closed.
+      const latestStatus = lifecycle.getGameStatus(latestData);
+      const {SUBMITTED} = lifecycle.GAME_STATUSES;
+      const statusUpdate = isComplete &&
+        lifecycle.canTransition(latestStatus, SUBMITTED) ?
+        getStatusUpdateFields(SUBMITTED) :
+        {};
+
+      const segmentCount =
+        (latestCheckpoint && latestCheckpoint.segmentCount) || 0;
+      // Firestore rejects undefined, so only the fields of the game's key
+      // scheme are stored.
+      const encryptedFields = Object.fromEntries(Object.entries(submission)
+          .filter(([, value]) => value !== undefined));
+      transaction.set(gameRef.collection("logSegments").doc(segmentId), {
+        seat,
+        fromSequence,
+        entryCount: segment.length,
+        headHash: nextCheckpoint.headHash,
+        ...encryptedFields,
+        storedAt: FieldValue.serverTimestamp(),
+      });
+      transaction.update(gameRef, {
+        [`logCheckpoints.${seat}`]: {
+          ...serializeCheckpoint(nextCheckpoint),
+          complete: isComplete,
+          segmentCount: segmentCount + 1,
+          updatedAt: FieldValue.serverTimestamp(),
+        },
+        ...statusUpdate,
+      });
+      return null;
+    };
+    const conflictingCheckpoint = await db.runTransaction(storeSegment);
+    if (conflictingCheckpoint) {
+      return sendError(res, ERROR_CODES.CHECKPOINT_MISMATCH,
+          {checkpoint: conflictingCheckpoint},
+          "Another segment was stored first.");
+    }
+
+    const checkpointView = {
+      nextSequence: nextCheckpoint.nextSequence,
+      headHash: nextCheckpoint.headHash,
+      complete: isComplete,
+    };
+    if (!isComplete) {
+      return res.status(200).json({
+        status: "checkpointed",
+        checkpoint: checkpointView,
+      });
+    }
+    const [status, body] = await finalizeSegmentedLog(gameRef, gameId,
+        gameData, seat, metricContext);
+    res.status(status).json({...body, checkpoint: checkpointView});
+  } catch (error) {
+    if (error instanceof ApiError) {
+      logger.warn(`Rejected a log segment for gameId: ${gameId}`,
+          {code: error.code});
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error(`Failed to process a log segment for gameId: ${gameId}`,
+        error);
+    sendError(res, ERROR_CODES.INTERNAL_ERROR, {},
+        "An error occurred during log processing.");
+  }
+});
 
-        // If all checks pass, the log is fully verified.
-        res.status(200).json({ status: "verified", message: "Log successfully decrypted and all integrity checks passed." });
+// --- Receipts ---
+
+/**
+ * Publishes the public keys receipts are signed with, current and retired, so
+ * clients and third parties can check a receipt without asking the server.
+ */
+app.get("/api/receipt-key", (req, res) => {
+  try {
+    res.status(200).json(receipts.getPublicKeyInfo(getReceiptSigner()));
+  } catch (error) {
+    logger.error("Failed to load the receipt signing key", error);
+    sendError(res, ERROR_CODES.INTERNAL_ERROR, {},
+        "Receipts are not available.");
+  }
+});
 
-    } catch (error) {
-        logger.error(`Failed to process log for gameId: ${gameId}`, error);
-        res.status(500).json({ error: "An error occurred during log processing." });
+/**
+ * Checks a receipt presented as proof of a result: its signature, and that it
+ * matches the result stored for its game.
+ */
+app.post("/api/receipts/verify", async (req, res) => {
+  const {receipt} = req.body || {};
+  const gameId = receipt && typeof receipt === "object" ?
+    receipt.gameId :
+    undefined;
+  if (typeof gameId !== "string" || !gameId || gameId.includes("/")) {
+    return sendError(res, ERROR_CODES.INVALID_REQUEST, {},
+        "Request body must contain a receipt with its gameId.");
+  }
+  try {
+    const signatureError = receipts.verifyReceipt(getReceiptSigner(), receipt);
+    if (signatureError) {
+      return res.status(200).json({valid: false, reason: signatureError});
     }
+    const gameDoc = await db.collection("games").doc(gameId).get();
+    const result = gameDoc.exists ? gameDoc.data().result : null;
+    if (!result || result.logHeadHash !== receipt.logHeadHash) {
+      return res.status(200).json({
+        valid: false,
+        reason: "The receipt does not match the game's verified result.",
+      });
+    }
+    res.status(200).json({
+      valid: true,
+      gameId,
+      result: getResultSummary(result),
+    });
+  } catch (error) {
+    logger.error("Failed to verify a receipt", error);
+    sendError(res, ERROR_CODES.INTERNAL_ERROR, {},
+        "An error occurred while verifying the receipt.");
+  }
+});
+
+// --- Game History ---
+
+// How many finished games one history request returns by default, and at most.
+const HISTORY_PAGE_SIZE = 20;
+const MAX_HISTORY_PAGE_SIZE = 50;
+
+/**
+ * The public summary of a verified game's result, as shown in the history.
+ * @param {object} result - The result stored on the game document.
+ * @return {object} The summary.
+ */
+function getResultSummary(result) {
+  return {
+    finalState: result.finalState,
+    winner: result.winner,
+    winningPlayerId: result.winningPlayerId,
+    reason: result.reason,
+    logHeadHash: result.logHeadHash,
+    moveCount: result.moves.filter((record) =>
+      record.event === fsm.EVENTS.PLAYER_MOVE_ATTEMPTED).length,
+    verifiedAt: result.verifiedAt ? result.verifiedAt.toMillis() : null,
+  };
+}
+
+/**
+ * Lists verified games, most recently verified first.
+ * `?limit=<n>` sets the page size; `?before=<ms>` continues after the last
+ * game of the previous page, passing that game's `verifiedAt`.
+ */
+app.get("/api/games", async (req, res) => {
+  const limit = Math.min(
+      parseInt(req.query.limit, 10) || HISTORY_PAGE_SIZE,
+      MAX_HISTORY_PAGE_SIZE);
+  const before = parseInt(req.query.before, 10);
+  try {
+    // Only verified games have a result, so ordering by its time also filters
+    // out the rest.
+    let query = db.collection("games")
+        .orderBy("result.verifiedAt", "desc")
+        .limit(limit);
+    if (Number.isFinite(before)) {
+      query = query.startAfter(Timestamp.fromMillis(before));
+    }
+    const snapshot = await query.get();
+    const games = snapshot.docs.map((doc) => {
+      const gameData = doc.data();
+      return {
+        gameId: doc.id,
+        mode: gameData.mode || "local",
+        rules: fsm.normalizeRules(gameData.rules),
+        playerX_Id: gameData.playerX_Id,
+        playerO_Id: gameData.playerO_Id,
+        ...getResultSummary(gameData.result),
+      };
+    });
+    res.status(200).json({games});
+  } catch (error) {
+    logger.error("Failed to list games", error);
+    sendError(res, ERROR_CODES.INTERNAL_ERROR, {},
+        "An error occurred while listing games.");
+  }
+});
+
+/**
+ * Returns a verified game's move history, for clients to replay through the
+ * FSM.
+ */
+app.get("/api/games/:id/log", async (req, res) => {
+  const gameId = req.params.id;
+  try {
+    const gameDoc = await db.collection("games").doc(gameId).get();
+    if (!gameDoc.exists) return sendError(res, ERROR_CODES.GAME_NOT_FOUND);
+
+    const gameData = gameDoc.data();
+    if (!gameData.result) {
+      return sendError(res, ERROR_CODES.LOG_NOT_VERIFIED);
+    }
+    res.status(200).json({
+      gameId,
+      mode: gameData.mode || "local",
+      aiSeat: gameData.aiSeat || null,
+      rules: fsm.normalizeRules(gameData.rules),
+      rulesVersion: gameData.result.rulesVersion,
+      playerX_Id: gameData.playerX_Id,
+      playerO_Id: gameData.playerO_Id,
+      result: getResultSummary(gameData.result),
+      moves: gameData.result.moves,
+    });
+  } catch (error) {
+    logger.error(`Failed to load the log of gameId: ${gameId}`, error);
+    sendError(res, ERROR_CODES.INTERNAL_ERROR, {},
+        "An error occurred while loading the game log.");
+  }
+});
+
+/**
+ * Returns the DOGE and PEPE side totals and the player rankings.
+ * `?window=day|week|month|all` limits both to games verified in the last day, 7
+ * days, 30 days or ever (the default); `?limit=<n>&offset=<n>` pages through
+ * the players. Ratings are all-time; in a shorter window each player shows the
+ * rating they had after their last game in it.
+ */
+app.get("/api/leaderboard", async (req, res) => {
+  const window = req.query.window || "all";
+  if (!Object.hasOwn(ratings.LEADERBOARD_WINDOWS, window)) {
+    const windows = Object.keys(ratings.LEADERBOARD_WINDOWS).join(", ");
+    return sendError(res, ERROR_CODES.INVALID_REQUEST, {},
+        `window must be one of ${windows}.`);
+  }
+  const limit = Math.min(
+      parseInt(req.query.limit, 10) || LEADERBOARD_PAGE_SIZE,
+      MAX_LEADERBOARD_PAGE_SIZE);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const since = ratings.getWindowStartDay(window, Date.now());
+
+  try {
+    let sides;
+    // This page's players, plus one more if there is a next page
+    let rankedPlayers;
+    if (since === null) {
+      const [totalsDoc, playersSnapshot] = await Promise.all([
+        db.collection("leaderboard").doc("totals").get(),
+        db.collection("players")
+            .orderBy("rating", "desc")
+            .offset(offset)
+            .limit(limit + 1)
+            .get(),
+      ]);
+      sides = totalsDoc.exists ?
+        totalsDoc.data() :
+        {X: ratings.createTally(), O: ratings.createTally()};
+      rankedPlayers = playersSnapshot.docs.map((doc) => doc.data());
+    } else {
+      const daysSnapshot = await db.collection("leaderboardDays")
+          .where("day", ">=", since)
+          .get();
+      const summary = ratings.summarizeDays(
+          daysSnapshot.docs.map((doc) => doc.data()));
+      sides = summary.sides;
+      rankedPlayers = ratings.rankPlayers(summary.players)
+          .slice(offset, offset + limit + 1);
+    }
+
+    res.status(200).json({
+      window,
+      since,
+      sides: {
+        X: {
+          name: "DOGE",
+          ...ratings.addToTally(ratings.createTally(), sides.X),
+        },
+        O: {
+          name: "PEPE",
+          ...ratings.addToTally(ratings.createTally(), sides.O),
+        },
+      },
+      players: rankedPlayers.slice(0, limit).map((player, index) => ({
+        rank: offset + index + 1,
+        name: player.name,
+        rating: player.rating,
+        wins: player.wins,
+        draws: player.draws,
+        losses: player.losses,
+        games: player.wins + player.draws + player.losses,
+      })),
+      offset,
+      limit,
+      nextOffset: rankedPlayers.length > limit ? offset + limit : null,
+    });
+  } catch (error) {
+    logger.error("Failed to load the leaderboard", error);
+    sendError(res, ERROR_CODES.INTERNAL_ERROR, {},
+        "An error occurred while loading the leaderboard.");
+  }
+});
+
+// --- Game Sweeper ---
+
+// How many overdue games one sweep query fetches at a time.
+const SWEEP_BATCH_SIZE = 200;
+
+/**
+ * Closes the games whose deadline in `deadlineField` has passed, moving them to
+ * `status` and destroying their keys. Each game is closed in its own
+ * transaction, so a move or a verification that lands during the sweep is not
+ * overwritten. Every game the query finds leaves it: it is closed, its deadline
+ * has moved on, or the deadline is removed because its status can no longer
+ * change to `status`.
+ * @param {string} deadlineField - 'abandonAt' or 'keyExpiresAt'.
+ * @param {string} status - The status to close the games with.
+ * @param {number} now - The current time in milliseconds.
+ * @return {Promise<number>} The number of games closed.
+ */
+async function closeOverdueGames(deadlineField, status, now) {
+  let closedCount = 0;
+  for (;;) {
+    const snapshot = await db.collection("games")
+        .where(deadlineField, "<=", Timestamp.fromMillis(now))
+        .limit(SWEEP_BATCH_SIZE)
+        .get();
+    if (snapshot.empty) return closedCount;
+    for (const gameDoc of snapshot.docs) {
+      const isClosed = await db.runTransaction(async (transaction) => {
+        const latestDoc = await transaction.get(gameDoc.ref);
+        const latestData = latestDoc.data();
+        const deadline = latestData[deadlineField];
+        if (!deadline || deadline.toMillis() > now) return false;
+        const latestStatus = lifecycle.getGameStatus(latestData);
+        if (!lifecycle.canTransition(latestStatus, status)) {
+          // A verified game may still hold its key for the other seat's log
+          // (see "Seat Logs").
+          const update = deadlineField === "keyExpiresAt" ?
+            getKeyDestructionFields() :
+            {[deadlineField]: FieldValue.delete()};
+          transaction.update(gameDoc.ref, update);
+          return false;
+        }
+        transaction.update(gameDoc.ref,
+            {...getStatusUpdateFields(status), ...getKeyDestructionFields()});
+        return true;
+      });
+      if (isClosed) closedCount++;
+    }
+  }
+}
+
+/**
+ * Records a sweep in `stats/gameLifecycle`: running totals, and the last sweep
+ * with the number of games in each status after it. Games created before
+ * statuses were stored are not counted.
+ * @param {number} now - The time the sweep started, in milliseconds.
+ * @param {{abandoned: number, expired: number}} closedCounts - The games the
+ * sweep closed.
+ */
+async function recordSweepStatistics(now, closedCounts) {
+  const statuses = Object.values(lifecycle.GAME_STATUSES);
+  const countSnapshots = await Promise.all(statuses.map((status) =>
+    db.collection("games").where("status", "==", status).count().get(),
+  ));
+  const gamesByStatus = Object.fromEntries(statuses.map((status, index) =>
+    [status, countSnapshots[index].data().count]));
+  await db.collection("stats").doc("gameLifecycle").set({
+    sweepCount: FieldValue.increment(1),
+    abandonedCount: FieldValue.increment(closedCounts.abandoned),
+    expiredCount: FieldValue.increment(closedCounts.expired),
+    lastSweep: {
+      startedAt: Timestamp.fromMillis(now),
+      durationMs: Date.now() - now,
+      ...closedCounts,
+      gamesByStatus,
+    },
+  }, {merge: true});
+}
+
+/**
+ * Abandons games that have been idle for too long, then expires games whose key
+ * TTL has passed without a verified log. Both lose their keys: submissions
+ * already refuse expired keys, and this removes them from storage.
+ * @param {number} now - The current time in milliseconds.
+ * @return {Promise<{abandoned: number, expired: number}>} The number of games
+ * closed.
+ */
+async function sweepGames(now) {
+  const abandoned = await closeOverdueGames("abandonAt",
+      lifecycle.GAME_STATUSES.ABANDONED, now);
+  const expired = await closeOverdueGames("keyExpiresAt",
+      lifecycle.GAME_STATUSES.EXPIRED, now);
+  const closedCounts = {abandoned, expired};
+  await recordSweepStatistics(now, closedCounts);
+  return closedCounts;
+}
+
+exports.sweepGames = onSchedule({
+  schedule: "every 1 hours",
+  region: "us-west2",
+}, async () => {
+  const {abandoned, expired} = await sweepGames(Date.now());
+  logger.info(
+      `Game sweep abandoned ${abandoned} and expired ${expired} games.`);
 });
 
 // Export the Express app, specifying the region for the function
 exports.api = onRequest(
-    { 
-        region: "us-west2", 
-        enforceAppCheck: true,
-        consumeAppCheckToken: true, 
-    }, 
-    app
+    {
+      region: "us-west2",
+      enforceAppCheck: true,
+      consumeAppCheckToken: true,
+      secrets: ["GAME_MASTER_KEYS", "RECEIPT_SIGNING_KEY"],
+    },
+    app,
 );
-//exports.api = onRequest({ region: "us-west2" }, app);
\ No newline at end of file
+// exports.api = onRequest({ region: "us-west2" }, app);
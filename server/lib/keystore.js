@@ -0,0 +1,264 @@
+// server/lib/keystore.js
+
+/**
+ * keystore.js
+ *
+ * Envelope encryption of the per-game private keys. A game's private key is
+ * encrypted with a fresh AES-256-GCM data key, and the data key is wrapped by a
+ * master key that never leaves the key provider. Firestore only ever holds the
+ * sealed form, so database read access alone no longer decrypts submitted logs:
+ *
+ *   { version, keyId, wrappedKey, ciphertext }
+ *
+ * `keyId` names the master key that wrapped `wrappedKey`; both base64 fields
+ * are iv | ciphertext | auth tag. The game ID is bound in as additional
+ * authenticated data, so a sealed key copied onto another game document does
+ * not open.
+ *
+ * Key providers wrap and unwrap data keys. The built-in ones hold the master
+ * keys in memory, read from a JSON key set:
+ *
+ *   {
+ *     "activeKeyId": "2026-10",
+ *     "keys": { "2026-10": "<32 random bytes, base64>", ... }
+ *   }
+ *
+ * - 'env': the key set is the GAME_MASTER_KEYS environment variable (a
+ *   Functions secret in production).
+ * - 'local-file': the key set is read from the file GAME_MASTER_KEYS_FILE;
+ *   meant for tests and the emulator.
+ *
+ * GAME_KEY_PROVIDER picks the provider ('env' by default). Other providers,
+ * such as a cloud KMS, only need to implement the same { activeKeyId, hasKey,
+ * wrapKey, unwrapKey } interface and be added to KEY_PROVIDERS.
+ *
+ * Rotating the master key: add the new key to the key set and make it active,
+ * so new games are sealed with it while games in progress still open with the
+ * old one. Then run `npm run rotate-keys` to re-wrap the stored keys, after
+ * which the old master key can be removed.
+ *
+ * It exports:
+ * - GAME_KEY_TTL_MS: How long after its game is created a private key is
+ *   destroyed, if no log verified first.
+ * - KEY_PROVIDERS, createKeyProvider: The key providers.
+ * - sealPrivateKey, openPrivateKey: Encrypt and decrypt a game's private key.
+ * - rewrapPrivateKey: Re-wraps a sealed key's data key under the active master
+ *   key.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const GAME_KEY_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const SEALED_KEY_VERSION = 1;
+const MASTER_KEY_BYTES = 32;
+const IV_BYTES = 12;
+const AUTH_TAG_BYTES = 16;
+
+// --- AES-256-GCM Helpers ---
+
+/**
+ * @param {Buffer} key - The AES-256 key.
+ * @param {Buffer} plaintext - What to encrypt.
+ * @param {string} aad - The additional authenticated data.
+ * @return {string} The IV, ciphertext and auth tag, base64 encoded.
+ */
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(aad, "utf8"));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const sealed = Buffer.concat([iv, ciphertext, cipher.getAuthTag()]);
+  return sealed.toString("base64");
+}
+
+/**
+ * @param {Buffer} key - The AES-256 key.
+ * @param {string} sealed - What encrypt() returned.
+ * @param {string} aad - The additional authenticated data it was sealed with.
+ * @return {Buffer} The plaintext.
+ * @throws {Error} If the sealed data was altered or the AAD differs.
+ */
+function decrypt(key, sealed, aad) {
+  const buffer = Buffer.from(sealed, "base64");
+  const iv = buffer.subarray(0, IV_BYTES);
+  const authTag = buffer.subarray(buffer.length - AUTH_TAG_BYTES);
+  const ciphertext = buffer.subarray(IV_BYTES, buffer.length - AUTH_TAG_BYTES);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAAD(Buffer.from(aad, "utf8"));
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * @param {string} gameId - The game a key belongs to.
+ * @return {string} The AAD that binds a sealed key to its game.
+ */
+function getAad(gameId) {
+  return `tictactoe-game-key:${gameId}`;
+}
+
+// --- Key Providers ---
+
+/**
+ * Builds a provider from a parsed key set, holding the master keys in memory.
+ * @param {{activeKeyId: string, keys: Object<string, string>}} keySet - The key
+ * set.
+ * @param {string} source - Where the key set came from, for error messages.
+ * @return {object} The key provider.
+ */
+function createInMemoryKeyProvider(keySet, source) {
+  if (!keySet || typeof keySet.keys !== "object" || !keySet.keys) {
+    throw new Error(`${source} must contain a "keys" object.`);
+  }
+  const masterKeys = new Map();
+  Object.entries(keySet.keys).forEach(([keyId, encodedKey]) => {
+    const key = Buffer.from(String(encodedKey), "base64");
+    if (key.length !== MASTER_KEY_BYTES) {
+      throw new Error(`Master key "${keyId}" in ${source} must be ` +
+          `${MASTER_KEY_BYTES} bytes, base64 encoded.`);
+    }
+    masterKeys.set(keyId, key);
+  });
+  if (!masterKeys.has(keySet.activeKeyId)) {
+    throw new Error(
+        `The active master key "${keySet.activeKeyId}" is not in ${source}.`);
+  }
+
+  /**
+   * @param {string} keyId - The master key's ID.
+   * @return {Buffer} The master key.
+   */
+  function getMasterKey(keyId) {
+    const key = masterKeys.get(keyId);
+    if (!key) throw new Error(`Master key "${keyId}" is not available.`);
+    return key;
+  }
+
+  return {
+    activeKeyId: keySet.activeKeyId,
+    hasKey: (keyId) => masterKeys.has(keyId),
+    wrapKey: async (dataKey, aad) => ({
+      keyId: keySet.activeKeyId,
+      wrappedKey: encrypt(getMasterKey(keySet.activeKeyId), dataKey, aad),
+    }),
+    unwrapKey: async (keyId, wrappedKey, aad) =>
+      decrypt(getMasterKey(keyId), wrappedKey, aad),
+  };
+}
+
+/**
+ * @param {string} json - The key set as JSON.
+ * @param {string} source - Where the key set came from, for error messages.
+ * @return {object} The parsed key set.
+ */
+function parseKeySet(json, source) {
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw new Error(`${source} is not valid JSON: ${error.message}`);
+  }
+}
+
+const KEY_PROVIDERS = {
+  "env": (env) => {
+    if (!env.GAME_MASTER_KEYS) throw new Error("GAME_MASTER_KEYS is not set.");
+    const source = "GAME_MASTER_KEYS";
+    const keySet = parseKeySet(env.GAME_MASTER_KEYS, source);
+    return createInMemoryKeyProvider(keySet, source);
+  },
+  "local-file": (env) => {
+    const filePath = env.GAME_MASTER_KEYS_FILE;
+    if (!filePath) throw new Error("GAME_MASTER_KEYS_FILE is not set.");
+    const keySet = parseKeySet(fs.readFileSync(filePath, "utf8"), filePath);
+    return createInMemoryKeyProvider(keySet, filePath);
+  },
+};
+
+/**
+ * Creates the key provider selected by the configuration.
+ * @param {object} env - The configuration, usually process.env.
+ * @return {{activeKeyId: string, hasKey: Function, wrapKey: Function,
+ * unwrapKey: Function}} The provider.
+ * @throws {Error} If the provider is unknown or its key set is missing or
+ * invalid.
+ */
+function createKeyProvider(env) {
+  const providerName = env.GAME_KEY_PROVIDER || "env";
+  const createProvider = KEY_PROVIDERS[providerName];
+  if (!createProvider) {
+    const providerNames = Object.keys(KEY_PROVIDERS).join(", ");
+    throw new Error(`Unknown GAME_KEY_PROVIDER "${providerName}"; ` +
+        `expected one of ${providerNames}.`);
+  }
+  return createProvider(env);
+}
+
+// --- Sealing ---
+
+/**
+ * Encrypts a game's private key under a fresh data key wrapped by the active
+ * master key.
+ * @param {object} provider - The key provider.
+ * @param {string} gameId - The game the key belongs to.
+ * @param {string} privateKeyPem - The private key.
+ * @return {Promise<object>} The sealed key, to store on the game document.
+ */
+async function sealPrivateKey(provider, gameId, privateKeyPem) {
+  const dataKey = crypto.randomBytes(32);
+  const aad = getAad(gameId);
+  const {keyId, wrappedKey} = await provider.wrapKey(dataKey, aad);
+  return {
+    version: SEALED_KEY_VERSION,
+    keyId,
+    wrappedKey,
+    ciphertext: encrypt(dataKey, Buffer.from(privateKeyPem, "utf8"), aad),
+  };
+}
+
+/**
+ * Decrypts a sealed private key.
+ * @param {object} provider - The key provider.
+ * @param {string} gameId - The game the key belongs to.
+ * @param {object} sealedKey - The sealed key from the game document.
+ * @return {Promise<string>} The private key.
+ * @throws {Error} If the master key is unavailable or the sealed key was
+ * altered or belongs to another game.
+ */
+async function openPrivateKey(provider, gameId, sealedKey) {
+  if (!sealedKey || sealedKey.version !== SEALED_KEY_VERSION) {
+    const version = sealedKey && sealedKey.version;
+    throw new Error(`Unsupported sealed key version: ${version}`);
+  }
+  const aad = getAad(gameId);
+  const dataKey = await provider.unwrapKey(
+      sealedKey.keyId, sealedKey.wrappedKey, aad);
+  return decrypt(dataKey, sealedKey.ciphertext, aad).toString("utf8");
+}
+
+/**
+ * Re-wraps a sealed key's data key under the active master key. The encrypted
+ * private key itself is unchanged.
+ * @param {object} provider - The key provider.
+ * @param {string} gameId - The game the key belongs to.
+ * @param {object} sealedKey - The sealed key from the game document.
+ * @return {Promise<object>} The sealed key wrapped by the active master key.
+ */
+async function rewrapPrivateKey(provider, gameId, sealedKey) {
+  if (sealedKey.keyId === provider.activeKeyId) return sealedKey;
+  const aad = getAad(gameId);
+  const dataKey = await provider.unwrapKey(
+      sealedKey.keyId, sealedKey.wrappedKey, aad);
+  const {keyId, wrappedKey} = await provider.wrapKey(dataKey, aad);
+  return {...sealedKey, keyId, wrappedKey};
+}
+
+module.exports = {
+  GAME_KEY_TTL_MS,
+  KEY_PROVIDERS,
+  createKeyProvider,
+  sealPrivateKey,
+  openPrivateKey,
+  rewrapPrivateKey,
+};
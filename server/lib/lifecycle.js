@@ -0,0 +1,123 @@
+// server/lib/lifecycle.js
+
+/**
+ * lifecycle.js
+ *
+ * The lifecycle of a game document, stored in its `status` field:
+ *
+ *   created ──> active ──> submitted ──> verified
+ *      │          │            │  ^
+ *      │          │            v  │
+ *      │          │         rejected
+ *      v          v            │
+ *   abandoned  abandoned       v
+ *                           expired   (from any status but verified and
+ *                                      abandoned)
+ *
+ * - created: the game exists, but no event has been accepted yet.
+ * - active: at least one move or other event has been accepted.
+ * - submitted: a complete log has been stored (see "Log Segments" in index.js)
+ *   and awaits verification.
+ * - verified: a log verified and the result is stored. Final.
+ * - rejected: a submitted log failed verification. A later, valid log can still
+ *   verify.
+ * - abandoned: nothing happened for ABANDON_AFTER_MS while the game was created
+ *   or active. Final.
+ * - expired: the game's key TTL passed without a verified log. Final.
+ *
+ * Open games carry `abandonAt`, the time after which the sweeper abandons them;
+ * every accepted event pushes it back. Both abandoned and expired games have
+ * their keys wiped, so their logs can never be verified.
+ *
+ * It exports:
+ * - GAME_STATUSES, ABANDON_AFTER_MS: The statuses, and how long an idle game
+ *   stays open.
+ * - getGameStatus: A game document's status, derived for documents from before
+ *   statuses were stored.
+ * - canTransition, isAbandonable: Which status changes are allowed.
+ * - getClosedGameError: The error code for a request a game's status no longer
+ *   allows.
+ */
+
+const {ERROR_CODES} = require("tictactoe-rules");
+
+const GAME_STATUSES = {
+  CREATED: "created",
+  ACTIVE: "active",
+  SUBMITTED: "submitted",
+  VERIFIED: "verified",
+  REJECTED: "rejected",
+  ABANDONED: "abandoned",
+  EXPIRED: "expired",
+};
+
+const ABANDON_AFTER_MS = 24 * 60 * 60 * 1000;
+
+const {
+  CREATED, ACTIVE, SUBMITTED, VERIFIED, REJECTED, ABANDONED, EXPIRED,
+} = GAME_STATUSES;
+
+const TRANSITIONS = {
+  [CREATED]: [ACTIVE, SUBMITTED, VERIFIED, ABANDONED, EXPIRED],
+  [ACTIVE]: [SUBMITTED, VERIFIED, ABANDONED, EXPIRED],
+  [SUBMITTED]: [VERIFIED, REJECTED, EXPIRED],
+  [REJECTED]: [SUBMITTED, VERIFIED, EXPIRED],
+  [VERIFIED]: [],
+  [ABANDONED]: [],
+  [EXPIRED]: [],
+};
+
+// What a request to a game in a final status is told.
+const CLOSED_GAME_ERRORS = {
+  [GAME_STATUSES.VERIFIED]: ERROR_CODES.GAME_FINISHED,
+  [GAME_STATUSES.ABANDONED]: ERROR_CODES.GAME_ABANDONED,
+  [GAME_STATUSES.EXPIRED]: ERROR_CODES.GAME_EXPIRED,
+};
+
+/**
+ * @param {object} gameData - The data of a game document.
+ * @return {string} One of GAME_STATUSES.
+ */
+function getGameStatus(gameData) {
+  if (gameData.status) return gameData.status;
+  if (gameData.result) return GAME_STATUSES.VERIFIED;
+  if (gameData.keyDestroyedAt) return GAME_STATUSES.EXPIRED;
+  if (gameData.lastFailedSubmission) return GAME_STATUSES.REJECTED;
+  return gameData.eventCount > 0 ? GAME_STATUSES.ACTIVE : GAME_STATUSES.CREATED;
+}
+
+/**
+ * @param {string} fromStatus - The game's status, one of GAME_STATUSES.
+ * @param {string} toStatus - The status it would move to.
+ * @return {boolean} True if the game may move from one to the other.
+ */
+function canTransition(fromStatus, toStatus) {
+  return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * @param {string} status - One of GAME_STATUSES.
+ * @return {boolean} True if the game still counts as being played, so idling
+ * abandons it.
+ */
+function isAbandonable(status) {
+  return status === GAME_STATUSES.CREATED || status === GAME_STATUSES.ACTIVE;
+}
+
+/**
+ * @param {string} status - One of GAME_STATUSES.
+ * @return {string|null} The ERROR_CODES value for a request to a game in a
+ * final status, or null if the status allows requests.
+ */
+function getClosedGameError(status) {
+  return CLOSED_GAME_ERRORS[status] || null;
+}
+
+module.exports = {
+  GAME_STATUSES,
+  ABANDON_AFTER_MS,
+  getGameStatus,
+  canTransition,
+  isAbandonable,
+  getClosedGameError,
+};
@@ -0,0 +1,202 @@
+// server/lib/metrics.js
+
+/**
+ * metrics.js
+ *
+ * Structured metrics, written as log entries. Each measurement is one entry
+ * whose payload names the metric and carries its value and labels:
+ *
+ *   { "message": "Metric log_verifications", "metric": "log_verifications",
+ *     "value": 1, "scope": "log", "result": "failed",
+ *     "reason": "move_signature", "requestId": "...", "gameId": "..." }
+ *
+ * Cloud Logging turns them into charts through log-based metrics: a counter
+ * counts a metric's entries, a distribution collects their values. The metric
+ * definitions are derived from METRIC_DEFINITIONS by getLogMetricDefinitions,
+ * and bin/export-log-metrics.js exports them for `gcloud logging metrics
+ * create`.
+ *
+ * Entries carry the request's ID (X-Request-Id), which the client creates and
+ * the proxy passes on, so a measurement can be traced to the request, and to
+ * the proxy's and the client's view of it.
+ *
+ * PROXY_ROUND_TRIP is written by the proxy (proxy/lib/forwarding.js), which is
+ * deployed on its own and cannot require this file; it is defined here so all
+ * metrics are exported together.
+ *
+ * It exports:
+ * - METRICS, METRIC_KINDS, METRIC_DEFINITIONS: The metrics and what they
+ *   measure.
+ * - recordMetric, startTimer: Writing a measurement, and timing one.
+ * - getLogMetricDefinitions: The log-based metric definitions for Cloud
+ *   Logging.
+ */
+
+const METRICS = {
+  GAMES_CREATED: "games_created",
+  GAME_KEYGEN_LATENCY: "game_keygen_latency",
+  LOG_SUBMISSIONS: "log_submissions",
+  LOG_DECRYPT_LATENCY: "log_decrypt_latency",
+  LOG_VERIFICATIONS: "log_verifications",
+  API_REQUEST_LATENCY: "api_request_latency",
+  PROXY_ROUND_TRIP: "proxy_round_trip",
+};
+
+const METRIC_KINDS = {
+  COUNTER: "counter",
+  DISTRIBUTION: "distribution",
+};
+
+// `labels` maps each label to its description; every entry of the metric
+// carries them all.
+const METRIC_DEFINITIONS = {
+  [METRICS.GAMES_CREATED]: {
+    kind: METRIC_KINDS.COUNTER,
+    description: "Games created.",
+    labels: {
+      mode: "The game mode: local, online or ai.",
+      variant: "The rule variant.",
+    },
+  },
+  [METRICS.GAME_KEYGEN_LATENCY]: {
+    kind: METRIC_KINDS.DISTRIBUTION,
+    unit: "ms",
+    description: "Time to generate a game's key pair.",
+    labels: {keyScheme: "The key scheme of the generated key."},
+  },
+  [METRICS.LOG_SUBMISSIONS]: {
+    kind: METRIC_KINDS.COUNTER,
+    description: "Encrypted logs and log segments received.",
+    labels: {
+      route: "submit-log for a whole log, log-segment for a segment.",
+      keyScheme: "The key scheme the log is encrypted for.",
+    },
+  },
+  [METRICS.LOG_DECRYPT_LATENCY]: {
+    kind: METRIC_KINDS.DISTRIBUTION,
+    unit: "ms",
+    description: "Time to decrypt a log or log segment.",
+    labels: {keyScheme: "The key scheme the log is encrypted for."},
+  },
+  [METRICS.LOG_VERIFICATIONS]: {
+    kind: METRIC_KINDS.COUNTER,
+    description: "Logs and log segments verified, by outcome.",
+    labels: {
+      scope: "log for a complete log, segment for a log segment.",
+      result: "passed or failed.",
+      reason: "The check that failed (see CHECKS in lib/verifier.js), " +
+        "decryption if the log could not be read, none if it passed.",
+    },
+  },
+  [METRICS.API_REQUEST_LATENCY]: {
+    kind: METRIC_KINDS.DISTRIBUTION,
+    unit: "ms",
+    description: "Time the API took to answer a request.",
+    labels: {
+      method: "The request method.",
+      route: "The route, such as /api/games/:id/moves.",
+      status: "The response status code.",
+    },
+  },
+  [METRICS.PROXY_ROUND_TRIP]: {
+    kind: METRIC_KINDS.DISTRIBUTION,
+    unit: "ms",
+    description: "Time from the proxy forwarding a request to the " +
+      "backend's complete response.",
+    labels: {
+      method: "The request method.",
+      route: "The route, such as /games/:id/moves.",
+      status: "The status relayed to the client.",
+    },
+  },
+};
+
+/**
+ * Writes a measurement.
+ * @param {object} logger - The Functions logger.
+ * @param {string} metric - One of METRICS.
+ * @param {number} value - The value: 1 for a counter, the measurement for a
+ * distribution.
+ * @param {object} labels - A value for each of the metric's labels.
+ * @param {object} [context] - Fields that identify the measurement but are not
+ * labels, such as requestId and gameId.
+ */
+function recordMetric(logger, metric, value, labels, context = {}) {
+  const definition = METRIC_DEFINITIONS[metric];
+  if (!definition) throw new Error(`Unknown metric "${metric}".`);
+  const labelValues = {};
+  for (const label of Object.keys(definition.labels)) {
+    const value = labels[label];
+    labelValues[label] = value === undefined || value === null ?
+      "unknown" :
+      String(value);
+  }
+  logger.info(`Metric ${metric}`, {...context, metric, value, ...labelValues});
+}
+
+/**
+ * Starts timing something.
+ * @return {Function} Returns the milliseconds elapsed since the timer started,
+ * to a tenth.
+ */
+function startTimer() {
+  const startedAt = process.hrtime.bigint();
+  return () => {
+    const elapsedNs = Number(process.hrtime.bigint() - startedAt);
+    return Math.round(elapsedNs / 1e5) / 10;
+  };
+}
+
+// --- Log-Based Metrics ---
+
+// Distribution buckets in milliseconds: under 1, then doubling up to about two
+// minutes.
+const LATENCY_BUCKETS = {
+  exponentialBuckets: {numFiniteBuckets: 17, growthFactor: 2, scale: 1},
+};
+
+/**
+ * The log-based metric definitions (LogMetric resources of the Cloud Logging
+ * API) that chart METRIC_DEFINITIONS.
+ * @param {string} [prefix='tictactoe'] - Prepended to every metric's name, as
+ * `<prefix>/<metric>`.
+ * @return {Array<object>} The definitions.
+ */
+function getLogMetricDefinitions(prefix = "tictactoe") {
+  return Object.entries(METRIC_DEFINITIONS).map(([metric, definition]) => {
+    const labels = Object.keys(definition.labels);
+    const logMetric = {
+      name: `${prefix}/${metric}`,
+      description: definition.description,
+      filter: `jsonPayload.metric="${metric}"`,
+      metricDescriptor: {
+        metricKind: "DELTA",
+        valueType: definition.kind === METRIC_KINDS.COUNTER ?
+          "INT64" :
+          "DISTRIBUTION",
+        unit: definition.unit || "1",
+        labels: labels.map((label) => ({
+          key: label,
+          valueType: "STRING",
+          description: definition.labels[label],
+        })),
+      },
+      labelExtractors: Object.fromEntries(labels.map((label) =>
+        [label, `EXTRACT(jsonPayload.${label})`])),
+    };
+    if (definition.kind === METRIC_KINDS.DISTRIBUTION) {
+      logMetric.valueExtractor = "EXTRACT(jsonPayload.value)";
+      logMetric.bucketOptions = LATENCY_BUCKETS;
+    }
+    return logMetric;
+  });
+}
+
+module.exports = {
+  METRICS,
+  METRIC_KINDS,
+  METRIC_DEFINITIONS,
+  recordMetric,
+  startTimer,
+  getLogMetricDefinitions,
+};
@@ -0,0 +1,183 @@
+// server/lib/ratings.js
+
+/**
+ * ratings.js
+ *
+ * Elo ratings and leaderboard bookkeeping. Like verifier.js this module is
+ * pure; the API reads and writes the Firestore documents it describes:
+ *
+ * - players/{playerId}: a player's all-time rating and win/draw/loss totals.
+ * - leaderboard/totals: all-time win/draw/loss totals of the DOGE (X) and PEPE
+ *   (O) sides.
+ * - leaderboardDays/{YYYY-MM-DD}: the same side totals for one UTC day, plus
+ *   the results and latest rating of every rated player who played that day.
+ *   Time windows shorter than "all" are summed from these.
+ *
+ * It exports:
+ * - INITIAL_RATING, K_FACTOR: The Elo parameters.
+ * - LEADERBOARD_WINDOWS: The time windows the leaderboard can be filtered by.
+ * - getSideResults, updateRatings: What one finished game adds to each side's
+ *   totals and ratings.
+ * - getDayKey, getWindowStartDay: Day keys of the daily leaderboard documents.
+ * - createTally, addToTally: Win/draw/loss counters.
+ * - summarizeDays, rankPlayers: Build a time-windowed leaderboard from the
+ *   daily documents.
+ */
+
+const INITIAL_RATING = 1200;
+const K_FACTOR = 32;
+
+// The number of days (counting today) each window covers; "all" is not limited.
+const LEADERBOARD_WINDOWS = {
+  day: 1,
+  week: 7,
+  month: 30,
+  all: null,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The Elo score of each side: 1 for a win, 0.5 for a draw and 0 for a loss.
+ * @param {string|null} winner - 'X', 'O', or null for a draw.
+ * @return {{X: number, O: number}} The scores.
+ */
+function getSideScores(winner) {
+  if (winner === "X") return {X: 1, O: 0};
+  if (winner === "O") return {X: 0, O: 1};
+  return {X: 0.5, O: 0.5};
+}
+
+/**
+ * @param {number} rating - A player's rating.
+ * @param {number} opponentRating - The opponent's rating.
+ * @return {number} The score the player is expected to make, from 0 to 1.
+ */
+function getExpectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * What a finished game adds to each side's win/draw/loss totals.
+ * @param {string|null} winner - 'X', 'O', or null for a draw.
+ * @return {{X: object, O: object}} A tally with a single count for each side.
+ */
+function getSideResults(winner) {
+  const scores = getSideScores(winner);
+  const toTally = (score) => ({
+    wins: score === 1 ? 1 : 0,
+    draws: score === 0.5 ? 1 : 0,
+    losses: score === 0 ? 1 : 0,
+  });
+  return {X: toTally(scores.X), O: toTally(scores.O)};
+}
+
+/**
+ * Applies one game's result to both players' ratings.
+ * @param {{X: number, O: number}} ratings - The ratings before the game.
+ * @param {string|null} winner - 'X', 'O', or null for a draw.
+ * @return {{X: number, O: number}} The ratings after the game, rounded to whole
+ * points.
+ */
+function updateRatings(ratings, winner) {
+  const scores = getSideScores(winner);
+  const expectedX = getExpectedScore(ratings.X, ratings.O);
+  const change = Math.round(K_FACTOR * (scores.X - expectedX));
+  return {X: ratings.X + change, O: ratings.O - change};
+}
+
+/**
+ * @param {number} timestamp - Milliseconds since the epoch.
+ * @return {string} The UTC day, as "YYYY-MM-DD".
+ */
+function getDayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * The first day a leaderboard window covers.
+ * @param {string} window - One of LEADERBOARD_WINDOWS.
+ * @param {number} now - The current time in milliseconds.
+ * @return {string|null} The day key, or null for the "all" window.
+ */
+function getWindowStartDay(window, now) {
+  const days = LEADERBOARD_WINDOWS[window];
+  return days ? getDayKey(now - (days - 1) * DAY_MS) : null;
+}
+
+/**
+ * @return {{wins: number, draws: number, losses: number}} An empty tally.
+ */
+function createTally() {
+  return {wins: 0, draws: 0, losses: 0};
+}
+
+/**
+ * Adds a tally into another.
+ * @param {{wins: number, draws: number, losses: number}} tally - The tally to
+ * add to; it is changed.
+ * @param {object} [counts] - The wins, draws and losses to add; missing ones
+ * count as 0.
+ * @return {object} The tally.
+ */
+function addToTally(tally, counts = {}) {
+  tally.wins += counts.wins || 0;
+  tally.draws += counts.draws || 0;
+  tally.losses += counts.losses || 0;
+  return tally;
+}
+
+/**
+ * Sums daily leaderboard documents into side totals and per-player results.
+ * A player's rating is the latest one recorded in the window.
+ * @param {Array<object>} days - The daily documents, in any order.
+ * @return {{sides: {X: object, O: object}, players: Array<object>}} The totals.
+ */
+function summarizeDays(days) {
+  const sides = {X: createTally(), O: createTally()};
+  const players = new Map();
+  [...days].sort((a, b) => a.day.localeCompare(b.day)).forEach((dayData) => {
+    addToTally(sides.X, dayData.sides && dayData.sides.X);
+    addToTally(sides.O, dayData.sides && dayData.sides.O);
+    Object.entries(dayData.players || {}).forEach(([playerId, dayResults]) => {
+      const player = players.get(playerId) || {playerId, ...createTally()};
+      addToTally(player, dayResults);
+      player.name = dayResults.name;
+      player.rating = dayResults.rating;
+      players.set(playerId, player);
+    });
+  });
+  return {sides, players: [...players.values()]};
+}
+
+/**
+ * Orders players for the leaderboard: highest rating first, then most games,
+ * then by name.
+ * @param {Array<{name: string, rating: number, wins: number, draws: number,
+ * losses: number}>} players - The players.
+ * @return {Array<object>} The players in leaderboard order, each with its
+ * `games` count.
+ */
+function rankPlayers(players) {
+  return players
+      .map((player) => ({
+        ...player,
+        games: player.wins + player.draws + player.losses,
+      }))
+      .sort((a, b) => b.rating - a.rating || b.games - a.games ||
+        a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  INITIAL_RATING,
+  K_FACTOR,
+  LEADERBOARD_WINDOWS,
+  getSideResults,
+  updateRatings,
+  getDayKey,
+  getWindowStartDay,
+  createTally,
+  addToTally,
+  summarizeDays,
+  rankPlayers,
+};
@@ -0,0 +1,234 @@
+// server/lib/receipts.js
+
+/**
+ * receipts.js
+ *
+ * Signed receipts for verified game logs. When a log verifies, the server signs
+ * the result together with the log's head hash, which commits to every entry.
+ * The player keeps the receipt, and can later present it (to the API, or to
+ * anyone with the server's public key) as proof of the result:
+ *
+ *   { version, gameId, logHeadHash, finalState, winner, winningPlayerId,
+ *     reason, entryCount, rulesVersion, issuedAt, keyId, algorithm,
+ *     signature }
+ *
+ * The signature is ECDSA P-256 with SHA-256 over the canonical string (as used
+ * for log entry hashes) of every other field, in the IEEE P1363 (r || s)
+ * encoding the Web Crypto API uses, so browsers can check receipts too. `keyId`
+ * names the signing key (it is derived from the public key), so the key can be
+ * replaced without invalidating older receipts as long as their public key
+ * stays published.
+ *
+ * The signing key is an EC P-256 private key in PKCS#8 PEM format, from the
+ * RECEIPT_SIGNING_KEY environment variable (a Functions secret in production)
+ * or the file RECEIPT_SIGNING_KEY_FILE (for tests and the emulator). The public
+ * keys of earlier signing keys are kept published, as a JSON array of SPKI PEM
+ * strings, in RECEIPT_RETIRED_KEYS or the file RECEIPT_RETIRED_KEYS_FILE.
+ * Replacing the signing key: add the public half of the old key to the retired
+ * keys, then configure the new one.
+ *
+ * It exports:
+ * - RECEIPT_ALGORITHM: The signature algorithm named in receipts.
+ * - loadReceiptSigner: Loads the signing key from the configuration.
+ * - getPublicKeyInfo: The published public keys, as sent to clients.
+ * - createReceipt, verifyReceipt: Sign and check a receipt.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const {getCanonicalString} = require("./verifier.js");
+
+const RECEIPT_VERSION = 1;
+const RECEIPT_ALGORITHM = "ECDSA-P256-SHA256";
+
+// The result fields a receipt attests to, besides the game ID.
+const RECEIPT_RESULT_FIELDS = [
+  "logHeadHash",
+  "finalState",
+  "winner",
+  "winningPlayerId",
+  "reason",
+  "entryCount",
+  "rulesVersion",
+];
+
+/**
+ * @param {KeyObject} publicKey - A receipt public key.
+ * @return {string} Its key ID: the start of the hash of its SPKI encoding.
+ */
+function getKeyId(publicKey) {
+  const der = publicKey.export({type: "spki", format: "der"});
+  return crypto.createHash("sha256").update(der).digest("hex").slice(0, 16);
+}
+
+/**
+ * @param {KeyObject} key - A public or private key.
+ * @return {boolean} True if it is an EC P-256 key.
+ */
+function isP256Key(key) {
+  return key.asymmetricKeyType === "ec" &&
+    key.asymmetricKeyDetails.namedCurve === "prime256v1";
+}
+
+/**
+ * Reads the public keys of earlier signing keys.
+ * @param {object} env - The configuration.
+ * @return {Array<KeyObject>} The keys.
+ * @throws {Error} If the retired keys are not a JSON array of EC P-256 public
+ * keys.
+ */
+function loadRetiredKeys(env) {
+  let json = env.RECEIPT_RETIRED_KEYS;
+  if (!json && env.RECEIPT_RETIRED_KEYS_FILE) {
+    json = fs.readFileSync(env.RECEIPT_RETIRED_KEYS_FILE, "utf8");
+  }
+  if (!json) return [];
+
+  let pems;
+  try {
+    pems = JSON.parse(json);
+  } catch (error) {
+    throw new Error(
+        `The retired receipt keys are not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(pems)) {
+    throw new Error(
+        "The retired receipt keys must be a JSON array of public keys.");
+  }
+  return pems.map((pem) => {
+    const publicKey = crypto.createPublicKey(String(pem));
+    if (!isP256Key(publicKey)) {
+      throw new Error(
+          "Every retired receipt key must be an EC P-256 public key.");
+    }
+    return publicKey;
+  });
+}
+
+/**
+ * Loads the receipt signing key, and the public keys receipts are checked with.
+ * @param {object} env - The configuration, usually process.env.
+ * @return {{privateKey: KeyObject, publicKey: KeyObject, keyId: string,
+ * publishedKeys: Map<string, KeyObject>}} The signer; `publishedKeys` maps the
+ * keyId of the signing key and of every retired key to its public key.
+ * @throws {Error} If no key is configured, it is not an EC P-256 private key,
+ * or a retired key is invalid.
+ */
+function loadReceiptSigner(env) {
+  let pem = env.RECEIPT_SIGNING_KEY;
+  if (!pem && env.RECEIPT_SIGNING_KEY_FILE) {
+    pem = fs.readFileSync(env.RECEIPT_SIGNING_KEY_FILE, "utf8");
+  }
+  if (!pem) {
+    throw new Error(
+        "Neither RECEIPT_SIGNING_KEY nor RECEIPT_SIGNING_KEY_FILE is set.");
+  }
+
+  const privateKey = crypto.createPrivateKey(pem);
+  if (!isP256Key(privateKey)) {
+    throw new Error("The receipt signing key must be an EC P-256 private key.");
+  }
+  const publicKey = crypto.createPublicKey(privateKey);
+  const keyId = getKeyId(publicKey);
+  const publishedKeys = new Map(loadRetiredKeys(env)
+      .map((retiredKey) => [getKeyId(retiredKey), retiredKey]));
+  publishedKeys.set(keyId, publicKey);
+  return {privateKey, publicKey, keyId, publishedKeys};
+}
+
+/**
+ * @param {{keyId: string, publishedKeys: Map<string, KeyObject>}} signer - The
+ * receipt signer.
+ * @return {{keyId: string, algorithm: string, publicKeyPem: string, keys:
+ * Array<{keyId: string, publicKeyPem: string}>}} The key new receipts are
+ * signed with, and every key receipts are checked with (including that one).
+ */
+function getPublicKeyInfo(signer) {
+  const exportKey = (publicKey) =>
+    publicKey.export({type: "spki", format: "pem"});
+  return {
+    keyId: signer.keyId,
+    algorithm: RECEIPT_ALGORITHM,
+    publicKeyPem: exportKey(signer.publicKey),
+    keys: [...signer.publishedKeys].map(([keyId, publicKey]) =>
+      ({keyId, publicKeyPem: exportKey(publicKey)})),
+  };
+}
+
+/**
+ * @param {object} receipt - A receipt.
+ * @return {string} What its signature is over: every field but the signature.
+ */
+function getSignedString(receipt) {
+  const signedFields = {...receipt};
+  delete signedFields.signature;
+  return getCanonicalString(signedFields);
+}
+
+/**
+ * Signs a receipt for a verified result.
+ * @param {{privateKey: KeyObject, keyId: string}} signer - The receipt signer.
+ * @param {string} gameId - The game.
+ * @param {object} result - The verified result (see buildVerifiedResult in
+ * index.js).
+ * @param {number} issuedAt - The signing time in milliseconds.
+ * @return {object} The signed receipt.
+ */
+function createReceipt(signer, gameId, result, issuedAt) {
+  const receipt = {version: RECEIPT_VERSION, gameId};
+  RECEIPT_RESULT_FIELDS.forEach((field) => {
+    receipt[field] = result[field] === undefined ? null : result[field];
+  });
+  Object.assign(receipt, {
+    issuedAt,
+    keyId: signer.keyId,
+    algorithm: RECEIPT_ALGORITHM,
+  });
+  receipt.signature = crypto
+      .sign(
+          "sha256",
+          Buffer.from(getSignedString(receipt), "utf8"),
+          {key: signer.privateKey, dsaEncoding: "ieee-p1363"},
+      )
+      .toString("base64");
+  return receipt;
+}
+
+/**
+ * Checks a receipt's signature against the published key its `keyId` names.
+ * @param {{publishedKeys: Map<string, KeyObject>}} signer - The receipt signer.
+ * @param {*} receipt - The receipt as presented.
+ * @return {string|null} Why the receipt is not valid, or null if it is.
+ */
+function verifyReceipt(signer, receipt) {
+  if (!receipt || typeof receipt !== "object" ||
+    typeof receipt.signature !== "string") {
+    return "The receipt is malformed.";
+  }
+  if (receipt.version !== RECEIPT_VERSION ||
+    receipt.algorithm !== RECEIPT_ALGORITHM) {
+    return "The receipt's version or algorithm is not supported.";
+  }
+  const publicKey = typeof receipt.keyId === "string" ?
+    signer.publishedKeys.get(receipt.keyId) :
+    undefined;
+  if (!publicKey) {
+    return "The receipt was not signed with a key this server publishes.";
+  }
+  const isValid = crypto.verify(
+      "sha256",
+      Buffer.from(getSignedString(receipt), "utf8"),
+      {key: publicKey, dsaEncoding: "ieee-p1363"},
+      Buffer.from(receipt.signature, "base64"),
+  );
+  if (!isValid) return "The receipt's signature does not match its contents.";
+  return null;
+}
+
+module.exports = {
+  RECEIPT_ALGORITHM,
+  loadReceiptSigner,
+  getPublicKeyInfo,
+  createReceipt,
+  verifyReceipt,
+};
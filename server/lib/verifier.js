@@ -0,0 +1,1062 @@
+// server/lib/verifier.js
+
+/**
+ * verifier.js
+ *
+ * Deterministic verification of a submitted game log. This module is pure: it
+ * does no I/O and no logging, so the API and the offline `verify-log` CLI run
+ * exactly the same checks. Every check returns either null (passed) or a
+ * finding describing the first thing that failed:
+ *
+ *   { check, sequence, message, expected, found }
+ *
+ * `check` is one of CHECKS, `sequence` is the log entry the check failed on
+ * (null for checks about the log as a whole), and `expected`/`found` are the
+ * values the replay produced and the log recorded.
+ *
+ * It exports:
+ * - CHECKS: The names of the individual checks.
+ * - getCanonicalString, calculateEntryHash: The log's hashing scheme.
+ * - KEY_SCHEMES, getSubmissionKeyScheme: How a submission's log key is
+ *   protected.
+ * - decryptLog: Decrypts a log submission with the game's private key.
+ * - INITIAL_MOVE_HASH, getMovePayload, getEventPayload, getMoveHash,
+ *   parseSeatPublicKey, verifyMoveSignature: Seat-signed moves and other player
+ *   events.
+ * - verifyEntryShapes, verifyHashChain, verifySequence, verifyMoveSignatures,
+ *   verifyRulesVersion, verifyFsmGameplay, verifyServerState,
+ *   verifyMoveChainHead: The checks.
+ * - verifyGameLog: Runs all checks in order and returns a report.
+ * - getInitialCheckpoint, verifyLogSegment: Verify a log one segment at a time,
+ *   as it is streamed.
+ * - getLogHeadHash, getMoveHistory: Summaries of a log for storing with the
+ *   game's result.
+ */
+
+const crypto = require("crypto");
+const fsm = require("tictactoe-rules");
+
+const {ApiError, ERROR_CODES} = fsm;
+
+const CHECKS = {
+  ENTRY_SHAPE: "entry_shape",
+  HASH_CHAIN: "hash_chain",
+  ENTRY_HASH: "entry_hash",
+  SEQUENCE: "sequence",
+  MOVE_PLAYER: "move_player",
+  MOVE_SIGNATURE: "move_signature",
+  RULES_VERSION: "rules_version",
+  TIMESTAMP_ORDER: "timestamp_order",
+  MOVE_AGENT: "move_agent",
+  AI_MARKER: "ai_marker",
+  EVENT_TIMESTAMP: "event_timestamp",
+  EVENT_REJECTED: "event_rejected",
+  FSM_STATE: "fsm_state",
+  BOARD_STATE: "board_state",
+  CLOCKS: "clocks",
+  FINAL_ENTRY: "final_entry",
+  FINAL_STATE: "final_state",
+  FINAL_OUTCOME: "final_outcome",
+  SERVER_STATE: "server_state",
+  MOVE_CHAIN: "move_chain",
+};
+
+// Log entry types that are replayed through the FSM, and the FSM event each one
+// records. Undos are appended to the log as their own entries, so replaying
+// them in order reproduces the board without the log ever being truncated.
+const REPLAYED_LOG_EVENTS = {
+  PLAYER_MOVE_VALIDATED: fsm.EVENTS.PLAYER_MOVE_ATTEMPTED,
+  UNDO_REQUESTED: fsm.EVENTS.UNDO_REQUESTED,
+  UNDO_ACCEPTED: fsm.EVENTS.UNDO_ACCEPTED,
+  RESIGN: fsm.EVENTS.RESIGN,
+  OFFER_DRAW: fsm.EVENTS.OFFER_DRAW,
+  ACCEPT_DRAW: fsm.EVENTS.ACCEPT_DRAW,
+  TIMEOUT: fsm.EVENTS.TIMEOUT,
+};
+
+/**
+ * @param {string} check - One of CHECKS.
+ * @param {number|null|undefined} sequence - The entry the check failed on, or
+ * null (or undefined) for the log as a whole.
+ * @param {string} message - What failed.
+ * @param {*} [expected] - The value the replay produced.
+ * @param {*} [found] - The value the log recorded.
+ * @return {object} The finding.
+ */
+function createFinding(check, sequence, message, expected, found) {
+  return {
+    check,
+    sequence: sequence === undefined ? null : sequence,
+    message,
+    expected,
+    found,
+  };
+}
+
+/**
+ * @param {*} value - Any value.
+ * @return {boolean} True if it is an object, but not null or an array.
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Checks that a log entry has the fields the other checks read: it is an object
+ * with a string `eventType` and an object `eventData`, and a move entry's
+ * `eventData.move` is an object too. A decrypted log is whatever the client
+ * encrypted, so nothing is read from an entry before it passes.
+ * @param {*} entry - The entry.
+ * @param {number} index - The entry's position in the log (or segment).
+ * @return {object|null} A finding, or null if the entry is well formed.
+ */
+function getEntryShapeFinding(entry, index) {
+  if (!isPlainObject(entry)) {
+    return createFinding(CHECKS.ENTRY_SHAPE, null,
+        `Log entry at position ${index} is not an object.`,
+        "an object", entry);
+  }
+  const sequence = Number.isInteger(entry.sequence) ? entry.sequence : null;
+  if (typeof entry.eventType !== "string") {
+    return createFinding(CHECKS.ENTRY_SHAPE, sequence,
+        `Log entry at position ${index} has no event type.`,
+        "a string", entry.eventType);
+  }
+  if (!isPlainObject(entry.eventData)) {
+    return createFinding(CHECKS.ENTRY_SHAPE, sequence,
+        `Log entry at position ${index} has no event data.`,
+        "an object", entry.eventData);
+  }
+  if (entry.eventType === "PLAYER_MOVE_VALIDATED" &&
+    !isPlainObject(entry.eventData.move)) {
+    return createFinding(CHECKS.ENTRY_SHAPE, sequence,
+        `Move entry at position ${index} has no move.`,
+        "an object", entry.eventData.move);
+  }
+  return null;
+}
+
+/**
+ * Checks the shape of every entry (see getEntryShapeFinding).
+ * @param {Array<*>} gameLog - The decrypted game log entries.
+ * @return {object|null} The first finding, or null if every entry is well
+ * formed.
+ */
+function verifyEntryShapes(gameLog) {
+  for (const [index, entry] of gameLog.entries()) {
+    const finding = getEntryShapeFinding(entry, index);
+    if (finding) return finding;
+  }
+  return null;
+}
+
+// --- Hashing Helper Functions ---
+
+// The previous chain hash of a log's first entry.
+const INITIAL_CHAIN_HASH = "0".repeat(64);
+
+/**
+ * Creates a canonical string from a value, with object keys sorted at every
+ * level, so equal values always hash the same.
+ * @param {*} obj - The object, array, or primitive to be stringified.
+ * @return {string} The canonical JSON string.
+ */
+function getCanonicalString(obj) {
+  if (obj === null || typeof obj !== "object") {
+    return JSON.stringify(obj);
+  }
+  if (Array.isArray(obj)) {
+    return `[${obj.map((item) => getCanonicalString(item)).join(",")}]`;
+  }
+  const sortedKeys = Object.keys(obj).sort();
+  const keyValuePairs = sortedKeys.map((key) => {
+    const value = getCanonicalString(obj[key]);
+    return `${JSON.stringify(key)}:${value}`;
+  });
+  return `{${keyValuePairs.join(",")}}`;
+}
+
+/**
+ * @param {object} logEntry - A log entry.
+ * @return {object} Everything in the entry but its own hash.
+ */
+function getObjectToHash(logEntry) {
+  const entryToHash = {...logEntry};
+  delete entryToHash.currentEntryChainHash;
+  return entryToHash;
+}
+
+/**
+ * @param {object} logEntry - A log entry.
+ * @return {string} The entry's chain hash, in hex.
+ */
+function calculateEntryHash(logEntry) {
+  const objectToHash = getObjectToHash(logEntry);
+  const canonicalString = getCanonicalString(objectToHash);
+  return crypto.createHash("sha256").update(canonicalString).digest("hex");
+}
+
+/**
+ * @param {Array<Array<*>>} board - A board.
+ * @return {string} The hex SHA-256 hash of its canonical string.
+ */
+function hashBoard(board) {
+  return crypto.createHash("sha256")
+      .update(getCanonicalString(board))
+      .digest("hex");
+}
+
+// --- Decryption ---
+
+// How the AES-256-GCM key of a submitted log is protected. Games store the
+// scheme their key pair was made for; games created before `keyScheme` was
+// stored are RSA.
+const KEY_SCHEMES = {
+  // The key is wrapped with the game's RSA-2048 public key (RSA-OAEP, SHA-256).
+  RSA_OAEP: "rsa-oaep",
+  // The key is derived with HKDF-SHA256 from an ECDH agreement between an
+  // ephemeral client key and the game's P-256 key (ECIES).
+  ECDH_P256: "ecdh-p256-hkdf-sha256",
+};
+
+// HKDF "info" for log keys; the client derives its key with the same value.
+const LOG_KEY_INFO = "tictactoe-log-key-v1";
+
+/**
+ * @param {object} submission - The submitted fields.
+ * @return {string|null} The KEY_SCHEMES value the submission uses, or null if
+ * it is incomplete.
+ */
+function getSubmissionKeyScheme({
+  encryptedLog,
+  iv,
+  encryptedKey,
+  ephemeralPublicKey,
+  salt,
+}) {
+  if (!encryptedLog || !iv) return null;
+  if (ephemeralPublicKey && salt) return KEY_SCHEMES.ECDH_P256;
+  if (encryptedKey) return KEY_SCHEMES.RSA_OAEP;
+  return null;
+}
+
+/**
+ * @param {object} submission - The submitted fields.
+ * @param {string} privateKeyPem - The game's private key.
+ * @return {Buffer} The AES-256-GCM key the log was encrypted with.
+ */
+function getLogKey(submission, privateKeyPem) {
+  if (getSubmissionKeyScheme(submission) === KEY_SCHEMES.ECDH_P256) {
+    const ephemeralKey = crypto.createPublicKey({
+      key: Buffer.from(submission.ephemeralPublicKey, "base64"),
+      format: "der",
+      type: "spki",
+    });
+    const sharedSecret = crypto.diffieHellman({
+      privateKey: crypto.createPrivateKey(privateKeyPem),
+      publicKey: ephemeralKey,
+    });
+    const salt = Buffer.from(submission.salt, "base64");
+    return Buffer.from(
+        crypto.hkdfSync("sha256", sharedSecret, salt, LOG_KEY_INFO, 32));
+  }
+  const encryptedKeyBuffer = Buffer.from(submission.encryptedKey, "base64");
+  return crypto.privateDecrypt({
+    key: privateKeyPem,
+    padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+    oaepHash: "sha256",
+  }, encryptedKeyBuffer);
+}
+
+/**
+ * Decrypts a log submission. The AES-256-GCM key is either derived from the
+ * client's ephemeral ECDH public key and the game's private key, or (in games
+ * created before ECDH) unwrapped with the game's RSA private key.
+ * @param {object} submission - The base64 fields the client submitted:
+ * encryptedLog and iv, and either ephemeralPublicKey and salt or encryptedKey.
+ * @param {string} privateKeyPem - The game's private key.
+ * @return {Array<object>} The decrypted game log entries.
+ * @throws {ApiError} AUTH_TAG_INVALID if the ciphertext was altered or
+ * encrypted for another key, DECRYPT_FAILED if the submission cannot be
+ * decrypted at all.
+ */
+function decryptLog(submission, privateKeyPem) {
+  const {encryptedLog, iv} = submission;
+  let decipher;
+  let ciphertext;
+  try {
+    const decryptedSymmetricKey = getLogKey(submission, privateKeyPem);
+    const encryptedLogBuffer = Buffer.from(encryptedLog, "base64");
+    const ivBuffer = Buffer.from(iv, "base64");
+    const tagStart = encryptedLogBuffer.length - 16;
+    const authTag = encryptedLogBuffer.subarray(tagStart);
+    ciphertext = encryptedLogBuffer.subarray(0, tagStart);
+    decipher = crypto.createDecipheriv(
+        "aes-256-gcm", decryptedSymmetricKey, ivBuffer);
+    decipher.setAuthTag(authTag);
+  } catch (error) {
+    throw new ApiError(ERROR_CODES.DECRYPT_FAILED);
+  }
+
+  let decryptedLogString;
+  try {
+    decryptedLogString = decipher.update(ciphertext, "utf8", "utf8") +
+      decipher.final("utf8");
+  } catch (error) {
+    throw new ApiError(ERROR_CODES.AUTH_TAG_INVALID);
+  }
+  let gameLog;
+  try {
+    gameLog = JSON.parse(decryptedLogString);
+  } catch (error) {
+    throw new ApiError(ERROR_CODES.DECRYPT_FAILED, {},
+        "The decrypted log is not JSON.");
+  }
+  if (!Array.isArray(gameLog)) {
+    throw new ApiError(ERROR_CODES.DECRYPT_FAILED, {},
+        "The decrypted log is not a list of entries.");
+  }
+  return gameLog;
+}
+
+// --- Move Signatures ---
+
+// Each seat signs its moves, and every other event it sends (undos, draw
+// offers, resignations, timeouts), with an ECDSA P-256 key whose public half
+// the server registered when the seat was taken. A signature covers the event
+// and the hash of the signed event before it, so the signed events form a chain
+// of their own, the move chain. The full log chain cannot be signed instead: in
+// online games each browser writes its own log, with its own timestamps, while
+// the move chain is the same in both.
+const INITIAL_MOVE_HASH = "0".repeat(64);
+
+/**
+ * The data a seat signs for one move.
+ * @param {string} gameId - The game.
+ * @param {string} previousMoveHash - The hash of the previous validated move,
+ * or INITIAL_MOVE_HASH.
+ * @param {string} playerId - The moving seat's player ID.
+ * @param {{rowIndex: number, colIndex: number, symbol: (string|undefined)}}
+ * move - The move.
+ * @return {string} The canonical string that is signed.
+ */
+function getMovePayload(gameId, previousMoveHash, playerId, move) {
+  return getCanonicalString({gameId, previousMoveHash, playerId, move});
+}
+
+/**
+ * The data a seat signs for any event it sends: for a move its getMovePayload,
+ * for other events the event in place of the move.
+ * @param {string} gameId - The game.
+ * @param {string} previousMoveHash - The hash of the previous signed event, or
+ * INITIAL_MOVE_HASH.
+ * @param {string} playerId - The seat's player ID.
+ * @param {string} event - The FSM event.
+ * @param {object} [move] - The move, for PLAYER_MOVE_ATTEMPTED.
+ * @return {string} The canonical string that is signed.
+ */
+function getEventPayload(gameId, previousMoveHash, playerId, event, move) {
+  if (event === fsm.EVENTS.PLAYER_MOVE_ATTEMPTED) {
+    return getMovePayload(gameId, previousMoveHash, playerId, move);
+  }
+  return getCanonicalString({gameId, previousMoveHash, playerId, event});
+}
+
+/**
+ * @param {string} movePayload - An event's canonical payload.
+ * @return {string} The event's hash, which the next event's payload links to.
+ */
+function getMoveHash(movePayload) {
+  return crypto.createHash("sha256").update(movePayload).digest("hex");
+}
+
+/**
+ * Parses a seat's public signing key as sent by the client.
+ * @param {*} publicKey - The base64 SPKI encoding of an EC P-256 public key.
+ * @return {KeyObject|null} The key, or null if it is not one.
+ */
+function parseSeatPublicKey(publicKey) {
+  if (typeof publicKey !== "string" || publicKey.length > 200) return null;
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.from(publicKey, "base64"),
+      format: "der",
+      type: "spki",
+    });
+    const isP256 = key.asymmetricKeyType === "ec" &&
+      key.asymmetricKeyDetails.namedCurve === "prime256v1";
+    return isP256 ? key : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Checks a seat's signature on an event payload.
+ * @param {string} publicKey - The seat's registered public key (base64 SPKI).
+ * @param {string} movePayload - The event's canonical payload.
+ * @param {*} signature - The base64 ECDSA signature in IEEE P1363 (r || s)
+ * format, as Web Crypto produces.
+ * @return {boolean} True if the signature is valid.
+ */
+function verifyMoveSignature(publicKey, movePayload, signature) {
+  const key = parseSeatPublicKey(publicKey);
+  if (!key || typeof signature !== "string") return false;
+  return crypto.verify(
+      "sha256",
+      Buffer.from(movePayload, "utf8"),
+      {key, dsaEncoding: "ieee-p1363"},
+      Buffer.from(signature, "base64"),
+  );
+}
+
+// --- Verification Functions ---
+
+/**
+ * Checks that every entry is well formed, links to the one before it and that
+ * its stored hash matches its contents. The checks after this one rely on the
+ * entries being well formed.
+ * @param {Array<*>} gameLog - The decrypted game log entries.
+ * @param {string} [previousHash] - The chain hash the first entry must link to;
+ * for a segment, the last verified entry's.
+ * @return {object|null} The first finding, or null if the chain is intact.
+ */
+function verifyHashChain(gameLog, previousHash = INITIAL_CHAIN_HASH) {
+  for (const [index, entry] of gameLog.entries()) {
+    const shapeFinding = getEntryShapeFinding(entry, index);
+    if (shapeFinding) return shapeFinding;
+    if (entry.previousEntryChainHash !== previousHash) {
+      return createFinding(CHECKS.HASH_CHAIN, entry.sequence,
+          "Hash chain broken.", previousHash, entry.previousEntryChainHash);
+    }
+    const recalculatedHash = calculateEntryHash(entry);
+    if (recalculatedHash !== entry.currentEntryChainHash) {
+      return createFinding(CHECKS.ENTRY_HASH, entry.sequence,
+          "Entry hash mismatch; the entry may have been tampered with.",
+          recalculatedHash, entry.currentEntryChainHash);
+    }
+    previousHash = entry.currentEntryChainHash;
+  }
+  return null;
+}
+
+/**
+ * Checks that the entries are numbered consecutively, so a log streamed in
+ * segments can neither skip nor repeat entries.
+ * @param {Array<object>} gameLog - The decrypted game log entries.
+ * @param {number} [firstSequence=0] - The sequence number the first entry must
+ * have.
+ * @return {object|null} The first finding, or null if the numbering is intact.
+ */
+function verifySequence(gameLog, firstSequence = 0) {
+  const shapeFinding = verifyEntryShapes(gameLog);
+  if (shapeFinding) return shapeFinding;
+  const gapIndex = gameLog.findIndex((entry, index) =>
+    entry.sequence !== firstSequence + index);
+  if (gapIndex === -1) return null;
+  return createFinding(CHECKS.SEQUENCE, gameLog[gapIndex].sequence,
+      "Log entries are not numbered consecutively.",
+      firstSequence + gapIndex, gameLog[gapIndex].sequence);
+}
+
+/**
+ * Follows the move chain through a log, checking the player and signature of
+ * each player event (every event the replay applies) on the way.
+ * @param {Array<object>} gameLog - The decrypted game log entries.
+ * @param {string} gameId - The game, which every signature covers.
+ * @param {object} game - The game document.
+ * @param {string} previousMoveHash - The hash of the event before the log's
+ * first signed event.
+ * @return {{finding: ?object, moveHash: string}} The first finding, and the
+ * hash of the last event checked.
+ */
+function checkMoveSignatures(gameLog, gameId, game, previousMoveHash) {
+  const {playerX_Id: playerXId, playerO_Id: playerOId, seats = {}} = game;
+  const hasSeatKeys = !!((seats.X && seats.X.publicKey) ||
+    (seats.O && seats.O.publicKey));
+  const playerEntries = gameLog.filter((logEntry) =>
+    Object.hasOwn(REPLAYED_LOG_EVENTS, logEntry.eventType));
+
+  let moveHash = previousMoveHash;
+  for (const entry of playerEntries) {
+    const isMoveEntry = entry.eventType === "PLAYER_MOVE_VALIDATED";
+    // Games created before seats had keys signed nothing, and only their moves
+    // are checked.
+    if (!hasSeatKeys && !isMoveEntry) continue;
+
+    const {playerId, move, signature} = entry.eventData;
+    const description = isMoveEntry ? "Move" : entry.eventType;
+    let seat = null;
+    if (typeof playerId === "string") {
+      if (playerId === playerXId) seat = "X";
+      else if (playerId === playerOId) seat = "O";
+    }
+    if (!seat) {
+      const finding = createFinding(CHECKS.MOVE_PLAYER, entry.sequence,
+          `${description} by ${playerId}, who holds no seat in this game.`,
+          [playerXId, playerOId], playerId);
+      return {finding, moveHash};
+    }
+    if (!hasSeatKeys) continue;
+
+    // Once any seat has a key every seat must have one: a seat without a key
+    // could not have signed.
+    const publicKey = seats[seat] && seats[seat].publicKey;
+    if (!publicKey) {
+      const finding = createFinding(CHECKS.MOVE_SIGNATURE, entry.sequence,
+          `No key is registered for seat ${seat}, ` +
+          `so its ${description} cannot be checked.`,
+          "a registered key", publicKey);
+      return {finding, moveHash};
+    }
+    const event = REPLAYED_LOG_EVENTS[entry.eventType];
+    const payload = getEventPayload(gameId, moveHash, playerId, event, move);
+    if (!verifyMoveSignature(publicKey, payload, signature)) {
+      const finding = createFinding(CHECKS.MOVE_SIGNATURE, entry.sequence,
+          `${description} signature does not match the key registered ` +
+          `for ${playerId}.`,
+          "a valid signature", signature);
+      return {finding, moveHash};
+    }
+    moveHash = getMoveHash(payload);
+  }
+  return {finding: null, moveHash};
+}
+
+/**
+ * Checks that every validated move and other player event records the player ID
+ * of one of the game's seats, which is the uid of the account that took the
+ * seat, and checks its signature against that seat's key. In games created
+ * before moves were signed no seat has a key: their moves have their players
+ * checked, but no signatures. A seat without a key in a game whose other seat
+ * has one is a finding.
+ * @param {Array<object>} gameLog - The decrypted game log entries.
+ * @param {string} gameId - The game, which every signature covers.
+ * @param {{playerX_Id: string, playerO_Id: string, seats: (object|undefined)}}
+ * game - The game document.
+ * @param {string} [previousMoveHash] - The hash of the event before the log's
+ * first signed event; for a segment, the last verified event's.
+ * @return {?object} The first finding, or null if every event's player and
+ * signature are valid.
+ */
+function verifyMoveSignatures(
+    gameLog, gameId, game, previousMoveHash = INITIAL_MOVE_HASH) {
+  return verifyEntryShapes(gameLog) ||
+    checkMoveSignatures(gameLog, gameId, game, previousMoveHash).finding;
+}
+
+/**
+ * Checks that the log was written against the same rules package that replays
+ * it; a client built from another version may disagree on which moves are
+ * legal.
+ * @param {Array<object>} gameLog - The decrypted game log entries.
+ * @param {string} [expectedVersion] - The rules version to expect. Defaults to
+ * the installed one.
+ * @return {object|null} A finding, or null if the versions match.
+ */
+function verifyRulesVersion(gameLog, expectedVersion = fsm.RULES_VERSION) {
+  const firstEntry = gameLog[0];
+  const logRulesVersion = firstEntry && firstEntry.eventData ?
+    firstEntry.eventData.rulesVersion :
+    undefined;
+  if (logRulesVersion !== expectedVersion) {
+    return createFinding(CHECKS.RULES_VERSION,
+        firstEntry ? firstEntry.sequence : null,
+        "Rules version of the log does not match.",
+        expectedVersion, logRulesVersion);
+  }
+  return null;
+}
+
+/**
+ * Replays log entries through the FSM from a given state, checking every
+ * replayed entry against the simulation. The end of the game is not checked
+ * here.
+ * @param {Array<object>} gameLog - The entries to replay.
+ * @param {object} gameState - The FSM game state to replay from.
+ * @param {object} [options] - The replay options, as for verifyFsmGameplay,
+ * plus:
+ * @param {number|null} [options.previousClientTimestamp] - The client timestamp
+ * of the entry before the first one, if any; in timed games the first entry
+ * must not be older.
+ * @return {{finding: ?object, finalGameState: object}} The first finding, and
+ * the state the replay reached.
+ */
+function replayLogEntries(gameLog, gameState, options = {}) {
+  const {
+    aiPlayerId = null,
+    notBefore = null,
+    notAfter = null,
+    previousClientTimestamp = null,
+  } = options;
+  let serverGameState = gameState;
+  const isTimed = !!serverGameState.rules.timeControl;
+  const fail = (...findingArgs) => ({
+    finding: createFinding(...findingArgs),
+    finalGameState: serverGameState,
+  });
+
+  const shapeFinding = verifyEntryShapes(gameLog);
+  if (shapeFinding) {
+    return {finding: shapeFinding, finalGameState: serverGameState};
+  }
+
+  // In timed games the log's own clock must not run backwards either.
+  if (isTimed) {
+    const getPreviousTimestamp = (index) => (index > 0 ?
+      gameLog[index - 1].clientTimestamp :
+      previousClientTimestamp);
+    const outOfOrderIndex = gameLog.findIndex((entry, index) =>
+      getPreviousTimestamp(index) !== null &&
+      !(entry.clientTimestamp >= getPreviousTimestamp(index)));
+    if (outOfOrderIndex !== -1) {
+      const entry = gameLog[outOfOrderIndex];
+      return fail(CHECKS.TIMESTAMP_ORDER, entry.sequence,
+          "Client timestamps in the log are not in order.",
+          `>= ${getPreviousTimestamp(outOfOrderIndex)}`, entry.clientTimestamp);
+    }
+  }
+
+  // We only need to simulate based on validated moves and undo events.
+  const replayedEntries = gameLog.filter((entry) =>
+    Object.hasOwn(REPLAYED_LOG_EVENTS, entry.eventType));
+
+  for (const moveEntry of replayedEntries) {
+    const isMoveEntry = moveEntry.eventType === "PLAYER_MOVE_VALIDATED";
+
+    // Check 0: AI moves must come from the computer opponent's seat, and only
+    // from it.
+    const isAiMove = moveEntry.eventData.agent === "ai";
+    if (isMoveEntry && moveEntry.eventData.agent !== undefined && !isAiMove) {
+      return fail(CHECKS.MOVE_AGENT, moveEntry.sequence,
+          "Unknown move agent in log.",
+          "ai or none", moveEntry.eventData.agent);
+    }
+    const isAiSeatMove = aiPlayerId !== null &&
+      moveEntry.eventData.playerId === aiPlayerId;
+    if (isMoveEntry && isAiMove !== isAiSeatMove) {
+      return fail(CHECKS.AI_MARKER, moveEntry.sequence,
+          "AI move marker does not match the game's AI seat.",
+          isAiSeatMove ? "ai" : undefined, moveEntry.eventData.agent);
+    }
+
+    const eventData = isMoveEntry ?
+      {move: moveEntry.eventData.move, playerId: moveEntry.eventData.playerId} :
+      {playerId: moveEntry.eventData.playerId};
+
+    // Check 0b: In timed games every event carries the server's timestamp,
+    // which must fall between the game's creation and the log's submission.
+    if (isTimed) {
+      const {timestamp} = moveEntry.eventData;
+      if (!Number.isFinite(timestamp) ||
+          (notBefore !== null && timestamp < notBefore) ||
+          (notAfter !== null && timestamp > notAfter)) {
+        return fail(CHECKS.EVENT_TIMESTAMP, moveEntry.sequence,
+            "Implausible event timestamp in timed game.",
+            {notBefore, notAfter}, timestamp);
+      }
+      eventData.timestamp = timestamp;
+    }
+
+    // Get the FSM's result for this event based on our current server state
+    const transitionResult = fsm.transition(
+        serverGameState, REPLAYED_LOG_EVENTS[moveEntry.eventType], eventData);
+
+    // Check 1: Was the event considered valid by our server-side FSM?
+    if (!transitionResult.isValidMove) {
+      return fail(CHECKS.EVENT_REJECTED, moveEntry.sequence,
+          "An event the client accepted was rejected by the FSM.",
+          "a valid event", transitionResult.error || moveEntry.eventType);
+    }
+
+    // Check 2: Does the FSM state recorded in the log match our simulation?
+    if (transitionResult.newState !== moveEntry.fsmState) {
+      return fail(CHECKS.FSM_STATE, moveEntry.sequence, "FSM state mismatch.",
+          transitionResult.newState, moveEntry.fsmState);
+    }
+
+    // Check 3: Does the board state hash recorded in the log match our
+    // simulation?
+    const newBoardHash = hashBoard(transitionResult.newBoard);
+    if (newBoardHash !== hashBoard(moveEntry.boardState)) {
+      return fail(CHECKS.BOARD_STATE, moveEntry.sequence,
+          "FSM board state mismatch.",
+          transitionResult.newBoard, moveEntry.boardState);
+    }
+
+    // Check 4: In timed games, do the clocks recorded in the log match our
+    // simulation? Untimed games have no clocks, so their log records none.
+    const serverClocks = transitionResult.newGameState.clocks;
+    const clientClocks = moveEntry.eventData.clocks;
+    if (isTimed) {
+      const clocksMatch = !!clientClocks &&
+        clientClocks.X === serverClocks.X && clientClocks.O === serverClocks.O;
+      if (!clocksMatch) {
+        return fail(CHECKS.CLOCKS, moveEntry.sequence, "FSM clock mismatch.",
+            serverClocks, clientClocks);
+      }
+    } else if (clientClocks !== undefined) {
+      return fail(CHECKS.CLOCKS, moveEntry.sequence,
+          "Clocks recorded in an untimed game.", undefined, clientClocks);
+    }
+
+    // If all checks pass, update our server's game state for the next iteration
+    serverGameState = transitionResult.newGameState;
+  }
+
+  return {finding: null, finalGameState: serverGameState};
+}
+
+/**
+ * Checks that the log ends with the game over entry the replay calls for.
+ * @param {Array<object>} gameLog - The decrypted game log entries.
+ * @param {object} serverGameState - The game state the replay ended in.
+ * @param {string} playerXId - The ID of Player X for this game.
+ * @param {string} playerOId - The ID of Player O for this game.
+ * @return {?object} A finding, or null if the final entry is right.
+ */
+function verifyFinalEntry(gameLog, serverGameState, playerXId, playerOId) {
+  const serverFinalState = serverGameState.currentState;
+  const clientFinalLogEntry = gameLog[gameLog.length - 1];
+
+  if (!clientFinalLogEntry) {
+    return createFinding(CHECKS.FINAL_ENTRY, null,
+        "Final log entry is not a game over event.",
+        "GAME_WON or GAME_DRAWN", undefined);
+  }
+  const shapeFinding = getEntryShapeFinding(
+      clientFinalLogEntry, gameLog.length - 1);
+  if (shapeFinding) return shapeFinding;
+  if (!clientFinalLogEntry.eventType.startsWith("GAME_")) {
+    return createFinding(CHECKS.FINAL_ENTRY, clientFinalLogEntry.sequence,
+        "Final log entry is not a game over event.",
+        "GAME_WON or GAME_DRAWN", clientFinalLogEntry.eventType);
+  }
+
+  if (clientFinalLogEntry.fsmState !== serverFinalState) {
+    return createFinding(CHECKS.FINAL_STATE, clientFinalLogEntry.sequence,
+        "FSM final state mismatch.",
+        serverFinalState, clientFinalLogEntry.fsmState);
+  }
+
+  // The game over entry must name the outcome the replay reached: the winner
+  // (if any) and why the game ended, be it a line, a full board, a resignation,
+  // a timeout or an agreed draw.
+  const outcome = fsm.getGameOutcome(serverFinalState);
+  const hasWinner = !!(outcome && outcome.winner);
+  const expectedEventType = hasWinner ? "GAME_WON" : "GAME_DRAWN";
+  let expectedWinnerId;
+  if (hasWinner) {
+    expectedWinnerId = outcome.winner === "X" ? playerXId : playerOId;
+  }
+  const finalEventData = clientFinalLogEntry.eventData;
+  if (!outcome ||
+      clientFinalLogEntry.eventType !== expectedEventType ||
+      finalEventData.reason !== outcome.reason ||
+      finalEventData.winningPlayerId !== expectedWinnerId) {
+    return createFinding(CHECKS.FINAL_OUTCOME, clientFinalLogEntry.sequence,
+        "FSM final outcome mismatch.",
+        {
+          eventType: expectedEventType,
+          reason: outcome ? outcome.reason : undefined,
+          winningPlayerId: expectedWinnerId,
+        },
+        {
+          eventType: clientFinalLogEntry.eventType,
+          reason: finalEventData.reason,
+          winningPlayerId: finalEventData.winningPlayerId,
+        });
+  }
+  return null;
+}
+
+/**
+ * Verifies the gameplay logic by re-simulating the game using the FSM.
+ * Includes a final state check to prevent false win claims.
+ * @param {Array<object>} gameLog - The decrypted game log entries.
+ * @param {string} playerXId - The ID of Player X for this game.
+ * @param {string} playerOId - The ID of Player O for this game.
+ * @param {{rows: number, cols: number, winLength: number}} [rules] - The rule
+ * set stored on the game document.
+ * @param {object} [options] - Additional game settings from the game document.
+ * @param {string|null} [options.aiPlayerId] - The player ID of the computer
+ * opponent's seat, if any. Moves by that player must carry `agent: "ai"`, and
+ * no other player's moves may.
+ * @param {number|null} [options.notBefore] - In timed games, the earliest
+ * plausible event timestamp (the game's creation time).
+ * @param {number|null} [options.notAfter] - In timed games, the latest
+ * plausible event timestamp (the submission time).
+ * @return {{finding: ?object, finalGameState: object}} The first finding (null
+ * if the replay agrees with the log), and the game state the replay ended in.
+ */
+function verifyFsmGameplay(
+    gameLog, playerXId, playerOId, rules, options = {}) {
+  const initialGameState = fsm.getInitialGameState(playerXId, playerOId, rules);
+  const replay = replayLogEntries(gameLog, initialGameState, options);
+  if (replay.finding) return replay;
+  const {finalGameState} = replay;
+  return {
+    finding: verifyFinalEntry(gameLog, finalGameState, playerXId, playerOId),
+    finalGameState,
+  };
+}
+
+/**
+ * Games played through the live move API must end in the state the server
+ * recorded.
+ * @param {Array<object>} gameLog - The decrypted game log entries.
+ * @param {{fsmState: string, eventCount: (number|undefined)}} game - The game
+ * document's server-side state.
+ * @return {?object} A finding, or null if the states agree (or the game had no
+ * live events).
+ */
+function verifyServerState(gameLog, {fsmState, eventCount = 0}) {
+  const clientFinalLogEntry = gameLog[gameLog.length - 1];
+  const finalEntry = isPlainObject(clientFinalLogEntry) ?
+    clientFinalLogEntry :
+    {};
+  const statesAgree = isPlainObject(clientFinalLogEntry) &&
+    clientFinalLogEntry.fsmState === fsmState;
+  if (eventCount > 0 && !statesAgree) {
+    const {sequence = null, fsmState: clientFsmState} = finalEntry;
+    return createFinding(CHECKS.SERVER_STATE, sequence,
+        "Final state does not match the server-authoritative state.",
+        fsmState, clientFsmState);
+  }
+  return null;
+}
+
+/**
+ * Checks that the log's signed events are the ones the server accepted: the
+ * move chain the log's signatures follow must end where the server's did. A
+ * seat can sign any sequence of events, so without this a log of other signed
+ * events reaching the same final state would verify.
+ * @param {string} moveHash - The hash of the log's last signed event.
+ * @param {{moveChainHash: (string|undefined)}} game - The game document, with
+ * the hash of the last event the server accepted if any seat had a key.
+ * @return {?object} A finding, or null if the chains end on the same event (or
+ * the server recorded no chain).
+ */
+function verifyMoveChainHead(moveHash, {moveChainHash}) {
+  if (!moveChainHash || moveHash === moveChainHash) return null;
+  return createFinding(CHECKS.MOVE_CHAIN, null,
+      "The log's signed events are not the ones the server accepted.",
+      moveChainHash, moveHash);
+}
+
+// --- Incremental Verification ---
+
+// A log can be verified one segment at a time as the client streams it. A
+// checkpoint records where the verification got to, so the next segment picks
+// up from there without the entries before it:
+//
+//   { nextSequence, headHash, moveHash, gameState, lastClientTimestamp }
+//
+// `headHash` and `moveHash` are the heads of the log's hash chain and move
+// chain, and `gameState` is the FSM state the replay reached.
+
+/**
+ * The checkpoint of a log that has no verified entries yet.
+ * @param {{playerX_Id: string, playerO_Id: string, rules: (object|undefined)}}
+ * game - The game document.
+ * @return {object} The checkpoint.
+ */
+function getInitialCheckpoint(game) {
+  return {
+    nextSequence: 0,
+    headHash: INITIAL_CHAIN_HASH,
+    moveHash: INITIAL_MOVE_HASH,
+    gameState: fsm.getInitialGameState(
+        game.playerX_Id, game.playerO_Id, game.rules),
+    lastClientTimestamp: null,
+  };
+}
+
+/**
+ * Runs every check that does not need the end of the log on the entries that
+ * follow a checkpoint: the hash chain, the numbering, the move signatures, the
+ * rules version (in the first segment) and the FSM replay.
+ * @param {Array<object>} segment - The decrypted entries following the
+ * checkpoint.
+ * @param {object} checkpoint - Where the verification got to, from
+ * getInitialCheckpoint or an earlier segment.
+ * @param {object} game - The game's trusted settings, as for verifyGameLog.
+ * @param {object} [options] - As for verifyGameLog.
+ * @return {{finding: ?object, checkpoint: object}} The first finding, and the
+ * checkpoint after the segment (only meaningful if there was no finding).
+ */
+function verifyLogSegment(segment, checkpoint, game, options = {}) {
+  const {rulesVersion, gameId, ...replayOptions} = options;
+  const fail = (finding) => ({finding, checkpoint});
+  if (!Array.isArray(segment) || segment.length === 0) {
+    return fail(createFinding(CHECKS.SEQUENCE, null,
+        "The segment has no entries.", "at least one entry", 0));
+  }
+
+  const chainFinding = verifyHashChain(segment, checkpoint.headHash) ||
+    verifySequence(segment, checkpoint.nextSequence);
+  if (chainFinding) return fail(chainFinding);
+  const {finding: signatureFinding, moveHash} = checkMoveSignatures(
+      segment, gameId, game, checkpoint.moveHash);
+  if (signatureFinding) return fail(signatureFinding);
+  const versionFinding = checkpoint.nextSequence === 0 ?
+    verifyRulesVersion(segment, rulesVersion) :
+    null;
+  if (versionFinding) return fail(versionFinding);
+
+  const {finding, finalGameState} = replayLogEntries(
+      segment, checkpoint.gameState, {
+        ...replayOptions,
+        previousClientTimestamp: checkpoint.lastClientTimestamp,
+      });
+  if (finding) return fail(finding);
+
+  const lastEntry = segment[segment.length - 1];
+  return {
+    finding: null,
+    checkpoint: {
+      nextSequence: lastEntry.sequence + 1,
+      headHash: lastEntry.currentEntryChainHash,
+      moveHash,
+      gameState: finalGameState,
+      lastClientTimestamp: lastEntry.clientTimestamp === undefined ?
+        null :
+        lastEntry.clientTimestamp,
+    },
+  };
+}
+
+// --- Log Summaries ---
+
+/**
+ * The chain hash of the log's last entry, which commits to the whole log.
+ * @param {Array<object>} gameLog - The decrypted game log entries.
+ * @return {string|null} The head hash, or null for an empty log.
+ */
+function getLogHeadHash(gameLog) {
+  const lastEntry = gameLog[gameLog.length - 1];
+  return lastEntry && typeof lastEntry.currentEntryChainHash === "string" ?
+    lastEntry.currentEntryChainHash :
+    null;
+}
+
+/**
+ * Lists the events a verified log replays through the FSM, in order, with just
+ * the fields needed to replay them again and the chain hash of their log entry,
+ * so a replay can be matched against the log. Fields an event does not have are
+ * left out rather than set to undefined, so the list can be stored in
+ * Firestore.
+ * @param {Array<object>} gameLog - The decrypted (and verified) game log
+ * entries.
+ * @return {Array<object>} The move history: each event's sequence, event,
+ * playerId and chainHash, and its rowIndex, colIndex, symbol, agent and
+ * timestamp if it has them.
+ */
+function getMoveHistory(gameLog) {
+  return gameLog
+      .filter((entry) => Object.hasOwn(REPLAYED_LOG_EVENTS, entry.eventType))
+      .map((entry) => {
+        const {playerId, move, agent, timestamp} = entry.eventData;
+        const record = {
+          sequence: entry.sequence,
+          event: REPLAYED_LOG_EVENTS[entry.eventType],
+          playerId,
+          chainHash: entry.currentEntryChainHash,
+        };
+        if (move) {
+          record.rowIndex = move.rowIndex;
+          record.colIndex = move.colIndex;
+          if (move.symbol !== undefined) record.symbol = move.symbol;
+        }
+        if (agent !== undefined) record.agent = agent;
+        if (timestamp !== undefined) record.timestamp = timestamp;
+        return record;
+      });
+}
+
+/**
+ * Runs every check on a decrypted log, stopping at the first failure.
+ * @param {Array<object>} gameLog - The decrypted game log entries.
+ * @param {object} game - The game's trusted settings, as stored on the game
+ * document.
+ * @param {string} game.playerX_Id - The ID of Player X.
+ * @param {string} game.playerO_Id - The ID of Player O.
+ * @param {object} [game.rules] - The game's rule set.
+ * @param {object} [game.seats] - The seats, with the `publicKey` each seat
+ * signs its events with.
+ * @param {string|null} [game.fsmState] - The state the server recorded, checked
+ * if `eventCount` > 0.
+ * @param {number} [game.eventCount] - How many events the server recorded for
+ * the game.
+ * @param {string} [game.moveChainHash] - The hash of the last signed event the
+ * server accepted, which the log's move chain must end on.
+ * @param {object} [options] - Replay options, as for verifyFsmGameplay
+ * (aiPlayerId, notBefore, notAfter), plus `rulesVersion`, the rules version to
+ * expect, and `gameId`, which move signatures must cover.
+ * @return {{valid: boolean, finding: ?object, entryCount: number,
+ * finalState: ?string, outcome: ?object, finalGameState: ?object}} The report:
+ * whether the log verified, the first finding, and the state, outcome and full
+ * game state the replay reached.
+ */
+function verifyGameLog(gameLog, game, options = {}) {
+  const {rulesVersion, gameId, ...replayOptions} = options;
+  const report = (finding, finalGameState = null) => ({
+    valid: finding === null,
+    finding,
+    entryCount: gameLog.length,
+    finalState: finalGameState ? finalGameState.currentState : null,
+    outcome: finalGameState ?
+      fsm.getGameOutcome(finalGameState.currentState) :
+      null,
+    finalGameState,
+  });
+
+  if (!Array.isArray(gameLog) || gameLog.length === 0) {
+    const finding = createFinding(CHECKS.FINAL_ENTRY, null,
+        "The log has no entries.", "at least one entry", 0);
+    return {...report(finding), entryCount: 0};
+  }
+
+  const shapeFinding = verifyHashChain(gameLog) || verifySequence(gameLog);
+  if (shapeFinding) return report(shapeFinding);
+  const {finding: signatureFinding, moveHash} = checkMoveSignatures(
+      gameLog, gameId, game, INITIAL_MOVE_HASH);
+  const chainFinding = signatureFinding ||
+    verifyMoveChainHead(moveHash, game) ||
+    verifyRulesVersion(gameLog, rulesVersion);
+  if (chainFinding) return report(chainFinding);
+
+  const {finding, finalGameState} = verifyFsmGameplay(gameLog,
+      game.playerX_Id, game.playerO_Id, game.rules, replayOptions);
+  if (finding) return report(finding, finalGameState);
+
+  return report(verifyServerState(gameLog, game), finalGameState);
+}
+
+module.exports = {
+  CHECKS,
+  getCanonicalString,
+  calculateEntryHash,
+  KEY_SCHEMES,
+  getSubmissionKeyScheme,
+  decryptLog,
+  INITIAL_MOVE_HASH,
+  getMovePayload,
+  getEventPayload,
+  getMoveHash,
+  parseSeatPublicKey,
+  verifyMoveSignature,
+  verifyEntryShapes,
+  verifyHashChain,
+  verifySequence,
+  verifyMoveSignatures,
+  verifyRulesVersion,
+  verifyFsmGameplay,
+  verifyServerState,
+  verifyMoveChainHead,
+  verifyGameLog,
+  getInitialCheckpoint,
+  verifyLogSegment,
+  getLogHeadHash,
+  getMoveHistory,
+};
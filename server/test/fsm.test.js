@@ -0,0 +1,75 @@
+// server/test/fsm.test.js
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const fsm = require("tictactoe-rules");
+
+const PLAYER_X = "uid-x";
+const PLAYER_O = "uid-o";
+const TIMED_RULES = {
+  rows: 3,
+  cols: 3,
+  winLength: 3,
+  timeControl: {initialMs: 60000, incrementMs: 2000},
+};
+
+const {PLAYER_MOVE_ATTEMPTED, UNDO_REQUESTED, UNDO_ACCEPTED, OFFER_DRAW} =
+  fsm.EVENTS;
+
+/**
+ * Plays events through the FSM, each of which must be accepted.
+ * @param {Array<Array>} events - The player, FSM event, timestamp and move of
+ * each event.
+ * @return {object} The game state after the last event.
+ */
+function play(events) {
+  let gameState = fsm.getInitialGameState(PLAYER_X, PLAYER_O, TIMED_RULES);
+  for (const [playerId, event, timestamp, move] of events) {
+    const eventData = move ?
+      {playerId, timestamp, move} :
+      {playerId, timestamp};
+    const result = fsm.transition(gameState, event, eventData);
+    assert.ok(result.isValidMove, result.error);
+    gameState = result.newGameState;
+  }
+  return gameState;
+}
+
+describe("undo in a timed game", () => {
+  it("restores the clocks and withdraws a pending draw offer", () => {
+    const gameState = play([
+      [PLAYER_X, PLAYER_MOVE_ATTEMPTED, 1000, {rowIndex: 0, colIndex: 0}],
+      [PLAYER_O, PLAYER_MOVE_ATTEMPTED, 6000, {rowIndex: 1, colIndex: 0}],
+      [PLAYER_O, OFFER_DRAW, 7000],
+      [PLAYER_O, UNDO_REQUESTED, 8000],
+      [PLAYER_X, UNDO_ACCEPTED, 10000],
+    ]);
+    assert.equal(gameState.currentState, fsm.STATES.PLAYER_O_TURN);
+    assert.equal(gameState.board[1][0], "");
+    // O keeps paying for the 5 seconds the undone move took, but not for its
+    // increment; X gets back the time since.
+    assert.deepEqual(gameState.clocks, {X: 60000, O: 55000});
+    assert.equal(gameState.turnStartedAt, 10000);
+    assert.equal(gameState.pendingDrawOffer, null);
+  });
+
+  it("stops the clocks again when the first move is undone", () => {
+    const gameState = play([
+      [PLAYER_X, PLAYER_MOVE_ATTEMPTED, 1000, {rowIndex: 0, colIndex: 0}],
+      [PLAYER_X, UNDO_REQUESTED, 2000],
+      [PLAYER_O, UNDO_ACCEPTED, 3000],
+    ]);
+    assert.equal(gameState.currentState, fsm.STATES.PLAYER_X_TURN);
+    assert.deepEqual(gameState.clocks, {X: 60000, O: 60000});
+    assert.equal(gameState.turnStartedAt, null);
+
+    const afterMove = play([
+      [PLAYER_X, PLAYER_MOVE_ATTEMPTED, 1000, {rowIndex: 0, colIndex: 0}],
+      [PLAYER_X, UNDO_REQUESTED, 2000],
+      [PLAYER_O, UNDO_ACCEPTED, 3000],
+      [PLAYER_X, PLAYER_MOVE_ATTEMPTED, 90000, {rowIndex: 1, colIndex: 1}],
+    ]);
+    assert.deepEqual(afterMove.clocks, {X: 60000, O: 60000});
+    assert.equal(afterMove.turnStartedAt, 90000);
+  });
+});
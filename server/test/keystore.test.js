@@ -0,0 +1,109 @@
+// server/test/keystore.test.js
+
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const keystore = require("../lib/keystore.js");
+
+const GAME_ID = "game-1";
+const PRIVATE_KEY_PEM = crypto
+    .generateKeyPairSync("ec", {namedCurve: "P-256"})
+    .privateKey.export({format: "pem", type: "pkcs8"});
+
+const seal = (provider, gameId = GAME_ID) =>
+  keystore.sealPrivateKey(provider, gameId, PRIVATE_KEY_PEM);
+const open = (provider, sealedKey, gameId = GAME_ID) =>
+  keystore.openPrivateKey(provider, gameId, sealedKey);
+
+const createMasterKey = () => crypto.randomBytes(32).toString("base64");
+
+describe("keystore with the local-file provider", () => {
+  let directory;
+  const masterKeys = {
+    "2026-09": createMasterKey(),
+    "2026-10": createMasterKey(),
+  };
+
+  /**
+   * Writes a key set and creates a provider that reads it.
+   * @param {string} activeKeyId - The active master key.
+   * @param {Array<string>} keyIds - The master keys in the set.
+   * @return {object} The key provider.
+   */
+  function createProvider(activeKeyId, keyIds) {
+    const filePath = path.join(directory, `${keyIds.join("+")}.json`);
+    const keys = Object.fromEntries(
+        keyIds.map((keyId) => [keyId, masterKeys[keyId]]));
+    fs.writeFileSync(filePath, JSON.stringify({activeKeyId, keys}));
+    return keystore.createKeyProvider({
+      GAME_KEY_PROVIDER: "local-file",
+      GAME_MASTER_KEYS_FILE: filePath,
+    });
+  }
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "keystore-test-"));
+  });
+
+  after(() => {
+    fs.rmSync(directory, {recursive: true, force: true});
+  });
+
+  it("seals a private key and opens it again", async () => {
+    const provider = createProvider("2026-10", ["2026-10"]);
+    const sealedKey = await seal(provider);
+    assert.equal(sealedKey.keyId, "2026-10");
+    assert.ok(!JSON.stringify(sealedKey).includes("PRIVATE KEY"));
+    assert.equal(await open(provider, sealedKey), PRIVATE_KEY_PEM);
+  });
+
+  it("does not open a sealed key copied onto another game", async () => {
+    const provider = createProvider("2026-10", ["2026-10"]);
+    const sealedKey = await seal(provider);
+    await assert.rejects(open(provider, sealedKey, "game-2"));
+  });
+
+  it("does not open an altered sealed key", async () => {
+    const provider = createProvider("2026-10", ["2026-10"]);
+    const sealedKey = await seal(provider);
+    const ciphertext = Buffer.from(sealedKey.ciphertext, "base64");
+    ciphertext[20] ^= 1;
+    const altered = {...sealedKey, ciphertext: ciphertext.toString("base64")};
+    await assert.rejects(open(provider, altered));
+  });
+
+  it("re-wraps keys wrapped by an older master key", async () => {
+    const oldProvider = createProvider("2026-09", ["2026-09"]);
+    const sealedKey = await seal(oldProvider);
+
+    const provider = createProvider("2026-10", ["2026-09", "2026-10"]);
+    assert.equal(await open(provider, sealedKey), PRIVATE_KEY_PEM);
+    const rewrapped =
+      await keystore.rewrapPrivateKey(provider, GAME_ID, sealedKey);
+    assert.equal(rewrapped.keyId, "2026-10");
+    assert.equal(rewrapped.ciphertext, sealedKey.ciphertext);
+
+    const rotatedProvider = createProvider("2026-10", ["2026-10"]);
+    assert.equal(await open(rotatedProvider, rewrapped), PRIVATE_KEY_PEM);
+  });
+
+  it("does not open keys whose master key was destroyed", async () => {
+    const oldProvider = createProvider("2026-09", ["2026-09"]);
+    const sealedKey = await seal(oldProvider);
+    const provider = createProvider("2026-10", ["2026-10"]);
+    await assert.rejects(open(provider, sealedKey), /not available/);
+  });
+
+  it("does not open a destroyed sealed key", async () => {
+    const provider = createProvider("2026-10", ["2026-10"]);
+    // A destroyed key is deleted from its game document.
+    await assert.rejects(open(provider, undefined), /Unsupported sealed key/);
+  });
+
+  it("rejects a key set without its active master key", () => {
+    assert.throws(() => createProvider("2026-11", ["2026-10"]), /not in/);
+  });
+});
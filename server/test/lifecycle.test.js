@@ -0,0 +1,31 @@
+// server/test/lifecycle.test.js
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const lifecycle = require("../lib/lifecycle.js");
+
+const {GAME_STATUSES} = lifecycle;
+
+describe("lifecycle", () => {
+  it("rejects only submitted logs", () => {
+    const fromStatuses = Object.values(GAME_STATUSES).filter((status) =>
+      lifecycle.canTransition(status, GAME_STATUSES.REJECTED));
+    assert.deepEqual(fromStatuses, [GAME_STATUSES.SUBMITTED]);
+  });
+
+  it("lets a rejected game take another log", () => {
+    assert.ok(lifecycle.canTransition(
+        GAME_STATUSES.REJECTED, GAME_STATUSES.SUBMITTED));
+    assert.ok(!lifecycle.isAbandonable(GAME_STATUSES.REJECTED));
+  });
+
+  it("closes verified, abandoned and expired games", () => {
+    for (const status of [
+      GAME_STATUSES.VERIFIED, GAME_STATUSES.ABANDONED, GAME_STATUSES.EXPIRED,
+    ]) {
+      assert.ok(lifecycle.getClosedGameError(status), status);
+      assert.ok(!Object.values(GAME_STATUSES).some((toStatus) =>
+        lifecycle.canTransition(status, toStatus)), status);
+    }
+  });
+});
@@ -0,0 +1,81 @@
+// server/test/receipts.test.js
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const receipts = require("../lib/receipts.js");
+
+const RESULT = {
+  logHeadHash: "a".repeat(64),
+  finalState: "GAME_OVER_X_WINS",
+  winner: "X",
+  winningPlayerId: "uid-x",
+  reason: "line",
+  entryCount: 7,
+  rulesVersion: "1.0.0",
+};
+
+const createSigningKey = () => crypto
+    .generateKeyPairSync("ec", {namedCurve: "P-256"})
+    .privateKey.export({format: "pem", type: "pkcs8"});
+
+/**
+ * @param {string} signingKey - The private key PEM.
+ * @return {string} The PEM of its public key.
+ */
+function getPublicKeyPem(signingKey) {
+  return crypto.createPublicKey(signingKey)
+      .export({format: "pem", type: "spki"});
+}
+
+describe("receipts", () => {
+  const oldKey = createSigningKey();
+  const newKey = createSigningKey();
+  const oldSigner = receipts.loadReceiptSigner({RECEIPT_SIGNING_KEY: oldKey});
+  const signer = receipts.loadReceiptSigner({
+    RECEIPT_SIGNING_KEY: newKey,
+    RECEIPT_RETIRED_KEYS: JSON.stringify([getPublicKeyPem(oldKey)]),
+  });
+
+  it("verifies a receipt it signed", () => {
+    const receipt = receipts.createReceipt(signer, "game-1", RESULT, 1000);
+    assert.equal(receipts.verifyReceipt(signer, receipt), null);
+  });
+
+  it("verifies a receipt signed with a retired key", () => {
+    const receipt = receipts.createReceipt(oldSigner, "game-1", RESULT, 1000);
+    assert.equal(receipt.keyId, oldSigner.keyId);
+    assert.equal(receipts.verifyReceipt(signer, receipt), null);
+  });
+
+  it("rejects a receipt signed with a key it does not publish", () => {
+    const receipt = receipts.createReceipt(signer, "game-1", RESULT, 1000);
+    assert.match(receipts.verifyReceipt(oldSigner, receipt), /not signed/);
+  });
+
+  it("rejects an altered receipt", () => {
+    const receipt = receipts.createReceipt(signer, "game-1", RESULT, 1000);
+    const altered = {...receipt, winner: "O", winningPlayerId: "uid-o"};
+    assert.match(receipts.verifyReceipt(signer, altered), /does not match/);
+  });
+
+  it("rejects a receipt whose key ID names another published key", () => {
+    const receipt = receipts.createReceipt(signer, "game-1", RESULT, 1000);
+    const relabeled = {...receipt, keyId: oldSigner.keyId};
+    assert.match(receipts.verifyReceipt(signer, relabeled), /does not match/);
+  });
+
+  it("publishes the signing key and the retired keys", () => {
+    const info = receipts.getPublicKeyInfo(signer);
+    assert.equal(info.keyId, signer.keyId);
+    assert.deepEqual(info.keys.map(({keyId}) => keyId).sort(),
+        [oldSigner.keyId, signer.keyId].sort());
+  });
+
+  it("rejects retired keys that are not P-256 public keys", () => {
+    assert.throws(() => receipts.loadReceiptSigner({
+      RECEIPT_SIGNING_KEY: newKey,
+      RECEIPT_RETIRED_KEYS: "{}",
+    }), /JSON array/);
+  });
+});
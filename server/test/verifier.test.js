@@ -0,0 +1,371 @@
+// server/test/verifier.test.js
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fsm = require("tictactoe-rules");
+const verifier = require("../lib/verifier.js");
+
+const GAME_ID = "game-1";
+const PLAYER_X = "uid-x";
+const PLAYER_O = "uid-o";
+
+const {PLAYER_MOVE_ATTEMPTED, UNDO_REQUESTED, UNDO_ACCEPTED, RESIGN} =
+  fsm.EVENTS;
+
+// The log entry type of each FSM event.
+const LOG_EVENT_TYPES = {[PLAYER_MOVE_ATTEMPTED]: "PLAYER_MOVE_VALIDATED"};
+
+const move = (rowIndex, colIndex) => ({rowIndex, colIndex});
+
+// X wins along the top row.
+const MOVES = [
+  ["X", PLAYER_MOVE_ATTEMPTED, move(0, 0)],
+  ["O", PLAYER_MOVE_ATTEMPTED, move(1, 0)],
+  ["X", PLAYER_MOVE_ATTEMPTED, move(0, 1)],
+  ["O", PLAYER_MOVE_ATTEMPTED, move(1, 1)],
+  ["X", PLAYER_MOVE_ATTEMPTED, move(0, 2)],
+];
+
+// O takes a move back, then resigns.
+const UNDO_AND_RESIGN = [
+  ["X", PLAYER_MOVE_ATTEMPTED, move(0, 0)],
+  ["O", PLAYER_MOVE_ATTEMPTED, move(1, 0)],
+  ["O", UNDO_REQUESTED],
+  ["X", UNDO_ACCEPTED],
+  ["O", PLAYER_MOVE_ATTEMPTED, move(2, 2)],
+  ["O", RESIGN],
+];
+
+/**
+ * Creates a seat's signing key pair, as the client does when it takes a seat.
+ * @return {{privateKey: KeyObject, publicKey: string}} The private key, and
+ * the public key as the server stores it.
+ */
+function createSeatKeys() {
+  const {privateKey, publicKey} = crypto.generateKeyPairSync("ec", {
+    namedCurve: "P-256",
+  });
+  const spki = publicKey.export({format: "der", type: "spki"});
+  return {privateKey, publicKey: spki.toString("base64")};
+}
+
+const SEAT_KEYS = {X: createSeatKeys(), O: createSeatKeys()};
+const GAME = {
+  playerX_Id: PLAYER_X,
+  playerO_Id: PLAYER_O,
+  rules: {rows: 3, cols: 3, winLength: 3},
+  seats: {
+    X: {publicKey: SEAT_KEYS.X.publicKey},
+    O: {publicKey: SEAT_KEYS.O.publicKey},
+  },
+};
+
+/**
+ * Hashes a log entry into the chain, as the client does.
+ * @param {Array<object>} gameLog - The entries before it.
+ * @param {object} entry - The entry, without its chain hashes.
+ * @return {object} The entry with its chain hashes.
+ */
+function chainEntry(gameLog, entry) {
+  const previous = gameLog[gameLog.length - 1];
+  const chained = {
+    ...entry,
+    previousEntryChainHash: previous ?
+      previous.currentEntryChainHash : "0".repeat(64),
+  };
+  chained.currentEntryChainHash = verifier.calculateEntryHash(chained);
+  return chained;
+}
+
+/**
+ * Plays events through the FSM and writes the log a client would: the game's
+ * creation, a signed entry per event and the game over entry.
+ * @param {Array<Array>} [events] - The seat, FSM event and move of each event.
+ * @return {Array<object>} The log.
+ */
+function buildGameLog(events = MOVES) {
+  let gameState = fsm.getInitialGameState(PLAYER_X, PLAYER_O, GAME.rules);
+  const gameLog = [];
+  const add = (eventType, eventData) => {
+    gameLog.push(chainEntry(gameLog, {
+      sequence: gameLog.length,
+      eventType,
+      clientTimestamp: 1000 + gameLog.length,
+      eventData,
+      boardState: gameState.board,
+      fsmState: gameState.currentState,
+    }));
+  };
+
+  add("GAME_CREATED", {
+    playerX: PLAYER_X,
+    playerO: PLAYER_O,
+    rules: gameState.rules,
+    rulesVersion: fsm.RULES_VERSION,
+    seats: ["X", "O"],
+  });
+  let moveHash = verifier.INITIAL_MOVE_HASH;
+  for (const [symbol, event, eventMove] of events) {
+    const playerId = symbol === "X" ? PLAYER_X : PLAYER_O;
+    const payload = verifier.getEventPayload(
+        GAME_ID, moveHash, playerId, event, eventMove);
+    const signature = crypto.sign("sha256", Buffer.from(payload), {
+      key: SEAT_KEYS[symbol].privateKey,
+      dsaEncoding: "ieee-p1363",
+    }).toString("base64");
+    moveHash = verifier.getMoveHash(payload);
+    const eventData = eventMove ? {move: eventMove, playerId} : {playerId};
+    const result = fsm.transition(gameState, event, eventData);
+    assert.ok(result.isValidMove, result.error);
+    gameState = result.newGameState;
+    add(LOG_EVENT_TYPES[event] || event, {...eventData, signature});
+  }
+  const {winner, reason} = fsm.getGameOutcome(gameState.currentState);
+  const winningPlayerId = winner === "X" ? PLAYER_X : PLAYER_O;
+  add(winner ? "GAME_WON" : "GAME_DRAWN", {winningPlayerId, reason});
+  return gameLog;
+}
+
+/**
+ * Renumbers a log and recomputes its chain hashes, as a forger would after
+ * editing it.
+ * @param {Array<object>} gameLog - The edited entries.
+ * @return {Array<object>} The rechained log.
+ */
+function rechain(gameLog) {
+  const rechained = [];
+  for (const entry of gameLog) {
+    const unchained = {...entry, sequence: rechained.length};
+    delete unchained.previousEntryChainHash;
+    delete unchained.currentEntryChainHash;
+    rechained.push(chainEntry(rechained, unchained));
+  }
+  return rechained;
+}
+
+/**
+ * The head of the move chain the server records as it accepts events.
+ * @param {Array<Array>} events - The seat, FSM event and move of each event.
+ * @return {string} The hash of the last event.
+ */
+function getMoveChainHash(events) {
+  let moveHash = verifier.INITIAL_MOVE_HASH;
+  for (const [symbol, event, eventMove] of events) {
+    const playerId = symbol === "X" ? PLAYER_X : PLAYER_O;
+    moveHash = verifier.getMoveHash(verifier.getEventPayload(
+        GAME_ID, moveHash, playerId, event, eventMove));
+  }
+  return moveHash;
+}
+
+const verify = (gameLog) => verifier.verifyGameLog(gameLog, GAME, {
+  gameId: GAME_ID,
+});
+
+describe("verifyGameLog", () => {
+  it("verifies a valid log", () => {
+    const report = verify(buildGameLog());
+    assert.equal(report.finding, null);
+    assert.equal(report.valid, true);
+    assert.equal(report.entryCount, MOVES.length + 2);
+    assert.equal(report.outcome.winner, "X");
+  });
+
+  it("finds a tampered entry", () => {
+    const gameLog = buildGameLog();
+    gameLog[2].eventData.move = {rowIndex: 2, colIndex: 2};
+    const report = verify(gameLog);
+    assert.equal(report.valid, false);
+    assert.equal(report.finding.check, verifier.CHECKS.ENTRY_HASH);
+    assert.equal(report.finding.sequence, 2);
+  });
+
+  it("finds reordered entries", () => {
+    const gameLog = buildGameLog();
+    [gameLog[2], gameLog[3]] = [gameLog[3], gameLog[2]];
+    assert.equal(verify(gameLog).finding.check, verifier.CHECKS.HASH_CHAIN);
+  });
+
+  it("finds reordered moves in a rechained log", () => {
+    const gameLog = buildGameLog();
+    [gameLog[1], gameLog[3]] = [gameLog[3], gameLog[1]];
+    const report = verify(rechain(gameLog));
+    assert.equal(report.finding.check, verifier.CHECKS.MOVE_SIGNATURE);
+  });
+
+  it("verifies signed undos and resignations", () => {
+    const report = verify(buildGameLog(UNDO_AND_RESIGN));
+    assert.equal(report.finding, null);
+    assert.equal(report.outcome.winner, "X");
+  });
+
+  for (const eventType of [UNDO_REQUESTED, UNDO_ACCEPTED, RESIGN]) {
+    it(`finds an unsigned ${eventType}`, () => {
+      const gameLog = buildGameLog(UNDO_AND_RESIGN);
+      const entry =
+        gameLog.find((logEntry) => logEntry.eventType === eventType);
+      delete entry.eventData.signature;
+      const report = verify(rechain(gameLog));
+      assert.equal(report.finding.check, verifier.CHECKS.MOVE_SIGNATURE);
+      assert.equal(report.finding.sequence, entry.sequence);
+    });
+  }
+
+  it("finds a resignation signed by the other seat", () => {
+    const gameLog = buildGameLog(UNDO_AND_RESIGN);
+    const resignation = gameLog[gameLog.length - 2];
+    resignation.eventData.signature = gameLog[1].eventData.signature;
+    const report = verify(rechain(gameLog));
+    assert.equal(report.finding.check, verifier.CHECKS.MOVE_SIGNATURE);
+  });
+
+  it("finds events of a seat without a key", () => {
+    const game = {...GAME, seats: {X: GAME.seats.X, O: {}}};
+    const report = verifier.verifyGameLog(buildGameLog(), game, {
+      gameId: GAME_ID,
+    });
+    assert.equal(report.finding.check, verifier.CHECKS.MOVE_SIGNATURE);
+    assert.equal(report.finding.sequence, 2);
+  });
+
+  it("checks only the players of games without seat keys", () => {
+    const gameLog = buildGameLog(UNDO_AND_RESIGN);
+    gameLog.forEach((entry) => delete entry.eventData.signature);
+    const game = {...GAME, seats: {X: {}, O: {}}};
+    const report = verifier.verifyGameLog(rechain(gameLog), game, {
+      gameId: GAME_ID,
+    });
+    assert.equal(report.finding, null);
+  });
+
+  it("finds an entry that claims another game result", () => {
+    const gameLog = buildGameLog();
+    const finalEntry = gameLog[gameLog.length - 1];
+    finalEntry.eventData.winningPlayerId = PLAYER_O;
+    const report = verify(rechain(gameLog));
+    assert.equal(report.finding.check, verifier.CHECKS.FINAL_OUTCOME);
+  });
+
+  it("verifies a log whose move chain ends where the server's did", () => {
+    const game = {...GAME, moveChainHash: getMoveChainHash(MOVES)};
+    const report = verifier.verifyGameLog(buildGameLog(), game, {
+      gameId: GAME_ID,
+    });
+    assert.equal(report.finding, null);
+  });
+
+  it("finds a re-signed sequence of other moves", () => {
+    // X still wins along the top row, but O played the bottom row instead.
+    const otherMoves = [
+      ["X", PLAYER_MOVE_ATTEMPTED, move(0, 0)],
+      ["O", PLAYER_MOVE_ATTEMPTED, move(2, 0)],
+      ["X", PLAYER_MOVE_ATTEMPTED, move(0, 1)],
+      ["O", PLAYER_MOVE_ATTEMPTED, move(2, 1)],
+      ["X", PLAYER_MOVE_ATTEMPTED, move(0, 2)],
+    ];
+    const game = {
+      ...GAME,
+      fsmState: fsm.STATES.GAME_OVER_X_WINS,
+      eventCount: MOVES.length,
+      moveChainHash: getMoveChainHash(MOVES),
+    };
+    const report = verifier.verifyGameLog(buildGameLog(otherMoves), game, {
+      gameId: GAME_ID,
+    });
+    assert.equal(report.valid, false);
+    assert.equal(report.finding.check, verifier.CHECKS.MOVE_CHAIN);
+    assert.equal(report.finding.expected, game.moveChainHash);
+    assert.equal(report.finding.found, getMoveChainHash(otherMoves));
+  });
+
+  it("finds clocks recorded in an untimed game", () => {
+    const gameLog = buildGameLog();
+    gameLog[1].eventData.clocks = {X: 60000, O: 60000};
+    const report = verify(rechain(gameLog));
+    assert.equal(report.valid, false);
+    assert.equal(report.finding.check, verifier.CHECKS.CLOCKS);
+    assert.equal(report.finding.sequence, 1);
+  });
+
+  for (const [description, malformed] of [
+    ["a null entry", null],
+    ["an entry that is not an object", "entry"],
+    ["an entry without an event type", {sequence: 1, eventData: {}}],
+    ["an event type that is not a string",
+      {sequence: 1, eventType: 7, eventData: {}}],
+    ["an entry without event data",
+      {sequence: 1, eventType: "PLAYER_MOVE_VALIDATED"}],
+    ["a move without a move", {
+      sequence: 1,
+      eventType: "PLAYER_MOVE_VALIDATED",
+      eventData: {playerId: PLAYER_X},
+    }],
+  ]) {
+    it(`reports ${description} as a finding`, () => {
+      const gameLog = buildGameLog();
+      gameLog[1] = malformed;
+      const report = verify(gameLog);
+      assert.equal(report.valid, false);
+      assert.equal(report.finding.check, verifier.CHECKS.ENTRY_SHAPE);
+    });
+  }
+
+  it("reports a log of malformed entries as a finding", () => {
+    assert.equal(verify([null]).finding.check, verifier.CHECKS.ENTRY_SHAPE);
+    assert.equal(verify([]).finding.check, verifier.CHECKS.FINAL_ENTRY);
+  });
+});
+
+describe("the checks on malformed entries", () => {
+  const gameLog = [null, {eventType: 7}];
+  const checks = {
+    verifyHashChain: () => verifier.verifyHashChain(gameLog),
+    verifySequence: () => verifier.verifySequence(gameLog),
+    verifyMoveSignatures: () =>
+      verifier.verifyMoveSignatures(gameLog, GAME_ID, GAME),
+    verifyFsmGameplay: () =>
+      verifier.verifyFsmGameplay(gameLog, PLAYER_X, PLAYER_O).finding,
+  };
+  for (const [name, check] of Object.entries(checks)) {
+    it(`${name} reports them as a finding`, () => {
+      assert.equal(check().check, verifier.CHECKS.ENTRY_SHAPE);
+    });
+  }
+});
+
+describe("verifyLogSegment", () => {
+  it("verifies a log streamed in segments", () => {
+    const gameLog = buildGameLog();
+    const first = verifier.verifyLogSegment(
+        gameLog.slice(0, 3), verifier.getInitialCheckpoint(GAME), GAME,
+        {gameId: GAME_ID});
+    assert.equal(first.finding, null);
+    const second = verifier.verifyLogSegment(
+        gameLog.slice(3), first.checkpoint, GAME, {gameId: GAME_ID});
+    assert.equal(second.finding, null);
+    assert.equal(second.checkpoint.headHash, verifier.getLogHeadHash(gameLog));
+  });
+
+  it("finds a segment that does not follow the checkpoint's head hash", () => {
+    const gameLog = buildGameLog();
+    const checkpoint = {
+      ...verifier.getInitialCheckpoint(GAME),
+      headHash: "f".repeat(64),
+    };
+    const {finding} = verifier.verifyLogSegment(
+        gameLog, checkpoint, GAME, {gameId: GAME_ID});
+    assert.equal(finding.check, verifier.CHECKS.HASH_CHAIN);
+    assert.equal(finding.expected, "f".repeat(64));
+  });
+});
+
+describe("getLogHeadHash", () => {
+  it("is the last entry's chain hash", () => {
+    const gameLog = buildGameLog();
+    assert.equal(verifier.getLogHeadHash(gameLog),
+        gameLog[gameLog.length - 1].currentEntryChainHash);
+    assert.equal(verifier.getLogHeadHash([]), null);
+    assert.equal(verifier.getLogHeadHash([null]), null);
+  });
+});
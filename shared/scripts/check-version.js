@@ -0,0 +1,70 @@
+// shared/scripts/check-version.js
+
+/**
+ * Fails (exit code 1) if the client, the server and the proxy would run
+ * different rules.
+ *
+ * The client bundles the shared source, while the server and the proxy each
+ * install the packed CommonJS build from their vendor/ directory (see
+ * pack-vendor.js). If the source changed without a runtime's copy being
+ * re-packed and re-installed, the runtimes drift apart: honest players' logs
+ * would fail verification, or the proxy would hold requests to other limits
+ * and error codes than the server. Run from the client build, and from the
+ * server's and the proxy's predeploy and test steps, which pass the name of
+ * their own runtime to check only that one.
+ */
+
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { RULES_VERSION } from '../src/index.js';
+
+// The runtimes that install the packed rules, by their directory.
+const RUNTIMES = ['server', 'proxy'];
+
+const packageJson = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+const localBuild = readFileSync(new URL('../dist/index.cjs', import.meta.url), 'utf8');
+
+function fail(message) {
+    console.error(`Rules version check failed: ${message}`);
+    process.exit(1);
+}
+
+/**
+ * Checks that a runtime has installed the current build of the rules.
+ * @param {string} runtime - The runtime's directory, e.g. 'server'.
+ */
+function checkRuntime(runtime) {
+    const runtimeRequire = createRequire(fileURLToPath(new URL(`../../${runtime}/package.json`, import.meta.url)));
+    const reinstall = `Run "npm run pack:functions" here, then "npm run install:rules" in ${runtime}/.`;
+
+    let runtimeRules;
+    try {
+        runtimeRules = runtimeRequire('tictactoe-rules');
+    } catch (error) {
+        fail(`the ${runtime} has no tictactoe-rules installed (${error.message}). ${reinstall}`);
+    }
+    if (runtimeRules.RULES_VERSION !== RULES_VERSION) {
+        fail(`the ${runtime} runs rules ${runtimeRules.RULES_VERSION} but the shared source is ${RULES_VERSION}. ${reinstall}`);
+    }
+
+    // The same version with different code means someone changed the rules without bumping it.
+    const runtimeBuild = readFileSync(runtimeRequire.resolve('tictactoe-rules'), 'utf8');
+    if (runtimeBuild !== localBuild) {
+        fail(`the ${runtime}'s rules ${RULES_VERSION} differ from the current build. Re-pack and re-install them, and bump RULES_VERSION if the rules changed.`);
+    }
+}
+
+if (RULES_VERSION !== packageJson.version) {
+    fail(`RULES_VERSION (${RULES_VERSION}) does not match the tictactoe-rules package version (${packageJson.version}).`);
+}
+
+const requested = process.argv.slice(2);
+const unknown = requested.find(runtime => !RUNTIMES.includes(runtime));
+if (unknown) {
+    fail(`unknown runtime "${unknown}"; expected one of ${RUNTIMES.join(', ')}.`);
+}
+const runtimes = requested.length > 0 ? requested : RUNTIMES;
+runtimes.forEach(checkRuntime);
+
+console.log(`Rules version ${RULES_VERSION} matches on the client and the ${runtimes.join(' and ')}.`);
@@ -0,0 +1,46 @@
+// shared/scripts/pack-vendor.js
+
+/**
+ * Packs the rules for the Cloud Functions that use them: the server, which runs
+ * them, and the proxy, which checks requests against their bounds and errors.
+ *
+ * Functions are deployed from their own directory, so they cannot depend on
+ * ../shared; they install a packed copy from their vendor/ directory instead.
+ * The copy is named without its version, so bumping the rules needs no change
+ * to the functions' package.json, and it is committed, so a fresh clone
+ * installs without packing first. After packing, run "npm run install:rules"
+ * in each function's directory: a plain "npm install" keeps the copy it
+ * installed before.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { copyFileSync, mkdtempSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const VENDOR_DIRECTORIES = ['server/vendor', 'proxy/vendor'];
+const VENDOR_FILE_NAME = 'tictactoe-rules.tgz';
+
+const sharedDirectory = fileURLToPath(new URL('..', import.meta.url));
+const repositoryDirectory = join(sharedDirectory, '..');
+
+const packDirectory = mkdtempSync(join(tmpdir(), 'tictactoe-rules-'));
+try {
+    const [{ filename }] = JSON.parse(execFileSync('npm', ['pack', '--json', '--pack-destination', packDirectory], {
+        cwd: sharedDirectory,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'inherit'],
+    }));
+    for (const vendorDirectory of VENDOR_DIRECTORIES) {
+        const destination = join(repositoryDirectory, vendorDirectory);
+        // Copies packed before the name lost its version.
+        for (const stale of readdirSync(destination).filter(name => /^tictactoe-rules-.*\.tgz$/.test(name))) {
+            rmSync(join(destination, stale));
+        }
+        copyFileSync(join(packDirectory, filename), join(destination, VENDOR_FILE_NAME));
+        console.log(`Packed ${filename} as ${vendorDirectory}/${VENDOR_FILE_NAME}`);
+    }
+} finally {
+    rmSync(packDirectory, { recursive: true, force: true });
+}
@@ -0,0 +1,149 @@
+// shared/src/errors.js
+
+/**
+ * The errors the API reports, shared so the server, the proxy and the client
+ * agree on them. Every error response has the body
+ *
+ *   { code, error, ...details }
+ *
+ * where `code` is one of ERROR_CODES and `error` is the catalogue message with
+ * the details filled in (or a more specific message for the same code). Log
+ * verification failures add the `check` that failed and the `sequence` of the
+ * entry it failed on.
+ *
+ * Each code also names how a client recovers from it, one of RETRY_ACTIONS.
+ */
+
+const RETRY_ACTIONS = {
+    // Send the request again: the failure was transient, or sending again fixes it.
+    RESEND: 'resend',
+    // Reload the page, so a current client sends the request.
+    RELOAD: 'reload',
+    // The game cannot go on; start another one.
+    NEW_GAME: 'new_game',
+};
+
+const ERROR_CODES = {
+    INVALID_REQUEST: 'INVALID_REQUEST',
+    ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+    METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+    AUTH_REQUIRED: 'AUTH_REQUIRED',
+    SEAT_SECRET_INVALID: 'SEAT_SECRET_INVALID',
+    SEAT_ACCOUNT_MISMATCH: 'SEAT_ACCOUNT_MISMATCH',
+    GAME_NOT_FOUND: 'GAME_NOT_FOUND',
+    GAME_NOT_JOINABLE: 'GAME_NOT_JOINABLE',
+    WAITING_FOR_OPPONENT: 'WAITING_FOR_OPPONENT',
+    GAME_NOT_OVER: 'GAME_NOT_OVER',
+    GAME_FINISHED: 'GAME_FINISHED',
+    GAME_ABANDONED: 'GAME_ABANDONED',
+    GAME_EXPIRED: 'GAME_EXPIRED',
+    LOG_NOT_VERIFIED: 'LOG_NOT_VERIFIED',
+    CHECKPOINT_MISMATCH: 'CHECKPOINT_MISMATCH',
+    KEY_SCHEME_MISMATCH: 'KEY_SCHEME_MISMATCH',
+    DECRYPT_FAILED: 'DECRYPT_FAILED',
+    AUTH_TAG_INVALID: 'AUTH_TAG_INVALID',
+    CHAIN_BROKEN: 'CHAIN_BROKEN',
+    SEQUENCE_MISMATCH: 'SEQUENCE_MISMATCH',
+    SIGNATURE_INVALID: 'SIGNATURE_INVALID',
+    PLAYER_MISMATCH: 'PLAYER_MISMATCH',
+    RULES_VERSION_MISMATCH: 'RULES_VERSION_MISMATCH',
+    FSM_ILLEGAL_MOVE: 'FSM_ILLEGAL_MOVE',
+    FINAL_STATE_MISMATCH: 'FINAL_STATE_MISMATCH',
+    RATE_LIMITED: 'RATE_LIMITED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR',
+    PROXY_ERROR: 'PROXY_ERROR',
+    BACKEND_TIMEOUT: 'BACKEND_TIMEOUT',
+};
+
+// The HTTP status, retry action and message of each code. `{name}` in a message
+// is replaced by the detail of that name.
+const ERROR_CATALOGUE = {
+    [ERROR_CODES.INVALID_REQUEST]: { status: 400, retry: RETRY_ACTIONS.RELOAD, message: "The request is malformed." },
+    [ERROR_CODES.ROUTE_NOT_FOUND]: { status: 404, retry: RETRY_ACTIONS.RELOAD, message: "There is no such API route." },
+    [ERROR_CODES.METHOD_NOT_ALLOWED]: { status: 405, retry: RETRY_ACTIONS.RELOAD, message: "This route does not allow the request's method." },
+    [ERROR_CODES.PAYLOAD_TOO_LARGE]: { status: 413, retry: RETRY_ACTIONS.NEW_GAME, message: "The request body must be at most {maxBodyBytes} bytes." },
+    [ERROR_CODES.AUTH_REQUIRED]: { status: 401, retry: RETRY_ACTIONS.RELOAD, message: "You must be signed in; reload the page to sign in again." },
+    [ERROR_CODES.SEAT_SECRET_INVALID]: { status: 403, retry: RETRY_ACTIONS.NEW_GAME, message: "A valid seat secret is required." },
+    [ERROR_CODES.SEAT_ACCOUNT_MISMATCH]: { status: 403, retry: RETRY_ACTIONS.NEW_GAME, message: "This seat belongs to another account." },
+    [ERROR_CODES.GAME_NOT_FOUND]: { status: 404, retry: RETRY_ACTIONS.NEW_GAME, message: "Game session not found." },
+    [ERROR_CODES.GAME_NOT_JOINABLE]: { status: 409, retry: RETRY_ACTIONS.NEW_GAME, message: "This game cannot be joined." },
+    [ERROR_CODES.WAITING_FOR_OPPONENT]: { status: 409, retry: RETRY_ACTIONS.RESEND, message: "Waiting for an opponent to join." },
+    [ERROR_CODES.GAME_NOT_OVER]: { status: 409, retry: RETRY_ACTIONS.RESEND, message: "The game is not over yet; its log can only be submitted once it is." },
+    [ERROR_CODES.GAME_FINISHED]: { status: 409, retry: RETRY_ACTIONS.NEW_GAME, message: "The game is finished and a log has already been verified for it." },
+    [ERROR_CODES.GAME_ABANDONED]: { status: 410, retry: RETRY_ACTIONS.NEW_GAME, message: "The game was abandoned; its log can no longer be verified." },
+    [ERROR_CODES.GAME_EXPIRED]: { status: 410, retry: RETRY_ACTIONS.NEW_GAME, message: "The game's key has expired; its log can no longer be verified." },
+    [ERROR_CODES.LOG_NOT_VERIFIED]: { status: 404, retry: RETRY_ACTIONS.RESEND, message: "This game has no verified log yet." },
+    [ERROR_CODES.CHECKPOINT_MISMATCH]: { status: 409, retry: RETRY_ACTIONS.RESEND, message: "The segment does not start where the server's copy of the log ends." },
+    [ERROR_CODES.KEY_SCHEME_MISMATCH]: { status: 400, retry: RETRY_ACTIONS.RELOAD, message: "This game's log must be encrypted with {keyScheme}." },
+    [ERROR_CODES.DECRYPT_FAILED]: { status: 400, retry: RETRY_ACTIONS.RESEND, message: "The log could not be decrypted with the game's key." },
+    [ERROR_CODES.AUTH_TAG_INVALID]: { status: 400, retry: RETRY_ACTIONS.RESEND, message: "The encrypted log failed its integrity check: it was altered, or encrypted for another key." },
+    [ERROR_CODES.CHAIN_BROKEN]: { status: 400, retry: RETRY_ACTIONS.NEW_GAME, message: "The log's hash chain is broken at entry {sequence}." },
+    [ERROR_CODES.SEQUENCE_MISMATCH]: { status: 400, retry: RETRY_ACTIONS.NEW_GAME, message: "The log's entries are not numbered consecutively." },
+    [ERROR_CODES.SIGNATURE_INVALID]: { status: 400, retry: RETRY_ACTIONS.NEW_GAME, message: "The signature at entry {sequence} does not match the seat's key." },
+    [ERROR_CODES.PLAYER_MISMATCH]: { status: 400, retry: RETRY_ACTIONS.NEW_GAME, message: "The move at entry {sequence} is not by a player holding a seat in this game." },
+    [ERROR_CODES.RULES_VERSION_MISMATCH]: { status: 400, retry: RETRY_ACTIONS.RELOAD, message: "The log was recorded under a different version of the rules." },
+    [ERROR_CODES.FSM_ILLEGAL_MOVE]: { status: 400, retry: RETRY_ACTIONS.NEW_GAME, message: "Entry {sequence} of the log does not replay under the game's rules." },
+    [ERROR_CODES.FINAL_STATE_MISMATCH]: { status: 400, retry: RETRY_ACTIONS.NEW_GAME, message: "The log's final state does not match the server's." },
+    [ERROR_CODES.RATE_LIMITED]: { status: 429, retry: RETRY_ACTIONS.RESEND, message: "Too many requests; try again in {retryAfter} seconds." },
+    [ERROR_CODES.INTERNAL_ERROR]: { status: 500, retry: RETRY_ACTIONS.RESEND, message: "An error occurred on the server." },
+    [ERROR_CODES.PROXY_ERROR]: { status: 502, retry: RETRY_ACTIONS.RESEND, message: "The game server could not be reached." },
+    [ERROR_CODES.BACKEND_TIMEOUT]: { status: 504, retry: RETRY_ACTIONS.RESEND, message: "The game server did not answer in time." },
+};
+
+function formatErrorMessage(template, details) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (details[name] === undefined || details[name] === null ? '?' : String(details[name])));
+}
+
+/**
+ * An error from the catalogue. The server builds its error responses from it;
+ * the client turns error responses back into one with fromResponse.
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES.
+     * @param {object} [details={}] - Details sent along with the error, such as `sequence`.
+     * @param {string} [message] - A more specific message than the catalogue's.
+     */
+    constructor(code, details = {}, message) {
+        const entry = ERROR_CATALOGUE[code];
+        if (!entry) throw new Error(`Unknown error code: ${code}`);
+        super(message || formatErrorMessage(entry.message, details));
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = entry.status;
+        this.retry = entry.retry;
+        this.details = details;
+    }
+
+    /**
+     * @returns {object} The response body.
+     */
+    toJSON() {
+        return { code: this.code, error: this.message, ...this.details };
+    }
+
+    /**
+     * Reads an error response. Responses without a known code (such as those of
+     * older servers) are taken as INTERNAL_ERROR if the server failed and as
+     * INVALID_REQUEST otherwise.
+     * @param {number} status - The HTTP status.
+     * @param {object|null} body - The parsed body, or null if it was not JSON.
+     * @param {string|null} [requestId=null] - The response's X-Request-Id, which finds the request in the server logs.
+     * @returns {ApiError} The error.
+     */
+    static fromResponse(status, body, requestId = null) {
+        const { code, error, ...details } = body || {};
+        const knownCode = ERROR_CATALOGUE[code] ? code : (status >= 500 ? ERROR_CODES.INTERNAL_ERROR : ERROR_CODES.INVALID_REQUEST);
+        const apiError = new ApiError(knownCode, details, typeof error === 'string' ? error : undefined);
+        apiError.status = status;
+        apiError.requestId = requestId;
+        return apiError;
+    }
+}
+
+export {
+    RETRY_ACTIONS,
+    ERROR_CODES,
+    ApiError,
+};
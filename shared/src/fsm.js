@@ -0,0 +1,578 @@
+// shared/src/fsm.js
+
+/**
+ * fsm.js
+ *
+ * This module represents the Finite State Machine (FSM) and core game logic
+ * for a game of Tic-Tac-Toe. It is a pure module with no external dependencies
+ * on web servers or databases, making it testable in isolation.
+ *
+ * It exports:
+ * - STATES: An object containing all possible game states.
+ * - EVENTS: An object containing all possible events that can trigger a state transition.
+ * - END_REASONS / getGameOutcome: Who won a finished game and why it ended.
+ * - transition: The core function that calculates the next state based on the current state and an event.
+ * - getInitialGameState: A factory function to create a new game state object.
+ * - normalizeRules: Validates an (m,n,k) rule set of board rows, columns and win length, plus the undo allowance and time control.
+ * - checkWin / checkDraw: The win and draw checks, usable for any board size.
+ *
+ * What a move does to the board, and whether it ends the game, depends on the
+ * rule variant selected by `rules.variant`; see variants/index.js.
+ */
+
+import { cloneBoard, checkWin, checkDraw } from './variants/board.js';
+import { VARIANTS, DEFAULT_VARIANT, getVariant } from './variants/index.js';
+
+// Define all possible states for the game.
+const STATES = {
+    GAME_STARTING: 'GAME_STARTING',
+    PLAYER_X_TURN: 'PLAYER_X_TURN',
+    PLAYER_O_TURN: 'PLAYER_O_TURN',
+    GAME_OVER_X_WINS: 'GAME_OVER_X_WINS',
+    GAME_OVER_O_WINS: 'GAME_OVER_O_WINS',
+    GAME_OVER_DRAW: 'GAME_OVER_DRAW',
+    GAME_OVER_X_WINS_BY_RESIGNATION: 'GAME_OVER_X_WINS_BY_RESIGNATION',
+    GAME_OVER_O_WINS_BY_RESIGNATION: 'GAME_OVER_O_WINS_BY_RESIGNATION',
+    GAME_OVER_X_WINS_ON_TIME: 'GAME_OVER_X_WINS_ON_TIME',
+    GAME_OVER_O_WINS_ON_TIME: 'GAME_OVER_O_WINS_ON_TIME',
+    GAME_OVER_DRAW_AGREED: 'GAME_OVER_DRAW_AGREED',
+};
+
+// Why a game ended, for each terminal state.
+const END_REASONS = {
+    LINE: 'line', // A player completed a line
+    BOARD_FULL: 'board_full', // No empty cells left
+    RESIGNATION: 'resignation',
+    TIMEOUT: 'timeout',
+    DRAW_AGREED: 'draw_agreed',
+};
+
+// The winner ('X', 'O' or null for a draw) and end reason of every terminal state.
+const GAME_OUTCOMES = {
+    [STATES.GAME_OVER_X_WINS]: { winner: 'X', reason: END_REASONS.LINE },
+    [STATES.GAME_OVER_O_WINS]: { winner: 'O', reason: END_REASONS.LINE },
+    [STATES.GAME_OVER_DRAW]: { winner: null, reason: END_REASONS.BOARD_FULL },
+    [STATES.GAME_OVER_X_WINS_BY_RESIGNATION]: { winner: 'X', reason: END_REASONS.RESIGNATION },
+    [STATES.GAME_OVER_O_WINS_BY_RESIGNATION]: { winner: 'O', reason: END_REASONS.RESIGNATION },
+    [STATES.GAME_OVER_X_WINS_ON_TIME]: { winner: 'X', reason: END_REASONS.TIMEOUT },
+    [STATES.GAME_OVER_O_WINS_ON_TIME]: { winner: 'O', reason: END_REASONS.TIMEOUT },
+    [STATES.GAME_OVER_DRAW_AGREED]: { winner: null, reason: END_REASONS.DRAW_AGREED },
+};
+
+// Define all possible events that can drive the FSM.
+const EVENTS = {
+    PLAYER_MOVE_ATTEMPTED: 'PLAYER_MOVE_ATTEMPTED',
+    UNDO_REQUESTED: 'UNDO_REQUESTED',
+    UNDO_ACCEPTED: 'UNDO_ACCEPTED',
+    RESIGN: 'RESIGN',
+    OFFER_DRAW: 'OFFER_DRAW',
+    ACCEPT_DRAW: 'ACCEPT_DRAW',
+    TIMEOUT: 'TIMEOUT',
+};
+
+// The classic 3x3, three-in-a-row rule set. Larger (m,n,k) variants such as
+// 4x4, 5x5 or 15x15 "gomoku-style" boards override these values.
+// `maxUndos` is how many accepted undos each player gets per game.
+// `timeControl` is null for untimed games, or { initialMs, incrementMs } for a
+// per-player time budget with an increment added after each of their moves.
+// `variant` names the rule module from variants/index.js.
+const DEFAULT_RULES = {
+    rows: 3,
+    cols: 3,
+    winLength: 3,
+    maxUndos: 2,
+    timeControl: null,
+    variant: DEFAULT_VARIANT,
+};
+
+// Bounds for the configurable board size.
+const MIN_BOARD_SIZE = 3;
+const MAX_BOARD_SIZE = 19;
+const MAX_UNDOS_LIMIT = 10;
+
+// Bounds for timed games, in milliseconds.
+const MIN_INITIAL_TIME_MS = 10 * 1000;
+const MAX_INITIAL_TIME_MS = 3 * 60 * 60 * 1000;
+const MAX_INCREMENT_MS = 60 * 1000;
+
+/**
+ * Describes how a finished game ended.
+ * @param {string} state - An FSM state.
+ * @returns {{winner: string|null, reason: string}|null} The winner symbol (null for a draw) and
+ * one of END_REASONS, or null if the state is not a terminal state.
+ */
+function getGameOutcome(state) {
+    return GAME_OUTCOMES[state] || null;
+}
+
+/**
+ * Validates a rule set and fills in defaults for any missing values. A variant's
+ * fixed rules (such as Ultimate's 9x9 board) override the requested values.
+ * @param {{rows?: number, cols?: number, winLength?: number, maxUndos?: number,
+ * timeControl?: {initialMs: number, incrementMs?: number}|null, variant?: string}} [rules] - The requested rule set.
+ * @returns {{rows: number, cols: number, winLength: number, maxUndos: number,
+ * timeControl: {initialMs: number, incrementMs: number}|null, variant: string}} The complete, validated rule set.
+ * @throws {Error} If any value is not an integer or is out of range, or the variant is unknown.
+ */
+function normalizeRules(rules = {}) {
+    const { variant = DEFAULT_VARIANT } = rules;
+    if (!Object.hasOwn(VARIANTS, variant)) {
+        throw new Error(`Invalid rules: variant must be one of ${Object.keys(VARIANTS).join(', ')}.`);
+    }
+    const { rows, cols, winLength, maxUndos, timeControl } = { ...DEFAULT_RULES, ...rules, ...VARIANTS[variant].fixedRules };
+
+    for (const [name, value] of Object.entries({ rows, cols })) {
+        if (!Number.isInteger(value) || value < MIN_BOARD_SIZE || value > MAX_BOARD_SIZE) {
+            throw new Error(`Invalid rules: ${name} must be an integer between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}.`);
+        }
+    }
+    if (!Number.isInteger(winLength) || winLength < MIN_BOARD_SIZE || winLength > Math.max(rows, cols)) {
+        throw new Error(`Invalid rules: winLength must be an integer between ${MIN_BOARD_SIZE} and ${Math.max(rows, cols)}.`);
+    }
+    if (!Number.isInteger(maxUndos) || maxUndos < 0 || maxUndos > MAX_UNDOS_LIMIT) {
+        throw new Error(`Invalid rules: maxUndos must be an integer between 0 and ${MAX_UNDOS_LIMIT}.`);
+    }
+
+    return { rows, cols, winLength, maxUndos, timeControl: normalizeTimeControl(timeControl), variant };
+}
+
+/**
+ * Validates the `timeControl` part of a rule set.
+ * @param {{initialMs: number, incrementMs?: number}|null} timeControl - The requested time control, or null for an untimed game.
+ * @returns {{initialMs: number, incrementMs: number}|null} The validated time control.
+ * @throws {Error} If a value is not an integer or is out of range.
+ */
+function normalizeTimeControl(timeControl) {
+    if (timeControl === null || timeControl === undefined) return null;
+
+    const { initialMs, incrementMs = 0 } = timeControl;
+    if (!Number.isInteger(initialMs) || initialMs < MIN_INITIAL_TIME_MS || initialMs > MAX_INITIAL_TIME_MS) {
+        throw new Error(`Invalid rules: timeControl.initialMs must be an integer between ${MIN_INITIAL_TIME_MS} and ${MAX_INITIAL_TIME_MS}.`);
+    }
+    if (!Number.isInteger(incrementMs) || incrementMs < 0 || incrementMs > MAX_INCREMENT_MS) {
+        throw new Error(`Invalid rules: timeControl.incrementMs must be an integer between 0 and ${MAX_INCREMENT_MS}.`);
+    }
+    return { initialMs, incrementMs };
+}
+
+/**
+ * @typedef {object} FSMTransitionResult
+ * @property {string} newState - The state of the FSM after the transition.
+ * @property {boolean} isValidMove - Indicates if the event was accepted (for undo events as well as moves).
+ * @property {Array<Array<string>>} [newBoard] - The updated board state, only present if the event was accepted.
+ * @property {object} [newGameState] - The full game state after the transition, only present if the event was accepted.
+ * @property {string} [error] - A description of the error, only present if the event was rejected.
+ */
+
+/**
+ * Builds the result of an accepted event from the complete next game state.
+ * @param {object} newGameState - The game state after the event.
+ * @returns {FSMTransitionResult} The transition result.
+ */
+function accept(newGameState) {
+    return { newState: newGameState.currentState, newBoard: newGameState.board, newGameState, isValidMove: true };
+}
+
+function reject(currentState, error) {
+    return { newState: currentState, isValidMove: false, error };
+}
+
+/**
+ * Returns the symbol a player plays, or null if they are not in this game.
+ * @param {object} gameState - The game state.
+ * @param {string} playerId - The player's ID.
+ * @returns {string|null} 'X', 'O' or null.
+ */
+function getPlayerSymbol(gameState, playerId) {
+    if (playerId === gameState.playerX) return 'X';
+    if (playerId === gameState.playerO) return 'O';
+    return null;
+}
+
+/**
+ * Works out how many moves an undo by `playerId` takes back. An undo always
+ * removes the player's own most recent move, plus the opponent's reply if
+ * one has been made since, so that it is the requester's turn again.
+ * @param {Array<object>} moveHistory - The moves made so far, oldest first.
+ * @param {string} playerId - The player asking to undo.
+ * @returns {number} 1 or 2, or 0 if the player has no move that can be taken back.
+ */
+function countUndoPlies(moveHistory, playerId) {
+    const last = moveHistory[moveHistory.length - 1];
+    const beforeLast = moveHistory[moveHistory.length - 2];
+    if (last && last.playerId === playerId) return 1;
+    if (beforeLast && beforeLast.playerId === playerId) return 2;
+    return 0;
+}
+
+/**
+ * Charges the time since the current turn started to the clock of the player on turn.
+ * Clocks only start running once X has made the first move.
+ * @param {object} currentGameState - The FSM game state.
+ * @param {string} symbol - The symbol of the player on turn.
+ * @param {number} timestamp - When the event happened, in milliseconds since the epoch.
+ * @returns {{gameState?: object, expired?: boolean, error?: string}} The game state with the
+ * updated clocks and whether the player on turn has run out of time, or an error.
+ */
+function runClock(currentGameState, symbol, timestamp) {
+    const { rules, clocks, turnStartedAt } = currentGameState;
+    if (!rules || !rules.timeControl) return { gameState: currentGameState, expired: false };
+
+    if (!Number.isFinite(timestamp)) {
+        return { error: "Timed games require an event timestamp." };
+    }
+    if (turnStartedAt === null || turnStartedAt === undefined) {
+        return { gameState: currentGameState, expired: false };
+    }
+    if (timestamp < turnStartedAt) {
+        return { error: "Event timestamp is earlier than the start of the turn." };
+    }
+
+    const remainingMs = clocks[symbol] - (timestamp - turnStartedAt);
+    return {
+        gameState: { ...currentGameState, clocks: { ...clocks, [symbol]: Math.max(remainingMs, 0) } },
+        expired: remainingMs <= 0,
+    };
+}
+
+/**
+ * Handles PLAYER_MOVE_ATTEMPTED for the player whose turn it is. The FSM checks
+ * the turn and that the cell is free; the rule variant places the symbol and
+ * decides whether the game is over.
+ * Any accepted move withdraws or implicitly declines a pending undo request or draw offer.
+ */
+function handleMoveAttempted(currentGameState, symbol, eventData) {
+    const { currentState, board } = currentGameState;
+    const { timeControl, variant } = currentGameState.rules || DEFAULT_RULES;
+    const { move, playerId } = eventData;
+    const { rowIndex, colIndex } = move;
+    const isOutOfBounds = !Number.isInteger(rowIndex) || !Number.isInteger(colIndex)
+        || rowIndex < 0 || rowIndex >= board.length || colIndex < 0 || colIndex >= board[rowIndex].length;
+
+    // --- Game Rule Validation ---
+    if (playerId !== (symbol === 'X' ? currentGameState.playerX : currentGameState.playerO)) {
+        return reject(currentState, `Not player ${symbol}'s turn.`);
+    }
+    if (isOutOfBounds || board[rowIndex][colIndex] !== '') {
+        return reject(currentState, "Invalid move: cell is occupied or out of bounds.");
+    }
+
+    // --- Apply the Move ---
+    const variantResult = getVariant(variant).applyMove(currentGameState, symbol, move);
+    if (variantResult.error) {
+        return reject(currentState, variantResult.error);
+    }
+    const newBoard = variantResult.board;
+
+    // --- Check for Win/Draw Condition, otherwise Transition to Next State ---
+    let newState;
+    if (variantResult.winner) {
+        newState = variantResult.winner === 'X' ? STATES.GAME_OVER_X_WINS : STATES.GAME_OVER_O_WINS;
+    } else if (variantResult.isDraw) {
+        newState = STATES.GAME_OVER_DRAW;
+    } else {
+        newState = symbol === 'X' ? STATES.PLAYER_O_TURN : STATES.PLAYER_X_TURN;
+    }
+
+    // In timed games the mover earns the increment, once the clocks are running.
+    let { clocks } = currentGameState;
+    if (timeControl && currentGameState.turnStartedAt !== null) {
+        clocks = { ...clocks, [symbol]: clocks[symbol] + timeControl.incrementMs };
+    }
+
+    return accept({
+        ...currentGameState,
+        ...variantResult.state,
+        currentState: newState,
+        board: newBoard,
+        clocks,
+        // What an accepted undo of this move restores: the state, and the clocks as they stood when it was made.
+        moveHistory: [...(currentGameState.moveHistory || []), {
+            playerId, rowIndex, colIndex,
+            previousState: currentState,
+            previousClocks: currentGameState.clocks,
+            previousTurnStartedAt: currentGameState.turnStartedAt,
+        }],
+        pendingUndo: null,
+        pendingDrawOffer: null,
+    });
+}
+
+/**
+ * Handles UNDO_REQUESTED. A player may ask to take back their latest move while
+ * the game is running, no other request is pending and they have undos left.
+ */
+function handleUndoRequested(currentGameState, eventData) {
+    const { currentState, moveHistory = [], undosUsed = { X: 0, O: 0 }, pendingUndo } = currentGameState;
+    const { maxUndos } = currentGameState.rules || DEFAULT_RULES;
+    const symbol = getPlayerSymbol(currentGameState, eventData.playerId);
+
+    if (!symbol) {
+        return reject(currentState, "Only players in this game may request an undo.");
+    }
+    if (pendingUndo) {
+        return reject(currentState, "An undo request is already pending.");
+    }
+    if (countUndoPlies(moveHistory, eventData.playerId) === 0) {
+        return reject(currentState, "There is no move of yours to take back.");
+    }
+    if ((undosUsed[symbol] || 0) >= maxUndos) {
+        return reject(currentState, `Player ${symbol} has no undos left.`);
+    }
+
+    return accept({ ...currentGameState, pendingUndo: { playerId: eventData.playerId } });
+}
+
+/**
+ * Handles UNDO_ACCEPTED. Only the requester's opponent may accept; doing so takes
+ * the requester's latest move (and any reply to it) off the board and withdraws any
+ * pending draw offer.
+ * In timed games the clocks go back to how they stood when the undone move was made:
+ * the time the requester spent on it stays spent, but its increment and the time
+ * since it are refunded, and the requester's turn starts again on acceptance.
+ */
+function handleUndoAccepted(currentGameState, eventData) {
+    const { currentState, board, moveHistory = [], undosUsed = { X: 0, O: 0 }, pendingUndo, clocks, turnStartedAt } = currentGameState;
+    const symbol = getPlayerSymbol(currentGameState, eventData.playerId);
+
+    if (!pendingUndo) {
+        return reject(currentState, "There is no pending undo request.");
+    }
+    if (!symbol || eventData.playerId === pendingUndo.playerId) {
+        return reject(currentState, "Only the opponent of the requesting player may accept an undo.");
+    }
+
+    const plies = countUndoPlies(moveHistory, pendingUndo.playerId);
+    const remainingHistory = moveHistory.slice(0, moveHistory.length - plies);
+    const undoneMoves = moveHistory.slice(moveHistory.length - plies);
+    const newBoard = cloneBoard(board);
+    undoneMoves.forEach(({ rowIndex, colIndex }) => {
+        newBoard[rowIndex][colIndex] = '';
+    });
+    const requesterSymbol = getPlayerSymbol(currentGameState, pendingUndo.playerId);
+    const { deriveState } = getVariant((currentGameState.rules || DEFAULT_RULES).variant);
+    // Moves recorded before the history kept the clocks leave them as they are.
+    const { previousState, previousClocks = clocks, previousTurnStartedAt = turnStartedAt } = undoneMoves[0];
+
+    return accept({
+        ...currentGameState,
+        ...(deriveState ? deriveState({ ...currentGameState, board: newBoard, moveHistory: remainingHistory }) : {}),
+        currentState: previousState,
+        board: newBoard,
+        moveHistory: remainingHistory,
+        undosUsed: { ...undosUsed, [requesterSymbol]: (undosUsed[requesterSymbol] || 0) + 1 },
+        pendingUndo: null,
+        pendingDrawOffer: null,
+        clocks: previousClocks,
+        turnStartedAt: previousTurnStartedAt,
+    });
+}
+
+/**
+ * Handles RESIGN. Either player may resign at any point of a running game,
+ * whoever's turn it is; the opponent wins.
+ */
+function handleResign(currentGameState, eventData) {
+    const symbol = getPlayerSymbol(currentGameState, eventData.playerId);
+    if (!symbol) {
+        return reject(currentGameState.currentState, "Only players in this game may resign.");
+    }
+    return accept({
+        ...currentGameState,
+        currentState: symbol === 'X' ? STATES.GAME_OVER_O_WINS_BY_RESIGNATION : STATES.GAME_OVER_X_WINS_BY_RESIGNATION,
+    });
+}
+
+/**
+ * Handles OFFER_DRAW. Either player may offer a draw while no offer is pending.
+ * The offer stands until the opponent accepts it or a move is made.
+ */
+function handleOfferDraw(currentGameState, eventData) {
+    const { currentState, pendingDrawOffer } = currentGameState;
+    if (!getPlayerSymbol(currentGameState, eventData.playerId)) {
+        return reject(currentState, "Only players in this game may offer a draw.");
+    }
+    if (pendingDrawOffer) {
+        return reject(currentState, "A draw offer is already pending.");
+    }
+    return accept({ ...currentGameState, pendingDrawOffer: { playerId: eventData.playerId } });
+}
+
+/**
+ * Handles ACCEPT_DRAW. Only the opponent of the player who offered the draw may accept it.
+ */
+function handleAcceptDraw(currentGameState, eventData) {
+    const { currentState, pendingDrawOffer } = currentGameState;
+    if (!pendingDrawOffer) {
+        return reject(currentState, "There is no pending draw offer.");
+    }
+    if (!getPlayerSymbol(currentGameState, eventData.playerId) || eventData.playerId === pendingDrawOffer.playerId) {
+        return reject(currentState, "Only the opponent of the offering player may accept a draw.");
+    }
+    return accept({ ...currentGameState, currentState: STATES.GAME_OVER_DRAW_AGREED, pendingDrawOffer: null });
+}
+
+/**
+ * Ends the game with a loss on time for the player on turn.
+ */
+function loseOnTime(currentGameState, symbol) {
+    return accept({
+        ...currentGameState,
+        currentState: symbol === 'X' ? STATES.GAME_OVER_O_WINS_ON_TIME : STATES.GAME_OVER_X_WINS_ON_TIME,
+        pendingUndo: null,
+        pendingDrawOffer: null,
+    });
+}
+
+/**
+ * Handles TIMEOUT in a game whose clock has not yet run out (see `transition`).
+ * In timed games that means the claim is premature. In untimed games there is
+ * no clock to check, so only the player on turn may declare their own timeout.
+ */
+function handleTimeout(currentGameState, symbol, eventData) {
+    const { currentState, rules } = currentGameState;
+    if (rules && rules.timeControl) {
+        return reject(currentState, "Time has not run out yet.");
+    }
+    if (eventData.playerId !== (symbol === 'X' ? currentGameState.playerX : currentGameState.playerO)) {
+        return reject(currentState, "Only the player on turn can run out of time.");
+    }
+    return loseOnTime(currentGameState, symbol);
+}
+
+/**
+ * Dispatches an event that arrives while a player is on turn to its handler.
+ * @returns {FSMTransitionResult|undefined} The handler's result, or undefined for an unknown event.
+ */
+function applyTurnEvent(currentGameState, symbolOnTurn, event, eventData) {
+    switch (event) {
+        case EVENTS.PLAYER_MOVE_ATTEMPTED:
+            return handleMoveAttempted(currentGameState, symbolOnTurn, eventData);
+        case EVENTS.UNDO_REQUESTED:
+            return handleUndoRequested(currentGameState, eventData);
+        case EVENTS.UNDO_ACCEPTED:
+            return handleUndoAccepted(currentGameState, eventData);
+        case EVENTS.RESIGN:
+            return handleResign(currentGameState, eventData);
+        case EVENTS.OFFER_DRAW:
+            return handleOfferDraw(currentGameState, eventData);
+        case EVENTS.ACCEPT_DRAW:
+            return handleAcceptDraw(currentGameState, eventData);
+        case EVENTS.TIMEOUT:
+            return handleTimeout(currentGameState, symbolOnTurn, eventData);
+    }
+    return undefined;
+}
+
+/**
+ * The core FSM transition function. It takes the current game state and an event payload,
+ * applies game rules, and returns the new state and outcome. This function is pure
+ * and has no side effects.
+ *
+ * @param {object} currentGameState - The full current state of the game.
+ * Includes { currentState: string, board: Array<Array<string>>, playerX: string, playerO: string, rules: object,
+ * moveHistory: Array<object>, undosUsed: { X: number, O: number }, pendingUndo: { playerId: string }|null,
+ * pendingDrawOffer: { playerId: string }|null, clocks: { X: number, O: number }|null, turnStartedAt: number|null }
+ * @param {string} event - The event that is occurring (e.g., 'PLAYER_MOVE_ATTEMPTED').
+ * @param {object} eventData - Data associated with the event.
+ * Includes { playerId: string }, for PLAYER_MOVE_ATTEMPTED { move: { rowIndex: number, colIndex: number } }
+ * and, in timed games, { timestamp: number } in milliseconds since the epoch.
+ * @returns {FSMTransitionResult} An object describing the outcome of the transition.
+ */
+function transition(currentGameState, event, eventData) {
+    // --- Input validation for the function itself ---
+    if (!currentGameState || !event || !eventData || (event === EVENTS.PLAYER_MOVE_ATTEMPTED && !eventData.move)) {
+        throw new Error("Invalid arguments provided to FSM transition function.");
+    }
+
+    const { currentState } = currentGameState;
+
+    // GAME_OVER states accept no further events, whatever ended the game.
+    if (getGameOutcome(currentState)) {
+        return reject(currentState, "Game is already over.");
+    }
+
+    // --- Main FSM logic ---
+    switch (currentState) {
+        case STATES.PLAYER_X_TURN:
+        case STATES.PLAYER_O_TURN: {
+            const symbolOnTurn = currentState === STATES.PLAYER_X_TURN ? 'X' : 'O';
+
+            // In timed games, charge the elapsed time first: once the player on turn
+            // is out of time, the next event from either player ends the game on time.
+            const clock = runClock(currentGameState, symbolOnTurn, eventData.timestamp);
+            if (clock.error) {
+                return reject(currentState, clock.error);
+            }
+            if (clock.expired) {
+                if (!getPlayerSymbol(currentGameState, eventData.playerId)) {
+                    return reject(currentState, "Only players in this game may claim a timeout.");
+                }
+                return loseOnTime(clock.gameState, symbolOnTurn);
+            }
+
+            const result = applyTurnEvent(clock.gameState, symbolOnTurn, event, eventData);
+            // The next turn starts now. The first move starts the clocks, and undoing it stops them again.
+            const { timeControl } = currentGameState.rules || DEFAULT_RULES;
+            const clockRunning = result && result.isValidMove
+                && result.newGameState.turnStartedAt !== null && result.newGameState.turnStartedAt !== undefined;
+            if (result && result.isValidMove && timeControl && (clockRunning || event === EVENTS.PLAYER_MOVE_ATTEMPTED)) {
+                return accept({ ...result.newGameState, turnStartedAt: eventData.timestamp });
+            }
+            if (result) return result;
+            break;
+        }
+    }
+
+    // Default case if no transition matches
+    return reject(currentState, `No valid transition for event ${event} from state ${currentState}.`);
+}
+
+/**
+ * A factory function to create the initial state object for a new game.
+ * @param {string} playerX_Id - The ID for the player who will be 'X'.
+ * @param {string} playerO_Id - The ID for the player who will be 'O'.
+ * @param {{rows?: number, cols?: number, winLength?: number, maxUndos?: number, timeControl?: object|null, variant?: string}} [rules] - The board size,
+ * win length, undo allowance, time control and rule variant; defaults to classic, untimed 3x3.
+ * @returns {object} The initial game state object.
+ */
+function getInitialGameState(playerX_Id, playerO_Id, rules) {
+    const normalizedRules = normalizeRules(rules);
+    const { getInitialState } = getVariant(normalizedRules.variant);
+    return {
+        // Any extra state the rule variant keeps, such as Ultimate's active sub-board
+        ...(getInitialState ? getInitialState(normalizedRules) : {}),
+        // Player X is typically the first to move in Tic-Tac-Toe
+        currentState: STATES.PLAYER_X_TURN,
+        board: Array.from({ length: normalizedRules.rows }, () => Array(normalizedRules.cols).fill('')),
+        playerX: playerX_Id,
+        playerO: playerO_Id,
+        rules: normalizedRules,
+        moveHistory: [],
+        undosUsed: { X: 0, O: 0 },
+        pendingUndo: null,
+        pendingDrawOffer: null,
+        // Remaining time per player in timed games, and when the current turn's clock started.
+        clocks: normalizedRules.timeControl
+            ? { X: normalizedRules.timeControl.initialMs, O: normalizedRules.timeControl.initialMs }
+            : null,
+        turnStartedAt: null,
+    };
+}
+
+// Export the functions and constants so other files in the server can use them.
+export {
+    STATES,
+    EVENTS,
+    END_REASONS,
+    DEFAULT_RULES,
+    MIN_BOARD_SIZE,
+    MAX_BOARD_SIZE,
+    MAX_UNDOS_LIMIT,
+    transition,
+    getInitialGameState,
+    normalizeRules,
+    getGameOutcome,
+    checkWin,
+    checkDraw,
+};
\ No newline at end of file
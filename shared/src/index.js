@@ -0,0 +1,32 @@
+// shared/src/index.js
+
+/**
+ * tictactoe-rules
+ *
+ * The game rules shared by the browser client, the Cloud Functions server and
+ * the proxy: the FSM, the rule variants and the rules version, the catalogue of
+ * API errors they report, and how long a game's encrypted log can get. The
+ * client imports this ES module source directly; the functions require the
+ * CommonJS build in dist/.
+ */
+
+export {
+    STATES,
+    EVENTS,
+    END_REASONS,
+    DEFAULT_RULES,
+    MIN_BOARD_SIZE,
+    MAX_BOARD_SIZE,
+    MAX_UNDOS_LIMIT,
+    transition,
+    getInitialGameState,
+    normalizeRules,
+    getGameOutcome,
+    checkWin,
+    checkDraw,
+} from './fsm.js';
+export { VARIANTS, DEFAULT_VARIANT, getVariant } from './variants/index.js';
+export { placeSymbol } from './variants/board.js';
+export { RULES_VERSION } from './version.js';
+export { RETRY_ACTIONS, ERROR_CODES, ApiError } from './errors.js';
+export { MAX_ENCRYPTED_LOG_LENGTH, getMaxEncryptedLogLength } from './logSize.js';
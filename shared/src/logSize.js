@@ -0,0 +1,41 @@
+// shared/src/logSize.js
+
+/**
+ * How long an encrypted log can get. An encrypted log is the base64 AES-GCM
+ * ciphertext of its JSON entries, and every entry carries the whole board, so
+ * the bound depends on the board. A game has an entry per accepted event: one
+ * move per cell, at most one draw offer per move, and per undo the request, its
+ * acceptance and the (at most two) moves played again.
+ *
+ * The proxy does not know a game's board, so it holds submissions to the largest
+ * one; the server holds them to the game's own.
+ */
+
+import { MAX_BOARD_SIZE, MAX_UNDOS_LIMIT } from './fsm.js';
+
+// Entries that are not events, such as GAME_CREATED, plus some slack.
+const EXTRA_LOG_ENTRIES = 32;
+// An entry without its board: event data with a signature, two hashes, the FSM state.
+const LOG_ENTRY_BYTES = 1024;
+// A cell of the board as JSON, such as `"X",`, with room for the row brackets.
+const LOG_CELL_BYTES = 5;
+const GCM_TAG_BYTES = 16;
+
+/**
+ * @param {{rows: number, cols: number, maxUndos: number}} rules - The game's rules (see normalizeRules).
+ * @returns {number} The most base64 characters the encrypted log of a game under these rules can have.
+ */
+function getMaxEncryptedLogLength({ rows, cols, maxUndos }) {
+    const cells = rows * cols;
+    const maxEntries = 2 * cells + 2 * maxUndos * 4 + EXTRA_LOG_ENTRIES;
+    const maxPlaintextBytes = maxEntries * (LOG_ENTRY_BYTES + cells * LOG_CELL_BYTES);
+    return Math.ceil((maxPlaintextBytes + GCM_TAG_BYTES) / 3) * 4;
+}
+
+// The bound for the largest board and the most undos.
+const MAX_ENCRYPTED_LOG_LENGTH = getMaxEncryptedLogLength({ rows: MAX_BOARD_SIZE, cols: MAX_BOARD_SIZE, maxUndos: MAX_UNDOS_LIMIT });
+
+export {
+    MAX_ENCRYPTED_LOG_LENGTH,
+    getMaxEncryptedLogLength,
+};
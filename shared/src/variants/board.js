@@ -0,0 +1,93 @@
+// shared/src/variants/board.js
+
+/**
+ * board.js
+ *
+ * Board helpers shared by the FSM and the rule variants: copying a board and
+ * finding lines of symbols on boards of any size.
+ */
+
+// The four directions a line can run in: horizontal, vertical and both diagonals.
+const LINE_DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+/**
+ * A helper function to create a deep copy of the board array.
+ * @param {Array<Array<string>>} board - The game board.
+ * @returns {Array<Array<string>>} A new copy of the board.
+ */
+function cloneBoard(board) {
+    return JSON.parse(JSON.stringify(board));
+}
+
+/**
+ * Counts consecutive cells holding the player's symbol, starting next to (row, col)
+ * and walking in the direction (dRow, dCol).
+ * @param {Array<Array<string>>} board - The game board.
+ * @param {number} row - The starting row.
+ * @param {number} col - The starting column.
+ * @param {number} dRow - The row step.
+ * @param {number} dCol - The column step.
+ * @param {string} playerSymbol - The player's symbol ('X' or 'O').
+ * @returns {number} The number of matching cells, not counting the starting cell.
+ */
+function countInDirection(board, row, col, dRow, dCol, playerSymbol) {
+    let count = 0;
+    let r = row + dRow;
+    let c = col + dCol;
+    while (r >= 0 && r < board.length && c >= 0 && c < board[r].length && board[r][c] === playerSymbol) {
+        count++;
+        r += dRow;
+        c += dCol;
+    }
+    return count;
+}
+
+/**
+ * Checks if a given player has won the game, i.e. has at least `winLength` of
+ * their symbols in an unbroken horizontal, vertical or diagonal line.
+ * @param {Array<Array<string>>} board - The game board.
+ * @param {string} playerSymbol - The player's symbol ('X' or 'O').
+ * @param {number} [winLength=3] - How many symbols in a row are needed to win.
+ * @param {{rowIndex: number, colIndex: number}} [lastMove] - If given, only lines through this cell are checked.
+ * @returns {boolean} True if the player has won, false otherwise.
+ */
+function checkWin(board, playerSymbol, winLength = 3, lastMove) {
+    const hasLineThrough = (row, col) => board[row][col] === playerSymbol && LINE_DIRECTIONS.some(([dRow, dCol]) =>
+        1 + countInDirection(board, row, col, dRow, dCol, playerSymbol)
+          + countInDirection(board, row, col, -dRow, -dCol, playerSymbol) >= winLength
+    );
+
+    if (lastMove) {
+        return hasLineThrough(lastMove.rowIndex, lastMove.colIndex);
+    }
+    return board.some((row, rowIndex) => row.some((cell, colIndex) => hasLineThrough(rowIndex, colIndex)));
+}
+
+/**
+ * Checks if the game is a draw (no empty cells left).
+ * @param {Array<Array<string>>} board - The game board.
+ * @returns {boolean} True if the game is a draw, false otherwise.
+ */
+function checkDraw(board) {
+    return board.every(row => row.every(cell => cell !== ''));
+}
+
+/**
+ * Returns a copy of the board with one more symbol placed.
+ * @param {Array<Array<string>>} board - The game board.
+ * @param {{rowIndex: number, colIndex: number}} move - The cell to fill.
+ * @param {string} symbol - The symbol to place.
+ * @returns {Array<Array<string>>} The new board.
+ */
+function placeSymbol(board, move, symbol) {
+    const newBoard = cloneBoard(board);
+    newBoard[move.rowIndex][move.colIndex] = symbol;
+    return newBoard;
+}
+
+export {
+    cloneBoard,
+    checkWin,
+    checkDraw,
+    placeSymbol,
+};
@@ -0,0 +1,26 @@
+// shared/src/variants/classic.js
+
+import { checkWin, checkDraw, placeSymbol } from './board.js';
+
+/**
+ * Classic (m,n,k) play: the first player to complete a line of `winLength`
+ * of their own symbol wins, and a full board without a line is a draw.
+ * @type {import('./index.js').VariantModule}
+ */
+const classic = {
+    id: 'classic',
+    name: 'Classic',
+
+    applyMove(gameState, symbol, move) {
+        const board = placeSymbol(gameState.board, move, symbol);
+        return {
+            board,
+            winner: checkWin(board, symbol, gameState.rules.winLength, move) ? symbol : null,
+            isDraw: checkDraw(board),
+        };
+    },
+};
+
+export {
+    classic,
+};
@@ -0,0 +1,62 @@
+// shared/src/variants/index.js
+
+/**
+ * variants/index.js
+ *
+ * The registry of rule variants. A variant is a small module that decides what
+ * a move does to the board and whether it ends the game; the FSM handles turns,
+ * undos, draw offers, resignations and clocks the same way for every variant.
+ * To add a variant, write a module with the shape below and register it here.
+ *
+ * @typedef {object} VariantModule
+ * @property {string} id - The identifier stored in `rules.variant`.
+ * @property {string} name - A display name.
+ * @property {object} [fixedRules] - Rule values the variant always uses, overriding the requested ones.
+ * @property {function(object): object} [getInitialState] - Extra game state fields the variant keeps, given the rules.
+ * @property {function(object): object} [deriveState] - Recomputes those fields from the board and move
+ * history; used after an undo.
+ * @property {function(object, string, object): VariantMoveResult} applyMove - Plays a move for the
+ * seat `symbol` on a cell the FSM has already checked is empty and on the board.
+ */
+
+/**
+ * @typedef {object} VariantMoveResult
+ * @property {string} [error] - Why the move is not allowed; no other fields are set.
+ * @property {Array<Array<string>>} [board] - The board after the move.
+ * @property {string|null} [winner] - 'X' or 'O' if the move decided the game.
+ * @property {boolean} [isDraw] - True if the game is drawn (only consulted when there is no winner).
+ * @property {object} [state] - New values for the variant's extra game state fields.
+ */
+
+import { classic } from './classic.js';
+import { misere } from './misere.js';
+import { wild } from './wild.js';
+import { ultimate } from './ultimate.js';
+
+const VARIANTS = {
+    [classic.id]: classic,
+    [misere.id]: misere,
+    [wild.id]: wild,
+    [ultimate.id]: ultimate,
+};
+
+const DEFAULT_VARIANT = classic.id;
+
+/**
+ * Looks up a registered variant.
+ * @param {string} [variantId] - A variant ID; the default variant if omitted.
+ * @returns {VariantModule} The variant module.
+ * @throws {Error} If no such variant is registered.
+ */
+function getVariant(variantId = DEFAULT_VARIANT) {
+    if (!Object.hasOwn(VARIANTS, variantId)) {
+        throw new Error(`Unknown variant: ${variantId}`);
+    }
+    return VARIANTS[variantId];
+}
+
+export {
+    VARIANTS,
+    DEFAULT_VARIANT,
+    getVariant,
+};
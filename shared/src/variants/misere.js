@@ -0,0 +1,27 @@
+// shared/src/variants/misere.js
+
+import { checkWin, checkDraw, placeSymbol } from './board.js';
+
+/**
+ * Misère play: completing a line of `winLength` of your own symbol loses, so
+ * the opponent of the player who made the line wins.
+ * @type {import('./index.js').VariantModule}
+ */
+const misere = {
+    id: 'misere',
+    name: 'Misère',
+
+    applyMove(gameState, symbol, move) {
+        const board = placeSymbol(gameState.board, move, symbol);
+        const opponentSymbol = symbol === 'X' ? 'O' : 'X';
+        return {
+            board,
+            winner: checkWin(board, symbol, gameState.rules.winLength, move) ? opponentSymbol : null,
+            isDraw: checkDraw(board),
+        };
+    },
+};
+
+export {
+    misere,
+};
@@ -0,0 +1,110 @@
+// shared/src/variants/ultimate.js
+
+import { checkWin, checkDraw, placeSymbol } from './board.js';
+
+// Ultimate is played on a 3x3 grid of 3x3 sub-boards.
+const SUB_BOARD_SIZE = 3;
+const SUB_BOARD_COUNT = SUB_BOARD_SIZE * SUB_BOARD_SIZE;
+
+// Markers in `subBoardWinners` besides 'X' and 'O'.
+const OPEN_SUB_BOARD = '';
+const DRAWN_SUB_BOARD = 'D';
+
+/**
+ * @param {number} rowIndex - A row of the full 9x9 board.
+ * @param {number} colIndex - A column of the full 9x9 board.
+ * @returns {number} The index (0-8, row by row) of the sub-board containing the cell.
+ */
+function getSubBoardIndex(rowIndex, colIndex) {
+    return Math.floor(rowIndex / SUB_BOARD_SIZE) * SUB_BOARD_SIZE + Math.floor(colIndex / SUB_BOARD_SIZE);
+}
+
+function getSubBoard(board, index) {
+    const top = Math.floor(index / SUB_BOARD_SIZE) * SUB_BOARD_SIZE;
+    const left = (index % SUB_BOARD_SIZE) * SUB_BOARD_SIZE;
+    return board.slice(top, top + SUB_BOARD_SIZE).map(row => row.slice(left, left + SUB_BOARD_SIZE));
+}
+
+/**
+ * @returns {string} 'X' or 'O' if that player has a line in the sub-board, DRAWN_SUB_BOARD
+ * if it is full without one, or OPEN_SUB_BOARD if it is still being played.
+ */
+function getSubBoardResult(board, index) {
+    const subBoard = getSubBoard(board, index);
+    const winner = ['X', 'O'].find(symbol => checkWin(subBoard, symbol, SUB_BOARD_SIZE));
+    if (winner) return winner;
+    return checkDraw(subBoard) ? DRAWN_SUB_BOARD : OPEN_SUB_BOARD;
+}
+
+/**
+ * The cell a move is played in, within its sub-board, picks the sub-board the
+ * opponent must play in next. If that sub-board is already decided, the
+ * opponent may play in any open one.
+ * @returns {number|null} The sub-board index, or null for a free choice.
+ */
+function getNextSubBoard(move, subBoardWinners) {
+    const target = (move.rowIndex % SUB_BOARD_SIZE) * SUB_BOARD_SIZE + (move.colIndex % SUB_BOARD_SIZE);
+    return subBoardWinners[target] === OPEN_SUB_BOARD ? target : null;
+}
+
+/**
+ * The 3x3 board of sub-board winners, on which the game itself is won.
+ */
+function getMetaBoard(subBoardWinners) {
+    return Array.from({ length: SUB_BOARD_SIZE }, (_, row) => subBoardWinners
+        .slice(row * SUB_BOARD_SIZE, (row + 1) * SUB_BOARD_SIZE)
+        .map(result => (result === DRAWN_SUB_BOARD ? '' : result)));
+}
+
+/**
+ * Ultimate tic-tac-toe: nine 3x3 sub-boards in a 3x3 grid. Winning a sub-board
+ * claims it, and three claimed sub-boards in a line win the game. Each move
+ * sends the opponent to the sub-board matching the cell just played.
+ *
+ * Besides the board it keeps `subBoardWinners` (one marker per sub-board) and
+ * `activeSubBoard` (the sub-board the player on turn must play in, or null).
+ * @type {import('./index.js').VariantModule}
+ */
+const ultimate = {
+    id: 'ultimate',
+    name: 'Ultimate',
+    fixedRules: { rows: 9, cols: 9, winLength: 3 },
+
+    getInitialState() {
+        return { subBoardWinners: Array(SUB_BOARD_COUNT).fill(OPEN_SUB_BOARD), activeSubBoard: null };
+    },
+
+    deriveState(gameState) {
+        const subBoardWinners = Array.from({ length: SUB_BOARD_COUNT }, (_, index) => getSubBoardResult(gameState.board, index));
+        const lastMove = gameState.moveHistory[gameState.moveHistory.length - 1];
+        return { subBoardWinners, activeSubBoard: lastMove ? getNextSubBoard(lastMove, subBoardWinners) : null };
+    },
+
+    applyMove(gameState, symbol, move) {
+        const { activeSubBoard, subBoardWinners } = gameState;
+        const subBoardIndex = getSubBoardIndex(move.rowIndex, move.colIndex);
+        if (activeSubBoard !== null && subBoardIndex !== activeSubBoard) {
+            return { error: `Invalid move: you must play in sub-board ${activeSubBoard + 1}.` };
+        }
+        if (subBoardWinners[subBoardIndex] !== OPEN_SUB_BOARD) {
+            return { error: "Invalid move: that sub-board is already decided." };
+        }
+
+        const board = placeSymbol(gameState.board, move, symbol);
+        const newSubBoardWinners = [...subBoardWinners];
+        newSubBoardWinners[subBoardIndex] = getSubBoardResult(board, subBoardIndex);
+        return {
+            board,
+            winner: checkWin(getMetaBoard(newSubBoardWinners), symbol, SUB_BOARD_SIZE) ? symbol : null,
+            isDraw: newSubBoardWinners.every(result => result !== OPEN_SUB_BOARD),
+            state: {
+                subBoardWinners: newSubBoardWinners,
+                activeSubBoard: getNextSubBoard(move, newSubBoardWinners),
+            },
+        };
+    },
+};
+
+export {
+    ultimate,
+};
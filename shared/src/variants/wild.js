@@ -0,0 +1,32 @@
+// shared/src/variants/wild.js
+
+import { checkWin, checkDraw, placeSymbol } from './board.js';
+
+const WILD_SYMBOLS = ['X', 'O'];
+
+/**
+ * Wild play: on each move the player chooses whether to place an X or an O
+ * (`move.symbol`). Whoever completes a line of either symbol wins.
+ * Turns still alternate between the X seat and the O seat.
+ * @type {import('./index.js').VariantModule}
+ */
+const wild = {
+    id: 'wild',
+    name: 'Wild',
+
+    applyMove(gameState, symbol, move) {
+        if (!WILD_SYMBOLS.includes(move.symbol)) {
+            return { error: "Invalid move: choose a symbol, X or O, to place." };
+        }
+        const board = placeSymbol(gameState.board, move, move.symbol);
+        return {
+            board,
+            winner: checkWin(board, move.symbol, gameState.rules.winLength, move) ? symbol : null,
+            isDraw: checkDraw(board),
+        };
+    },
+};
+
+export {
+    wild,
+};
@@ -0,0 +1,13 @@
+// shared/src/version.js
+
+/**
+ * The version of the game rules. The server replays logs with its own copy of
+ * the rules, so a log recorded under different rules cannot be verified.
+ * Bump this (together with the package version) whenever a change to the FSM or
+ * a variant could make a move sequence replay differently.
+ */
+const RULES_VERSION = '1.1.0';
+
+export {
+    RULES_VERSION,
+};